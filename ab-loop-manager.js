@@ -0,0 +1,677 @@
+/* ============================================
+   A-B Loop Manager - Practice loops with count-in,
+   per-pass speed trainer and saved loops per track
+   ============================================ */
+
+class ABLoopManager {
+    constructor(player, debugLog) {
+        this.player = player;
+        this.debugLog = debugLog;
+
+        // Current loop
+        this.start = null;
+        this.end = null;
+        this.active = false;
+        this.repetitions = 0;
+
+        // Practice settings
+        this.countInBeats = 0;
+        this.trainer = { enabled: false, startRate: 0.7, step: 0.05, targetRate: 1 };
+        this.trainerBaseRate = null;
+
+        // Shorter loops can't be seeked reliably
+        this.minLength = 0.25;
+        this.checkInterval = null;
+        this.countInTimers = [];
+        this.countingIn = false;
+        this.countInPlaying = false;
+        this.clickContext = null;
+
+        // Saved loops (trackKey -> [{ name, start, end, createdAt }])
+        this.storageKey = 'abLoopSaved';
+        this.savedLoops = {};
+        this.track = null;
+        this.trackKey = null;
+
+        // Drag state for the progress bar
+        this.drag = null;
+
+        // Providers (set by init)
+        this.getTrackKey = (track) => `${track.fileName}_${track.fileSize || 0}`;
+        this.getRate = () => this.player.playbackRate;
+        this.setRate = (rate) => { this.player.playbackRate = rate; };
+        this.progressContainer = null;
+
+        // Callbacks
+        this.onActiveChange = null;
+
+        // DOM elements
+        this.elements = {
+            status: document.getElementById('ab-loop-status'),
+            setA: document.getElementById('ab-set-a'),
+            setB: document.getElementById('ab-set-b'),
+            aTime: document.getElementById('ab-a-time'),
+            bTime: document.getElementById('ab-b-time'),
+            toggle: document.getElementById('ab-toggle'),
+            clear: document.getElementById('ab-clear'),
+            repetitions: document.getElementById('ab-repetitions'),
+            countIn: document.getElementById('ab-count-in'),
+            trainerCheck: document.getElementById('ab-trainer-check'),
+            trainerStart: document.getElementById('ab-trainer-start'),
+            trainerStep: document.getElementById('ab-trainer-step'),
+            trainerTarget: document.getElementById('ab-trainer-target'),
+            savedSelect: document.getElementById('ab-saved-select'),
+            save: document.getElementById('ab-save'),
+            remove: document.getElementById('ab-delete')
+        };
+    }
+
+    /**
+     * @param {Object} config - { getTrackKey, getRate, setRate(rate), progressContainer }
+     */
+    init(config = {}) {
+        if (config.getTrackKey) this.getTrackKey = config.getTrackKey;
+        if (config.getRate) this.getRate = config.getRate;
+        if (config.setRate) this.setRate = config.setRate;
+        if (config.progressContainer) this.progressContainer = config.progressContainer;
+
+        this.loadSettings();
+        this.loadSavedLoops();
+        this.createProgressMarkers();
+        this.setupEventListeners();
+        this.render();
+
+        this.debugLog('✅ A-B loop ready', 'success');
+    }
+
+    setupEventListeners() {
+        const el = this.elements;
+
+        if (el.setA) el.setA.onclick = () => this.setA();
+        if (el.setB) el.setB.onclick = () => this.setB();
+        if (el.toggle) el.toggle.onclick = () => this.toggle();
+        if (el.clear) el.clear.onclick = () => this.clear();
+
+        if (el.countIn) {
+            el.countIn.value = String(this.countInBeats);
+            el.countIn.onchange = () => {
+                this.countInBeats = parseInt(el.countIn.value) || 0;
+                this.saveSettings();
+            };
+        }
+
+        const trainerInputs = [el.trainerCheck, el.trainerStart, el.trainerStep, el.trainerTarget];
+        if (el.trainerCheck) el.trainerCheck.checked = this.trainer.enabled;
+        if (el.trainerStart) el.trainerStart.value = this.trainer.startRate;
+        if (el.trainerStep) el.trainerStep.value = this.trainer.step;
+        if (el.trainerTarget) el.trainerTarget.value = this.trainer.targetRate;
+        trainerInputs.forEach(input => {
+            if (input) input.onchange = () => this.readTrainerInputs();
+        });
+
+        if (el.savedSelect) {
+            el.savedSelect.onchange = () => {
+                if (el.savedSelect.value !== '') this.applySaved(parseInt(el.savedSelect.value));
+            };
+        }
+        if (el.save) el.save.onclick = () => this.promptSave();
+        if (el.remove) el.remove.onclick = () => this.deleteSaved(parseInt(el.savedSelect?.value));
+
+        // Loop boundary is checked more often than timeupdate fires
+        this.player.addEventListener('play', () => {
+            if (this.countingIn && !this.countInPlaying) this.cancelCountIn();
+            this.startChecking();
+        });
+        this.player.addEventListener('pause', () => this.stopChecking());
+
+        document.addEventListener('mousemove', (e) => this.onDragMove(e));
+        document.addEventListener('mouseup', () => this.onDragEnd());
+    }
+
+    // ========== MARKERS ==========
+
+    /**
+     * New track - loops belong to the track they were set on
+     */
+    setTrack(track) {
+        this.clear(true);
+        this.track = track;
+        this.trackKey = track ? this.getTrackKey(track) : null;
+        this.renderSaved();
+    }
+
+    setA(time = this.player.currentTime) {
+        if (!this.hasDuration()) return;
+
+        this.start = time;
+        if (this.end !== null && this.end - this.start < this.minLength) {
+            this.end = null;
+            this.setActive(false);
+        }
+        this.debugLog(`🅰️ Loop start: ${this.formatTime(time)}`, 'info');
+        this.render();
+    }
+
+    setB(time = this.player.currentTime) {
+        if (!this.hasDuration()) return;
+
+        if (this.start === null) this.start = 0;
+        if (time - this.start < this.minLength) {
+            this.debugLog('⚠️ Loop end must come after the start', 'warning');
+            return;
+        }
+
+        this.end = time;
+        this.debugLog(`🅱️ Loop end: ${this.formatTime(time)}`, 'info');
+        this.setActive(true);
+    }
+
+    /**
+     * One key for everything: set A, then B (starts looping), then clear
+     */
+    cycleMarker() {
+        if (this.start === null) this.setA();
+        else if (this.end === null) this.setB();
+        else this.clear();
+    }
+
+    /**
+     * Set both ends at once
+     * @param {number} start - Seconds
+     * @param {number} end - Seconds
+     * @param {boolean} seek - Jump to the start straight away
+     */
+    setRange(start, end, seek = true) {
+        if (!this.hasDuration()) return false;
+
+        const duration = this.player.duration;
+        const from = Math.max(0, Math.min(start, end));
+        const to = Math.min(duration, Math.max(start, end));
+        if (to - from < this.minLength) return false;
+
+        this.start = from;
+        this.end = to;
+        this.setActive(true);
+        if (seek) this.player.currentTime = from;
+        return true;
+    }
+
+    /**
+     * Loop a lyrics cue
+     * @param {Object} cue - { startTime, endTime, text }
+     */
+    loopLine(cue) {
+        if (!cue || !this.setRange(cue.startTime, cue.endTime)) return;
+        this.debugLog(`🔁 Looping line: "${cue.text.replace(/\s+/g, ' ').substring(0, 40)}"`, 'success');
+    }
+
+    toggle() {
+        if (this.start === null || this.end === null) {
+            this.debugLog('⚠️ Set both A and B first', 'warning');
+            return;
+        }
+        this.setActive(!this.active);
+    }
+
+    setActive(active) {
+        const changed = active !== this.active;
+        this.active = active;
+
+        if (!active) {
+            this.cancelCountIn();
+            this.restoreTrainerRate();
+        } else if (changed) {
+            this.repetitions = 0;
+            this.startTrainer();
+        }
+
+        if (active && !this.player.paused) this.startChecking();
+        if (changed && this.onActiveChange) this.onActiveChange(active);
+        this.render();
+    }
+
+    /**
+     * @param {boolean} silent - Track change (no log)
+     */
+    clear(silent = false) {
+        const hadLoop = this.start !== null;
+        this.start = null;
+        this.end = null;
+        this.setActive(false);
+        this.repetitions = 0;
+        this.render();
+
+        if (hadLoop && !silent) this.debugLog('🔁 A-B loop cleared', 'info');
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    hasDuration() {
+        return !!this.player.duration && isFinite(this.player.duration);
+    }
+
+    // ========== LOOPING ==========
+
+    startChecking() {
+        if (this.checkInterval || !this.active) return;
+        this.checkInterval = setInterval(() => this.check(), 30);
+    }
+
+    stopChecking() {
+        clearInterval(this.checkInterval);
+        this.checkInterval = null;
+    }
+
+    check() {
+        if (!this.active) {
+            this.stopChecking();
+            return;
+        }
+        if (this.countingIn || this.player.seeking) return;
+
+        // Seeking past B counts as reaching it
+        if (this.player.currentTime >= this.end) this.repeat();
+    }
+
+    /**
+     * B reached - next pass
+     */
+    repeat() {
+        this.repetitions++;
+        this.stepTrainer();
+
+        if (this.countInBeats > 0) {
+            this.startCountIn();
+        } else {
+            this.player.currentTime = this.start;
+        }
+        this.render();
+    }
+
+    /**
+     * B at the very end of the track
+     * @returns {boolean} True if the loop took over from the ended handler
+     */
+    handleEnded() {
+        if (!this.active) return false;
+
+        this.repeat();
+        if (!this.countingIn) this.player.play();
+        return true;
+    }
+
+    // ========== COUNT-IN ==========
+
+    startCountIn() {
+        this.cancelCountIn();
+        this.countingIn = true;
+        this.countInPlaying = false;
+
+        this.player.pause();
+        this.player.currentTime = this.start;
+
+        // One beat at the track's tempo (as heard at the current rate)
+        const bpm = this.track?.analysis?.bpm || 60;
+        const beatMs = (60 / bpm) * 1000 / (this.getRate() || 1);
+
+        for (let beat = 0; beat < this.countInBeats; beat++) {
+            this.countInTimers.push(setTimeout(() => {
+                this.playClick(beat === 0);
+                this.setStatus(`Count-in ${this.countInBeats - beat}…`);
+            }, beat * beatMs));
+        }
+
+        this.countInTimers.push(setTimeout(() => {
+            this.countInPlaying = true;
+            this.player.play().finally(() => {
+                this.countingIn = false;
+                this.countInPlaying = false;
+                this.render();
+            });
+        }, this.countInBeats * beatMs));
+    }
+
+    cancelCountIn() {
+        this.countInTimers.forEach(timer => clearTimeout(timer));
+        this.countInTimers = [];
+        this.countingIn = false;
+    }
+
+    /**
+     * Metronome click (own context - the player's is suspended while paused)
+     */
+    playClick(accent) {
+        try {
+            if (!this.clickContext) {
+                this.clickContext = new (window.AudioContext || window.webkitAudioContext)();
+            }
+            const ctx = this.clickContext;
+            const now = ctx.currentTime;
+
+            const osc = ctx.createOscillator();
+            const gain = ctx.createGain();
+            osc.frequency.value = accent ? 1600 : 1000;
+            gain.gain.setValueAtTime(0.3, now);
+            gain.gain.exponentialRampToValueAtTime(0.001, now + 0.08);
+
+            osc.connect(gain);
+            gain.connect(ctx.destination);
+            osc.start(now);
+            osc.stop(now + 0.1);
+        } catch (err) {
+            // Count-in still shows visually
+        }
+    }
+
+    // ========== SPEED TRAINER ==========
+
+    readTrainerInputs() {
+        const el = this.elements;
+        const read = (input, fallback) => {
+            const value = parseFloat(input?.value);
+            return isNaN(value) ? fallback : value;
+        };
+
+        const wasEnabled = this.trainer.enabled;
+        this.trainer = {
+            enabled: !!el.trainerCheck?.checked,
+            startRate: Math.max(0.5, Math.min(3, read(el.trainerStart, 0.7))),
+            step: Math.max(0.01, Math.min(0.5, read(el.trainerStep, 0.05))),
+            targetRate: Math.max(0.5, Math.min(3, read(el.trainerTarget, 1)))
+        };
+        this.saveSettings();
+
+        if (this.active && this.trainer.enabled && !wasEnabled) this.startTrainer();
+        if (!this.trainer.enabled && wasEnabled) this.restoreTrainerRate();
+        this.render();
+    }
+
+    startTrainer() {
+        if (!this.trainer.enabled) return;
+
+        if (this.trainerBaseRate === null) this.trainerBaseRate = this.getRate();
+        this.setRate(this.trainer.startRate);
+    }
+
+    /**
+     * Each pass a little faster, up to the target
+     */
+    stepTrainer() {
+        if (!this.trainer.enabled || this.trainerBaseRate === null) return;
+
+        const { startRate, step, targetRate } = this.trainer;
+        const direction = targetRate >= startRate ? 1 : -1;
+        const next = Math.round((this.getRate() + step * direction) * 100) / 100;
+        this.setRate(direction > 0 ? Math.min(targetRate, next) : Math.max(targetRate, next));
+    }
+
+    restoreTrainerRate() {
+        if (this.trainerBaseRate === null) return;
+
+        this.setRate(this.trainerBaseRate);
+        this.trainerBaseRate = null;
+    }
+
+    // ========== SAVED LOOPS ==========
+
+    getSaved() {
+        return (this.trackKey && this.savedLoops[this.trackKey]) || [];
+    }
+
+    promptSave() {
+        if (this.start === null || this.end === null || !this.trackKey) {
+            this.debugLog('⚠️ Set A and B before saving a loop', 'warning');
+            return;
+        }
+
+        const name = prompt('Name this loop:', `Loop ${this.getSaved().length + 1} (${this.formatTime(this.start)}–${this.formatTime(this.end)})`);
+        if (name && name.trim()) this.saveLoop(name.trim());
+    }
+
+    saveLoop(name) {
+        const loops = this.getSaved();
+        loops.push({ name, start: this.start, end: this.end, createdAt: Date.now() });
+        this.savedLoops[this.trackKey] = loops;
+        this.persistSavedLoops();
+        this.renderSaved(loops.length - 1);
+
+        this.debugLog(`💾 Saved loop "${name}"`, 'success');
+    }
+
+    applySaved(index) {
+        const loop = this.getSaved()[index];
+        if (!loop) return;
+
+        this.setRange(loop.start, loop.end);
+        this.debugLog(`🔁 Loop "${loop.name}"`, 'info');
+    }
+
+    deleteSaved(index) {
+        const loops = this.getSaved();
+        const loop = loops[index];
+        if (!loop || !confirm(`Delete loop "${loop.name}"?`)) return;
+
+        loops.splice(index, 1);
+        if (loops.length) this.savedLoops[this.trackKey] = loops;
+        else delete this.savedLoops[this.trackKey];
+        this.persistSavedLoops();
+        this.renderSaved();
+    }
+
+    loadSavedLoops() {
+        try {
+            this.savedLoops = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (err) {
+            this.savedLoops = {};
+        }
+    }
+
+    persistSavedLoops() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.savedLoops));
+        } catch (err) {
+            this.debugLog(`Failed to save loops: ${err.message}`, 'error');
+        }
+    }
+
+    // ========== PROGRESS BAR ==========
+
+    createProgressMarkers() {
+        const container = this.progressContainer;
+        if (!container) return;
+
+        this.region = document.createElement('div');
+        this.region.className = 'ab-loop-region';
+
+        this.handleA = document.createElement('div');
+        this.handleA.className = 'ab-loop-handle ab-loop-handle-a';
+        this.handleA.title = 'Drag to move A';
+
+        this.handleB = document.createElement('div');
+        this.handleB.className = 'ab-loop-handle ab-loop-handle-b';
+        this.handleB.title = 'Drag to move B';
+
+        container.append(this.region, this.handleA, this.handleB);
+
+        // Handles move the markers instead of seeking
+        [['start', this.handleA], ['end', this.handleB]].forEach(([edge, handle]) => {
+            handle.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.drag = { edge };
+            });
+        });
+    }
+
+    /**
+     * Shift+drag on the progress bar marks a loop (called from the bar's mousedown)
+     * @returns {boolean} True if the event was used
+     */
+    startRangeDrag(e) {
+        if (!this.hasDuration()) return false;
+
+        e.preventDefault();
+        const time = this.timeFromEvent(e);
+        this.drag = { edge: 'range', anchor: time, current: time };
+        this.start = time;
+        this.end = null;
+        this.setActive(false);
+        this.render();
+        return true;
+    }
+
+    onDragMove(e) {
+        if (!this.drag || !this.hasDuration()) return;
+
+        const time = this.timeFromEvent(e);
+        if (this.drag.edge === 'range') {
+            this.drag.current = time;
+            this.start = Math.min(this.drag.anchor, time);
+            this.end = Math.max(this.drag.anchor, time);
+        } else if (this.drag.edge === 'start') {
+            this.start = Math.min(time, this.end - this.minLength);
+        } else {
+            this.end = Math.max(time, this.start + this.minLength);
+        }
+        this.render();
+    }
+
+    onDragEnd() {
+        if (!this.drag) return;
+
+        const drag = this.drag;
+        this.drag = null;
+
+        if (drag.edge === 'range') {
+            // A plain shift-click just sets A
+            if (!this.setRange(drag.anchor, drag.current)) this.setA(drag.anchor);
+            return;
+        }
+
+        this.debugLog(`🔁 Loop ${this.formatTime(this.start)} – ${this.formatTime(this.end)}`, 'info');
+        this.render();
+    }
+
+    timeFromEvent(e) {
+        const rect = this.progressContainer.getBoundingClientRect();
+        const percent = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        return percent * this.player.duration;
+    }
+
+    // ========== RENDERING ==========
+
+    render() {
+        const el = this.elements;
+        const hasRange = this.start !== null && this.end !== null;
+
+        if (el.aTime) el.aTime.textContent = this.start !== null ? this.formatTime(this.start) : '--:--';
+        if (el.bTime) el.bTime.textContent = this.end !== null ? this.formatTime(this.end) : '--:--';
+        if (el.setA) el.setA.classList.toggle('active', this.start !== null);
+        if (el.setB) el.setB.classList.toggle('active', this.end !== null);
+        if (el.toggle) {
+            el.toggle.disabled = !hasRange;
+            el.toggle.classList.toggle('active', this.active);
+            el.toggle.textContent = this.active ? '🔁 Looping' : '🔁 Loop';
+        }
+        if (el.repetitions) {
+            const rate = this.trainer.enabled && this.active ? ` @ ${parseFloat(this.getRate().toFixed(2))}x` : '';
+            el.repetitions.textContent = this.active ? `Pass ${this.repetitions + 1}${rate}` : '';
+        }
+        if (el.save) el.save.disabled = !hasRange;
+
+        if (!this.countingIn) {
+            this.setStatus(this.active
+                ? `${this.formatTime(this.start)} – ${this.formatTime(this.end)}`
+                : (this.start !== null ? `A at ${this.formatTime(this.start)}` : 'Off'));
+        }
+
+        this.renderProgressMarkers();
+    }
+
+    renderProgressMarkers() {
+        if (!this.region) return;
+
+        const duration = this.hasDuration() ? this.player.duration : 0;
+        const percent = (time) => `${(time / duration) * 100}%`;
+        const showA = duration && this.start !== null;
+        const showB = duration && this.end !== null;
+
+        this.handleA.style.display = showA ? 'block' : 'none';
+        this.handleB.style.display = showB ? 'block' : 'none';
+        this.region.style.display = showA && showB ? 'block' : 'none';
+        this.region.classList.toggle('active', this.active);
+
+        if (showA) this.handleA.style.left = percent(this.start);
+        if (showB) this.handleB.style.left = percent(this.end);
+        if (showA && showB) {
+            this.region.style.left = percent(this.start);
+            this.region.style.width = percent(this.end - this.start);
+        }
+    }
+
+    renderSaved(selectedIndex = -1) {
+        const select = this.elements.savedSelect;
+        if (!select) return;
+
+        const loops = this.getSaved();
+        select.innerHTML = `<option value="">${loops.length ? `Saved loops (${loops.length})…` : 'No saved loops'}</option>` +
+            loops.map((loop, index) => `
+                <option value="${index}" ${index === selectedIndex ? 'selected' : ''}>
+                    ${this.escapeHtml(loop.name)}
+                </option>
+            `).join('');
+        select.disabled = loops.length === 0;
+        if (this.elements.remove) this.elements.remove.disabled = loops.length === 0;
+    }
+
+    setStatus(text) {
+        if (this.elements.status) this.elements.status.textContent = text;
+    }
+
+    // ========== SETTINGS ==========
+
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('abLoopSettings'));
+            if (!saved) return;
+
+            this.countInBeats = saved.countInBeats || 0;
+            this.trainer = { ...this.trainer, ...saved.trainer };
+        } catch (err) {
+            this.debugLog('⚠️ Could not load loop settings', 'warning');
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem('abLoopSettings', JSON.stringify({
+                countInBeats: this.countInBeats,
+                trainer: this.trainer
+            }));
+        } catch (err) {
+            this.debugLog('⚠️ Could not save loop settings', 'warning');
+        }
+    }
+
+    // ========== Utilities ==========
+
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        const tenths = Math.floor((seconds % 1) * 10);
+        return `${minutes}:${secs.toString().padStart(2, '0')}.${tenths}`;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ABLoopManager;
+}
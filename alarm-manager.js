@@ -0,0 +1,371 @@
+/* ============================================
+   Alarm Manager - Starts a playlist at a time of day
+   on chosen weekdays, ramping in from silence
+   ============================================ */
+
+class AlarmManager {
+    constructor(player, debugLog) {
+        this.player = player;
+        this.debugLog = debugLog;
+
+        // Storage
+        this.storageKey = 'alarms';
+        this.alarms = [];
+
+        // Settings
+        this.snoozeMinutes = parseInt(localStorage.getItem('alarmSnoozeMinutes')) || 9;
+        // A frozen or sleeping page may check late - still ring up to this long after
+        this.lateGrace = 10 * 60 * 1000;
+        this.checkEvery = 15000;
+
+        // State
+        this.checkInterval = null;
+        this.ringing = null; // { alarm, snoozedUntil }
+        this.chime = null;
+
+        // Providers (set by init)
+        this.startSource = async () => false; // (source, shuffle) → true if a track is playing
+        this.rampIn = () => {};
+        this.fadeOut = (seconds, done) => done();
+        this.setKeepAlive = () => {};
+
+        // Callbacks
+        this.onChange = null; // Schedules changed
+        this.onRingingChange = null; // (ringing) - null when silent
+    }
+
+    /**
+     * @param {Object} config - { startSource(source, shuffle), rampIn(seconds, volume), fadeOut(seconds, done), setKeepAlive(held) }
+     */
+    init(config = {}) {
+        if (config.startSource) this.startSource = config.startSource;
+        if (config.rampIn) this.rampIn = config.rampIn;
+        if (config.fadeOut) this.fadeOut = config.fadeOut;
+        if (config.setKeepAlive) this.setKeepAlive = config.setKeepAlive;
+
+        this.load();
+
+        this.checkInterval = setInterval(() => this.check(), this.checkEvery);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.check();
+        });
+
+        this.check();
+        this.updateKeepAlive();
+
+        const enabled = this.alarms.filter(alarm => alarm.enabled).length;
+        this.debugLog(`✅ Alarms ready (${enabled} of ${this.alarms.length} enabled)`, 'success');
+    }
+
+    // ========== SCHEDULES ==========
+
+    getAll() {
+        return this.alarms.slice().sort((a, b) => a.time.localeCompare(b.time));
+    }
+
+    get(id) {
+        return this.alarms.find(alarm => alarm.id === id) || null;
+    }
+
+    createDefault() {
+        return {
+            id: null,
+            label: '',
+            time: '07:00',
+            days: [1, 2, 3, 4, 5],
+            source: { type: 'template', id: 'wakeup' },
+            shuffle: false,
+            rampMinutes: 5,
+            volume: 0.6,
+            enabled: true
+        };
+    }
+
+    /**
+     * Create or update an alarm
+     * @param {Object} alarm - { id?, label, time 'HH:MM', days [0-6, Sunday = 0], source { type, id }, shuffle, rampMinutes, volume, enabled }
+     * @returns {Object} Saved alarm
+     */
+    save(alarm) {
+        const saved = { ...this.createDefault(), ...alarm };
+        if (!saved.id) saved.id = `alarm_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+        saved.days = [...new Set(saved.days)].sort((a, b) => a - b);
+        saved.nextAt = saved.enabled ? this.computeNextAt(saved) : null;
+
+        const index = this.alarms.findIndex(existing => existing.id === saved.id);
+        if (index === -1) this.alarms.push(saved);
+        else this.alarms[index] = saved;
+
+        this.persist();
+        this.debugLog(`⏰ Alarm saved: ${saved.time} (${this.describeDays(saved.days)})`, 'success');
+        return saved;
+    }
+
+    delete(id) {
+        this.alarms = this.alarms.filter(alarm => alarm.id !== id);
+        this.persist();
+    }
+
+    setEnabled(id, enabled) {
+        const alarm = this.get(id);
+        if (!alarm) return;
+
+        alarm.enabled = enabled;
+        alarm.nextAt = enabled ? this.computeNextAt(alarm) : null;
+        this.persist();
+    }
+
+    /**
+     * Next time the alarm goes off after `from`
+     * @returns {number|null} Timestamp
+     */
+    computeNextAt(alarm, from = Date.now()) {
+        const [hours, minutes] = alarm.time.split(':').map(Number);
+        const start = new Date(from);
+
+        for (let offset = 0; offset <= 7; offset++) {
+            const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset, hours, minutes);
+            if (date.getTime() <= from) continue;
+            if (alarm.days.length === 0 || alarm.days.includes(date.getDay())) return date.getTime();
+        }
+        return null;
+    }
+
+    /**
+     * Soonest enabled alarm
+     * @returns {Object|null}
+     */
+    getNextAlarm() {
+        return this.alarms
+            .filter(alarm => alarm.enabled && alarm.nextAt)
+            .sort((a, b) => a.nextAt - b.nextAt)[0] || null;
+    }
+
+    // ========== CHECKING ==========
+
+    check() {
+        const now = Date.now();
+
+        if (this.ringing?.snoozedUntil && now >= this.ringing.snoozedUntil) {
+            this.wake();
+        }
+
+        let changed = false;
+        this.alarms.forEach(alarm => {
+            if (!alarm.enabled || !alarm.nextAt || now < alarm.nextAt) return;
+
+            if (now - alarm.nextAt <= this.lateGrace) {
+                this.ring(alarm);
+            } else {
+                this.debugLog(`⏰ Missed alarm at ${alarm.time} (page wasn't running)`, 'warning');
+            }
+
+            // One-time alarms switch themselves off
+            if (alarm.days.length === 0) {
+                alarm.enabled = false;
+                alarm.nextAt = null;
+            } else {
+                alarm.nextAt = this.computeNextAt(alarm, now);
+            }
+            changed = true;
+        });
+
+        if (changed) this.persist();
+    }
+
+    // ========== RINGING ==========
+
+    async ring(alarm) {
+        // Another alarm is already going - don't restart the music
+        if (this.ringing && !this.ringing.snoozedUntil) return;
+
+        this.ringing = { alarm, snoozedUntil: null };
+        this.stopChime();
+        this.debugLog(`⏰ Alarm: ${alarm.label || alarm.time}`, 'success');
+
+        const loaded = await this.startSource(alarm.source, alarm.shuffle);
+        if (this.ringing?.alarm !== alarm) return;
+
+        if (loaded) {
+            // After the track started - loading applies the track's own volume
+            this.rampIn(alarm.rampMinutes * 60, alarm.volume);
+        } else {
+            this.debugLog('⚠️ Nothing to play for the alarm (or playback was blocked) - using the chime', 'warning');
+            this.startChime(alarm);
+        }
+
+        this.updateKeepAlive();
+        if (this.onRingingChange) this.onRingingChange(this.ringing);
+    }
+
+    /**
+     * Fade out, pause and ring again in snoozeMinutes
+     */
+    snooze() {
+        if (!this.ringing || this.ringing.snoozedUntil) return;
+
+        this.ringing.snoozedUntil = Date.now() + this.snoozeMinutes * 60 * 1000;
+        this.silence();
+
+        this.debugLog(`💤 Snoozed for ${this.snoozeMinutes} min`, 'info');
+        if (this.onRingingChange) this.onRingingChange(this.ringing);
+    }
+
+    /**
+     * Snooze is over
+     */
+    wake() {
+        const alarm = this.ringing.alarm;
+        this.ringing.snoozedUntil = null;
+
+        if (this.chime) {
+            this.startChime(alarm);
+        } else {
+            // Shorter ramp the second time round
+            this.rampIn(Math.min(alarm.rampMinutes * 60, 60), alarm.volume);
+            this.player.play().catch(err => {
+                this.debugLog(`⚠️ Alarm playback blocked: ${err.message}`, 'warning');
+                this.startChime(alarm);
+            });
+        }
+
+        if (this.onRingingChange) this.onRingingChange(this.ringing);
+    }
+
+    /**
+     * @param {boolean} pause - Also stop the music (false = keep playing)
+     */
+    stop(pause = true) {
+        if (!this.ringing) return;
+
+        const snoozed = !!this.ringing.snoozedUntil;
+        this.ringing = null;
+        this.stopChime();
+        if (pause && !snoozed) this.silence();
+
+        this.updateKeepAlive();
+        this.debugLog(pause ? '⏰ Alarm stopped' : '⏰ Alarm dismissed - still playing', 'info');
+        if (this.onRingingChange) this.onRingingChange(null);
+    }
+
+    silence() {
+        if (this.chime) {
+            this.stopChime();
+            // Remember to chime again after a snooze
+            if (this.ringing?.snoozedUntil) this.chime = { pending: true };
+            return;
+        }
+
+        this.fadeOut(2, () => this.player.pause());
+    }
+
+    // ========== CHIME (nothing to play) ==========
+
+    startChime(alarm) {
+        this.stopChime();
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+
+        const context = new AudioContextClass();
+        const startedAt = Date.now();
+        const rampSeconds = Math.max(1, alarm.rampMinutes * 60);
+
+        const beep = () => {
+            // Same ramp as the music, but never completely silent
+            const level = alarm.volume * Math.max(0.1, Math.min(1, (Date.now() - startedAt) / 1000 / rampSeconds));
+            const time = context.currentTime;
+
+            [880, 1175].forEach((frequency, i) => {
+                const oscillator = context.createOscillator();
+                const gain = context.createGain();
+                const start = time + i * 0.25;
+
+                oscillator.frequency.value = frequency;
+                gain.gain.setValueAtTime(0, start);
+                gain.gain.linearRampToValueAtTime(level * 0.4, start + 0.02);
+                gain.gain.exponentialRampToValueAtTime(0.001, start + 0.22);
+
+                oscillator.connect(gain);
+                gain.connect(context.destination);
+                oscillator.start(start);
+                oscillator.stop(start + 0.25);
+            });
+        };
+
+        beep();
+        this.chime = { context, interval: setInterval(beep, 1500) };
+    }
+
+    stopChime() {
+        if (!this.chime) return;
+
+        clearInterval(this.chime.interval);
+        if (this.chime.context) this.chime.context.close().catch(() => {});
+        this.chime = null;
+    }
+
+    // ========== KEEP-ALIVE ==========
+
+    /**
+     * Hidden tabs only stay awake on time while something is scheduled
+     */
+    updateKeepAlive() {
+        this.setKeepAlive(!!this.ringing || this.alarms.some(alarm => alarm.enabled));
+    }
+
+    // ========== SETTINGS ==========
+
+    setSnoozeMinutes(minutes) {
+        this.snoozeMinutes = Math.max(1, Math.min(60, minutes));
+        localStorage.setItem('alarmSnoozeMinutes', this.snoozeMinutes);
+    }
+
+    // ========== STORAGE ==========
+
+    load() {
+        try {
+            this.alarms = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (err) {
+            this.alarms = [];
+        }
+
+        // Alarms that passed while the page was closed wait for their next day
+        const now = Date.now();
+        this.alarms.forEach(alarm => {
+            if (alarm.enabled && (!alarm.nextAt || now - alarm.nextAt > this.lateGrace)) {
+                alarm.nextAt = alarm.days.length === 0 && alarm.nextAt ? null : this.computeNextAt(alarm, now);
+                if (!alarm.nextAt) alarm.enabled = false;
+            }
+        });
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.alarms));
+        } catch (err) {
+            this.debugLog(`Failed to save alarms: ${err.message}`, 'error');
+        }
+
+        this.updateKeepAlive();
+        if (this.onChange) this.onChange(this.getAll());
+    }
+
+    // ========== Utilities ==========
+
+    describeDays(days) {
+        if (days.length === 0) return 'Once';
+        if (days.length === 7) return 'Every day';
+        if (days.join() === '1,2,3,4,5') return 'Weekdays';
+        if (days.join() === '0,6') return 'Weekends';
+
+        const names = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        // Week starts on Monday
+        return days.slice().sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7)).map(day => names[day]).join(', ');
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AlarmManager;
+}
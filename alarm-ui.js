@@ -0,0 +1,325 @@
+/* ============================================
+   Alarm UI - Alarm list, schedule editor and the
+   snooze/stop banner while an alarm is ringing
+   ============================================ */
+
+class AlarmUI {
+    constructor(debugLog, manager) {
+        this.debugLog = debugLog;
+        this.manager = manager;
+        this.modal = null;
+        this.banner = null;
+        this.bannerInterval = null;
+
+        this.dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        this.weekOrder = [1, 2, 3, 4, 5, 6, 0];
+        this.rampOptions = [0, 1, 2, 5, 10, 15, 30]; // minutes
+
+        // Set by init
+        this.getSources = () => [];
+        this.sidebarLabel = null;
+    }
+
+    /**
+     * @param {Object} config - { getSources() → [{ type, id, name }], sidebarLabel }
+     */
+    init(config = {}) {
+        if (config.getSources) this.getSources = config.getSources;
+        if (config.sidebarLabel) this.sidebarLabel = config.sidebarLabel;
+
+        this.manager.onChange = () => {
+            this.updateSidebar();
+            if (this.modal?.dataset.view === 'list') this.showList();
+        };
+        this.manager.onRingingChange = (ringing) => this.updateBanner(ringing);
+
+        this.updateSidebar();
+        if (this.manager.ringing) this.updateBanner(this.manager.ringing);
+    }
+
+    // ========== MODAL ==========
+
+    open() {
+        this.createModal();
+        this.showList();
+    }
+
+    createModal() {
+        if (this.modal) return;
+
+        this.modal = document.createElement('div');
+        this.modal.id = 'alarm-modal';
+        this.modal.innerHTML = `
+            <div class="metadata-editor-overlay"></div>
+            <div class="metadata-editor-content alarm-content">
+                <div class="metadata-editor-header">
+                    <h2>⏰ Alarms</h2>
+                    <button class="metadata-editor-close">✕</button>
+                </div>
+                <div class="metadata-editor-body"></div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelector('.metadata-editor-close').onclick = () => this.close();
+        this.modal.querySelector('.metadata-editor-overlay').onclick = () => this.close();
+
+        requestAnimationFrame(() => {
+            this.modal?.classList.add('show');
+        });
+    }
+
+    showList() {
+        this.modal.dataset.view = 'list';
+        const body = this.modal.querySelector('.metadata-editor-body');
+        const alarms = this.manager.getAll();
+
+        body.innerHTML = `
+            <p class="alarm-note">Alarms go off while this page is open (it can be in the background).</p>
+
+            ${alarms.length === 0 ? '<p class="alarm-empty">No alarms yet.</p>' : `
+                <ul class="alarm-list">
+                    ${alarms.map(alarm => `
+                        <li class="alarm-item ${alarm.enabled ? '' : 'disabled'}" data-id="${alarm.id}">
+                            <label class="alarm-toggle" title="${alarm.enabled ? 'Turn off' : 'Turn on'}">
+                                <input type="checkbox" class="alarm-enabled" ${alarm.enabled ? 'checked' : ''}>
+                            </label>
+                            <div class="alarm-info">
+                                <span class="alarm-time">${alarm.time}</span>
+                                <span class="alarm-days">${this.manager.describeDays(alarm.days)}${alarm.label ? ` · ${this.escapeHtml(alarm.label)}` : ''}</span>
+                                <span class="alarm-source">${this.escapeHtml(this.getSourceName(alarm.source))}</span>
+                            </div>
+                            <span class="alarm-next">${alarm.enabled && alarm.nextAt ? this.formatCountdown(alarm.nextAt) : ''}</span>
+                            <button type="button" class="alarm-edit" title="Edit">✏️</button>
+                            <button type="button" class="alarm-delete" title="Delete">🗑️</button>
+                        </li>
+                    `).join('')}
+                </ul>
+            `}
+
+            <div class="metadata-form-group alarm-snooze-setting">
+                <label for="alarm-snooze-minutes">Snooze length</label>
+                <input type="number" id="alarm-snooze-minutes" min="1" max="60" value="${this.manager.snoozeMinutes}">
+                <span>min</span>
+            </div>
+
+            <div class="metadata-form-actions">
+                <button type="button" class="btn-primary alarm-add">+ New Alarm</button>
+            </div>
+        `;
+
+        body.querySelectorAll('.alarm-item').forEach(item => {
+            const id = item.dataset.id;
+            item.querySelector('.alarm-enabled').onchange = (e) => this.manager.setEnabled(id, e.target.checked);
+            item.querySelector('.alarm-edit').onclick = () => this.showEditor(this.manager.get(id));
+            item.querySelector('.alarm-delete').onclick = () => {
+                if (confirm('Delete this alarm?')) this.manager.delete(id);
+            };
+        });
+
+        body.querySelector('#alarm-snooze-minutes').onchange = (e) => {
+            this.manager.setSnoozeMinutes(parseInt(e.target.value) || 9);
+            e.target.value = this.manager.snoozeMinutes;
+        };
+
+        body.querySelector('.alarm-add').onclick = () => this.showEditor(this.manager.createDefault());
+    }
+
+    /**
+     * @param {Object} alarm - Existing alarm, or a default for a new one
+     */
+    showEditor(alarm) {
+        this.modal.dataset.view = 'editor';
+        const body = this.modal.querySelector('.metadata-editor-body');
+        const sources = this.getSources();
+        const selectedSource = `${alarm.source.type}:${alarm.source.id || ''}`;
+
+        body.innerHTML = `
+            <div class="metadata-form-group">
+                <label for="alarm-time">Time</label>
+                <input type="time" id="alarm-time" value="${alarm.time}" required>
+            </div>
+
+            <div class="metadata-form-group">
+                <label>Repeat</label>
+                <div class="alarm-day-picker">
+                    ${this.weekOrder.map(day => `
+                        <label class="alarm-day">
+                            <input type="checkbox" value="${day}" ${alarm.days.includes(day) ? 'checked' : ''}>
+                            <span>${this.dayNames[day]}</span>
+                        </label>
+                    `).join('')}
+                </div>
+                <small class="alarm-hint">No days = rings once</small>
+            </div>
+
+            <div class="metadata-form-group">
+                <label for="alarm-source">Play</label>
+                <select id="alarm-source">
+                    ${sources.map(source => {
+                        const value = `${source.type}:${source.id || ''}`;
+                        return `<option value="${this.escapeHtml(value)}" ${value === selectedSource ? 'selected' : ''}>${this.escapeHtml(source.name)}</option>`;
+                    }).join('')}
+                </select>
+                <label class="alarm-checkbox">
+                    <input type="checkbox" id="alarm-shuffle" ${alarm.shuffle ? 'checked' : ''}>
+                    Shuffle
+                </label>
+            </div>
+
+            <div class="metadata-form-group">
+                <label for="alarm-ramp">Fade in over</label>
+                <select id="alarm-ramp">
+                    ${this.rampOptions.map(minutes => `
+                        <option value="${minutes}" ${minutes === alarm.rampMinutes ? 'selected' : ''}>${minutes === 0 ? 'No fade' : `${minutes} min`}</option>
+                    `).join('')}
+                </select>
+            </div>
+
+            <div class="metadata-form-group">
+                <label for="alarm-volume">Volume <span class="alarm-volume-value">${Math.round(alarm.volume * 100)}%</span></label>
+                <input type="range" id="alarm-volume" min="0.05" max="1" step="0.05" value="${alarm.volume}">
+            </div>
+
+            <div class="metadata-form-group">
+                <label for="alarm-label">Label</label>
+                <input type="text" id="alarm-label" maxlength="40" placeholder="Optional">
+            </div>
+
+            <div class="metadata-form-actions">
+                <button type="button" class="btn-secondary alarm-cancel">Cancel</button>
+                <button type="button" class="btn-primary alarm-save">Save Alarm</button>
+            </div>
+        `;
+
+        // Set directly - a quote in the label would end a value="..." attribute
+        body.querySelector('#alarm-label').value = alarm.label || '';
+
+        const volumeInput = body.querySelector('#alarm-volume');
+        volumeInput.oninput = () => {
+            body.querySelector('.alarm-volume-value').textContent = `${Math.round(volumeInput.value * 100)}%`;
+        };
+
+        body.querySelector('.alarm-cancel').onclick = () => this.showList();
+        body.querySelector('.alarm-save').onclick = () => {
+            const time = body.querySelector('#alarm-time').value;
+            if (!time) return;
+
+            const [type, ...rest] = body.querySelector('#alarm-source').value.split(':');
+            const days = Array.from(body.querySelectorAll('.alarm-day input:checked')).map(input => parseInt(input.value));
+
+            this.manager.save({
+                ...alarm,
+                time,
+                days,
+                source: { type, id: rest.join(':') || null },
+                shuffle: body.querySelector('#alarm-shuffle').checked,
+                rampMinutes: parseInt(body.querySelector('#alarm-ramp').value),
+                volume: parseFloat(volumeInput.value),
+                label: body.querySelector('#alarm-label').value.trim(),
+                enabled: true
+            });
+            this.showList();
+        };
+    }
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.classList.remove('show');
+        const modal = this.modal;
+        this.modal = null;
+        setTimeout(() => modal.remove(), 300);
+    }
+
+    // ========== RINGING BANNER ==========
+
+    updateBanner(ringing) {
+        clearInterval(this.bannerInterval);
+        this.bannerInterval = null;
+
+        if (!ringing) {
+            if (this.banner) {
+                this.banner.remove();
+                this.banner = null;
+            }
+            return;
+        }
+
+        if (!this.banner) {
+            this.banner = document.createElement('div');
+            this.banner.id = 'alarm-banner';
+            document.body.appendChild(this.banner);
+        }
+
+        const alarm = ringing.alarm;
+        const snoozed = !!ringing.snoozedUntil;
+
+        this.banner.classList.toggle('snoozed', snoozed);
+        this.banner.innerHTML = `
+            <div class="alarm-banner-info">
+                <span class="alarm-banner-time">⏰ ${alarm.time}</span>
+                <span class="alarm-banner-label">${alarm.label ? this.escapeHtml(alarm.label) : 'Alarm'}</span>
+                <span class="alarm-banner-status"></span>
+            </div>
+            <div class="alarm-banner-actions">
+                ${snoozed ? '' : `<button type="button" class="btn-secondary alarm-snooze">💤 Snooze ${this.manager.snoozeMinutes} min</button>`}
+                ${snoozed ? '' : '<button type="button" class="btn-secondary alarm-dismiss">▶ Keep Playing</button>'}
+                <button type="button" class="btn-primary alarm-stop">⏹ Stop</button>
+            </div>
+        `;
+
+        this.banner.querySelector('.alarm-snooze')?.addEventListener('click', () => this.manager.snooze());
+        this.banner.querySelector('.alarm-dismiss')?.addEventListener('click', () => this.manager.stop(false));
+        this.banner.querySelector('.alarm-stop').onclick = () => this.manager.stop();
+
+        if (snoozed) {
+            const status = this.banner.querySelector('.alarm-banner-status');
+            const render = () => {
+                status.textContent = `Snoozed · rings again in ${this.formatCountdown(ringing.snoozedUntil)}`;
+            };
+            render();
+            this.bannerInterval = setInterval(render, 1000);
+        }
+    }
+
+    // ========== SIDEBAR ==========
+
+    updateSidebar() {
+        if (!this.sidebarLabel) return;
+
+        const next = this.manager.getNextAlarm();
+        this.sidebarLabel.textContent = next ? `Alarm ${next.time}` : 'Alarms';
+        this.sidebarLabel.title = next ? `Next alarm in ${this.formatCountdown(next.nextAt)}` : '';
+    }
+
+    // ========== Utilities ==========
+
+    getSourceName(source) {
+        const match = this.getSources().find(option => option.type === source.type && (option.id || null) === (source.id || null));
+        return match ? match.name : 'All tracks (playlist not found)';
+    }
+
+    formatCountdown(timestamp) {
+        const seconds = Math.max(0, Math.round((timestamp - Date.now()) / 1000));
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+
+        if (hours >= 24) return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
+        return `${seconds}s`;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AlarmUI;
+}
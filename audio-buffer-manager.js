@@ -24,7 +24,13 @@ class AudioBufferManager {
                 high: 10,
                 medium: 5,
                 low: 3
-            }
+            },
+            decodedBudget: {
+                high: 512 * 1024 * 1024,    // Decoded PCM is ~10 MB per minute
+                medium: 256 * 1024 * 1024,
+                low: 0                       // Gapless engine off - element playback only
+            },
+            maxDecodedTracks: 2              // Current + next
         };
         
         // Buffer tracking
@@ -32,13 +38,19 @@ class AudioBufferManager {
         this.bufferMetadata = new Map();    // trackIndex -> metadata
         this.loadingPromises = new Map();   // trackIndex -> Promise
         
+        // Decoded PCM for the gapless engine (keyed by track - indices change with the view)
+        this.decoded = new Map();           // track -> { buffer, size, lastAccessed }
+        this.decodingPromises = new Map();  // track -> Promise
+        this.decodeContext = null;          // Decoding is off until set
+        
         // Statistics
         this.stats = {
             totalLoaded: 0,
             totalEvicted: 0,
             cacheHits: 0,
             cacheMisses: 0,
-            memoryUsed: 0
+            memoryUsed: 0,
+            decodedMemory: 0
         };
         
         // Playback state
@@ -86,6 +98,9 @@ class AudioBufferManager {
                 if (usage > 80) {
                     this.debugLog('⚠️ High memory usage, cleaning up buffers', 'warning');
                     this.cleanupOldBuffers();
+                    
+                    // Decoded PCM is the biggest - the element takes over
+                    Array.from(this.decoded.keys()).forEach(track => this.releaseDecoded(track));
                 }
             }, 5000);
         }
@@ -170,8 +185,9 @@ class AudioBufferManager {
     /**
      * Preload buffers for upcoming tracks
      * @param {number} currentIndex - Current track index
+     * @param {number} decodeIndex - Track to decode for gapless playback (-1 = none)
      */
-    async preloadUpcoming(currentIndex) {
+    async preloadUpcoming(currentIndex, decodeIndex = -1) {
         this.currentTrackIndex = currentIndex;
         
         const tier = this.config.deviceTier;
@@ -201,6 +217,11 @@ class AudioBufferManager {
             this.debugLog(`🔄 Preloading ${promises.length} upcoming tracks...`, 'info');
             await Promise.all(promises);
         }
+        
+        // The track that really plays next (queue/shuffle order), decoded ahead of the transition
+        if (this.decodeContext && decodeIndex >= 0) {
+            await this.getDecodedBuffer(decodeIndex);
+        }
     }
     
     /**
@@ -243,11 +264,108 @@ class AudioBufferManager {
         this.buffers.clear();
         this.bufferMetadata.clear();
         this.loadingPromises.clear();
+        this.decoded.clear();
         this.stats.memoryUsed = 0;
+        this.stats.decodedMemory = 0;
         
         this.debugLog('🧹 All audio buffers cleared', 'info');
     }
     
+    // ========== DECODED BUFFERS (gapless) ==========
+    
+    /**
+     * AudioContext to decode with (its sample rate is what gets played)
+     */
+    setDecodeContext(audioContext) {
+        this.decodeContext = audioContext;
+    }
+    
+    /**
+     * Decoded PCM for a track
+     * @param {number} trackIndex
+     * @returns {Promise<AudioBuffer|null>} null when memory is too tight - the element plays it instead
+     */
+    async getDecodedBuffer(trackIndex) {
+        const track = this.playlist[trackIndex];
+        if (!track || !this.decodeContext) return null;
+        
+        const cached = this.decoded.get(track);
+        if (cached) {
+            cached.lastAccessed = Date.now();
+            return cached.buffer;
+        }
+        
+        if (this.decodingPromises.has(track)) {
+            return this.decodingPromises.get(track);
+        }
+        
+        if (!this.canDecode(track)) {
+            return null;
+        }
+        
+        const decodePromise = (async () => {
+            const raw = await this.getBuffer(trackIndex);
+            // decodeAudioData detaches its input - keep the cached bytes usable
+            const buffer = await this.decodeContext.decodeAudioData(raw.slice(0));
+            const size = buffer.length * buffer.numberOfChannels * 4;
+            
+            this.decoded.set(track, { buffer, size, lastAccessed: Date.now() });
+            this.stats.decodedMemory += size;
+            this.enforceDecodedLimit(track);
+            return buffer;
+        })().catch(err => {
+            this.debugLog(`⚠️ Could not decode ${track.fileName}: ${err.message}`, 'warning');
+            return null;
+        });
+        
+        this.decodingPromises.set(track, decodePromise);
+        try {
+            return await decodePromise;
+        } finally {
+            this.decodingPromises.delete(track);
+        }
+    }
+    
+    /**
+     * Whether a track's decoded PCM fits in memory right now
+     */
+    canDecode(track) {
+        const budget = this.config.decodedBudget[this.config.deviceTier];
+        if (!budget || !this.decodeContext) return false;
+        
+        if (performance.memory) {
+            const usage = performance.memory.usedJSHeapSize / performance.memory.jsHeapSizeLimit;
+            if (usage > 0.7) return false;
+        }
+        
+        // Stereo float32 - long mixes stay on the element
+        const estimate = (track.duration || 600) * this.decodeContext.sampleRate * 2 * 4;
+        return estimate <= budget / this.config.maxDecodedTracks;
+    }
+    
+    /**
+     * Drop the least recently used decoded buffers beyond the budget
+     * @param {Object} keep - Track that must stay (just decoded)
+     */
+    enforceDecodedLimit(keep) {
+        const budget = this.config.decodedBudget[this.config.deviceTier];
+        const sorted = Array.from(this.decoded.entries())
+            .sort((a, b) => a[1].lastAccessed - b[1].lastAccessed);
+        
+        for (const [track] of sorted) {
+            if (this.decoded.size <= this.config.maxDecodedTracks && this.stats.decodedMemory <= budget) break;
+            if (track !== keep) this.releaseDecoded(track);
+        }
+    }
+    
+    releaseDecoded(track) {
+        const entry = this.decoded.get(track);
+        if (!entry) return;
+        
+        this.stats.decodedMemory -= entry.size;
+        this.decoded.delete(track);
+    }
+    
     // ========== MEMORY MANAGEMENT ==========
     
     updateAccessTime(trackIndex) {
@@ -339,6 +457,8 @@ class AudioBufferManager {
         return {
             ...this.stats,
             memoryUsedMB: `${memoryUsedMB} MB`,
+            decodedMemoryMB: `${(this.stats.decodedMemory / 1048576).toFixed(2)} MB`,
+            decodedTracks: this.decoded.size,
             memoryLimitMB: `${limitMB} MB`,
             cachedTracks: this.buffers.size,
             hitRate: `${hitRate}%`,
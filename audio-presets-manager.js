@@ -1,13 +1,12 @@
 /* ============================================
    Audio Presets Manager - ULTRA-REFINED EDITION
    Dynamic, Context-Aware, Analysis-Driven EQ System
+   (built-in 3-band curves plus user presets with full band sets)
    ============================================ */
 
 class AudioPresetsManager {
-    constructor(bassFilter, midFilter, trebleFilter, debugLog) {
-        this.bassFilter = bassFilter;
-        this.midFilter = midFilter;
-        this.trebleFilter = trebleFilter;
+    constructor(equalizer, debugLog) {
+        this.equalizer = equalizer;
         this.debugLog = debugLog;
         
         // Core static presets (baseline reference curves)
@@ -158,8 +157,15 @@ class AudioPresetsManager {
             }
         };
         
+        // User presets: id -> { name, mode, bands, autoHeadroom }
+        this.userPresets = this.loadUserPresets();
+        
+        // Auto headroom turned off for built-in presets: id -> false
+        this.presetHeadroom = JSON.parse(localStorage.getItem('eqPresetHeadroom') || '{}');
+        
         this.currentPreset = 'flat';
         this.lastAppliedAnalysis = null;
+        this.lastAdjustments = null; // { preset, analysis, before, after, notes } of the last dynamic adjustment
         this.dynamicAdjustmentEnabled = true;
     }
     
@@ -167,6 +173,10 @@ class AudioPresetsManager {
      * SMART PRESET APPLICATION - Analyzes track and applies dynamic adjustments
      */
     applyPreset(presetName, trackAnalysis = null) {
+        if (this.userPresets[presetName]) {
+            return this.applyUserPreset(presetName);
+        }
+        
         if (!this.staticPresets[presetName]) {
             this.debugLog(`⚠️ Unknown preset: ${presetName}, using flat`, 'warn');
             presetName = 'flat';
@@ -176,25 +186,27 @@ class AudioPresetsManager {
         let finalValues = { ...basePreset };
         
         // DYNAMIC ADJUSTMENT: Modify preset based on track analysis
+        this.lastAdjustments = null;
         if (this.dynamicAdjustmentEnabled && trackAnalysis) {
-            finalValues = this.applyDynamicAdjustments(finalValues, trackAnalysis, presetName);
+            const notes = [];
+            finalValues = this.applyDynamicAdjustments(finalValues, trackAnalysis, presetName, notes);
+            notes.forEach(note => this.debugLog(note, 'info'));
             this.lastAppliedAnalysis = trackAnalysis;
+            this.lastAdjustments = { preset: presetName, analysis: trackAnalysis, before: basePreset, after: finalValues, notes };
         }
         
         try {
-            const bassGain = this.clampGain(finalValues.bass);
-            const midGain = this.clampGain(finalValues.mid);
-            const trebleGain = this.clampGain(finalValues.treble);
-            
-            this.bassFilter.gain.value = bassGain;
-            this.midFilter.gain.value = midGain;
-            this.trebleFilter.gain.value = trebleGain;
+            const bands = this.equalizer.fromThreeBand(finalValues.bass, finalValues.mid, finalValues.treble);
+            const [bassGain, midGain, trebleGain] = bands.map(band => Math.round(band.gain * 10) / 10);
             
-            this.updateUISliders(bassGain, midGain, trebleGain);
-            this.currentPreset = presetName;
+            this.useHeadroomOf(presetName);
+            this.equalizer.applyBands(bands);
+            this.setCurrentPreset(presetName);
             
             const adjustmentNote = trackAnalysis ? ' (dynamically adjusted)' : '';
-            this.debugLog(`🎛️ Applied: ${basePreset.name} [${bassGain}/${midGain}/${trebleGain} dB]${adjustmentNote}`, 'success');
+            const preGain = this.equalizer.getPreGain();
+            const headroomNote = preGain < 0 ? `, pre-gain ${preGain} dB` : '';
+            this.debugLog(`🎛️ Applied: ${basePreset.name} [${bassGain}/${midGain}/${trebleGain} dB${headroomNote}]${adjustmentNote}`, 'success');
             
             return true;
         } catch (err) {
@@ -205,8 +217,9 @@ class AudioPresetsManager {
     
     /**
      * DYNAMIC ADJUSTMENTS - Context-aware EQ modifications
+     * @param {string[]} [notes] - Collects a line per rule that fired
      */
-    applyDynamicAdjustments(preset, analysis, presetName) {
+    applyDynamicAdjustments(preset, analysis, presetName, notes = []) {
     const adjusted = { ...preset };
     const {
         energy, loudness, loudnessLUFS,
@@ -246,7 +259,7 @@ class AudioPresetsManager {
         adjusted.treble = Math.min(adjusted.treble + 2, 8);
         adjusted.bass = Math.min(adjusted.bass + 1, 4); // ✅ CAPPED AT 4
         
-        this.debugLog('📼 Vintage adjustment: +2 treble, +1 bass', 'info');
+        notes.push('📼 Vintage adjustment: +2 treble, +1 bass');
     }
     
     // RULE 2: Over-Compressed Tracks - Restore perceived dynamics
@@ -254,7 +267,7 @@ class AudioPresetsManager {
         adjusted.bass = Math.min(adjusted.bass + 2, 4); // ✅ CAPPED AT 4
         adjusted.treble = Math.min(adjusted.treble + 2, 8);
         
-        this.debugLog('🗜️ Compression compensation: +2 bass, +2 treble', 'info');
+        notes.push('🗜️ Compression compensation: +2 bass, +2 treble');
     }
     
     // RULE 3: High Dynamic Range - Preserve with minimal processing
@@ -263,96 +276,96 @@ class AudioPresetsManager {
         adjusted.mid *= 0.7;
         adjusted.treble *= 0.7;
         
-        this.debugLog('🎼 High DR detected: -30% EQ intensity', 'info');
+        notes.push('🎼 High DR detected: -30% EQ intensity');
     }
     
     // RULE 4: Frequency Deficiency Correction
     if (bassDeficiency && presetName !== 'podcast' && presetName !== 'vocal') {
         adjusted.bass = Math.min(adjusted.bass + 3, 4); // ✅ CAPPED AT 4
-        this.debugLog('📊 Bass deficiency: +3 bass', 'info');
+        notes.push('📊 Bass deficiency: +3 bass');
     }
     
     if (trebleDeficiency && !['lofi', 'acoustic'].includes(presetName)) {
         adjusted.treble = Math.min(adjusted.treble + 3, 8);
-        this.debugLog('✨ Treble deficiency: +3 treble', 'info');
+        notes.push('✨ Treble deficiency: +3 treble');
     }
     
     // RULE 5: Frequency Excess Correction
     if (bassExcess && energy > 0.7) {
         adjusted.bass = Math.max(adjusted.bass - 2, -2);
-        this.debugLog('🎚️ Bass excess: -2 bass', 'info');
+        notes.push('🎚️ Bass excess: -2 bass');
     }
     
     if (midExcess) {
         adjusted.mid = Math.max(adjusted.mid - 2, -3);
-        this.debugLog('📦 Mid excess: -2 mid', 'info');
+        notes.push('📦 Mid excess: -2 mid');
     }
     
     // RULE 6: Spectral Character Adjustment
     if (isDull && presetName !== 'lofi') {
         adjusted.treble = Math.min(adjusted.treble + 2, 8);
-        this.debugLog('🌑 Dull spectrum: +2 treble', 'info');
+        notes.push('🌑 Dull spectrum: +2 treble');
     }
     
     if (isBright && energy < 0.4) {
         adjusted.treble = Math.max(adjusted.treble - 2, 0);
-        this.debugLog('☀️ Overly bright: -2 treble', 'info');
+        notes.push('☀️ Overly bright: -2 treble');
     }
     
     // RULE 7: Vocal Prominence Adjustment
     if (vocalProminence > 2.0 && presetName !== 'vocal' && presetName !== 'podcast') {
         adjusted.mid = Math.min(adjusted.mid + 2, 7);
-        this.debugLog('🎤 High vocal prominence: +2 mid', 'info');
+        notes.push('🎤 High vocal prominence: +2 mid');
     }
     
     // RULE 8: Acousticness - Preserve natural character
     if (acousticness > 0.7 && !['acoustic', 'classical', 'jazz'].includes(presetName)) {
         adjusted.bass *= 0.8;
         adjusted.treble *= 0.8;
-        this.debugLog('🎸 Acoustic character: -20% EQ intensity', 'info');
+        notes.push('🎸 Acoustic character: -20% EQ intensity');
     }
     
     // RULE 9: Danceability + Low Bass = Need boost
     if (danceability > 0.7 && bassDeficiency) {
         adjusted.bass = Math.min(adjusted.bass + 4, 4); // ✅ CAPPED AT 4
-        this.debugLog('💃 High danceability + low bass: +4 bass', 'info');
+        notes.push('💃 High danceability + low bass: +4 bass');
     }
     
     // RULE 10: Energy-Based Adjustment
     if (energy > 0.8 && presetName !== 'flat') {
         adjusted.bass *= 1.2;
         adjusted.treble *= 1.2;
-        this.debugLog('⚡ High energy: +20% EQ intensity', 'info');
+        notes.push('⚡ High energy: +20% EQ intensity');
     } else if (energy < 0.3 && presetName !== 'flat') {
         adjusted.bass *= 0.7;
         adjusted.mid *= 0.7;
         adjusted.treble *= 0.7;
-        this.debugLog('🌙 Low energy: -30% EQ intensity', 'info');
+        notes.push('🌙 Low energy: -30% EQ intensity');
     }
     
     // RULE 11: Mood-Based Fine-Tuning
     if (mood === 'dark' && !isDull) {
         adjusted.treble = Math.max(adjusted.treble - 1, 0);
-        this.debugLog('🌑 Dark mood preservation: -1 treble', 'info');
+        notes.push('🌑 Dark mood preservation: -1 treble');
     }
     
     if (mood === 'bright' && isDull) {
         adjusted.treble = Math.min(adjusted.treble + 3, 8);
-        this.debugLog('☀️ Bright mood enhancement: +3 treble', 'info');
+        notes.push('☀️ Bright mood enhancement: +3 treble');
     }
     
     // RULE 12: BPM-Based Adjustment
     if (bpm > 150 && danceability > 0.6) {
         adjusted.bass = Math.min(adjusted.bass + 1, 4); // ✅ CAPPED AT 4
         adjusted.treble = Math.min(adjusted.treble + 1, 8);
-        this.debugLog('🏃 Fast tempo: +1 bass, +1 treble', 'info');
+        notes.push('🏃 Fast tempo: +1 bass, +1 treble');
     }
     
     // RULE 13: Quiet Recordings - Boost perceived loudness
     if (isQuiet && presetName !== 'classical') {
         adjusted.bass = Math.min(adjusted.bass + 2, 4); // ✅ CAPPED AT 4
         adjusted.treble = Math.min(adjusted.treble + 2, 8);
-        this.debugLog('🔇 Quiet recording: +2 bass, +2 treble', 'info');
+        notes.push('🔇 Quiet recording: +2 bass, +2 treble');
     }
     
     // ✅ FINAL SAFETY CAP - ABSOLUTE MAXIMUM FOR BASS
@@ -361,22 +374,24 @@ class AudioPresetsManager {
     return adjusted;
 }
     /**
-     * Apply custom EQ values (manual slider control)
+     * Apply a saved user preset - switches the EQ to the mode it was saved in
      */
-    applyCustom(bass, mid, treble) {
+    applyUserPreset(id) {
+        const preset = this.userPresets[id];
+        this.lastAdjustments = null;
+        
         try {
-            const bassGain = this.clampGain(bass);
-            const midGain = this.clampGain(mid);
-            const trebleGain = this.clampGain(treble);
-            
-            this.bassFilter.gain.value = bassGain;
-            this.midFilter.gain.value = midGain;
-            this.trebleFilter.gain.value = trebleGain;
+            if (this.equalizer.mode !== preset.mode) {
+                this.equalizer.setMode(preset.mode);
+            }
+            this.useHeadroomOf(id);
+            this.equalizer.applyBands(preset.bands);
+            this.setCurrentPreset(id);
             
-            this.currentPreset = 'custom';
+            this.debugLog(`🎛️ Applied: ${preset.name} [${preset.bands.length} bands]`, 'success');
             return true;
         } catch (err) {
-            this.debugLog(`❌ Failed to apply custom EQ: ${err.message}`, 'error');
+            this.debugLog(`❌ Failed to apply preset: ${err.message}`, 'error');
             return false;
         }
     }
@@ -389,38 +404,6 @@ class AudioPresetsManager {
         this.debugLog(`Dynamic EQ adjustments: ${enabled ? 'ON' : 'OFF'}`, 'info');
     }
     
-    /**
-     * Clamp gain values to safe range
-     */
-    clampGain(value) {
-        return Math.max(-12, Math.min(12, value));
-    }
-    
-    /**
-     * Update UI sliders
-     */
-    updateUISliders(bass, mid, treble) {
-        const eqBass = document.getElementById('eq-bass');
-        const eqMid = document.getElementById('eq-mid');
-        const eqTreble = document.getElementById('eq-treble');
-        const bassValue = document.getElementById('bass-value');
-        const midValue = document.getElementById('mid-value');
-        const trebleValue = document.getElementById('treble-value');
-        
-        if (eqBass && bassValue) {
-            eqBass.value = bass;
-            bassValue.textContent = `${bass > 0 ? '+' : ''}${bass} dB`;
-        }
-        if (eqMid && midValue) {
-            eqMid.value = mid;
-            midValue.textContent = `${mid > 0 ? '+' : ''}${mid} dB`;
-        }
-        if (eqTreble && trebleValue) {
-            eqTreble.value = treble;
-            trebleValue.textContent = `${treble > 0 ? '+' : ''}${treble} dB`;
-        }
-    }
-    
     /**
      * Get current preset name
      */
@@ -433,9 +416,8 @@ class AudioPresetsManager {
      */
     getCurrentValues() {
         return {
-            bass: this.bassFilter.gain.value,
-            mid: this.midFilter.gain.value,
-            treble: this.trebleFilter.gain.value,
+            mode: this.equalizer.mode,
+            bands: this.equalizer.getBands(),
             preset: this.currentPreset
         };
     }
@@ -444,13 +426,25 @@ class AudioPresetsManager {
      * Get list of all presets
      */
     getPresetList() {
-        return Object.entries(this.staticPresets).map(([key, preset]) => ({
+        const builtIn = Object.entries(this.staticPresets).map(([key, preset]) => ({
             id: key,
             name: preset.name,
             description: preset.description,
             values: `${preset.bass > 0 ? '+' : ''}${preset.bass} / ${preset.mid > 0 ? '+' : ''}${preset.mid} / ${preset.treble > 0 ? '+' : ''}${preset.treble} dB`,
-            philosophy: preset.philosophy
+            philosophy: preset.philosophy,
+            user: false
         }));
+        
+        const user = Object.entries(this.userPresets).map(([key, preset]) => ({
+            id: key,
+            name: preset.name,
+            description: `${preset.bands.length} bands, ${preset.mode}`,
+            values: preset.bands.map(band => `${band.gain > 0 ? '+' : ''}${band.gain}`).join(' / ') + ' dB',
+            philosophy: '',
+            user: true
+        }));
+        
+        return [...builtIn, ...user];
     }
     
     /**
@@ -466,7 +460,8 @@ class AudioPresetsManager {
             philosophy: preset.philosophy,
             bass: preset.bass,
             mid: preset.mid,
-            treble: preset.treble
+            treble: preset.treble,
+            bands: this.equalizer.fromThreeBand(preset.bass, preset.mid, preset.treble)
         };
     }
     
@@ -478,13 +473,13 @@ class AudioPresetsManager {
         this.debugLog('🔄 Reset to flat EQ', 'info');
     }
     /**
-     * Load saved preset from localStorage
+     * Restore the last preset's name - the bands themselves are kept by the equalizer
      */
     loadSavedPreset() {
         try {
             const savedPreset = localStorage.getItem('eqPreset');
-            if (savedPreset && this.staticPresets[savedPreset]) {
-                this.applyPreset(savedPreset);
+            if (savedPreset && (this.staticPresets[savedPreset] || this.userPresets[savedPreset])) {
+                this.currentPreset = savedPreset;
                 this.debugLog(`📂 Loaded saved preset: ${savedPreset}`, 'success');
             }
         } catch (err) {
@@ -504,6 +499,103 @@ class AudioPresetsManager {
             this.debugLog(`Failed to save preset: ${err.message}`, 'error');
         }
     }
+    
+    setCurrentPreset(presetName) {
+        this.currentPreset = presetName;
+        this.saveCurrentPreset();
+    }
+    
+    /**
+     * Hand-edited bands no longer match any preset
+     */
+    markCustom() {
+        this.currentPreset = 'custom';
+        localStorage.removeItem('eqPreset');
+    }
+    
+    // ========== HEADROOM ==========
+    
+    /**
+     * Whether a preset gets auto headroom (on unless turned off for it)
+     */
+    getAutoHeadroom(presetName) {
+        if (this.userPresets[presetName]) return this.userPresets[presetName].autoHeadroom !== false;
+        return this.presetHeadroom[presetName] !== false;
+    }
+    
+    useHeadroomOf(presetName) {
+        const enabled = this.getAutoHeadroom(presetName);
+        if (this.equalizer.autoHeadroom !== enabled) {
+            this.equalizer.setAutoHeadroom(enabled);
+        }
+    }
+    
+    /**
+     * Switch auto headroom and remember it for the current preset
+     */
+    setAutoHeadroom(enabled) {
+        this.equalizer.setAutoHeadroom(enabled);
+        
+        if (this.userPresets[this.currentPreset]) {
+            this.userPresets[this.currentPreset].autoHeadroom = enabled;
+            this.saveUserPresets();
+        } else if (this.staticPresets[this.currentPreset]) {
+            if (enabled) delete this.presetHeadroom[this.currentPreset];
+            else this.presetHeadroom[this.currentPreset] = false;
+            localStorage.setItem('eqPresetHeadroom', JSON.stringify(this.presetHeadroom));
+        }
+        
+        this.debugLog(`🎚️ Auto headroom: ${enabled ? 'ON' : 'OFF'}`, 'info');
+    }
+    
+    // ========== USER PRESETS ==========
+    
+    /**
+     * Save the current bands (and mode) as a preset
+     * @returns {string} Preset id
+     */
+    saveUserPreset(name) {
+        const id = `user-${Date.now()}`;
+        this.userPresets[id] = {
+            name: name.trim() || 'My preset',
+            mode: this.equalizer.mode,
+            bands: this.equalizer.getBands(),
+            autoHeadroom: this.equalizer.autoHeadroom
+        };
+        this.saveUserPresets();
+        this.setCurrentPreset(id);
+        
+        this.debugLog(`💾 Saved EQ preset: ${this.userPresets[id].name}`, 'success');
+        return id;
+    }
+    
+    deleteUserPreset(id) {
+        if (!this.userPresets[id]) return;
+        
+        const name = this.userPresets[id].name;
+        delete this.userPresets[id];
+        this.saveUserPresets();
+        if (this.currentPreset === id) this.markCustom();
+        
+        this.debugLog(`🗑️ Deleted EQ preset: ${name}`, 'info');
+    }
+    
+    loadUserPresets() {
+        try {
+            return JSON.parse(localStorage.getItem('eqUserPresets') || '{}');
+        } catch (err) {
+            this.debugLog(`Failed to load EQ presets: ${err.message}`, 'error');
+            return {};
+        }
+    }
+    
+    saveUserPresets() {
+        try {
+            localStorage.setItem('eqUserPresets', JSON.stringify(this.userPresets));
+        } catch (err) {
+            this.debugLog(`Failed to save EQ presets: ${err.message}`, 'error');
+        }
+    }
 }
 
 window.AudioPresetsManager = AudioPresetsManager;
\ No newline at end of file
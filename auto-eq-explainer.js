@@ -0,0 +1,396 @@
+/* ============================================
+   Auto-EQ Explainer - Why the playing track got its preset
+   (hard rules, combo patterns, every candidate's score per
+   dimension, dynamic adjustments), plus a library-wide dry
+   run that can be exported as CSV for tuning
+   ============================================ */
+
+class AutoEQExplainer {
+    constructor(debugLog) {
+        this.debugLog = debugLog;
+
+        this.dimensions = {
+            genre: 'Genre',
+            spectral: 'Spectral',
+            energy: 'Energy',
+            frequency: 'Freq.',
+            dynamics: 'Dynamics',
+            context: 'Context'
+        };
+        this.phases = { hardRule: 'Hard rule', combo: 'Combo pattern', scoring: 'Scoring' };
+        this.previewRows = 200; // The CSV has them all
+
+        // Providers (set by init)
+        this.getAutoEQ = () => null;
+        this.getPresetsManager = () => null;
+        this.getCurrentTrack = () => null;
+        this.getLibraryTracks = () => [];
+        this.getEqOverride = () => null;
+
+        this.modal = null;
+        this.tab = 'track';
+        this.dryRun = null; // Rows of the last dry run
+        this.running = false;
+    }
+
+    /**
+     * @param {Object} options - { getAutoEQ, getPresetsManager, getCurrentTrack, getLibraryTracks, getEqOverride }
+     */
+    init(options) {
+        this.getAutoEQ = options.getAutoEQ || this.getAutoEQ;
+        this.getPresetsManager = options.getPresetsManager || this.getPresetsManager;
+        this.getCurrentTrack = options.getCurrentTrack || this.getCurrentTrack;
+        this.getLibraryTracks = options.getLibraryTracks || this.getLibraryTracks;
+        this.getEqOverride = options.getEqOverride || this.getEqOverride;
+    }
+
+    // ========== ADJUSTMENTS ==========
+
+    /**
+     * Dynamic adjustments for a track's preset. The ones on the EQ if they were made for
+     * this track, otherwise worked out without touching the EQ.
+     * @returns {Object|null} { before, after, notes, applied }
+     */
+    getAdjustments(track, preset) {
+        const manager = this.getPresetsManager();
+        const base = manager?.staticPresets[preset];
+        if (!base || !track.analysis || !manager.dynamicAdjustmentEnabled) return null;
+
+        const last = manager.lastAdjustments;
+        if (last && last.analysis === track.analysis && last.preset === preset) {
+            return { ...last, applied: true };
+        }
+
+        const notes = [];
+        const after = manager.applyDynamicAdjustments({ ...base }, track.analysis, preset, notes);
+        return { before: base, after, notes, applied: false };
+    }
+
+    getPresetName(id) {
+        return this.getPresetsManager()?.getPresetList().find(preset => preset.id === id)?.name || id;
+    }
+
+    // ========== MODAL ==========
+
+    open() {
+        if (this.modal) return;
+
+        if (!this.getAutoEQ()) {
+            alert('Auto-EQ isn\'t running yet. Play a track for a moment first.');
+            return;
+        }
+
+        this.modal = document.createElement('div');
+        this.modal.id = 'auto-eq-explain-modal';
+        this.modal.innerHTML = `
+            <div class="metadata-editor-overlay"></div>
+            <div class="metadata-editor-content auto-eq-explain-content">
+                <div class="metadata-editor-header">
+                    <h2>🔎 Why This EQ</h2>
+                    <button class="metadata-editor-close">✕</button>
+                </div>
+                <div class="auto-eq-explain-tabs">
+                    <button type="button" data-tab="track">This track</button>
+                    <button type="button" data-tab="library">Library dry run</button>
+                </div>
+                <div class="metadata-editor-body"></div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelectorAll('.auto-eq-explain-tabs button').forEach(button => {
+            button.onclick = () => {
+                this.tab = button.dataset.tab;
+                this.render();
+            };
+        });
+        this.modal.querySelector('.metadata-editor-close').onclick = () => this.close();
+        this.modal.querySelector('.metadata-editor-overlay').onclick = () => this.close();
+
+        this.render();
+        requestAnimationFrame(() => {
+            this.modal?.classList.add('show');
+        });
+    }
+
+    render() {
+        if (!this.modal) return;
+
+        this.modal.querySelectorAll('.auto-eq-explain-tabs button').forEach(button => {
+            button.classList.toggle('active', button.dataset.tab === this.tab);
+        });
+
+        if (this.tab === 'track') {
+            this.renderTrack();
+        } else {
+            this.renderLibrary();
+        }
+    }
+
+    /**
+     * Re-render for a new track, if the track tab is showing
+     */
+    trackChanged() {
+        if (this.modal && this.tab === 'track') this.renderTrack();
+    }
+
+    renderTrack() {
+        const body = this.modal.querySelector('.metadata-editor-body');
+        const autoEQ = this.getAutoEQ();
+        const track = this.getCurrentTrack();
+
+        if (!track) {
+            body.innerHTML = '<p class="auto-eq-explain-hint">Nothing is playing.</p>';
+            return;
+        }
+
+        const title = this.escapeHtml(track.metadata?.title || track.fileName);
+        const explanation = autoEQ.getScoreBreakdown(track);
+        if (!explanation) {
+            body.innerHTML = `<h3>${title}</h3><p class="auto-eq-explain-hint">No analysis data for this track - Auto-EQ uses flat.</p>`;
+            return;
+        }
+
+        const { decision, hardRule, combos, scores, threshold } = explanation;
+        const pin = this.getEqOverride(track);
+        const status = pin
+            ? `📌 Pinned to this ${pin.scope} (${this.escapeHtml(pin.override.name)}) - Auto-EQ is skipped. This is what it would pick:`
+            : autoEQ.enabled ? 'Auto-EQ picked:' : 'Auto-EQ is off. This is what it would pick:';
+        const via = decision.phase === 'scoring' && decision.preset === 'flat'
+            ? `best score ${this.escapeHtml(this.getPresetName(decision.best))} at ${decision.confidence.toFixed(1)} is below the ${threshold} threshold`
+            : `${this.phases[decision.phase].toLowerCase()}: ${this.escapeHtml(decision.reason)} (${decision.confidence.toFixed(1)})`;
+
+        const comboRows = combos.map(combo => `
+            <li class="${combo.effective >= threshold ? 'fired' : ''}">
+                ${this.escapeHtml(this.getPresetName(combo.preset))} - ${this.escapeHtml(combo.reason)}
+                <span>${combo.confidence}${combo.trust < 1 ? ` × ${Math.round(combo.trust * 100)}% trust = ${combo.effective.toFixed(1)}` : ''}${combo.effective < threshold ? ' (below threshold)' : ''}</span>
+            </li>
+        `).join('');
+
+        const scoreRows = scores.map(score => `
+            <tr class="${score.preset === decision.preset ? 'picked' : ''}">
+                <td>${this.escapeHtml(this.getPresetName(score.preset))}</td>
+                ${Object.keys(this.dimensions).map(dimension => `<td>${score.breakdown[dimension].toFixed(1)}</td>`).join('')}
+                <td>${score.bias ? `${score.bias > 0 ? '+' : ''}${score.bias}` : ''}</td>
+                <td><strong>${score.total.toFixed(1)}</strong></td>
+            </tr>
+        `).join('');
+
+        body.innerHTML = `
+            <h3>${title}</h3>
+            <p class="auto-eq-explain-hint">${status}</p>
+            <div class="auto-eq-explain-decision">
+                <strong>${this.escapeHtml(this.getPresetName(decision.preset))}</strong>
+                <span>via ${via}</span>
+            </div>
+
+            <h3>Hard rules</h3>
+            <p class="auto-eq-explain-hint">${hardRule ? `🎯 ${this.escapeHtml(this.getPresetName(hardRule.preset))} - ${this.escapeHtml(hardRule.reason)}` : 'None fired.'}</p>
+
+            <h3>Combo patterns</h3>
+            ${comboRows ? `<ul class="auto-eq-explain-combos">${comboRows}</ul>` : '<p class="auto-eq-explain-hint">None matched.</p>'}
+
+            <h3>Scores${decision.phase === 'scoring' ? '' : ' (not used - an earlier phase decided)'}</h3>
+            <div class="auto-eq-explain-table-wrap">
+                <table class="auto-eq-explain-table">
+                    <thead><tr><th>Preset</th>${Object.values(this.dimensions).map(label => `<th>${label}</th>`).join('')}<th>Bias</th><th>Total</th></tr></thead>
+                    <tbody>${scoreRows}</tbody>
+                </table>
+            </div>
+            <p class="auto-eq-explain-hint">Threshold ${threshold} - below it Auto-EQ stays flat.</p>
+
+            <h3>Dynamic adjustments</h3>
+            ${this.renderAdjustments(track, decision.preset)}
+
+            <div class="metadata-form-actions">
+                <button type="button" class="btn-secondary" id="auto-eq-explain-refresh">↻ Refresh</button>
+            </div>
+        `;
+
+        body.querySelector('#auto-eq-explain-refresh').onclick = () => this.renderTrack();
+    }
+
+    renderAdjustments(track, preset) {
+        const adjustments = this.getAdjustments(track, preset);
+        if (!adjustments) {
+            return `<p class="auto-eq-explain-hint">${this.getPresetsManager()?.staticPresets[preset] ? 'Dynamic adjustments are off.' : 'None - only built-in presets are adjusted.'}</p>`;
+        }
+
+        const format = (value) => `${value > 0 ? '+' : ''}${(Math.round(value * 10) / 10)}`;
+        const bands = ['bass', 'mid', 'treble'].map(band => {
+            const before = adjustments.before[band];
+            const after = adjustments.after[band];
+            return `<span class="${after !== before ? 'changed' : ''}">${band} ${format(before)} → ${format(after)} dB</span>`;
+        }).join('');
+
+        return `
+            <p class="auto-eq-explain-hint">${adjustments.applied ? 'Applied to the EQ:' : 'Would apply (the EQ still has an earlier track\'s - Auto-EQ doesn\'t re-apply the same preset):'}</p>
+            <div class="auto-eq-explain-bands">${bands}</div>
+            ${adjustments.notes.length ? `<ul class="auto-eq-explain-notes">${adjustments.notes.map(note => `<li>${this.escapeHtml(note)}</li>`).join('')}</ul>` : '<p class="auto-eq-explain-hint">No rule fired - the preset is used as is.</p>'}
+        `;
+    }
+
+    // ========== DRY RUN ==========
+
+    renderLibrary() {
+        const body = this.modal.querySelector('.metadata-editor-body');
+        const tracks = this.getLibraryTracks();
+
+        let results = '';
+        if (this.dryRun) {
+            const counts = {};
+            this.dryRun.forEach(row => {
+                counts[row.autoEQ] = (counts[row.autoEQ] || 0) + 1;
+            });
+            const phases = {};
+            this.dryRun.forEach(row => {
+                phases[row.phase] = (phases[row.phase] || 0) + 1;
+            });
+            const pinned = this.dryRun.filter(row => row.pin).length;
+
+            results = `
+                <div class="auto-eq-explain-summary">
+                    ${Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([preset, count]) => `<span>${this.escapeHtml(preset)} <strong>${count}</strong></span>`).join('')}
+                </div>
+                <p class="auto-eq-explain-hint">${Object.entries(phases).map(([phase, count]) => `${phase}: ${count}`).join(' · ')}${pinned ? ` · pinned: ${pinned}` : ''}</p>
+                <div class="auto-eq-explain-table-wrap">
+                    <table class="auto-eq-explain-table">
+                        <thead><tr><th>Track</th><th>Genre</th><th>Auto-EQ</th><th>Via</th><th>Conf.</th><th>Runner-up</th><th>Final</th></tr></thead>
+                        <tbody>
+                            ${this.dryRun.slice(0, this.previewRows).map(row => `
+                                <tr title="${this.escapeHtml(row.reason)}">
+                                    <td>${this.escapeHtml(row.title)}<br><small>${this.escapeHtml(row.artist)}</small></td>
+                                    <td>${this.escapeHtml(row.genre)}</td>
+                                    <td>${this.escapeHtml(row.autoEQ)}</td>
+                                    <td>${this.escapeHtml(row.phase)}</td>
+                                    <td>${row.confidence}</td>
+                                    <td>${this.escapeHtml(row.runnerUp)}</td>
+                                    <td>${row.pin ? `📌 ${this.escapeHtml(row.final)}` : this.escapeHtml(row.final)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${this.dryRun.length > this.previewRows ? `<p class="auto-eq-explain-hint">Showing ${this.previewRows} of ${this.dryRun.length} - the CSV has them all.</p>` : ''}
+            `;
+        }
+
+        body.innerHTML = `
+            <p class="auto-eq-explain-hint">Works out the preset Auto-EQ would give every loaded track (${tracks.length}) with the current rules and learned weights, without changing the EQ.</p>
+            <div class="metadata-form-actions">
+                <button type="button" class="btn-primary" id="auto-eq-dry-run" ${this.running || !tracks.length ? 'disabled' : ''}>${this.running ? 'Running...' : '▶ Run Dry Run'}</button>
+                <button type="button" class="btn-secondary" id="auto-eq-dry-run-csv" ${this.dryRun ? '' : 'disabled'}>⬇ Export CSV</button>
+            </div>
+            ${results}
+        `;
+
+        body.querySelector('#auto-eq-dry-run').onclick = () => this.runDryRun();
+        body.querySelector('#auto-eq-dry-run-csv').onclick = () => this.exportCSV();
+    }
+
+    /**
+     * Explain every loaded track - yields now and then so big libraries don't freeze the page
+     */
+    async runDryRun() {
+        const autoEQ = this.getAutoEQ();
+        if (!autoEQ || this.running) return;
+
+        this.running = true;
+        this.render();
+
+        const tracks = [...this.getLibraryTracks()];
+        const rows = [];
+        for (let i = 0; i < tracks.length; i++) {
+            rows.push(this.getDryRunRow(autoEQ, tracks[i]));
+            if (i % 250 === 249) await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        this.dryRun = rows;
+        this.running = false;
+        this.render();
+        this.debugLog(`🔎 Auto-EQ dry run: ${rows.length} tracks`, 'success');
+    }
+
+    getDryRunRow(autoEQ, track) {
+        const explanation = autoEQ.getScoreBreakdown(track);
+        const pin = this.getEqOverride(track);
+        const decision = explanation?.decision;
+        const runnerUp = explanation?.scores.find(score => score.preset !== decision.preset);
+        const autoPreset = decision ? this.getPresetName(decision.preset) : 'Flat';
+        const adjustments = decision ? this.getAdjustments(track, decision.preset) : null;
+
+        return {
+            title: track.metadata?.title || track.fileName,
+            artist: track.metadata?.artist || '',
+            album: track.metadata?.album || '',
+            fileName: track.fileName,
+            genre: track.metadata?.genre || '',
+            analyzed: !!explanation,
+            autoEQ: autoPreset,
+            phase: decision ? this.phases[decision.phase] : 'No analysis',
+            confidence: decision ? Math.round(decision.confidence * 10) / 10 : '',
+            reason: decision
+                ? (decision.phase === 'scoring' && decision.preset === 'flat' ? `Below threshold (best: ${this.getPresetName(decision.best)})` : decision.reason)
+                : 'No analysis data',
+            runnerUp: runnerUp ? `${this.getPresetName(runnerUp.preset)} (${runnerUp.total.toFixed(1)})` : '',
+            adjustments: adjustments ? adjustments.notes.join(' | ') : '',
+            pin: pin ? `${pin.scope}: ${pin.override.name}` : '',
+            final: pin ? pin.override.name : autoPreset
+        };
+    }
+
+    exportCSV() {
+        if (!this.dryRun) return;
+
+        const columns = [
+            ['title', 'Title'], ['artist', 'Artist'], ['album', 'Album'], ['fileName', 'File'],
+            ['genre', 'Genre'], ['analyzed', 'Analyzed'], ['autoEQ', 'Auto-EQ Preset'], ['phase', 'Decided By'],
+            ['confidence', 'Confidence'], ['reason', 'Reason'], ['runnerUp', 'Runner-up'],
+            ['adjustments', 'Dynamic Adjustments'], ['pin', 'EQ Pin'], ['final', 'Final EQ']
+        ];
+        const cell = (value) => {
+            const text = String(value ?? '');
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [
+            columns.map(([, label]) => cell(label)).join(','),
+            ...this.dryRun.map(row => columns.map(([key]) => cell(row[key])).join(','))
+        ];
+
+        // BOM so spreadsheet apps read it as UTF-8
+        const blob = new Blob(['﻿' + lines.join('\r\n')], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `auto-eq-dry-run-${new Date().toISOString().split('T')[0]}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        this.debugLog(`⬇ Exported Auto-EQ dry run (${this.dryRun.length} tracks)`, 'success');
+    }
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.classList.remove('show');
+        const modal = this.modal;
+        this.modal = null;
+        setTimeout(() => modal.remove(), 300);
+    }
+
+    // ========== Utilities ==========
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AutoEQExplainer;
+}
@@ -0,0 +1,355 @@
+/* ============================================
+   Auto-EQ Learner - Remembers when the user swaps the preset
+   Auto-EQ picked, and retrains Auto-EQ's weights, per-preset
+   bias, combo pattern trust and confidence threshold so later
+   picks follow suit
+   ============================================ */
+
+class AutoEQLearner {
+    constructor(debugLog) {
+        this.debugLog = debugLog;
+
+        this.maxCorrections = 200;
+        this.epochs = 10;
+        this.learningRate = 0.05; // Weight step per mistake
+        this.minWeight = 0.02;
+        this.maxWeight = 0.6;
+        this.biasStep = 2;        // Points per mistake
+        this.maxBias = 40;
+        this.trustStep = 0.1;     // Combo pattern trust per mistake
+        this.minThreshold = 10;
+        this.maxThreshold = 60;
+
+        // Analysis fields the decision phases read - all a correction needs to be replayed
+        this.featureKeys = [
+            'energy', 'bpm', 'danceability', 'speechiness', 'instrumentalness', 'acousticness',
+            'spectralCentroid', 'frequencyBands', 'vocalProminence', 'mood', 'isVintage'
+        ];
+
+        this.dimensionLabels = {
+            genre: 'Genre',
+            spectral: 'Spectral',
+            energy: 'Energy',
+            frequencyBalance: 'Frequency balance',
+            dynamics: 'Dynamics',
+            context: 'Context'
+        };
+
+        // Providers (set by init)
+        this.getAutoEQ = () => null;
+        this.getTrackKey = (track) => `${track.fileName}_${track.fileSize || 0}`;
+        this.getPresetName = (id) => id;
+
+        this.corrections = this.loadCorrections();
+        this.modal = null;
+    }
+
+    /**
+     * @param {Object} options - { getAutoEQ, getTrackKey, getPresetName }
+     */
+    init(options) {
+        this.getAutoEQ = options.getAutoEQ || this.getAutoEQ;
+        this.getTrackKey = options.getTrackKey || this.getTrackKey;
+        this.getPresetName = options.getPresetName || this.getPresetName;
+    }
+
+    // ========== CORRECTIONS ==========
+
+    /**
+     * The user picked a preset. It's a correction when it replaces Auto-EQ's pick for
+     * the same track; picking Auto-EQ's own choice again takes the correction back.
+     * @returns {boolean} True if the corrections changed
+     */
+    noteUserPreset(track, preset) {
+        const autoEQ = this.getAutoEQ();
+        if (!autoEQ?.enabled || !track?.analysis || autoEQ.lastDecision?.track !== track) return false;
+
+        const picked = autoEQ.lastDecision.preset;
+        const key = this.getTrackKey(track);
+        this.corrections = this.corrections.filter(correction => correction.key !== key);
+
+        if (preset !== picked) {
+            this.corrections.push({
+                key,
+                title: track.metadata?.title || track.fileName,
+                picked,
+                chosen: preset,
+                genre: track.metadata?.genre?.toLowerCase() || '',
+                features: this.getFeatures(track.analysis),
+                at: Date.now()
+            });
+            this.corrections = this.corrections.slice(-this.maxCorrections);
+            this.debugLog(`📈 Auto-EQ correction: ${this.getPresetName(picked)} → ${this.getPresetName(preset)}`, 'info');
+        }
+
+        this.saveCorrections();
+        this.retrain(autoEQ);
+        this.render();
+        return true;
+    }
+
+    getFeatures(analysis) {
+        const features = {};
+        this.featureKeys.forEach(key => {
+            if (analysis[key] !== undefined) features[key] = analysis[key];
+        });
+        if (analysis.dynamicRange) {
+            features.dynamicRange = { crestFactor: analysis.dynamicRange.crestFactor };
+        }
+        return features;
+    }
+
+    // ========== TRAINING ==========
+
+    /**
+     * Start from Auto-EQ's defaults and replay every correction until the
+     * model gets them all right (or runs out of epochs)
+     */
+    retrain(autoEQ) {
+        if (this.corrections.length === 0) {
+            autoEQ.setModel(null);
+            return;
+        }
+
+        const model = {
+            weights: { ...autoEQ.defaultWeights },
+            presetBias: {},
+            comboTrust: {},
+            confidenceThreshold: autoEQ.defaultThreshold
+        };
+
+        for (let epoch = 0; epoch < this.epochs; epoch++) {
+            let mistakes = 0;
+            this.corrections.forEach(correction => {
+                if (this.train(autoEQ, model, correction)) mistakes++;
+            });
+            if (mistakes === 0) break;
+        }
+
+        autoEQ.setModel(model);
+    }
+
+    /**
+     * One perceptron step towards the preset the user chose
+     * @returns {boolean} True if the model got this correction wrong
+     */
+    train(autoEQ, model, correction) {
+        const { features, genre, chosen } = correction;
+        const decision = autoEQ.decide(features, genre, model);
+        if (decision.preset === chosen || decision.phase === 'hardRule') return false;
+
+        // A combo pattern that keeps being overruled is trusted less, until scoring gets a say...
+        if (decision.phase === 'combo') {
+            this.nudgeTrust(model, decision.preset, -this.trustStep);
+            return true;
+        }
+
+        // ...and gets its trust back when the user picks what it found
+        const combo = autoEQ.detectComboPatterns(features, genre);
+        if (combo.preset === chosen && (model.comboTrust[chosen] ?? 1) < 1) {
+            this.nudgeTrust(model, chosen, this.trustStep);
+            return true;
+        }
+
+        // Flat is what Auto-EQ falls back to below the threshold
+        if (chosen === 'flat') {
+            model.confidenceThreshold = Math.min(this.maxThreshold, model.confidenceThreshold + 1);
+            this.nudgeBias(model, decision.best, -this.biasStep);
+            return true;
+        }
+
+        // User presets, podcast, ... aren't scored, so there's nothing to learn
+        if (!autoEQ.candidatePresets.includes(chosen)) return false;
+
+        if (decision.best === chosen) {
+            model.confidenceThreshold = Math.max(this.minThreshold, model.confidenceThreshold - 1);
+            return true;
+        }
+
+        // Shift weight towards the dimensions where the chosen preset out-scores the wrong one
+        const wanted = autoEQ.getDimensionScores(chosen, features, genre);
+        const picked = autoEQ.getDimensionScores(decision.best, features, genre);
+        for (const dimension of Object.keys(model.weights)) {
+            const step = this.learningRate * (wanted[dimension] - picked[dimension]);
+            model.weights[dimension] = Math.max(this.minWeight, Math.min(this.maxWeight, model.weights[dimension] + step));
+        }
+        const sum = Object.values(model.weights).reduce((total, weight) => total + weight, 0);
+        for (const dimension of Object.keys(model.weights)) {
+            model.weights[dimension] /= sum;
+        }
+
+        this.nudgeBias(model, chosen, this.biasStep);
+        this.nudgeBias(model, decision.best, -this.biasStep);
+        return true;
+    }
+
+    nudgeBias(model, preset, points) {
+        const bias = Math.max(-this.maxBias, Math.min(this.maxBias, (model.presetBias[preset] || 0) + points));
+        if (bias) model.presetBias[preset] = bias;
+        else delete model.presetBias[preset];
+    }
+
+    nudgeTrust(model, preset, step) {
+        const trust = Math.round(Math.max(0, Math.min(1, (model.comboTrust[preset] ?? 1) + step)) * 10) / 10;
+        if (trust < 1) model.comboTrust[preset] = trust;
+        else delete model.comboTrust[preset];
+    }
+
+    /**
+     * What Auto-EQ would pick for a correction's track now
+     */
+    predict(autoEQ, correction) {
+        return autoEQ.decide(correction.features, correction.genre);
+    }
+
+    reset() {
+        this.corrections = [];
+        this.saveCorrections();
+        this.getAutoEQ()?.setModel(null);
+        this.render();
+        this.debugLog('📈 Auto-EQ learning reset to the defaults', 'info');
+    }
+
+    // ========== MODAL ==========
+
+    open() {
+        if (this.modal) return;
+
+        if (!this.getAutoEQ()) {
+            alert('Auto-EQ isn\'t running yet. Play a track for a moment first.');
+            return;
+        }
+
+        this.modal = document.createElement('div');
+        this.modal.id = 'auto-eq-learning-modal';
+        this.modal.innerHTML = `
+            <div class="metadata-editor-overlay"></div>
+            <div class="metadata-editor-content auto-eq-learning-content">
+                <div class="metadata-editor-header">
+                    <h2>📈 Auto-EQ Learning</h2>
+                    <button class="metadata-editor-close">✕</button>
+                </div>
+                <div class="metadata-editor-body"></div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelector('.metadata-editor-close').onclick = () => this.close();
+        this.modal.querySelector('.metadata-editor-overlay').onclick = () => this.close();
+
+        this.render();
+        requestAnimationFrame(() => {
+            this.modal?.classList.add('show');
+        });
+    }
+
+    render() {
+        const body = this.modal?.querySelector('.metadata-editor-body');
+        const autoEQ = this.getAutoEQ();
+        if (!body || !autoEQ) return;
+
+        const weightRows = Object.entries(this.dimensionLabels).map(([dimension, label]) => {
+            const base = autoEQ.defaultWeights[dimension] * 100;
+            const learned = autoEQ.weights[dimension] * 100;
+            const change = learned - base;
+            return `
+                <tr>
+                    <td>${label}</td>
+                    <td>${base.toFixed(0)}%</td>
+                    <td>
+                        <div class="auto-eq-weight-bar">
+                            <span class="auto-eq-weight-fill" style="width: ${Math.min(100, learned / this.maxWeight)}%"></span>
+                            <span class="auto-eq-weight-default" style="left: ${Math.min(100, base / this.maxWeight)}%"></span>
+                        </div>
+                    </td>
+                    <td>${learned.toFixed(1)}%</td>
+                    <td class="${change > 0.05 ? 'up' : change < -0.05 ? 'down' : ''}">${Math.abs(change) < 0.05 ? '-' : `${change > 0 ? '+' : ''}${change.toFixed(1)}`}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const biases = Object.entries(autoEQ.presetBias).sort((a, b) => b[1] - a[1]);
+        const trust = Object.entries(autoEQ.comboTrust).sort((a, b) => a[1] - b[1]);
+        const thresholdChange = autoEQ.confidenceThreshold - autoEQ.defaultThreshold;
+
+        const corrections = [...this.corrections].reverse().slice(0, 20).map(correction => {
+            const now = this.predict(autoEQ, correction).preset;
+            const learned = now === correction.chosen;
+            return `
+                <li class="auto-eq-correction ${learned ? 'learned' : ''}">
+                    <span class="auto-eq-correction-title">${this.escapeHtml(correction.title)}</span>
+                    <span class="auto-eq-correction-change">${this.escapeHtml(this.getPresetName(correction.picked))} → ${this.escapeHtml(this.getPresetName(correction.chosen))}</span>
+                    <span class="auto-eq-correction-status" title="What Auto-EQ picks for this track now">${learned ? '✓ learned' : `still ${this.escapeHtml(this.getPresetName(now))}`}</span>
+                </li>
+            `;
+        }).join('');
+
+        body.innerHTML = `
+            <p class="auto-eq-learning-hint">With Auto-EQ on, pick a different preset from the EQ's preset menu and Auto-EQ learns from it. Combo patterns you keep overruling lose their say; hard rules (speech, classical, extreme cases) always win.</p>
+
+            <table class="auto-eq-weights">
+                <thead><tr><th>Dimension</th><th>Default</th><th></th><th>Now</th><th>Change</th></tr></thead>
+                <tbody>${weightRows}</tbody>
+            </table>
+
+            <div class="auto-eq-learning-stats">
+                <span>Confidence threshold: <strong>${autoEQ.confidenceThreshold}</strong>${thresholdChange ? ` (${thresholdChange > 0 ? '+' : ''}${thresholdChange} from ${autoEQ.defaultThreshold})` : ' (default)'}</span>
+                <span>Combo patterns trusted less: ${trust.length ? trust.map(([preset, value]) => `<span class="auto-eq-bias down">${this.escapeHtml(this.getPresetName(preset))} ${Math.round(value * 100)}%</span>`).join(' ') : 'none'}</span>
+                <span>Preset bias: ${biases.length ? biases.map(([preset, bias]) => `<span class="auto-eq-bias ${bias > 0 ? 'up' : 'down'}">${this.escapeHtml(this.getPresetName(preset))} ${bias > 0 ? '+' : ''}${bias}</span>`).join(' ') : 'none'}</span>
+            </div>
+
+            <h3>Corrections (${this.corrections.length})</h3>
+            ${corrections ? `<ul class="auto-eq-corrections">${corrections}</ul>` : '<p class="auto-eq-learning-hint">None yet.</p>'}
+
+            <div class="metadata-form-actions">
+                <button type="button" class="btn-secondary" id="auto-eq-learning-reset" ${this.corrections.length ? '' : 'disabled'}>↺ Reset Learning</button>
+            </div>
+        `;
+
+        body.querySelector('#auto-eq-learning-reset').onclick = () => {
+            if (confirm('Forget all corrections and go back to the default Auto-EQ weights?')) this.reset();
+        };
+    }
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.classList.remove('show');
+        const modal = this.modal;
+        this.modal = null;
+        setTimeout(() => modal.remove(), 300);
+    }
+
+    // ========== SETTINGS ==========
+
+    loadCorrections() {
+        try {
+            return JSON.parse(localStorage.getItem('autoEQCorrections') || '[]');
+        } catch (err) {
+            this.debugLog(`Failed to load Auto-EQ corrections: ${err.message}`, 'error');
+            return [];
+        }
+    }
+
+    saveCorrections() {
+        try {
+            localStorage.setItem('autoEQCorrections', JSON.stringify(this.corrections));
+        } catch (err) {
+            this.debugLog(`Failed to save Auto-EQ corrections: ${err.message}`, 'error');
+        }
+    }
+
+    // ========== Utilities ==========
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AutoEQLearner;
+}
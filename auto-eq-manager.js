@@ -10,10 +10,12 @@ class AutoEQManager {
         
         this.enabled = false;
         this.lastAppliedPreset = null;
-        this.confidenceThreshold = 30; // Lowered - more aggressive matching
+        this.lastDecision = null; // { track, preset } - what the user may correct
+        this.defaultThreshold = 30; // Lowered - more aggressive matching
+        this.confidenceThreshold = this.defaultThreshold;
         
         // Decision weights (fine-tuned for optimal results)
-        this.weights = {
+        this.defaultWeights = {
             genre: 0.30,              // Genre is strong indicator
             spectral: 0.20,           // Spectral characteristics matter
             energy: 0.15,             // Energy level important
@@ -21,6 +23,21 @@ class AutoEQManager {
             dynamics: 0.10,           // Dynamic range matters
             context: 0.10             // Other contextual factors
         };
+        this.weights = { ...this.defaultWeights };
+        
+        // Learned from corrections (see AutoEQLearner): points added to a preset's
+        // score, and how far each combo pattern's confidence is still trusted (0-1)
+        this.presetBias = {};
+        this.comboTrust = {};
+        
+        // Presets the multi-dimensional scoring chooses between
+        this.candidatePresets = [
+            'electronic', 'rock', 'metal', 'jazz', 'classical',
+            'acoustic', 'hiphop', 'vocal', 'bassBoost', 'trebleBoost',
+            'vintageTape', 'loudnessWar', 'liveRecording', 'lofi'
+        ];
+        
+        this.loadModel();
     }
     
     /**
@@ -38,30 +55,60 @@ class AutoEQManager {
         // Log key metrics
         this.debugLog(`📊 Track: E=${(analysis.energy * 100).toFixed(0)}% | BPM=${analysis.bpm} | SC=${analysis.spectralCentroid?.toFixed(0)}Hz | DR=${analysis.dynamicRange?.crestFactor?.toFixed(1)}dB | Vintage=${analysis.isVintage}`, 'info');
         
+        const decision = this.decide(analysis, genre);
+        
+        if (decision.phase === 'hardRule') {
+            this.debugLog(`🎯 Hard rule match: ${decision.preset} (${decision.reason})`, 'success');
+        } else if (decision.phase === 'combo') {
+            this.debugLog(`🎸 Combo pattern: ${decision.preset} (${decision.confidence.toFixed(1)}/100 - ${decision.reason})`, 'success');
+        } else if (decision.preset !== 'flat') {
+            this.debugLog(`✅ Auto-EQ: ${decision.preset} (${decision.confidence.toFixed(1)}/100 - ${decision.reason})`, 'success');
+        } else {
+            this.debugLog(`🎚️ Auto-EQ: flat (best: ${decision.best}@${decision.confidence.toFixed(1)}, below ${this.confidenceThreshold} threshold)`, 'info');
+        }
+        
+        return decision.preset;
+    }
+    
+    /**
+     * The three phases, without logging
+     * @param {Object} [model] - { weights, presetBias, comboTrust, confidenceThreshold } to decide with instead of the current ones
+     * @returns {Object} { preset, phase ('hardRule', 'combo' or 'scoring'), confidence, reason, best (scoring's top preset, even below the threshold) }
+     */
+    decide(analysis, genre, model = this) {
         // === PHASE 1: HARD RULES (Override everything) ===
         const hardRuleResult = this.applyHardRules(analysis, genre);
         if (hardRuleResult) {
-            this.debugLog(`🎯 Hard rule match: ${hardRuleResult.preset} (${hardRuleResult.reason})`, 'success');
-            return hardRuleResult.preset;
+            return { ...hardRuleResult, phase: 'hardRule', best: hardRuleResult.preset };
         }
         
         // === PHASE 2: COMBO DETECTION (Specific multi-factor patterns) ===
         const comboResult = this.detectComboPatterns(analysis, genre);
-        if (comboResult.confidence >= this.confidenceThreshold) {
-            this.debugLog(`🎸 Combo pattern: ${comboResult.preset} (${comboResult.confidence.toFixed(1)}/100 - ${comboResult.reason})`, 'success');
-            return comboResult.preset;
+        const comboConfidence = comboResult.confidence * (model.comboTrust[comboResult.preset] ?? 1);
+        if (comboConfidence >= model.confidenceThreshold) {
+            return { ...comboResult, confidence: comboConfidence, phase: 'combo', best: comboResult.preset };
         }
         
         // === PHASE 3: MULTI-DIMENSIONAL SCORING ===
-        const decision = this.multiDimensionalScoring(analysis, genre);
+        const decision = this.multiDimensionalScoring(analysis, genre, model);
         
-        if (decision.confidence >= this.confidenceThreshold) {
-            this.debugLog(`✅ Auto-EQ: ${decision.preset} (${decision.confidence.toFixed(1)}/100 - ${decision.reason})`, 'success');
-            return decision.preset;
-        } else {
-            this.debugLog(`🎚️ Auto-EQ: flat (best: ${decision.preset}@${decision.confidence.toFixed(1)}, below ${this.confidenceThreshold} threshold)`, 'info');
-            return 'flat';
-        }
+        return {
+            preset: decision.confidence >= model.confidenceThreshold ? decision.preset : 'flat',
+            phase: 'scoring',
+            confidence: decision.confidence,
+            reason: decision.reason,
+            best: decision.preset
+        };
+    }
+    
+    /**
+     * Speech-dominant content (podcasts, audiobooks) - same test as the podcast hard rule
+     */
+    isSpeechContent(track) {
+        const genre = track.metadata?.genre?.toLowerCase() || '';
+        if (/podcast|audiobook|speech|spoken/.test(genre)) return true;
+        if (!track.analysis) return false;
+        return this.applyHardRules(track.analysis, genre)?.preset === 'podcast';
     }
     
     /**
@@ -146,6 +193,13 @@ applyHardRules(analysis, genre) {
      * PHASE 2: Combo Pattern Detection - Specific multi-factor signatures
      */
     detectComboPatterns(analysis, genre) {
+        return this.getComboPatterns(analysis, genre)[0] || { confidence: 0 };
+    }
+    
+    /**
+     * Every combo pattern a track matches, most confident first
+     */
+    getComboPatterns(analysis, genre) {
         const {
             energy, danceability, bpm, spectralCentroid,
             frequencyBands, dynamicRange, isVintage,
@@ -267,30 +321,17 @@ applyHardRules(analysis, genre) {
             });
         }
         
-        // Return best match
-        if (patterns.length > 0) {
-            patterns.sort((a, b) => b.confidence - a.confidence);
-            return patterns[0];
-        }
-        
-        return { confidence: 0 };
+        return patterns.sort((a, b) => b.confidence - a.confidence);
     }
     
     /**
      * PHASE 3: Multi-Dimensional Scoring System
      */
-    multiDimensionalScoring(analysis, genre) {
+    multiDimensionalScoring(analysis, genre, model = this) {
         const scores = {};
         
-        // Get all preset candidates
-        const presets = [
-            'electronic', 'rock', 'metal', 'jazz', 'classical',
-            'acoustic', 'hiphop', 'vocal', 'bassBoost', 'trebleBoost',
-            'vintageTape', 'loudnessWar', 'liveRecording', 'lofi'
-        ];
-        
-        for (const preset of presets) {
-            const score = this.calculatePresetScore(preset, analysis, genre);
+        for (const preset of this.candidatePresets) {
+            const score = this.calculatePresetScore(preset, analysis, genre, model);
             scores[preset] = score;
         }
         
@@ -309,45 +350,46 @@ applyHardRules(analysis, genre) {
     }
     
     /**
-     * Calculate weighted score for a specific preset
+     * Unweighted match per dimension (0-1), keyed like the weights
      */
-    calculatePresetScore(preset, analysis, genre) {
-        const breakdown = {
-            genre: 0,
-            spectral: 0,
-            energy: 0,
-            frequency: 0,
-            dynamics: 0,
-            context: 0
-        };
-        
+    getDimensionScores(preset, analysis, genre) {
         const {
             energy, bpm, danceability, spectralCentroid,
             frequencyBands, dynamicRange, vocalProminence,
             acousticness, mood, isVintage, instrumentalness
         } = analysis;
         
-        // === GENRE SCORE ===
-        breakdown.genre = this.scoreGenreMatch(preset, genre) * this.weights.genre * 100;
-        
-        // === SPECTRAL SCORE ===
-        breakdown.spectral = this.scoreSpectralMatch(preset, spectralCentroid, frequencyBands) * this.weights.spectral * 100;
-        
-        // === ENERGY SCORE ===
-        breakdown.energy = this.scoreEnergyMatch(preset, energy, danceability, bpm) * this.weights.energy * 100;
-        
-        // === FREQUENCY BALANCE SCORE ===
-        breakdown.frequency = this.scoreFrequencyMatch(preset, frequencyBands) * this.weights.frequencyBalance * 100;
-        
-        // === DYNAMICS SCORE ===
-        breakdown.dynamics = this.scoreDynamicsMatch(preset, dynamicRange) * this.weights.dynamics * 100;
+        return {
+            genre: this.scoreGenreMatch(preset, genre),
+            spectral: this.scoreSpectralMatch(preset, spectralCentroid, frequencyBands),
+            energy: this.scoreEnergyMatch(preset, energy, danceability, bpm),
+            frequencyBalance: this.scoreFrequencyMatch(preset, frequencyBands),
+            dynamics: this.scoreDynamicsMatch(preset, dynamicRange),
+            context: this.scoreContextMatch(preset, {
+                vocalProminence, acousticness, mood, isVintage, instrumentalness
+            })
+        };
+    }
+    
+    /**
+     * Calculate weighted score for a specific preset
+     * @param {Object} [model] - { weights, presetBias } to score with instead of the current ones
+     */
+    calculatePresetScore(preset, analysis, genre, model = this) {
+        const scores = this.getDimensionScores(preset, analysis, genre);
+        const { weights } = model;
         
-        // === CONTEXT SCORE ===
-        breakdown.context = this.scoreContextMatch(preset, {
-            vocalProminence, acousticness, mood, isVintage, instrumentalness
-        }) * this.weights.context * 100;
+        const breakdown = {
+            genre: scores.genre * weights.genre * 100,
+            spectral: scores.spectral * weights.spectral * 100,
+            energy: scores.energy * weights.energy * 100,
+            frequency: scores.frequencyBalance * weights.frequencyBalance * 100,
+            dynamics: scores.dynamics * weights.dynamics * 100,
+            context: scores.context * weights.context * 100
+        };
         
-        const total = Object.values(breakdown).reduce((sum, val) => sum + val, 0);
+        const bias = model.presetBias[preset] || 0;
+        const total = Object.values(breakdown).reduce((sum, val) => sum + val, 0) + bias;
         
         // Generate reason from highest scoring factors
         const topFactors = Object.entries(breakdown)
@@ -363,6 +405,7 @@ applyHardRules(analysis, genre) {
         return {
             total,
             breakdown,
+            bias,
             reason
         };
     }
@@ -570,26 +613,11 @@ applyHardRules(analysis, genre) {
      */
     applyAutoEQ(track) {
         if (!this.enabled) {
-             // Calculate total gain boost to apply makeup gain compensation
-    const totalBoost = Math.abs(bassAdjust) + Math.abs(midAdjust) + Math.abs(trebleAdjust);
-    
-    if (totalBoost > 6 && window.volumeMakeupGain) {
-        // Reduce makeup gain to prevent clipping on heavy EQ
-        const compensationFactor = Math.max(0.6, 1 - (totalBoost / 36)); // Max 40% reduction
-        window.volumeMakeupGain.gain.setValueAtTime(
-            1.2 * compensationFactor, 
-            window.audioContext.currentTime
-        );
-        
-        this.debugLog(`ðŸŽšï¸ Applied gain compensation: ${(compensationFactor * 100).toFixed(0)}%`, 'info');
-    } else if (window.volumeMakeupGain) {
-        // Reset to normal
-        window.volumeMakeupGain.gain.setValueAtTime(1.2, window.audioContext.currentTime);
-    }
             return;
         }
         
         const preset = this.selectPresetForTrack(track);
+        this.lastDecision = { track, preset };
         
         // Don't reapply if already using this preset
         if (preset === this.lastAppliedPreset) {
@@ -618,6 +646,7 @@ applyHardRules(analysis, genre) {
         if (!enabled) {
             this.presetsManager.applyPreset('flat');
             this.lastAppliedPreset = null;
+            this.lastDecision = null;
             
             const presetSelect = document.getElementById('eq-preset-select');
             if (presetSelect) {
@@ -660,51 +689,73 @@ applyHardRules(analysis, genre) {
         this.debugLog(`Confidence threshold set to ${this.confidenceThreshold}`, 'info');
     }
     
+    // ========== LEARNED MODEL ==========
+    
     /**
-     * Get detailed scoring breakdown for debugging
+     * Weights, preset bias, combo trust and threshold learned from the user's corrections
+     * @param {Object|null} model - { weights, presetBias, comboTrust, confidenceThreshold }, or null for the defaults
      */
-    getScoreBreakdown(track) {
-        if (!track.analysis) {
-            return { error: 'No analysis data available' };
-        }
-        
-        const genre = track.metadata?.genre?.toLowerCase() || '';
+    setModel(model) {
+        this.weights = { ...this.defaultWeights, ...model?.weights };
+        this.presetBias = { ...model?.presetBias };
+        this.comboTrust = { ...model?.comboTrust };
+        this.confidenceThreshold = model?.confidenceThreshold ?? this.defaultThreshold;
+        this.lastAppliedPreset = null;
         
-        // Check hard rules
-        const hardRule = this.applyHardRules(track.analysis, genre);
-        if (hardRule) {
-            return {
-                method: 'Hard Rule',
-                bestMatch: hardRule.preset,
-                confidence: hardRule.confidence,
-                reason: hardRule.reason,
-                willApply: true
-            };
+        try {
+            if (model) {
+                localStorage.setItem('autoEQModel', JSON.stringify({
+                    weights: this.weights,
+                    presetBias: this.presetBias,
+                    comboTrust: this.comboTrust,
+                    confidenceThreshold: this.confidenceThreshold
+                }));
+            } else {
+                localStorage.removeItem('autoEQModel');
+            }
+        } catch (err) {
+            this.debugLog(`Failed to save Auto-EQ model: ${err.message}`, 'error');
         }
-        
-        // Check combo patterns
-        const combo = this.detectComboPatterns(track.analysis, genre);
-        if (combo.confidence >= this.confidenceThreshold) {
-            return {
-                method: 'Combo Pattern',
-                bestMatch: combo.preset,
-                confidence: combo.confidence,
-                reason: combo.reason,
-                willApply: true
-            };
+    }
+    
+    loadModel() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('autoEQModel') || 'null');
+            if (saved) {
+                this.weights = { ...this.defaultWeights, ...saved.weights };
+                this.presetBias = saved.presetBias || {};
+                this.comboTrust = saved.comboTrust || {};
+                this.confidenceThreshold = saved.confidenceThreshold ?? this.defaultThreshold;
+            }
+        } catch (err) {
+            this.debugLog(`Failed to load Auto-EQ model: ${err.message}`, 'error');
         }
+    }
+    
+    /**
+     * Everything behind a track's pick, for the explain panel, the library dry run and
+     * debugging - the decision (same decide() path and learned model as applyAutoEQ),
+     * the hard rule and combo patterns it matched, and every candidate's score per dimension
+     * @returns {Object|null} { genre, threshold, decision, hardRule, combos, scores }, null without analysis data
+     */
+    getScoreBreakdown(track) {
+        if (!track?.analysis) return null;
         
-        // Multi-dimensional scoring
-        const decision = this.multiDimensionalScoring(track.analysis, genre);
+        const { analysis } = track;
+        const genre = track.metadata?.genre?.toLowerCase() || '';
         
         return {
-            method: 'Multi-Dimensional Scoring',
-            bestMatch: decision.preset,
-            confidence: decision.confidence,
-            reason: decision.reason,
-            willApply: decision.confidence >= this.confidenceThreshold,
+            genre,
             threshold: this.confidenceThreshold,
-            breakdown: decision.breakdown
+            decision: this.decide(analysis, genre),
+            hardRule: this.applyHardRules(analysis, genre),
+            combos: this.getComboPatterns(analysis, genre).map(pattern => {
+                const trust = this.comboTrust[pattern.preset] ?? 1;
+                return { ...pattern, trust, effective: pattern.confidence * trust };
+            }),
+            scores: this.candidatePresets
+                .map(preset => ({ preset, ...this.calculatePresetScore(preset, analysis, genre) }))
+                .sort((a, b) => b.total - a.total)
         };
     }
 }
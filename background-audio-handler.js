@@ -18,12 +18,24 @@ class EnhancedBackgroundAudioHandler {
             network: navigator.onLine,
             visibility: document.visibilityState,
             wakeLock: null,
+            wakeLockBlocked: false,
             serviceWorkerReady: false
         };
         
         // Metadata cache for performance
         this.metadataCache = new Map();
         
+        // Extra line shown in the Media Session (e.g. sleep timer countdown)
+        this.sessionStatus = null;
+        
+        // Keeps a hidden tab running while something is scheduled (e.g. an alarm)
+        this.keepAlive = {
+            reasons: new Set(),
+            context: null,
+            oscillator: null,
+            interval: null
+        };
+        
         // Recovery system
         this.recovery = {
             attempts: 0,
@@ -205,7 +217,7 @@ class EnhancedBackgroundAudioHandler {
         }
         
         const track = playlist[trackIndex];
-        const cacheKey = `${track.fileName}_${trackIndex}`;
+        const cacheKey = `${track.fileName}_${trackIndex}_${this.sessionStatus || ''}`;
         
         // Use cached metadata unless forced update
         if (!forceUpdate && this.metadataCache.has(cacheKey)) {
@@ -243,7 +255,7 @@ class EnhancedBackgroundAudioHandler {
         const mediaMetadata = new MediaMetadata({
             title: displayTitle,
             artist: displayArtist,
-            album: metadata.album || 'Unknown Album',
+            album: [metadata.album || 'Unknown Album', this.sessionStatus].filter(Boolean).join(' · '),
             artwork: artwork
         });
         
@@ -260,6 +272,17 @@ class EnhancedBackgroundAudioHandler {
         console.log('🎵 Media Session metadata updated:', metadata.title || track.fileName);
     }
     
+    /**
+     * Show a short status next to the album in the OS media controls
+     * @param {string|null} text - e.g. '💤 12 min left' (null removes it)
+     */
+    setSessionStatus(text) {
+        if (text === this.sessionStatus) return;
+        
+        this.sessionStatus = text;
+        this.updateMediaSessionMetadata();
+    }
+    
     setDefaultMetadata() {
         if (!('mediaSession' in navigator)) return;
         
@@ -370,8 +393,8 @@ class EnhancedBackgroundAudioHandler {
         }
         
         const requestWakeLock = async () => {
-            // Only request when playing and visible
-            if (this.player.paused || document.visibilityState !== 'visible') {
+            // Only request when playing and visible (and not given up by the sleep timer)
+            if (this.player.paused || document.visibilityState !== 'visible' || this.state.wakeLockBlocked) {
                 return;
             }
             
@@ -394,20 +417,13 @@ class EnhancedBackgroundAudioHandler {
             }
         };
         
-        const releaseWakeLock = async () => {
-            if (this.state.wakeLock) {
-                try {
-                    await this.state.wakeLock.release();
-                    this.state.wakeLock = null;
-                    console.log('🔓 Wake lock released');
-                } catch (error) {
-                    console.warn('⚠️ Wake lock release failed:', error);
-                }
-            }
-        };
+        const releaseWakeLock = () => this.releaseWakeLock();
         
-        // Request on play (if visible)
-        this.player.addEventListener('play', requestWakeLock);
+        // Request on play (if visible) - a new play undoes a sleep-timer release
+        this.player.addEventListener('play', () => {
+            this.state.wakeLockBlocked = false;
+            requestWakeLock();
+        });
         
         // Release on pause
         this.player.addEventListener('pause', releaseWakeLock);
@@ -425,6 +441,96 @@ class EnhancedBackgroundAudioHandler {
         return true;
     }
     
+    /**
+     * Let the screen sleep
+     * @param {boolean} untilNextPlay - Don't re-acquire on visibility changes until playback restarts
+     */
+    async releaseWakeLock(untilNextPlay = false) {
+        if (untilNextPlay) this.state.wakeLockBlocked = true;
+        
+        if (this.state.wakeLock) {
+            try {
+                await this.state.wakeLock.release();
+                this.state.wakeLock = null;
+                console.log('🔓 Wake lock released');
+            } catch (error) {
+                console.warn('⚠️ Wake lock release failed:', error);
+            }
+        }
+    }
+    
+    // ============================================
+    // KEEP-ALIVE
+    // ============================================
+    
+    /**
+     * Keep timers running while the tab is hidden and nothing is playing.
+     * Browsers throttle hidden tabs to about one timer per minute unless they
+     * are playing audio, so this plays an inaudible tone and pings the service worker.
+     * @param {string} reason - Who needs it (each releases only its own)
+     */
+    startKeepAlive(reason) {
+        const wasRunning = this.keepAlive.reasons.size > 0;
+        this.keepAlive.reasons.add(reason);
+        if (wasRunning) return;
+        
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (AudioContextClass) {
+            try {
+                const ctx = new AudioContextClass();
+                const oscillator = ctx.createOscillator();
+                const gain = ctx.createGain();
+                
+                // Far below hearing, but the tab still counts as playing audio
+                oscillator.frequency.value = 20;
+                gain.gain.value = 0.0001;
+                oscillator.connect(gain);
+                gain.connect(ctx.destination);
+                oscillator.start();
+                
+                this.keepAlive.context = ctx;
+                this.keepAlive.oscillator = oscillator;
+                
+                // Created without a user gesture (e.g. after a reload) - start on the next one
+                if (ctx.state === 'suspended') {
+                    const resume = () => {
+                        if (this.keepAlive.context === ctx) ctx.resume().catch(() => {});
+                    };
+                    document.addEventListener('pointerdown', resume, { once: true });
+                    document.addEventListener('keydown', resume, { once: true });
+                }
+            } catch (error) {
+                console.warn('⚠️ Keep-alive audio failed:', error);
+            }
+        }
+        
+        this.keepAlive.interval = setInterval(() => {
+            navigator.serviceWorker?.controller?.postMessage({ type: 'KEEP_ALIVE' });
+        }, 20000);
+        
+        console.log(`💓 Keep-alive started (${reason})`);
+    }
+    
+    stopKeepAlive(reason) {
+        if (!this.keepAlive.reasons.delete(reason) || this.keepAlive.reasons.size > 0) return;
+        
+        clearInterval(this.keepAlive.interval);
+        this.keepAlive.interval = null;
+        
+        if (this.keepAlive.context) {
+            try {
+                this.keepAlive.oscillator.stop();
+            } catch (error) {
+                // Already stopped
+            }
+            this.keepAlive.context.close().catch(() => {});
+            this.keepAlive.context = null;
+            this.keepAlive.oscillator = null;
+        }
+        
+        console.log('💓 Keep-alive stopped');
+    }
+    
     // ============================================
     // PLAYER EVENT LISTENERS
     // ============================================
@@ -711,6 +817,7 @@ class EnhancedBackgroundAudioHandler {
                 lastError: this.recovery.lastError?.message || null
             },
             visibility: this.state.visibility,
+            keepAlive: Array.from(this.keepAlive.reasons),
             cacheSize: this.metadataCache.size
         };
     }
@@ -747,6 +854,9 @@ class EnhancedBackgroundAudioHandler {
             this.state.wakeLock.release().catch(() => {});
         }
         
+        // Stop keep-alive
+        Array.from(this.keepAlive.reasons).forEach(reason => this.stopKeepAlive(reason));
+        
         // Clear caches
         this.metadataCache.clear();
         
@@ -756,6 +866,7 @@ class EnhancedBackgroundAudioHandler {
             network: navigator.onLine,
             visibility: document.visibilityState,
             wakeLock: null,
+            wakeLockBlocked: false,
             serviceWorkerReady: false
         };
         
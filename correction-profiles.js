@@ -0,0 +1,457 @@
+/* ============================================
+   Correction Profiles - Headphone / room correction as its own
+   filter stage ahead of the EQ, imported from AutoEq
+   ParametricEQ.txt, Equalizer APO configs or REW filter exports
+   ============================================ */
+
+class CorrectionProfiles {
+    constructor(equalizer, debugLog) {
+        this.equalizer = equalizer; // For the response maths
+        this.debugLog = debugLog;
+        this.modal = null;
+
+        this.kinds = { headphones: '🎧 Headphones', speakers: '🔈 Speakers', room: '🏠 Room' };
+        this.maxFilters = 32;
+
+        // File type codes -> Web Audio filter types
+        this.filterTypes = {
+            PK: 'peaking', PEQ: 'peaking', MODAL: 'peaking',
+            LS: 'lowshelf', LSC: 'lowshelf', LSQ: 'lowshelf',
+            HS: 'highshelf', HSC: 'highshelf', HSQ: 'highshelf',
+            LP: 'lowpass', LPQ: 'lowpass',
+            HP: 'highpass', HPQ: 'highpass',
+            NO: 'notch'
+        };
+
+        // Saved profiles: id -> { name, kind, preamp (dB), filters: [{ type, frequency, gain, Q }], format }
+        this.profiles = this.loadProfiles();
+        this.activeId = localStorage.getItem('correctionActive');
+        if (!this.profiles[this.activeId]) this.activeId = null;
+
+        // Audio nodes (created by attach)
+        this.audioContext = null;
+        this.input = null;
+        this.preGain = null;
+        this.output = null;
+        this.filters = [];
+
+        this.switcher = document.getElementById('correction-select');
+        this.setupSwitcher();
+    }
+
+    // ========== AUDIO ==========
+
+    attach(audioContext) {
+        if (this.audioContext) return;
+
+        this.audioContext = audioContext;
+        this.input = audioContext.createGain();
+        this.preGain = audioContext.createGain();
+        this.output = audioContext.createGain();
+        this.input.connect(this.preGain);
+        this.rebuild();
+    }
+
+    /**
+     * Rebuild the filters for the active profile (none = straight through)
+     */
+    rebuild() {
+        if (!this.audioContext) return;
+
+        const profile = this.getActive();
+        this.preGain.disconnect();
+        this.filters.forEach(filter => filter.disconnect());
+
+        this.preGain.gain.value = profile ? Math.pow(10, profile.preamp / 20) : 1;
+        this.filters = (profile ? this.toNodeBands(profile.filters) : []).map(band => {
+            const filter = this.audioContext.createBiquadFilter();
+            filter.type = band.type;
+            filter.frequency.value = band.frequency;
+            filter.gain.value = band.gain;
+            filter.Q.value = band.Q;
+            return filter;
+        });
+
+        let node = this.preGain;
+        this.filters.forEach(filter => {
+            node.connect(filter);
+            node = filter;
+        });
+        node.connect(this.output);
+    }
+
+    /**
+     * Files give low/high-pass Q as a plain ratio; Web Audio wants the resonance in dB
+     */
+    toNodeBands(filters) {
+        return filters.map(filter => (filter.type === 'lowpass' || filter.type === 'highpass')
+            ? { ...filter, Q: 20 * Math.log10(filter.Q) }
+            : filter);
+    }
+
+    /**
+     * Combined response of a profile in dB, preamp included
+     */
+    getResponse(frequencies, profile) {
+        return this.equalizer.getResponse(frequencies, this.toNodeBands(profile.filters))
+            .map(db => db + profile.preamp);
+    }
+
+    // ========== PROFILES ==========
+
+    getActive() {
+        return this.activeId ? this.profiles[this.activeId] : null;
+    }
+
+    /**
+     * @param {string|null} id - null turns correction off
+     */
+    setActive(id) {
+        this.activeId = this.profiles[id] ? id : null;
+        if (this.activeId) localStorage.setItem('correctionActive', this.activeId);
+        else localStorage.removeItem('correctionActive');
+
+        this.rebuild();
+        this.renderSwitcher();
+        this.renderProfiles();
+
+        const profile = this.getActive();
+        this.debugLog(profile ? `🎧 Correction: ${profile.name} (${profile.filters.length} filters, ${profile.preamp} dB preamp)` : '🎧 Correction off', 'info');
+    }
+
+    /**
+     * @returns {string} Profile id
+     */
+    addProfile(name, kind, parsed) {
+        const id = `correction-${Date.now()}`;
+        this.profiles[id] = {
+            name: name.trim() || 'My headphones',
+            kind: this.kinds[kind] ? kind : 'headphones',
+            preamp: parsed.preamp,
+            filters: parsed.filters,
+            format: parsed.format
+        };
+        this.saveProfiles();
+        this.debugLog(`📥 Imported correction profile: ${this.profiles[id].name} (${parsed.format}, ${parsed.filters.length} filters)`, 'success');
+        return id;
+    }
+
+    renameProfile(id, name) {
+        if (!this.profiles[id] || !name.trim()) return;
+        this.profiles[id].name = name.trim();
+        this.saveProfiles();
+        this.renderSwitcher();
+    }
+
+    deleteProfile(id) {
+        if (!this.profiles[id]) return;
+        delete this.profiles[id];
+        this.saveProfiles();
+        if (this.activeId === id) this.setActive(null);
+        else this.renderSwitcher();
+    }
+
+    // ========== PARSING ==========
+
+    /**
+     * Read a correction file. AutoEq, Equalizer APO and REW all write filters as
+     * "Filter N: ON PK Fc 100 Hz Gain -3.5 dB Q 1.41", with an optional "Preamp: -6 dB".
+     * @returns {Object} { preamp, filters, format, skipped } - preamp is worked out when the file has none
+     * @throws {Error} When there are no usable filters
+     */
+    parse(text) {
+        const filters = [];
+        const skipped = [];
+        let preamp = null;
+        // AutoEq writes plain APO syntax - a full APO config has device/channel/include lines too
+        const format = /Room EQ V|Filter Settings file/i.test(text) ? 'REW'
+            : /^\s*(Include|Device|Channel|Stage|Copy)\s*:/im.test(text) ? 'Equalizer APO' : 'AutoEq';
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            if (!line) return;
+
+            const preampMatch = line.match(/^Preamp\s*:\s*([-+]?\d+(?:\.\d+)?)\s*dB/i);
+            if (preampMatch) {
+                preamp = (preamp || 0) + parseFloat(preampMatch[1]);
+                return;
+            }
+
+            if (/^GraphicEQ\s*:/i.test(line)) {
+                skipped.push('GraphicEQ line (use the ParametricEQ file instead)');
+                return;
+            }
+
+            const filterMatch = line.match(/^Filter\s*\d*\s*:\s*(ON|OFF)\s+(\S+)(.*)$/i);
+            if (!filterMatch) return;
+            if (filterMatch[1].toUpperCase() === 'OFF' || /^none$/i.test(filterMatch[2])) return;
+
+            const code = filterMatch[2].toUpperCase();
+            const type = this.filterTypes[code];
+            if (!type) {
+                skipped.push(`${code} filter`);
+                return;
+            }
+
+            const params = filterMatch[3];
+            const number = (pattern) => {
+                const match = params.match(pattern);
+                return match ? parseFloat(match[1]) : null;
+            };
+
+            const frequency = number(/Fc\s*([-+]?\d+(?:\.\d+)?)/i);
+            if (!frequency) {
+                skipped.push(`${code} filter without a frequency`);
+                return;
+            }
+
+            let Q = number(/\bQ\s*([-+]?\d+(?:\.\d+)?)/i);
+            const bandwidth = number(/BW\s*Oct\s*([-+]?\d+(?:\.\d+)?)/i);
+            if (Q === null && bandwidth) {
+                const ratio = Math.pow(2, bandwidth);
+                Q = Math.sqrt(ratio) / (ratio - 1);
+            }
+            if (Q === null) Q = Math.SQRT1_2; // Butterworth
+
+            filters.push({
+                type,
+                frequency: Math.max(10, Math.min(22000, frequency)),
+                gain: Math.max(-30, Math.min(30, number(/Gain\s*([-+]?\d+(?:\.\d+)?)/i) || 0)),
+                Q: Math.max(0.05, Math.min(30, Q))
+            });
+        });
+
+        if (filters.length === 0) {
+            throw new Error(skipped.length ? `No supported filters (skipped: ${skipped.join(', ')})` : 'No filters found - expected lines like "Filter 1: ON PK Fc 100 Hz Gain -3 dB Q 1.41"');
+        }
+        if (filters.length > this.maxFilters) {
+            skipped.push(`${filters.length - this.maxFilters} filters over the ${this.maxFilters} limit`);
+            filters.length = this.maxFilters;
+        }
+
+        // No preamp in the file: leave just enough headroom for the biggest boost
+        if (preamp === null) {
+            const frequencies = Array.from({ length: 121 }, (_, i) => 20 * Math.pow(1000, i / 120));
+            const peak = Math.max(...this.getResponse(frequencies, { filters, preamp: 0 }));
+            preamp = -Math.max(0, Math.round(peak * 10) / 10);
+        }
+
+        return { preamp, filters, format, skipped };
+    }
+
+    // ========== SWITCHER ==========
+
+    setupSwitcher() {
+        if (!this.switcher) return;
+
+        this.switcher.onchange = () => {
+            if (this.switcher.value === 'manage') {
+                this.renderSwitcher();
+                this.open();
+                return;
+            }
+            this.setActive(this.switcher.value || null);
+        };
+        this.renderSwitcher();
+    }
+
+    renderSwitcher() {
+        if (!this.switcher) return;
+
+        this.switcher.innerHTML = `
+            <option value="">No correction</option>
+            ${Object.entries(this.profiles).map(([id, profile]) => `
+                <option value="${id}">${this.kinds[profile.kind].split(' ')[0]} ${this.escapeHtml(profile.name)}</option>
+            `).join('')}
+            <option value="manage">Manage / import...</option>
+        `;
+        this.switcher.value = this.activeId || '';
+        this.switcher.classList.toggle('active', !!this.activeId);
+    }
+
+    // ========== MODAL ==========
+
+    open() {
+        if (this.modal) return;
+
+        this.modal = document.createElement('div');
+        this.modal.id = 'correction-modal';
+        this.modal.innerHTML = `
+            <div class="metadata-editor-overlay"></div>
+            <div class="metadata-editor-content correction-content">
+                <div class="metadata-editor-header">
+                    <h2>🎧 Device Correction</h2>
+                    <button class="metadata-editor-close">✕</button>
+                </div>
+                <div class="metadata-editor-body">
+                    <p class="correction-hint">Correction runs before the EQ, so genre presets and Auto-EQ stack on top of it.</p>
+                    <ul class="correction-list"></ul>
+
+                    <div class="metadata-form-group">
+                        <label>Import a profile</label>
+                        <div class="correction-import-row">
+                            <input type="text" id="correction-name" placeholder="Name, e.g. HD 650">
+                            <select id="correction-kind">
+                                ${Object.entries(this.kinds).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                            </select>
+                            <button type="button" class="btn-secondary" id="correction-file">📂 Choose file</button>
+                        </div>
+                        <textarea id="correction-text" rows="5" placeholder="...or paste it here:&#10;Preamp: -6.2 dB&#10;Filter 1: ON LSC Fc 105 Hz Gain 5.5 dB Q 0.70&#10;Filter 2: ON PK Fc 200 Hz Gain -2.3 dB Q 0.50"></textarea>
+                        <small class="correction-hint">AutoEq ParametricEQ.txt, Equalizer APO config.txt or a REW filter export (.txt). Shelves use Web Audio's fixed slope, so a shelf's Q is approximated.</small>
+                        <div class="correction-import-status"></div>
+                        <button type="button" class="btn-primary" id="correction-import">Import</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelector('#correction-file').onclick = () => this.chooseFile();
+        this.modal.querySelector('#correction-import').onclick = () => this.importText(this.modal.querySelector('#correction-text').value);
+        this.modal.querySelector('.metadata-editor-close').onclick = () => this.close();
+        this.modal.querySelector('.metadata-editor-overlay').onclick = () => this.close();
+
+        this.renderProfiles();
+        requestAnimationFrame(() => {
+            this.modal?.classList.add('show');
+        });
+    }
+
+    renderProfiles() {
+        const list = this.modal?.querySelector('.correction-list');
+        if (!list) return;
+
+        const entries = Object.entries(this.profiles);
+        if (entries.length === 0) {
+            list.innerHTML = '<li class="correction-empty">No profiles yet - import one below.</li>';
+            return;
+        }
+
+        list.innerHTML = entries.map(([id, profile]) => `
+            <li class="correction-item ${id === this.activeId ? 'active' : ''}" data-id="${id}">
+                <svg class="correction-graph" viewBox="0 0 120 40" preserveAspectRatio="none">
+                    <line x1="0" y1="20" x2="120" y2="20"></line>
+                    <polyline points="${this.getGraphPoints(profile)}"></polyline>
+                </svg>
+                <div class="correction-info">
+                    <span class="correction-name">${this.escapeHtml(profile.name)}</span>
+                    <span class="correction-meta">${this.kinds[profile.kind]} · ${profile.filters.length} filters · ${profile.preamp} dB preamp · ${profile.format}</span>
+                </div>
+                <button type="button" class="btn-secondary correction-use">${id === this.activeId ? 'Turn off' : 'Use'}</button>
+                <button type="button" class="btn-secondary correction-rename" title="Rename">✏️</button>
+                <button type="button" class="btn-secondary correction-delete" title="Delete">🗑️</button>
+            </li>
+        `).join('');
+
+        list.querySelectorAll('.correction-item').forEach(item => {
+            const id = item.dataset.id;
+            item.querySelector('.correction-use').onclick = () => this.setActive(id === this.activeId ? null : id);
+            item.querySelector('.correction-rename').onclick = () => {
+                const name = prompt('Rename profile:', this.profiles[id].name);
+                if (name === null) return;
+                this.renameProfile(id, name);
+                this.renderProfiles();
+            };
+            item.querySelector('.correction-delete').onclick = () => {
+                if (!confirm(`Delete "${this.profiles[id].name}"?`)) return;
+                this.deleteProfile(id);
+                this.renderProfiles();
+            };
+        });
+    }
+
+    /**
+     * Response from 20 Hz to 20 kHz, ±15 dB, for the little graph
+     */
+    getGraphPoints(profile) {
+        const frequencies = Array.from({ length: 61 }, (_, i) => 20 * Math.pow(1000, i / 60));
+        return this.getResponse(frequencies, profile).map((db, i) => {
+            const y = 20 - Math.max(-15, Math.min(15, db)) / 15 * 19;
+            return `${(i * 2).toFixed(1)},${y.toFixed(1)}`;
+        }).join(' ');
+    }
+
+    chooseFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.txt,.cfg,.conf,text/plain';
+        input.onchange = async () => {
+            const file = input.files[0];
+            if (!file) return;
+
+            const nameInput = this.modal?.querySelector('#correction-name');
+            if (nameInput && !nameInput.value.trim()) {
+                nameInput.value = file.name.replace(/\.[^.]+$/, '').replace(/\s*ParametricEQ$/i, '');
+            }
+            this.importText(await file.text());
+        };
+        input.click();
+    }
+
+    importText(text) {
+        const status = this.modal?.querySelector('.correction-import-status');
+        let parsed;
+        try {
+            parsed = this.parse(text);
+        } catch (err) {
+            if (status) status.textContent = `⚠️ ${err.message}`;
+            this.debugLog(`⚠️ Correction import failed: ${err.message}`, 'warning');
+            return null;
+        }
+
+        const name = this.modal?.querySelector('#correction-name').value || '';
+        const kind = this.modal?.querySelector('#correction-kind').value || 'headphones';
+        const id = this.addProfile(name, kind, parsed);
+
+        if (this.modal) {
+            this.modal.querySelector('#correction-name').value = '';
+            this.modal.querySelector('#correction-text').value = '';
+            status.textContent = `✅ Imported ${parsed.filters.length} filters (${parsed.format})${parsed.skipped.length ? ` - skipped: ${parsed.skipped.join(', ')}` : ''}`;
+        }
+
+        this.setActive(id);
+        return id;
+    }
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.classList.remove('show');
+        const modal = this.modal;
+        this.modal = null;
+        setTimeout(() => modal.remove(), 300);
+    }
+
+    // ========== SETTINGS ==========
+
+    loadProfiles() {
+        try {
+            return JSON.parse(localStorage.getItem('correctionProfiles') || '{}');
+        } catch (err) {
+            this.debugLog(`Failed to load correction profiles: ${err.message}`, 'error');
+            return {};
+        }
+    }
+
+    saveProfiles() {
+        try {
+            localStorage.setItem('correctionProfiles', JSON.stringify(this.profiles));
+        } catch (err) {
+            this.debugLog(`Failed to save correction profiles: ${err.message}`, 'error');
+        }
+    }
+
+    // ========== Utilities ==========
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CorrectionProfiles;
+}
@@ -12,6 +12,35 @@ class CrossfadeManager {
         this.enabled = false;
         this.gaplessEnabled = true; // New: Gapless playback support
         this.baseDuration = 4; // Default crossfade duration in seconds
+        this.fadeInDuration = 1; // Incoming track (the outgoing one uses baseDuration)
+        this.fadeCurve = 'logarithmic';
+        this.transitionStyle = 'fade';
+        
+        // Beat matching (DJ mixes)
+        this.beatMatchEnabled = false;
+        this.maxStretch = 0.06; // Largest tempo change allowed on the incoming track (±6%)
+        this.minBeatConfidence = 0.5; // Beat grids less sure than this aren't trusted
+        
+        // Skip rules
+        this.noCrossfadeGenres = ['classical', 'opera', 'podcast', 'audiobook', 'spoken']; // Matched as part of the genre tag
+        this.skipEndSilence = true; // Move the transition up to where the music stops
+        this.minEndSilence = 1; // Shorter trailing silences are left alone
+        this.endTrim = 0; // Trailing silence skipped on the monitored track
+        
+        this.fadeCurves = {
+            'linear': 'Linear',
+            'equal-power': 'Equal power',
+            's-curve': 'S-curve',
+            'logarithmic': 'Logarithmic'
+        };
+        
+        this.transitionStyles = {
+            'fade': { label: 'Fade', description: 'Plain volume fade out and in' },
+            'bass-swap': { label: 'Bass swap', description: 'Bass drops out of the outgoing track and comes back halfway into the next' },
+            'filter-sweep': { label: 'Filter sweep', description: 'High-pass filter sweeps up through the outgoing track' },
+            'echo-out': { label: 'Echo out', description: 'Outgoing track dissolves into beat-timed echoes that ring over the next one' },
+            'beat-cut': { label: 'Cut on beat', description: 'Hard cut on the last bar (or beat) before the end, using the detected BPM' }
+        };
         
         // State tracking
         this.isFading = false;
@@ -19,10 +48,19 @@ class CrossfadeManager {
         this.scheduledNextTrack = null;
         this.fadeCheckInterval = null;
         this.lastCheckTime = 0;
+        this.suspendedBy = new Set(); // Features holding the current track (A-B loop, sleep timer)
+        this.fadeTimers = [];
+        this.switching = false; // Our own track change - playNext() mustn't cancel the transition
         
         // Audio nodes (created lazily)
         this.fadeGainNode = null;
+        this.bassCutNode = null; // Own shelf so the user's EQ and Auto-EQ stay untouched
+        this.sweepNode = null;
+        this.echoSend = null;
+        this.echoDelay = null;
+        this.echoFeedback = null;
         this.isInitialized = false;
+        this.chainOutput = null; // Node the fade feeds, once inserted into the audio chain
         
         // Next track preload
         this.nextTrackPreloaded = null;
@@ -52,6 +90,31 @@ class CrossfadeManager {
             this.fadeGainNode = this.audioContext.createGain();
             this.fadeGainNode.gain.value = 1.0;
             
+            // Transition effects - neutral until a transition runs. Bass swap has its own shelf
+            // rather than borrowing the EQ's low band, so the user's EQ (and Auto-EQ applying the
+            // next track's preset mid-transition) never fights the fade
+            this.bassCutNode = this.audioContext.createBiquadFilter();
+            this.bassCutNode.type = 'lowshelf';
+            this.bassCutNode.frequency.value = 250;
+            this.bassCutNode.gain.value = 0;
+            
+            this.sweepNode = this.audioContext.createBiquadFilter();
+            this.sweepNode.type = 'highpass';
+            this.sweepNode.frequency.value = 10;
+            
+            this.echoSend = this.audioContext.createGain();
+            this.echoSend.gain.value = 0;
+            this.echoDelay = this.audioContext.createDelay(2);
+            this.echoFeedback = this.audioContext.createGain();
+            this.echoFeedback.gain.value = 0.5;
+            
+            this.bassCutNode.connect(this.sweepNode);
+            this.sweepNode.connect(this.fadeGainNode);
+            this.sweepNode.connect(this.echoSend);
+            this.echoSend.connect(this.echoDelay);
+            this.echoDelay.connect(this.echoFeedback);
+            this.echoFeedback.connect(this.echoDelay);
+            
             // Store globally for audio chain integration
             window.crossfadeFadeGain = this.fadeGainNode;
             
@@ -78,12 +141,18 @@ class CrossfadeManager {
         }
         
         try {
-            // Disconnect existing connection
+            // Disconnect existing connections (reconnecting moves us to a new output)
             inputNode.disconnect();
+            if (this.chainOutput) {
+                this.fadeGainNode.disconnect();
+                this.echoDelay.disconnect(this.chainOutput);
+            }
             
-            // Insert our fade gain node
-            inputNode.connect(this.fadeGainNode);
+            // Insert our nodes: bass cut → sweep → fade gain, echoes bypass the fade
+            inputNode.connect(this.bassCutNode);
             this.fadeGainNode.connect(outputNode);
+            this.echoDelay.connect(outputNode);
+            this.chainOutput = outputNode;
             
             this.debugLog('✅ Crossfade inserted into audio chain', 'success');
             return true;
@@ -117,6 +186,41 @@ class CrossfadeManager {
             if (offset !== null) {
                 this.fadeStartOffset = parseFloat(offset);
             }
+            
+            const inDuration = localStorage.getItem('crossfadeInDuration');
+            if (inDuration !== null) {
+                this.fadeInDuration = parseFloat(inDuration);
+            }
+            
+            const curve = localStorage.getItem('crossfadeCurve');
+            if (curve && this.fadeCurves[curve]) {
+                this.fadeCurve = curve;
+            }
+            
+            const style = localStorage.getItem('crossfadeStyle');
+            if (style && this.transitionStyles[style]) {
+                this.transitionStyle = style;
+            }
+            
+            const beatMatch = localStorage.getItem('crossfadeBeatMatch');
+            if (beatMatch !== null) {
+                this.beatMatchEnabled = beatMatch === 'true';
+            }
+            
+            const maxStretch = localStorage.getItem('crossfadeMaxStretch');
+            if (maxStretch !== null) {
+                this.maxStretch = parseFloat(maxStretch);
+            }
+            
+            const genres = localStorage.getItem('crossfadeNoGenres');
+            if (genres !== null) {
+                this.noCrossfadeGenres = JSON.parse(genres);
+            }
+            
+            const skipSilence = localStorage.getItem('crossfadeSkipEndSilence');
+            if (skipSilence !== null) {
+                this.skipEndSilence = skipSilence === 'true';
+            }
         } catch (err) {
             this.debugLog('⚠️ Could not load crossfade settings', 'warning');
         }
@@ -131,6 +235,13 @@ class CrossfadeManager {
             localStorage.setItem('gaplessEnabled', this.gaplessEnabled.toString());
             localStorage.setItem('crossfadeDuration', this.baseDuration.toString());
             localStorage.setItem('crossfadeStartOffset', this.fadeStartOffset.toString());
+            localStorage.setItem('crossfadeInDuration', this.fadeInDuration.toString());
+            localStorage.setItem('crossfadeCurve', this.fadeCurve);
+            localStorage.setItem('crossfadeStyle', this.transitionStyle);
+            localStorage.setItem('crossfadeBeatMatch', this.beatMatchEnabled.toString());
+            localStorage.setItem('crossfadeMaxStretch', this.maxStretch.toString());
+            localStorage.setItem('crossfadeNoGenres', JSON.stringify(this.noCrossfadeGenres));
+            localStorage.setItem('crossfadeSkipEndSilence', this.skipEndSilence.toString());
         } catch (err) {
             this.debugLog('⚠️ Could not save crossfade settings', 'warning');
         }
@@ -140,12 +251,13 @@ class CrossfadeManager {
      * Calculate optimal crossfade duration based on track analysis
      */
     calculateFadeDuration(currentTrack, nextTrack) {
-        // If gapless is enabled and tracks are from same album/artist, use very short fade
-        if (this.gaplessEnabled && 
-            currentTrack?.metadata?.album === nextTrack?.metadata?.album && 
-            currentTrack?.metadata?.album) {
-            this.debugLog('✨ Gapless transition detected (Same Album)', 'info');
-            return 0.1; // Minimal crossfade for gapless
+        // Album running on in order, or a genre that shouldn't be blended - straight switch
+        const noCrossfade = this.getNoCrossfadeReason(currentTrack, nextTrack);
+        if (noCrossfade) {
+            this.debugLog(noCrossfade === 'album' ?
+                '✨ Gapless transition detected (next track on the album)' :
+                `🚫 No crossfade for ${currentTrack?.metadata?.genre || nextTrack?.metadata?.genre}`, 'info');
+            return 0.1;
         }
 
         let duration = this.baseDuration;
@@ -250,7 +362,7 @@ class CrossfadeManager {
      * Start monitoring for crossfade opportunity
      */
     startMonitoring(player, currentTrack, nextTrack, onFadeCallback) {
-        if ((!this.enabled && !this.gaplessEnabled) || !nextTrack) {
+        if (!nextTrack || !this.shouldMonitor(currentTrack, nextTrack)) {
             return;
         }
         
@@ -266,9 +378,20 @@ class CrossfadeManager {
         // Preload next track
         this.preloadNextTrack(nextTrack);
         
-        // Calculate when to start fade
+        // Calculate when to start fade (early enough for the whole fade-out,
+        // plus up to a bar and a half when it gets moved onto a downbeat)
+        this.endTrim = this.getEndTrim(currentTrack, nextTrack);
+        const end = player.duration - this.endTrim;
         const fadeDuration = this.calculateFadeDuration(currentTrack, nextTrack);
-        const fadeStartTime = this.calculateFadeStartPoint(currentTrack, player.duration);
+        const beatMatch = this.getBeatMatch(currentTrack, nextTrack, player.playbackRate);
+        const fadeStartTime = Math.min(
+            this.calculateFadeStartPoint(currentTrack, end),
+            end - fadeDuration - 0.5 - (beatMatch ? beatMatch.outBar * 1.5 : 0)
+        );
+        
+        if (this.endTrim > 0) {
+            this.debugLog(`🔇 Skipping ${this.endTrim.toFixed(1)}s of silence at the end`, 'info');
+        }
         
         this.fadeStartTime = fadeStartTime;
         this.fadeDuration = fadeDuration;
@@ -286,12 +409,12 @@ class CrossfadeManager {
      * Check if it's time to start fading
      */
     checkFadePoint(player, currentTrack, nextTrack) {
-        if ((!this.enabled && !this.gaplessEnabled) || this.isFading || !player || !this.scheduledNextTrack) {
+        if (this.isFading || this.suspendedBy.size > 0 || !player || !this.scheduledNextTrack) {
             return;
         }
         
         const currentTime = player.currentTime;
-        const duration = player.duration;
+        const duration = player.duration - this.endTrim;
         
         if (!duration || isNaN(duration)) {
             return;
@@ -302,8 +425,12 @@ class CrossfadeManager {
             this.fadeStartTime = this.calculateFadeStartPoint(currentTrack, duration);
         }
         
+        // The lead-in before the end is planned in real seconds, so at 2x it covers twice the track time
+        const rate = player.playbackRate || 1;
+        const fadeStartTime = duration - (duration - this.fadeStartTime) * rate;
+        
         // Check if we've reached fade point
-        if (currentTime >= this.fadeStartTime && currentTime < duration - 0.2) {
+        if (currentTime >= fadeStartTime && currentTime < duration - 0.2 * rate) {
             this.executeFade(player, currentTrack, nextTrack);
         }
     }
@@ -311,75 +438,367 @@ class CrossfadeManager {
     /**
      * Execute the actual crossfade
      */
-async executeFade(player, currentTrack, nextTrack) {
-    if (this.isFading) {
-        return;
+    async executeFade(player, currentTrack, nextTrack) {
+        if (this.isFading) {
+            return;
+        }
+        
+        this.isFading = true;
+        this.stopMonitoring();
+        
+        try {
+            if (this.audioContext.state === 'suspended') {
+                await this.audioContext.resume();
+            }
+            
+            // Real seconds left (track time runs faster or slower than the clock at other rates)
+            const timeRemaining = (player.duration - this.endTrim - player.currentTime) / (player.playbackRate || 1);
+            
+            // Album change, excluded genre or crossfade off - no fade, just switch on time
+            if (!this.shouldCrossfade(currentTrack, nextTrack) || !this.fadeGainNode) {
+                this.schedule(() => this.switchToNextTrack(player, nextTrack), timeRemaining - 0.05);
+                this.schedule(() => this.completeFade(), timeRemaining + 0.5);
+                return;
+            }
+            
+            // Switch slightly before the end
+            const beatMatch = this.getBeatMatch(currentTrack, nextTrack, player.playbackRate, true);
+            const plan = this.planTransition(player, currentTrack, timeRemaining - 0.3, { beatMatch });
+            this.applyOutPhase(plan);
+            this.debugLog(`📉 ${this.transitionStyles[plan.style].label} out over ${plan.outDuration.toFixed(1)}s (${this.fadeCurves[plan.curve]})`, 'info');
+            
+            this.schedule(async () => {
+                await this.switchToNextTrack(player, nextTrack, plan);
+                if (!this.isFading) return;
+                
+                this.applyInPhase(plan);
+                this.schedule(() => this.completeFade(), plan.inDuration + 0.2);
+            }, plan.switchAt);
+            
+        } catch (err) {
+            this.debugLog(`❌ Fade execution failed: ${err.message}`, 'error');
+            this.isFading = false;
+        }
     }
     
-    this.isFading = true;
-    this.stopMonitoring();
+    /**
+     * Run the transition on the current track without changing tracks
+     * @param {Object} options - { style, curve } to try before saving them
+     * @returns {boolean} false if nothing is playing or a transition is running
+     */
+    preview(player, track, options = {}) {
+        if (this.isFading || !player || player.paused) {
+            return false;
+        }
+        
+        if (!this.isInitialized) {
+            this.initAudioNodes();
+        }
+        if (!this.fadeGainNode) {
+            return false;
+        }
+        
+        this.isFading = true;
+        
+        const plan = this.planTransition(player, track, this.baseDuration, options);
+        this.applyOutPhase(plan);
+        
+        // Short silence where the track change would be
+        this.schedule(() => {
+            if (!this.isFading) return;
+            this.applyInPhase(plan);
+            this.schedule(() => this.completeFade(), plan.inDuration + 0.2);
+        }, plan.switchAt + 0.4);
+        
+        this.debugLog(`🎧 Previewing ${this.transitionStyles[plan.style].label} (${this.fadeCurves[plan.curve]})`, 'info');
+        return true;
+    }
     
-    try {
-        if (this.audioContext.state === 'suspended') {
-            await this.audioContext.resume();
+    /**
+     * Timings for one transition
+     * @param {number} available - Real seconds until the latest switch point
+     * @param {Object} options - { style, curve, beatMatch (from getBeatMatch) }
+     * @returns {Object} { style, curve, beat, switchAt, outStart, outDuration, inDuration, beatMatch } - times in seconds from now
+     */
+    planTransition(player, track, available, options = {}) {
+        const style = options.style || this.transitionStyle;
+        const curve = options.curve || this.fadeCurve;
+        const beatMatch = options.beatMatch || null;
+        const bpm = beatMatch ? 240 / beatMatch.outBar : track?.analysis?.bpm;
+        const beat = bpm ? 60 / bpm : 0.5;
+        const rate = player.playbackRate || 1;
+        const latest = player.currentTime + available * rate;
+        
+        let switchAt = Math.max(0, available);
+        let downbeat = null;
+        if (beatMatch) {
+            // Last downbeat of the outgoing track's grid
+            downbeat = beatMatch.outOffset + Math.floor((latest - beatMatch.outOffset) / beatMatch.outBar) * beatMatch.outBar;
+            if (downbeat > player.currentTime + 0.1) {
+                switchAt = (downbeat - player.currentTime) / rate;
+            } else {
+                downbeat = null;
+            }
+        }
+        if (downbeat === null && style === 'beat-cut') {
+            const cut = this.getBeatCutDelay(player, track, latest);
+            if (cut !== null) switchAt = cut;
         }
         
-        const fadeDuration = this.fadeDuration || this.baseDuration;
-        const now = this.audioContext.currentTime;
+        let outDuration = style === 'beat-cut'
+            ? Math.min(0.02, switchAt)
+            : Math.min(this.fadeDuration || this.baseDuration, switchAt);
         
-        const currentTime = player.currentTime;
-        const timeRemaining = player.duration - currentTime;
+        // Whole bars, so the fade starts on a downbeat as well
+        if (downbeat !== null && style !== 'beat-cut') {
+            const barSeconds = beatMatch.outBar / rate;
+            const bars = Math.max(1, Math.round(outDuration / barSeconds));
+            outDuration = Math.min(switchAt, bars * barSeconds);
+        }
+        
+        return {
+            style,
+            curve,
+            beat,
+            switchAt,
+            outStart: switchAt - outDuration,
+            outDuration,
+            inDuration: style === 'beat-cut' ? 0.02 : this.fadeInDuration,
+            beatMatch: downbeat !== null ? beatMatch : null
+        };
+    }
+    
+    /**
+     * Tempo and bar grids for a beat-matched transition
+     * @param {number} outRate - Playback rate of the outgoing track
+     * @param {boolean} log - Say why matching was skipped
+     * @returns {Object|null} { rate (for the incoming track), outBar, outOffset, inBar, inOffset } - bars in track seconds
+     */
+    getBeatMatch(currentTrack, nextTrack, outRate = 1, log = false) {
+        if (!this.enabled || !this.beatMatchEnabled) return null;
+        
+        const outGrid = currentTrack?.analysis?.beatGrid;
+        const inGrid = nextTrack?.analysis?.beatGrid;
+        if (!outGrid?.bpm || !inGrid?.bpm) {
+            if (log) this.debugLog('🥁 No beat match: analyze both tracks first', 'info');
+            return null;
+        }
         
-        // Start fade out
-        if (this.fadeGainNode && this.enabled) {
-            this.fadeGainNode.gain.cancelScheduledValues(now);
-            this.fadeGainNode.gain.setValueAtTime(this.fadeGainNode.gain.value, now);
-            this.fadeGainNode.gain.exponentialRampToValueAtTime(0.001, now + fadeDuration);
-            this.debugLog(`📉 Fading out over ${fadeDuration.toFixed(1)}s`, 'info');
+        if (outGrid.confidence < this.minBeatConfidence || inGrid.confidence < this.minBeatConfidence) {
+            if (log) this.debugLog(`🥁 No beat match: BPM detection unsure (${Math.round(Math.min(outGrid.confidence, inGrid.confidence) * 100)}%)`, 'info');
+            return null;
         }
         
-        // Switch slightly before end for gapless/crossfade
-        const switchDelay = Math.max(0, (timeRemaining - (this.enabled ? 0.3 : 0.05)) * 1000);
+        // Half and double time line up too
+        const outBpm = outGrid.bpm * (outRate || 1);
+        const inBpm = [inGrid.bpm, inGrid.bpm * 2, inGrid.bpm / 2].reduce((best, candidate) =>
+            Math.abs(Math.log(outBpm / candidate)) < Math.abs(Math.log(outBpm / best)) ? candidate : best
+        );
+        const rate = outBpm / inBpm;
         
-        setTimeout(() => {
-            this.switchToNextTrack(player, nextTrack);
-        }, switchDelay);
+        if (Math.abs(rate - 1) > this.maxStretch) {
+            if (log) this.debugLog(`🥁 No beat match: ${outBpm.toFixed(1)} → ${inGrid.bpm.toFixed(1)} BPM needs more than ±${Math.round(this.maxStretch * 100)}%`, 'info');
+            return null;
+        }
         
-        // Reset after fade completes
-        setTimeout(() => {
-            this.completeFade();
-        }, (this.enabled ? fadeDuration : 0.5) * 1000 + 500);
+        if (log) this.debugLog(`🥁 Beat match: ${inBpm.toFixed(1)} → ${outBpm.toFixed(1)} BPM (${rate >= 1 ? '+' : ''}${((rate - 1) * 100).toFixed(1)}%)`, 'success');
         
-    } catch (err) {
-        this.debugLog(`❌ Fade execution failed: ${err.message}`, 'error');
-        this.isFading = false;
+        return {
+            rate,
+            outBar: 240 / outGrid.bpm,
+            outOffset: outGrid.offset || 0,
+            inBar: 240 / inGrid.bpm,
+            inOffset: inGrid.offset || 0
+        };
     }
-}
     
     /**
-     * Switch to next track during fade
+     * Real seconds until the last bar line (or beat) before `latest`
+     * @param {number} latest - Track time the cut can't be after
+     * @returns {number|null} null without a BPM or a beat in range
      */
-switchToNextTrack(player, nextTrack) {
-    if (!this.onFadeStart) {
-        return;
+    getBeatCutDelay(player, track, latest) {
+        const bpm = track?.analysis?.bpm;
+        if (!bpm) return null;
+        
+        // The grid starts where the music does
+        const origin = track.analysis.silence?.start || 0;
+        const beat = 60 / bpm;
+        const earliest = player.currentTime + 0.1;
+        const rate = player.playbackRate || 1;
+        
+        for (const step of [beat * 4, beat]) {
+            const cut = origin + Math.floor((latest - origin) / step) * step;
+            if (cut >= earliest) return (cut - player.currentTime) / rate;
+        }
+        return null;
     }
     
-    this.debugLog('🔄 Transitioning tracks...', 'info');
+    /**
+     * Outgoing track: gain curve plus the style's effect, ending at the switch
+     */
+    applyOutPhase(plan) {
+        const now = this.audioContext.currentTime;
+        const start = now + plan.outStart;
+        const end = now + plan.switchAt;
+        
+        this.resetTransitionNodes(now);
+        
+        switch (plan.style) {
+            case 'bass-swap':
+                // Bass leaves during the first half, the rest fades normally
+                this.bassCutNode.gain.setValueAtTime(0, start);
+                this.bassCutNode.gain.linearRampToValueAtTime(-30, start + plan.outDuration / 2);
+                break;
+                
+            case 'filter-sweep':
+                this.sweepNode.frequency.setValueAtTime(10, start);
+                this.sweepNode.frequency.exponentialRampToValueAtTime(3000, end);
+                break;
+                
+            case 'echo-out': {
+                // Echoes build over the last two beats, then stop being fed
+                const echoStart = Math.max(start, end - plan.beat * 2);
+                this.echoDelay.delayTime.setValueAtTime(Math.min(2, plan.beat * 0.75), now);
+                this.echoSend.gain.setValueAtTime(0, echoStart);
+                this.echoSend.gain.linearRampToValueAtTime(0.8, end);
+                this.echoSend.gain.setValueAtTime(0, end);
+                
+                // Dry signal drops out over the same two beats
+                this.rampGain(this.fadeGainNode.gain, plan.curve, false, echoStart, end - echoStart);
+                return;
+            }
+        }
+        
+        this.rampGain(this.fadeGainNode.gain, plan.curve, false, start, plan.outDuration);
+    }
     
-    let startTime = 0;
-    // Only skip intro if crossfade is enabled (not for gapless album transitions)
-    if (this.enabled && nextTrack.analysis?.intro && nextTrack.analysis.intro.end) {
-        if (nextTrack.analysis.intro.end > 2) {
-            startTime = Math.min(8, nextTrack.analysis.intro.end);
+    /**
+     * Incoming track: gain curve back up, bass swapped back in halfway
+     */
+    applyInPhase(plan) {
+        const now = this.audioContext.currentTime;
+        
+        this.sweepNode.frequency.cancelScheduledValues(now);
+        this.sweepNode.frequency.setValueAtTime(10, now);
+        
+        if (plan.style === 'bass-swap') {
+            const swapAt = now + plan.inDuration / 2;
+            this.bassCutNode.gain.cancelScheduledValues(now);
+            this.bassCutNode.gain.setValueAtTime(-30, now);
+            this.bassCutNode.gain.setValueAtTime(-30, swapAt);
+            this.bassCutNode.gain.linearRampToValueAtTime(0, swapAt + 0.05);
         }
+        
+        this.rampGain(this.fadeGainNode.gain, plan.curve, true, now, plan.inDuration);
     }
     
-    this.onFadeStart({
-        track: nextTrack,
-        startTime: startTime,
-        preloadedURL: this.preloadBlob
-    });
-}
+    /**
+     * Gain curve for a fade
+     * @param {boolean} fadeIn - Mirror of the fade-out shape
+     */
+    rampGain(param, curve, fadeIn, start, duration) {
+        param.cancelScheduledValues(start);
+        
+        if (duration < 0.005) {
+            param.setValueAtTime(fadeIn ? 1 : 0, start);
+            return;
+        }
+        
+        // Ramps between points rather than setValueCurveAtTime, which throws
+        // when it overlaps automation that's still running
+        const points = 32;
+        param.setValueAtTime(this.getCurveValue(curve, fadeIn ? 1 : 0), start);
+        for (let i = 1; i <= points; i++) {
+            const x = i / points;
+            param.linearRampToValueAtTime(this.getCurveValue(curve, fadeIn ? 1 - x : x), start + duration * x);
+        }
+    }
+    
+    /**
+     * Fade-out gain at progress x (1 → 0)
+     */
+    getCurveValue(curve, x) {
+        switch (curve) {
+            case 'linear':
+                return 1 - x;
+            case 'equal-power':
+                return Math.cos(x * Math.PI / 2);
+            case 's-curve':
+                return 0.5 * (1 + Math.cos(x * Math.PI));
+            default:
+                // Straight line in decibels down to -60 dB
+                return (Math.pow(10, -3 * x) - 0.001) / 0.999;
+        }
+    }
+    
+    resetTransitionNodes(at = this.audioContext.currentTime) {
+        if (!this.fadeGainNode) return;
+        
+        this.fadeGainNode.gain.cancelScheduledValues(at);
+        this.fadeGainNode.gain.setValueAtTime(1.0, at);
+        this.bassCutNode.gain.cancelScheduledValues(at);
+        this.bassCutNode.gain.setValueAtTime(0, at);
+        this.sweepNode.frequency.cancelScheduledValues(at);
+        this.sweepNode.frequency.setValueAtTime(10, at);
+        this.echoSend.gain.cancelScheduledValues(at);
+        this.echoSend.gain.setValueAtTime(0, at);
+    }
+    
+    schedule(callback, seconds) {
+        this.fadeTimers.push(setTimeout(callback, Math.max(0, seconds) * 1000));
+    }
+    
+    clearTimers() {
+        this.fadeTimers.forEach(timer => clearTimeout(timer));
+        this.fadeTimers = [];
+    }
+    
+    /**
+     * Switch to next track during fade
+     */
+    async switchToNextTrack(player, nextTrack, plan = null) {
+        if (!this.onFadeStart) {
+            return;
+        }
+        
+        this.debugLog('🔄 Transitioning tracks...', 'info');
+        
+        let startTime = 0;
+        // Only skip intro when crossfading (not for gapless or straight switches)
+        if (plan && nextTrack.analysis?.intro && nextTrack.analysis.intro.end) {
+            if (nextTrack.analysis.intro.end > 2) {
+                startTime = Math.min(8, nextTrack.analysis.intro.end);
+            }
+        }
+        
+        // Beat-matched: come in on a downbeat at the outgoing tempo, ease back after the fade
+        let tempo = null;
+        const beatMatch = plan?.beatMatch;
+        if (beatMatch) {
+            const bars = Math.max(0, Math.ceil((startTime - beatMatch.inOffset) / beatMatch.inBar - 0.001));
+            startTime = beatMatch.inOffset + bars * beatMatch.inBar;
+            tempo = {
+                rate: beatMatch.rate,
+                holdFor: plan.inDuration,
+                easeOver: Math.max(4, beatMatch.inBar * 4)
+            };
+        }
+        
+        this.switching = true;
+        try {
+            await this.onFadeStart({
+                track: nextTrack,
+                startTime: startTime,
+                tempo: tempo,
+                preloadedURL: this.preloadBlob
+            });
+        } catch (err) {
+            this.debugLog(`⚠️ Track switch failed: ${err.message}`, 'warning');
+        } finally {
+            this.switching = false;
+        }
+    }
     
     /**
      * Complete fade and reset
@@ -390,24 +809,26 @@ switchToNextTrack(player, nextTrack) {
         }
         
         this.isFading = false;
+        this.clearTimers();
         
         // Restore gain to full
         if (this.fadeGainNode && this.audioContext) {
-            const now = this.audioContext.currentTime;
-            this.fadeGainNode.gain.cancelScheduledValues(now);
-            this.fadeGainNode.gain.setValueAtTime(1.0, now);
+            this.resetTransitionNodes();
         }
         
-        // Clean up
-        if (this.preloadBlob) {
-            URL.revokeObjectURL(this.preloadBlob);
-            this.preloadBlob = null;
+        // Clean up - unless the new track is already being monitored for its own transition
+        if (!this.fadeCheckInterval) {
+            if (this.preloadBlob) {
+                URL.revokeObjectURL(this.preloadBlob);
+                this.preloadBlob = null;
+            }
+            
+            this.scheduledNextTrack = null;
+            this.fadeStartTime = null;
+            this.fadeDuration = null;
+            this.endTrim = 0;
         }
         
-        this.scheduledNextTrack = null;
-        this.fadeStartTime = null;
-        this.fadeDuration = null;
-        
         this.debugLog('✅ Transition complete', 'success');
     }
     
@@ -419,17 +840,20 @@ switchToNextTrack(player, nextTrack) {
     }
     
     cancelFade() {
+        // The transition's own track change - it carries on into the fade-in
+        if (this.switching) return;
+        
         this.stopMonitoring();
+        this.clearTimers();
         
         if (this.isFading && this.fadeGainNode && this.audioContext) {
-            const now = this.audioContext.currentTime;
-            this.fadeGainNode.gain.cancelScheduledValues(now);
-            this.fadeGainNode.gain.setValueAtTime(1.0, now);
+            this.resetTransitionNodes();
         }
         
         this.isFading = false;
         this.scheduledNextTrack = null;
         this.fadeStartTime = null;
+        this.endTrim = 0;
         
         if (this.preloadBlob) {
             URL.revokeObjectURL(this.preloadBlob);
@@ -443,6 +867,108 @@ switchToNextTrack(player, nextTrack) {
         this.saveSettings();
     }
 
+    /**
+     * Hold off transitions without losing the scheduled next track
+     * @param {string} reason - Who is holding (each releases only its own hold)
+     * @param {boolean} suspended
+     */
+    setSuspended(reason, suspended) {
+        if (suspended) this.suspendedBy.add(reason);
+        else this.suspendedBy.delete(reason);
+        
+        if (suspended && this.isFading) this.cancelFade();
+    }
+
+    /**
+     * Whether anything other than `ignoreReason` is holding transitions
+     */
+    isSuspended(ignoreReason = null) {
+        return Array.from(this.suspendedBy).some(reason => reason !== ignoreReason);
+    }
+    
+    /**
+     * Whether the change from current to next should be seamless rather than a crossfade
+     */
+    isGaplessTransition(currentTrack, nextTrack) {
+        if (!this.gaplessEnabled || !nextTrack) return false;
+        // Joining seamlessly would keep the silence we want to cut
+        if (this.getEndTrim(currentTrack, nextTrack) > 0) return false;
+        if (!this.enabled) return true;
+        
+        return this.getNoCrossfadeReason(currentTrack, nextTrack) !== null;
+    }
+    
+    // ========== SKIP RULES ==========
+    
+    /**
+     * Whether the current track needs watching for its end (a fade, or silence to cut)
+     */
+    shouldMonitor(currentTrack, nextTrack) {
+        return this.enabled || this.getEndTrim(currentTrack, nextTrack) > 0;
+    }
+    
+    shouldCrossfade(currentTrack, nextTrack) {
+        return this.enabled && this.getNoCrossfadeReason(currentTrack, nextTrack) === null;
+    }
+    
+    /**
+     * Why this change shouldn't be crossfaded
+     * @returns {string|null} 'album', 'genre' or null
+     */
+    getNoCrossfadeReason(currentTrack, nextTrack) {
+        if (this.isAlbumContinuation(currentTrack, nextTrack)) return 'album';
+        if (this.matchesNoCrossfadeGenre(currentTrack) || this.matchesNoCrossfadeGenre(nextTrack)) return 'genre';
+        return null;
+    }
+    
+    /**
+     * Next track carries straight on from the current one: same album and disc with the
+     * following track number, or track 1 of the next disc after the last track
+     */
+    isAlbumContinuation(currentTrack, nextTrack) {
+        const album = this.normalizeAlbum(currentTrack?.metadata?.album);
+        if (!album || album !== this.normalizeAlbum(nextTrack?.metadata?.album)) return false;
+        
+        const [track, total] = this.parsePosition(currentTrack.metadata.track);
+        const [nextNumber] = this.parsePosition(nextTrack.metadata.track);
+        if (!track || !nextNumber) return false;
+        
+        const disc = this.parsePosition(currentTrack.metadata.disc)[0] || 1;
+        const nextDisc = this.parsePosition(nextTrack.metadata.disc)[0] || 1;
+        
+        if (disc === nextDisc) return nextNumber === track + 1;
+        return nextDisc === disc + 1 && nextNumber === 1 && (!total || track === total);
+    }
+    
+    normalizeAlbum(album) {
+        const name = (album || '').trim().toLowerCase();
+        return name === 'unknown album' ? '' : name;
+    }
+    
+    /**
+     * "3/12" → [3, 12]
+     */
+    parsePosition(value) {
+        if (value === null || value === undefined) return [null, null];
+        const [number, total] = String(value).split('/').map(part => parseInt(part));
+        return [number || null, total || null];
+    }
+    
+    matchesNoCrossfadeGenre(track) {
+        const genre = (track?.metadata?.genre || '').toLowerCase();
+        return !!genre && this.noCrossfadeGenres.some(rule => genre.includes(rule));
+    }
+    
+    /**
+     * Seconds of trailing silence to skip on the current track (0 if none or not wanted)
+     */
+    getEndTrim(currentTrack, nextTrack) {
+        if (!this.skipEndSilence || !nextTrack || this.isAlbumContinuation(currentTrack, nextTrack)) return 0;
+        
+        const silence = currentTrack?.analysis?.silence?.end || 0;
+        return silence >= this.minEndSilence ? silence : 0;
+    }
+    
     setGaplessEnabled(enabled) {
         this.gaplessEnabled = enabled;
         this.saveSettings();
@@ -459,11 +985,64 @@ switchToNextTrack(player, nextTrack) {
         this.saveSettings();
     }
     
+    setInDuration(seconds) {
+        this.fadeInDuration = Math.max(0, Math.min(this.maxFadeDuration, seconds));
+        this.saveSettings();
+    }
+    
+    setCurve(curve) {
+        if (!this.fadeCurves[curve]) return;
+        this.fadeCurve = curve;
+        this.saveSettings();
+    }
+    
+    setBeatMatchEnabled(enabled) {
+        this.beatMatchEnabled = enabled;
+        this.saveSettings();
+        this.debugLog(`🥁 Beat matching: ${enabled ? 'ON' : 'OFF'}`, 'info');
+    }
+    
+    /**
+     * @param {number} fraction - 0.01 to 0.16
+     */
+    setMaxStretch(fraction) {
+        this.maxStretch = Math.max(0.01, Math.min(0.16, fraction));
+        this.saveSettings();
+    }
+    
+    /**
+     * @param {string[]} genres - Matched case-insensitively as part of a track's genre
+     */
+    setNoCrossfadeGenres(genres) {
+        this.noCrossfadeGenres = genres.map(genre => genre.trim().toLowerCase()).filter(Boolean);
+        this.saveSettings();
+    }
+    
+    setSkipEndSilence(enabled) {
+        this.skipEndSilence = enabled;
+        this.saveSettings();
+        this.debugLog(`🔇 Skip silence at track end: ${enabled ? 'ON' : 'OFF'}`, 'info');
+    }
+    
+    setTransitionStyle(style) {
+        if (!this.transitionStyles[style]) return;
+        this.transitionStyle = style;
+        this.saveSettings();
+        this.debugLog(`🎚️ Transition style: ${this.transitionStyles[style].label}`, 'info');
+    }
+    
     getSettings() {
         return {
             enabled: this.enabled,
             gaplessEnabled: this.gaplessEnabled,
             baseDuration: this.baseDuration,
+            fadeInDuration: this.fadeInDuration,
+            fadeCurve: this.fadeCurve,
+            transitionStyle: this.transitionStyle,
+            beatMatchEnabled: this.beatMatchEnabled,
+            maxStretch: this.maxStretch,
+            noCrossfadeGenres: this.noCrossfadeGenres,
+            skipEndSilence: this.skipEndSilence,
             fadeStartOffset: this.fadeStartOffset,
             isFading: this.isFading,
             isInitialized: this.isInitialized
@@ -475,6 +1054,8 @@ switchToNextTrack(player, nextTrack) {
         this.stopMonitoring();
         if (this.preloadBlob) URL.revokeObjectURL(this.preloadBlob);
         if (this.fadeGainNode) try { this.fadeGainNode.disconnect(); } catch (err) {}
+        if (this.echoDelay) try { this.echoDelay.disconnect(); } catch (err) {}
+        if (this.bassCutNode) try { this.bassCutNode.disconnect(); } catch (err) {}
     }
 }
 
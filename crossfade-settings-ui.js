@@ -0,0 +1,239 @@
+/* ============================================
+   Crossfade Settings UI - Fade curves, in/out durations,
+   transition styles (previewable on the current track), beat matching
+   and skip rules
+   ============================================ */
+
+class CrossfadeSettingsUI {
+    constructor(player, debugLog) {
+        this.player = player;
+        this.debugLog = debugLog;
+        this.modal = null;
+
+        // Set by init
+        this.getManager = () => null; // Created with the audio context
+        this.getCurrentTrack = () => null;
+    }
+
+    /**
+     * @param {Object} config - { getManager, getCurrentTrack }
+     */
+    init(config = {}) {
+        if (config.getManager) this.getManager = config.getManager;
+        if (config.getCurrentTrack) this.getCurrentTrack = config.getCurrentTrack;
+    }
+
+    // ========== MODAL ==========
+
+    open() {
+        const manager = this.getManager();
+        if (!manager) {
+            alert('Please play a track first to initialize the audio system!');
+            return;
+        }
+
+        this.createModal();
+        this.render(manager);
+    }
+
+    createModal() {
+        if (this.modal) return;
+
+        this.modal = document.createElement('div');
+        this.modal.id = 'crossfade-settings-modal';
+        this.modal.innerHTML = `
+            <div class="metadata-editor-overlay"></div>
+            <div class="metadata-editor-content crossfade-settings-content">
+                <div class="metadata-editor-header">
+                    <h2>🌊 Transitions</h2>
+                    <button class="metadata-editor-close">✕</button>
+                </div>
+                <div class="metadata-editor-body"></div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelector('.metadata-editor-close').onclick = () => this.close();
+        this.modal.querySelector('.metadata-editor-overlay').onclick = () => this.close();
+
+        requestAnimationFrame(() => {
+            this.modal?.classList.add('show');
+        });
+    }
+
+    render(manager) {
+        const body = this.modal.querySelector('.metadata-editor-body');
+
+        body.innerHTML = `
+            ${manager.enabled ? '' : '<p class="crossfade-settings-note">Crossfade is off - fades and styles apply once it\'s switched on.</p>'}
+
+            <div class="metadata-form-group">
+                <label for="crossfade-curve">Fade curve</label>
+                <div class="crossfade-curve-row">
+                    <select id="crossfade-curve">
+                        ${Object.entries(manager.fadeCurves).map(([value, label]) => `
+                            <option value="${value}" ${value === manager.fadeCurve ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                    <svg class="crossfade-curve-graph" viewBox="0 0 120 50" preserveAspectRatio="none"></svg>
+                </div>
+            </div>
+
+            <div class="metadata-form-group">
+                <label for="crossfade-out">Fade out <span class="crossfade-out-value">${manager.baseDuration}s</span></label>
+                <input type="range" id="crossfade-out" min="${manager.minFadeDuration}" max="${manager.maxFadeDuration}" step="0.5" value="${manager.baseDuration}">
+            </div>
+
+            <div class="metadata-form-group">
+                <label for="crossfade-in">Fade in <span class="crossfade-in-value">${manager.fadeInDuration}s</span></label>
+                <input type="range" id="crossfade-in" min="0" max="${manager.maxFadeDuration}" step="0.5" value="${manager.fadeInDuration}">
+            </div>
+
+            <div class="metadata-form-group">
+                <label>Transition style</label>
+                <ul class="crossfade-style-list">
+                    ${Object.entries(manager.transitionStyles).map(([value, style]) => `
+                        <li class="crossfade-style ${value === manager.transitionStyle ? 'selected' : ''}" data-style="${value}">
+                            <label>
+                                <input type="radio" name="crossfade-style" value="${value}" ${value === manager.transitionStyle ? 'checked' : ''}>
+                                <span class="crossfade-style-name">${style.label}</span>
+                                <span class="crossfade-style-description">${style.description}</span>
+                            </label>
+                            <button type="button" class="btn-secondary crossfade-preview" title="Preview on the current track">▶ Preview</button>
+                        </li>
+                    `).join('')}
+                </ul>
+                <small class="crossfade-settings-hint">Preview plays the transition on what's playing now, without changing tracks.</small>
+            </div>
+
+            <div class="metadata-form-group">
+                <label>Beat matching</label>
+                <label class="crossfade-checkbox">
+                    <input type="checkbox" id="crossfade-beat-match" ${manager.beatMatchEnabled ? 'checked' : ''}>
+                    Match the next track's tempo and bring it in on a downbeat
+                </label>
+                <label for="crossfade-max-stretch">Max tempo change <span class="crossfade-stretch-value">±${Math.round(manager.maxStretch * 100)}%</span></label>
+                <input type="range" id="crossfade-max-stretch" min="1" max="16" step="1" value="${Math.round(manager.maxStretch * 100)}" ${manager.beatMatchEnabled ? '' : 'disabled'}>
+                <small class="crossfade-settings-hint">Needs analyzed tracks. Skipped when the BPM detection is unsure or the tempos are further apart than this; the speed eases back to normal after the fade.</small>
+            </div>
+
+            <div class="metadata-form-group">
+                <label>Rules</label>
+                <label class="crossfade-checkbox">
+                    <input type="checkbox" id="crossfade-gapless" ${manager.gaplessEnabled ? 'checked' : ''}>
+                    Gapless playback
+                </label>
+                <small class="crossfade-settings-hint">The next track on the same album and disc (by track number) is never crossfaded, so live albums and DJ mixes play straight through.</small>
+                <label class="crossfade-checkbox">
+                    <input type="checkbox" id="crossfade-skip-silence" ${manager.skipEndSilence ? 'checked' : ''}>
+                    Skip silence at the end of tracks
+                </label>
+                <label for="crossfade-no-genres">Never crossfade these genres</label>
+                <input type="text" id="crossfade-no-genres" value="${manager.noCrossfadeGenres.join(', ')}" placeholder="classical, podcast">
+                <small class="crossfade-settings-hint">Comma separated. A track matches if its genre contains any of these.</small>
+            </div>
+        `;
+
+        const curveSelect = body.querySelector('#crossfade-curve');
+        curveSelect.onchange = () => {
+            manager.setCurve(curveSelect.value);
+            this.drawCurve(manager);
+        };
+        this.drawCurve(manager);
+
+        const outInput = body.querySelector('#crossfade-out');
+        outInput.oninput = () => {
+            manager.setDuration(parseFloat(outInput.value));
+            body.querySelector('.crossfade-out-value').textContent = `${manager.baseDuration}s`;
+            this.drawCurve(manager);
+        };
+
+        const inInput = body.querySelector('#crossfade-in');
+        inInput.oninput = () => {
+            manager.setInDuration(parseFloat(inInput.value));
+            body.querySelector('.crossfade-in-value').textContent = `${manager.fadeInDuration}s`;
+            this.drawCurve(manager);
+        };
+
+        const stretchInput = body.querySelector('#crossfade-max-stretch');
+        body.querySelector('#crossfade-beat-match').onchange = (e) => {
+            manager.setBeatMatchEnabled(e.target.checked);
+            stretchInput.disabled = !e.target.checked;
+        };
+        stretchInput.oninput = () => {
+            manager.setMaxStretch(parseInt(stretchInput.value) / 100);
+            body.querySelector('.crossfade-stretch-value').textContent = `±${Math.round(manager.maxStretch * 100)}%`;
+        };
+
+        body.querySelector('#crossfade-gapless').onchange = (e) => manager.setGaplessEnabled(e.target.checked);
+        body.querySelector('#crossfade-skip-silence').onchange = (e) => manager.setSkipEndSilence(e.target.checked);
+
+        const genresInput = body.querySelector('#crossfade-no-genres');
+        genresInput.onchange = () => {
+            manager.setNoCrossfadeGenres(genresInput.value.split(','));
+            genresInput.value = manager.noCrossfadeGenres.join(', ');
+        };
+
+        body.querySelectorAll('.crossfade-style').forEach(item => {
+            const style = item.dataset.style;
+
+            item.querySelector('input').onchange = () => {
+                manager.setTransitionStyle(style);
+                body.querySelectorAll('.crossfade-style').forEach(other => {
+                    other.classList.toggle('selected', other === item);
+                });
+            };
+
+            item.querySelector('.crossfade-preview').onclick = () => this.preview(manager, style);
+        });
+    }
+
+    /**
+     * Out and in curves side by side, widths in proportion to their durations
+     */
+    drawCurve(manager) {
+        const svg = this.modal?.querySelector('.crossfade-curve-graph');
+        if (!svg) return;
+
+        const total = manager.baseDuration + manager.fadeInDuration || 1;
+        const outWidth = 120 * manager.baseDuration / total;
+        const points = 24;
+
+        const path = (fadeIn, x0, width) => Array.from({ length: points + 1 }, (_, i) => {
+            const x = i / points;
+            const value = manager.getCurveValue(manager.fadeCurve, fadeIn ? 1 - x : x);
+            return `${(x0 + x * width).toFixed(1)},${(48 - value * 46).toFixed(1)}`;
+        }).join(' ');
+
+        svg.innerHTML = `
+            <polyline class="crossfade-curve-out" points="${path(false, 0, outWidth)}"></polyline>
+            <polyline class="crossfade-curve-in" points="${path(true, outWidth, 120 - outWidth)}"></polyline>
+        `;
+    }
+
+    preview(manager, style) {
+        if (this.player.paused) {
+            alert('Start playing a track to preview transitions.');
+            return;
+        }
+
+        if (!manager.preview(this.player, this.getCurrentTrack(), { style })) {
+            this.debugLog('⚠️ A transition is already running - try again in a moment', 'warning');
+        }
+    }
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.classList.remove('show');
+        const modal = this.modal;
+        this.modal = null;
+        setTimeout(() => modal.remove(), 300);
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CrossfadeSettingsUI;
+}
@@ -8,6 +8,7 @@ class CustomMetadataStore {
         this.storageKey = 'customMetadata';
         this.versionKey = 'customMetadataVersion';
         this.currentVersion = '2.0';
+        this.maxRating = 5;
         this.store = {};
         this.stats = {
             totalEdits: 0,
@@ -15,6 +16,9 @@ class CustomMetadataStore {
             editHistory: []
         };
         
+        // EQ pins for whole albums / artists (track pins live on the track's entry)
+        this.eqOverrides = { album: {}, artist: {} };
+        
         this.init();
     }
     
@@ -25,6 +29,7 @@ class CustomMetadataStore {
         this.migrate();
         this.store = this.load();
         this.loadStats();
+        this.loadEqOverrides();
         this.cleanupOrphaned();
     }
     
@@ -90,6 +95,15 @@ class CustomMetadataStore {
             warnings.push('Album name is very long (>200 chars)');
         }
         
+        // Rating is 0 (unrated) to 5 whole stars
+        if (metadata.rating !== undefined && metadata.rating !== null && !this.isValidRating(metadata.rating)) {
+            errors.push(`Rating must be a whole number from 0 to ${this.maxRating}`);
+        }
+        
+        if (metadata.favorite !== undefined && typeof metadata.favorite !== 'boolean') {
+            errors.push('Favorite must be true or false');
+        }
+        
         // Check image size if present
         if (metadata.image && metadata.image.startsWith('data:')) {
             const sizeInBytes = Math.round((metadata.image.length * 3) / 4);
@@ -105,6 +119,15 @@ class CustomMetadataStore {
         };
     }
     
+    /**
+     * Check a star rating value
+     * @param {*} rating - Value to check
+     * @returns {boolean} True for an integer from 0 to maxRating
+     */
+    isValidRating(rating) {
+        return Number.isInteger(rating) && rating >= 0 && rating <= this.maxRating;
+    }
+    
     /**
      * Save custom metadata with validation and history
      * @param {string} fileName - Name of the audio file
@@ -149,6 +172,8 @@ class CustomMetadataStore {
         const previousVersion = this.store[key];
         
         this.store[key] = {
+            // The editor doesn't know about EQ pins - keep the track's
+            ...(previousVersion?.eqOverride && { eqOverride: previousVersion.eqOverride }),
             ...processedMetadata,
             fileName,
             fileSize,
@@ -240,6 +265,168 @@ class CustomMetadataStore {
         return null;
     }
     
+    /**
+     * Set the star rating and/or favourite flag without touching other fields
+     * (works for tracks that have no other custom metadata)
+     * @param {string} fileName - Name of the audio file
+     * @param {number} fileSize - Size of the file
+     * @param {Object} changes - { rating, favorite }
+     * @returns {Object} Save result
+     */
+    setRating(fileName, fileSize, changes) {
+        const updates = {};
+        if (changes.rating !== undefined) updates.rating = changes.rating || 0;
+        if (changes.favorite !== undefined) updates.favorite = changes.favorite;
+        
+        const validation = this.validateMetadata({ title: fileName, ...updates });
+        if (!validation.valid) {
+            console.error('❌ Rating validation failed:', validation.errors);
+            return {
+                success: false,
+                errors: validation.errors,
+                warnings: validation.warnings
+            };
+        }
+        
+        const key = this.generateKey(fileName, fileSize);
+        const now = Date.now();
+        
+        this.store[key] = {
+            ...this.store[key],
+            ...updates,
+            fileName,
+            fileSize,
+            savedAt: this.store[key]?.savedAt || now,
+            editedAt: now,
+            version: this.currentVersion
+        };
+        
+        this.persist();
+        
+        return {
+            success: true,
+            errors: [],
+            warnings: []
+        };
+    }
+    
+    /**
+     * Get the stored rating for a file
+     * @param {string} fileName - Name of the audio file
+     * @param {number} fileSize - Size of the file
+     * @returns {Object|null} { rating, favorite } or null if never rated
+     */
+    getRating(fileName, fileSize) {
+        const metadata = this.store[this.generateKey(fileName, fileSize)];
+        
+        if (!metadata || (metadata.rating === undefined && metadata.favorite === undefined)) {
+            return null;
+        }
+        
+        return {
+            rating: metadata.rating || 0,
+            favorite: !!metadata.favorite
+        };
+    }
+    
+    // ========== EQ OVERRIDES ==========
+    
+    /**
+     * Check an EQ override: a preset id, or a curve of its own
+     * @param {Object} override - { type: 'preset', preset, name } or { type: 'curve', mode, bands, autoHeadroom, name }
+     * @returns {boolean} True if it can be stored
+     */
+    isValidEqOverride(override) {
+        if (!override || typeof override.name !== 'string') return false;
+        if (override.type === 'preset') return typeof override.preset === 'string' && override.preset !== '';
+        if (override.type === 'curve') {
+            return ['graphic', 'parametric'].includes(override.mode) &&
+                   Array.isArray(override.bands) && override.bands.length > 0;
+        }
+        return false;
+    }
+    
+    /**
+     * Pin an EQ preset or curve to one track
+     * @param {string} fileName - Name of the audio file
+     * @param {number} fileSize - Size of the file
+     * @param {Object|null} override - See isValidEqOverride, or null to remove the pin
+     * @returns {boolean} Success status
+     */
+    setEqOverride(fileName, fileSize, override) {
+        const key = this.generateKey(fileName, fileSize);
+        
+        if (!override) {
+            if (!this.store[key]?.eqOverride) return false;
+            delete this.store[key].eqOverride;
+        } else {
+            if (!this.isValidEqOverride(override)) {
+                console.error('❌ Invalid EQ override:', override);
+                return false;
+            }
+            
+            const now = Date.now();
+            this.store[key] = {
+                ...this.store[key],
+                eqOverride: override,
+                fileName,
+                fileSize,
+                savedAt: this.store[key]?.savedAt || now,
+                editedAt: now,
+                version: this.currentVersion
+            };
+        }
+        
+        this.persist();
+        return true;
+    }
+    
+    /**
+     * @param {string} fileName - Name of the audio file
+     * @param {number} fileSize - Size of the file
+     * @returns {Object|null} The track's EQ override
+     */
+    getEqOverride(fileName, fileSize) {
+        return this.store[this.generateKey(fileName, fileSize)]?.eqOverride || null;
+    }
+    
+    /**
+     * Pin an EQ preset or curve to an album or artist
+     * @param {string} scope - 'album' or 'artist'
+     * @param {string} name - Album key (see EQOverrideManager.getGroupName) or artist name
+     * @param {Object|null} override - See isValidEqOverride, or null to remove the pin
+     * @returns {boolean} Success status
+     */
+    setGroupEqOverride(scope, name, override) {
+        const overrides = this.eqOverrides[scope];
+        const key = (name || '').trim().toLowerCase();
+        if (!overrides || !key) return false;
+        
+        if (!override) {
+            if (!overrides[key]) return false;
+            delete overrides[key];
+        } else {
+            if (!this.isValidEqOverride(override)) {
+                console.error('❌ Invalid EQ override:', override);
+                return false;
+            }
+            overrides[key] = override;
+        }
+        
+        this.saveEqOverrides();
+        return true;
+    }
+    
+    /**
+     * @param {string} scope - 'album' or 'artist'
+     * @param {string} name - Album key or artist name
+     * @returns {Object|null} The group's EQ override
+     */
+    getGroupEqOverride(scope, name) {
+        const key = (name || '').trim().toLowerCase();
+        return (key && this.eqOverrides[scope]?.[key]) || null;
+    }
+    
     /**
      * Check if file has custom metadata
      * @param {string} fileName - Name of the audio file
@@ -409,6 +596,7 @@ class CustomMetadataStore {
             version: this.currentVersion,
             exportedAt: Date.now(),
             metadata: this.store,
+            eqOverrides: this.eqOverrides,
             stats: this.stats
         };
         
@@ -461,7 +649,23 @@ class CustomMetadataStore {
             for (const [key, metadata] of Object.entries(importData.metadata)) {
                 const exists = key in this.store;
                 
+                // Drop ratings that wouldn't pass validation
+                if (metadata.rating !== undefined && !this.isValidRating(metadata.rating)) {
+                    delete metadata.rating;
+                }
+                if (metadata.favorite !== undefined && typeof metadata.favorite !== 'boolean') {
+                    delete metadata.favorite;
+                }
+                if (metadata.eqOverride !== undefined && !this.isValidEqOverride(metadata.eqOverride)) {
+                    delete metadata.eqOverride;
+                }
+                
                 if (exists && !overwrite && merge) {
+                    // Keep local edits, but pick up ratings and EQ pins we don't have yet
+                    const local = this.store[key];
+                    if (local.rating === undefined && metadata.rating !== undefined) local.rating = metadata.rating;
+                    if (local.favorite === undefined && metadata.favorite !== undefined) local.favorite = metadata.favorite;
+                    if (!local.eqOverride && metadata.eqOverride) local.eqOverride = metadata.eqOverride;
                     skipped++;
                     continue;
                 }
@@ -474,6 +678,20 @@ class CustomMetadataStore {
                 imported++;
             }
             
+            // Album / artist EQ pins - local ones win unless overwriting
+            if (importData.eqOverrides) {
+                for (const scope of Object.keys(this.eqOverrides)) {
+                    if (!merge) this.eqOverrides[scope] = {};
+                    for (const [name, override] of Object.entries(importData.eqOverrides[scope] || {})) {
+                        if (!this.isValidEqOverride(override)) continue;
+                        if (overwrite || !merge || !this.eqOverrides[scope][name]) {
+                            this.eqOverrides[scope][name] = override;
+                        }
+                    }
+                }
+                this.saveEqOverrides();
+            }
+            
             // Optionally merge stats
             if (importData.stats && merge) {
                 this.stats.totalEdits += importData.stats.totalEdits || 0;
@@ -537,6 +755,8 @@ class CustomMetadataStore {
         
         let totalSize = 0;
         let withImages = 0;
+        let rated = 0;
+        let favorites = 0;
         let mostEdited = null;
         let maxEdits = 0;
         
@@ -548,6 +768,14 @@ class CustomMetadataStore {
                 withImages++;
             }
             
+            if (metadata.rating > 0) {
+                rated++;
+            }
+            
+            if (metadata.favorite) {
+                favorites++;
+            }
+            
             if (metadata.editCount > maxEdits) {
                 maxEdits = metadata.editCount;
                 mostEdited = metadata.fileName;
@@ -561,6 +789,8 @@ class CustomMetadataStore {
             artists: artistCount,
             albums: albumCount,
             withImages,
+            rated,
+            favorites,
             sizeKB: sizeInKB,
             totalEdits: this.stats.totalEdits,
             lastEdit: this.stats.lastEdit ? new Date(this.stats.lastEdit).toLocaleString() : 'Never',
@@ -660,6 +890,32 @@ class CustomMetadataStore {
         }
     }
     
+    /**
+     * Load album / artist EQ pins
+     */
+    loadEqOverrides() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey + '_eqOverrides') || '{}');
+            this.eqOverrides = {
+                album: saved.album || {},
+                artist: saved.artist || {}
+            };
+        } catch (err) {
+            console.error('Failed to load EQ overrides:', err);
+        }
+    }
+    
+    /**
+     * Save album / artist EQ pins
+     */
+    saveEqOverrides() {
+        try {
+            localStorage.setItem(this.storageKey + '_eqOverrides', JSON.stringify(this.eqOverrides));
+        } catch (err) {
+            console.error('Failed to save EQ overrides:', err);
+        }
+    }
+    
     /**
      * Attempt to recover corrupted data
      */
@@ -713,9 +969,11 @@ class CustomMetadataStore {
             lastEdit: null,
             editHistory: []
         };
+        this.eqOverrides = { album: {}, artist: {} };
         
         this.persist();
         this.saveStats();
+        this.saveEqOverrides();
         
         console.log('🗑️ All custom metadata cleared (backup saved)');
         return true;
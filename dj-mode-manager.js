@@ -0,0 +1,402 @@
+/* ============================================
+   DJ MODE MANAGER
+   Harmonic ordering: Camelot codes, a transition-cost graph
+   (key, BPM, energy, mood) and an energy-arc-aware solver
+   ============================================ */
+
+class DJModeManager {
+    constructor(debugLog = console.log) {
+        this.debugLog = debugLog;
+
+        // Camelot wheel: B = major, A = minor
+        this.camelotMajor = {
+            'B': 1, 'F#': 2, 'C#': 3, 'G#': 4, 'D#': 5, 'A#': 6,
+            'F': 7, 'C': 8, 'G': 9, 'D': 10, 'A': 11, 'E': 12
+        };
+        this.camelotMinor = {
+            'G#': 1, 'D#': 2, 'A#': 3, 'F': 4, 'C': 5, 'G': 6,
+            'D': 7, 'A': 8, 'E': 9, 'B': 10, 'F#': 11, 'C#': 12
+        };
+        this.flats = { 'Db': 'C#', 'Eb': 'D#', 'Gb': 'F#', 'Ab': 'G#', 'Bb': 'A#' };
+
+        // Energy arcs the user can pick (target energy 0-1 over the set)
+        this.arcs = {
+            build: { name: 'Build Up', icon: '📈', description: 'Start low and keep climbing - warm-up sets and openers' },
+            peak: { name: 'Peak Time', icon: '⛰️', description: 'Warm up, hold the peak, bring it home' },
+            wave: { name: 'Waves', icon: '🌊', description: 'Alternate pushes and breathers over a rising base' },
+            steady: { name: 'Steady Groove', icon: '➖', description: 'Keep the energy level, focus on smooth mixes' },
+            cooldown: { name: 'Cool Down', icon: '📉', description: 'Wind the energy down - closing sets and after-hours' }
+        };
+
+        // Relative weight of each part of a transition's cost
+        this.weights = { key: 0.35, bpm: 0.3, energy: 0.2, mood: 0.15 };
+        this.arcWeight = 0.5;
+
+        // Opposite moods cost the most
+        this.moodPositions = { calm: 0, dark: 1, neutral: 2, bright: 3, energetic: 4 };
+
+        // Time budget for the improvement pass
+        this.maxSolveMs = 400;
+
+        // The cost graph is n*n - past this many tracks the rest keep their order after the solved set
+        this.maxSolveTracks = 500;
+
+        // Order before the last apply, per playlist view
+        this.originalOrder = null;
+    }
+
+    // ========== CAMELOT ==========
+
+    /**
+     * Camelot code for an analysis
+     * @returns {Object|null} { code: '8A', number, letter, estimated }
+     */
+    getCamelot(analysis) {
+        if (!analysis || !analysis.key) return null;
+
+        const key = this.flats[analysis.key] || analysis.key;
+        // Older analyses have no mode - assume major and say so
+        const estimated = analysis.mode !== 'major' && analysis.mode !== 'minor';
+        const minor = analysis.mode === 'minor';
+        const number = (minor ? this.camelotMinor : this.camelotMajor)[key];
+        if (!number) return null;
+
+        const letter = minor ? 'A' : 'B';
+        return { code: `${number}${letter}`, number, letter, estimated };
+    }
+
+    /**
+     * How well two keys mix
+     * @returns {Object} { cost: 0-1, label }
+     */
+    keyCompatibility(a, b) {
+        const from = this.getCamelot(a);
+        const to = this.getCamelot(b);
+        if (!from || !to) return { cost: 0.5, label: 'key unknown' };
+
+        const steps = (to.number - from.number + 12) % 12;
+        const distance = Math.min(steps, 12 - steps);
+
+        if (distance === 0 && from.letter === to.letter) return { cost: 0, label: 'same key' };
+        if (distance === 0) return { cost: 0.15, label: 'relative major/minor' };
+        if (distance === 1 && from.letter === to.letter) return { cost: 0.1, label: steps === 1 ? 'up a fifth' : 'down a fifth' };
+        if (distance === 1) return { cost: 0.4, label: 'diagonal mix' };
+        if (distance === 2 && steps === 2 && from.letter === to.letter) return { cost: 0.45, label: 'energy boost (+2)' };
+
+        return { cost: Math.min(1, 0.5 + distance * 0.1), label: 'key clash' };
+    }
+
+    // ========== TRANSITION COSTS ==========
+
+    /**
+     * BPM difference allowing half/double time
+     * @returns {Object} { percent, halfDouble }
+     */
+    bpmDelta(fromBpm, toBpm) {
+        if (!fromBpm || !toBpm) return { percent: null, halfDouble: false };
+
+        const candidates = [
+            { bpm: toBpm, halfDouble: false },
+            { bpm: toBpm * 2, halfDouble: true },
+            { bpm: toBpm / 2, halfDouble: true }
+        ].map(c => ({ ...c, percent: ((c.bpm - fromBpm) / fromBpm) * 100 }));
+
+        const best = candidates.reduce((a, b) => Math.abs(b.percent) < Math.abs(a.percent) ? b : a);
+        return { percent: best.percent, halfDouble: best.halfDouble };
+    }
+
+    /**
+     * Cost of mixing from one track into another
+     * @returns {Object} { total, parts: { key, bpm, energy, mood }, key, bpm, energyStep }
+     */
+    transitionCost(fromTrack, toTrack) {
+        const a = fromTrack.analysis;
+        const b = toTrack.analysis;
+
+        const key = this.keyCompatibility(a, b);
+
+        // Within ±6% can be beatmatched by pitch, beyond that it gets audible
+        const bpm = this.bpmDelta(a.bpm, b.bpm);
+        const bpmCost = bpm.percent === null
+            ? 0.5
+            : Math.min(1, Math.abs(bpm.percent) / 12) + (bpm.halfDouble ? 0.1 : 0);
+
+        const energyStep = (b.energy ?? 0.5) - (a.energy ?? 0.5);
+        const energyCost = Math.min(1, Math.abs(energyStep) / 0.4);
+
+        const moodA = this.moodPositions[a.mood] ?? 2;
+        const moodB = this.moodPositions[b.mood] ?? 2;
+        const moodCost = Math.abs(moodA - moodB) / 4;
+
+        const parts = { key: key.cost, bpm: Math.min(1, bpmCost), energy: energyCost, mood: moodCost };
+        const total = Object.entries(parts).reduce((sum, [name, cost]) => sum + cost * this.weights[name], 0);
+
+        return { total, parts, key, bpm, energyStep };
+    }
+
+    /**
+     * Pairwise transition costs
+     * @returns {Float32Array} n*n matrix, cost[i * n + j] = i -> j
+     */
+    buildGraph(tracks) {
+        const n = tracks.length;
+        const graph = new Float32Array(n * n);
+
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                graph[i * n + j] = i === j ? 0 : this.transitionCost(tracks[i], tracks[j]).total;
+            }
+        }
+
+        return graph;
+    }
+
+    // ========== ENERGY ARCS ==========
+
+    /**
+     * Target energy for each position of the set
+     */
+    buildArc(arc, count, energies) {
+        const sorted = [...energies].sort((a, b) => a - b);
+        const low = sorted.length ? sorted[Math.floor(sorted.length * 0.1)] : 0.3;
+        const high = sorted.length ? sorted[Math.floor(sorted.length * 0.9)] : 0.8;
+        const targets = [];
+
+        for (let i = 0; i < count; i++) {
+            const t = count > 1 ? i / (count - 1) : 0.5;
+            let level;
+
+            switch (arc) {
+                case 'build': level = t; break;
+                case 'cooldown': level = 1 - t; break;
+                case 'peak': level = t < 0.25 ? t / 0.25 : (t > 0.8 ? (1 - t) / 0.2 : 1); break;
+                case 'wave': level = 0.6 * t + 0.4 * (0.5 - 0.5 * Math.cos(t * Math.PI * 6)); break;
+                default: level = 0.5;
+            }
+
+            targets.push(low + (high - low) * level);
+        }
+
+        return targets;
+    }
+
+    // ========== SOLVER ==========
+
+    /**
+     * Find a low-cost order for a set of tracks
+     * @param {Array} tracks - Tracks to order (unanalyzed ones go last, in their original order)
+     * @param {string} arc - Key of this.arcs
+     * @param {Object} options - { startTrack } to keep a given track first
+     * @returns {Object} { order, cost, targets, truncated } - truncated = analyzed tracks left unsolved
+     */
+    solve(tracks, arc = 'peak', options = {}) {
+        const unanalyzed = tracks.filter(track => !track.analysis);
+        let analyzed = tracks.filter(track => track.analysis);
+        let overflow = [];
+
+        if (analyzed.length > this.maxSolveTracks) {
+            // Keep the start track in the solved set
+            const start = options.startTrack && analyzed.includes(options.startTrack) ? [options.startTrack] : [];
+            const rest = analyzed.filter(track => track !== options.startTrack);
+            analyzed = [...start, ...rest.slice(0, this.maxSolveTracks - start.length)];
+            overflow = rest.slice(this.maxSolveTracks - start.length);
+            this.debugLog(`⚠️ DJ order: only the first ${this.maxSolveTracks} analyzed tracks are ordered, ${overflow.length} more keep their order after them`, 'warning');
+        }
+
+        const n = analyzed.length;
+
+        if (n < 3) {
+            return { order: [...analyzed, ...overflow, ...unanalyzed], cost: 0, targets: [], truncated: overflow.length };
+        }
+
+        const startedAt = performance.now();
+        const graph = this.buildGraph(analyzed);
+        const targets = this.buildArc(arc, n, analyzed.map(track => track.analysis.energy ?? 0.5));
+        const arcCost = (index, position) =>
+            Math.abs((analyzed[index].analysis.energy ?? 0.5) - targets[position]) * this.arcWeight;
+
+        const fixedStart = options.startTrack ? analyzed.indexOf(options.startTrack) : -1;
+
+        // Greedy from a few starting points, keep the best
+        const starts = fixedStart !== -1
+            ? [fixedStart]
+            : this.pickStarts(n, (i) => arcCost(i, 0));
+
+        let best = null;
+        starts.forEach(start => {
+            const path = this.greedyPath(n, start, graph, arcCost);
+            const cost = this.pathCost(path, graph, arcCost);
+            if (!best || cost < best.cost) best = { path, cost };
+        });
+
+        // 2-opt: reverse segments while it helps (and time allows)
+        best = this.improve(best, graph, arcCost, fixedStart !== -1, startedAt);
+
+        this.debugLog(`🎧 DJ order solved: ${n} tracks, cost ${best.cost.toFixed(2)} in ${Math.round(performance.now() - startedAt)}ms`, 'info');
+
+        return {
+            order: [...best.path.map(index => analyzed[index]), ...overflow, ...unanalyzed],
+            cost: best.cost,
+            targets,
+            truncated: overflow.length
+        };
+    }
+
+    pickStarts(n, startCost) {
+        return Array.from({ length: n }, (_, i) => i)
+            .sort((a, b) => startCost(a) - startCost(b))
+            .slice(0, Math.min(n, 5));
+    }
+
+    greedyPath(n, start, graph, arcCost) {
+        const used = new Uint8Array(n);
+        const path = [start];
+        used[start] = 1;
+
+        for (let position = 1; position < n; position++) {
+            const from = path[position - 1];
+            let bestNext = -1;
+            let bestCost = Infinity;
+
+            for (let j = 0; j < n; j++) {
+                if (used[j]) continue;
+                const cost = graph[from * n + j] + arcCost(j, position);
+                if (cost < bestCost) {
+                    bestCost = cost;
+                    bestNext = j;
+                }
+            }
+
+            path.push(bestNext);
+            used[bestNext] = 1;
+        }
+
+        return path;
+    }
+
+    pathCost(path, graph, arcCost) {
+        const n = path.length;
+        let cost = arcCost(path[0], 0);
+        for (let position = 1; position < n; position++) {
+            cost += graph[path[position - 1] * n + path[position]] + arcCost(path[position], position);
+        }
+        return cost;
+    }
+
+    improve(best, graph, arcCost, keepFirst, startedAt) {
+        const n = best.path.length;
+        let { path, cost } = best;
+        let improved = true;
+
+        while (improved && performance.now() - startedAt < this.maxSolveMs) {
+            improved = false;
+
+            for (let i = keepFirst ? 1 : 0; i < n - 1 && !improved; i++) {
+                for (let j = i + 1; j < n; j++) {
+                    const candidate = [...path.slice(0, i), ...path.slice(i, j + 1).reverse(), ...path.slice(j + 1)];
+                    const candidateCost = this.pathCost(candidate, graph, arcCost);
+
+                    if (candidateCost < cost - 1e-6) {
+                        path = candidate;
+                        cost = candidateCost;
+                        improved = true;
+                        break;
+                    }
+                }
+
+                if (performance.now() - startedAt >= this.maxSolveMs) break;
+            }
+        }
+
+        return { path, cost };
+    }
+
+    // ========== EXPLANATION ==========
+
+    /**
+     * Per-transition breakdown for the explanation panel
+     * @returns {Array} [{ from, to, fromKey, toKey, keyLabel, bpmText, energyStep, moodText, cost, quality }]
+     */
+    explainTransitions(order) {
+        const transitions = [];
+
+        for (let i = 1; i < order.length; i++) {
+            const from = order[i - 1];
+            const to = order[i];
+            if (!from.analysis || !to.analysis) continue;
+
+            const result = this.transitionCost(from, to);
+            const bpmText = result.bpm.percent === null
+                ? 'BPM unknown'
+                : `${Math.round(from.analysis.bpm)} → ${Math.round(to.analysis.bpm)} BPM (${result.bpm.percent >= 0 ? '+' : ''}${result.bpm.percent.toFixed(1)}%${result.bpm.halfDouble ? ', half/double time' : ''})`;
+
+            transitions.push({
+                from,
+                to,
+                fromKey: this.getCamelot(from.analysis),
+                toKey: this.getCamelot(to.analysis),
+                keyLabel: result.key.label,
+                bpmText,
+                energyStep: result.energyStep,
+                moodText: from.analysis.mood === to.analysis.mood
+                    ? `stays ${to.analysis.mood}`
+                    : `${from.analysis.mood} → ${to.analysis.mood}`,
+                cost: result.total,
+                quality: this.getQualityLabel(1 - result.total)
+            });
+        }
+
+        return transitions;
+    }
+
+    /**
+     * Overall mix quality (0-100) from the transition costs
+     */
+    getMixQuality(order) {
+        const transitions = this.explainTransitions(order);
+        if (transitions.length === 0) return { score: 0, label: 'poor' };
+
+        const average = transitions.reduce((sum, t) => sum + t.cost, 0) / transitions.length;
+        const score = Math.round((1 - average) * 100);
+        return { score, label: this.getQualityLabel(score / 100) };
+    }
+
+    getQualityLabel(value) {
+        if (value >= 0.85) return 'excellent';
+        if (value >= 0.7) return 'good';
+        if (value >= 0.55) return 'fair';
+        return 'poor';
+    }
+
+    // ========== ORIGINAL ORDER ==========
+
+    /**
+     * Remember the order before a reorder so it can be restored
+     * @param {string|null} playlistId - Library playlist id (null = all tracks)
+     */
+    saveOriginalOrder(playlistId, tracks) {
+        // Keep the first original if the mix is applied again
+        if (this.originalOrder && this.originalOrder.playlistId === playlistId) return;
+        this.originalOrder = { playlistId, tracks: [...tracks] };
+    }
+
+    hasOriginalOrder(playlistId) {
+        return !!this.originalOrder && this.originalOrder.playlistId === playlistId;
+    }
+
+    /**
+     * Take the remembered order (tracks no longer in the view are dropped,
+     * new ones are appended by the caller)
+     */
+    takeOriginalOrder(playlistId) {
+        if (!this.hasOriginalOrder(playlistId)) return null;
+        const tracks = this.originalOrder.tracks;
+        this.originalOrder = null;
+        return tracks;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DJModeManager;
+}
@@ -0,0 +1,321 @@
+/* ============================================
+   DJ Mode UI - Energy arc picker, mix preview and
+   per-transition explanation (binds to #dj-modal)
+   ============================================ */
+
+class DJModeUI {
+    constructor(debugLog, djManager) {
+        this.debugLog = debugLog;
+        this.dj = djManager;
+        this.modal = document.getElementById('dj-modal');
+        this.selectedArc = null;
+        this.preview = null;
+        this.lastApplied = null;
+
+        // Rendering every transition of a huge library makes the modal crawl
+        this.maxListedTracks = 150;
+
+        this.moodColors = {
+            energetic: '#ff5733',
+            calm: '#3399ff',
+            bright: '#ffd700',
+            dark: '#9333ea',
+            neutral: '#dc3545'
+        };
+
+        // Set by init
+        this.getTracks = () => [];
+        this.getCurrentTrack = () => null;
+        this.getPlaylistId = () => null;
+        this.canReorder = () => true;
+        this.onApply = null;
+        this.onRestore = null;
+    }
+
+    /**
+     * @param {Object} config - { getTracks, getCurrentTrack, getPlaylistId, canReorder, onApply(order), onRestore(tracks) }
+     */
+    init(config = {}) {
+        if (config.getTracks) this.getTracks = config.getTracks;
+        if (config.getCurrentTrack) this.getCurrentTrack = config.getCurrentTrack;
+        if (config.getPlaylistId) this.getPlaylistId = config.getPlaylistId;
+        if (config.canReorder) this.canReorder = config.canReorder;
+        if (config.onApply) this.onApply = config.onApply;
+        if (config.onRestore) this.onRestore = config.onRestore;
+
+        if (!this.modal) return;
+
+        document.getElementById('dj-modal-close').onclick = () => this.close();
+        this.modal.onclick = (e) => {
+            if (e.target === this.modal) this.close();
+        };
+
+        document.getElementById('dj-apply-button').onclick = () => this.apply(false);
+        document.getElementById('dj-reorder-button').onclick = () => this.apply(true);
+        document.getElementById('dj-restore-button').onclick = () => this.restore();
+
+        document.getElementById('dj-styles-grid').onclick = (e) => {
+            const card = e.target.closest('.dj-style-card');
+            if (card) this.selectArc(card.dataset.arc);
+        };
+    }
+
+    open() {
+        if (!this.modal) return;
+
+        this.renderStyles();
+        this.updateControls();
+        this.renderSession();
+        this.modal.classList.add('show');
+
+        if (this.selectedArc) this.selectArc(this.selectedArc);
+    }
+
+    close() {
+        this.modal?.classList.remove('show');
+    }
+
+    // ========== ACTIONS ==========
+
+    selectArc(arc) {
+        this.selectedArc = arc;
+        this.modal.querySelectorAll('.dj-style-card').forEach(card => {
+            card.classList.toggle('active', card.dataset.arc === arc);
+        });
+
+        const tracks = this.getTracks();
+        if (!tracks.some(track => track.analysis)) {
+            alert('DJ Mode needs analyzed tracks - wait for the background analysis or run it from 🧠 Smart Playlists.');
+            return;
+        }
+
+        this.preview = this.dj.solve(tracks, arc);
+        this.renderVisualization(this.preview.order, this.preview.targets);
+        this.renderTruncation(this.preview.truncated);
+        this.updateControls();
+    }
+
+    /**
+     * Apply the previewed order, or re-solve everything after the current track
+     */
+    apply(fromCurrent) {
+        if (!this.preview || !this.canReorder()) return;
+
+        const tracks = this.getTracks();
+        let order = this.preview.order;
+
+        if (fromCurrent) {
+            const current = this.getCurrentTrack();
+            const index = tracks.indexOf(current);
+            if (index === -1) return;
+
+            const rest = this.dj.solve(tracks.slice(index), this.selectedArc, { startTrack: current });
+            order = [...tracks.slice(0, index), ...rest.order];
+            this.renderTruncation(rest.truncated);
+        }
+
+        this.dj.saveOriginalOrder(this.getPlaylistId(), tracks);
+        if (this.onApply) this.onApply(order);
+
+        const quality = this.dj.getMixQuality(order);
+        this.lastApplied = {
+            arc: this.selectedArc,
+            trackCount: order.length,
+            quality,
+            fromCurrent,
+            appliedAt: Date.now()
+        };
+
+        this.debugLog(`🎧 ${this.dj.arcs[this.selectedArc].name} order applied (${quality.score}% mix quality)`, 'success');
+        this.renderVisualization(order, fromCurrent ? null : this.preview.targets);
+        this.renderSession();
+        this.updateControls();
+    }
+
+    restore() {
+        const tracks = this.dj.takeOriginalOrder(this.getPlaylistId());
+        if (!tracks) return;
+
+        if (this.onRestore) this.onRestore(tracks);
+        this.lastApplied = null;
+        this.debugLog('↩️ Original order restored', 'info');
+
+        this.renderSession();
+        this.updateControls();
+    }
+
+    updateControls() {
+        const applyButton = document.getElementById('dj-apply-button');
+        const reorderButton = document.getElementById('dj-reorder-button');
+        const restoreButton = document.getElementById('dj-restore-button');
+        const canReorder = this.canReorder();
+        const current = this.getCurrentTrack();
+
+        applyButton.disabled = !this.preview || !canReorder;
+        applyButton.title = canReorder ? '' : 'Smart playlists are ordered by their rules';
+
+        reorderButton.style.display = current ? '' : 'none';
+        reorderButton.disabled = !this.preview || !canReorder;
+
+        restoreButton.style.display = this.dj.hasOriginalOrder(this.getPlaylistId()) ? '' : 'none';
+    }
+
+    // ========== RENDERING ==========
+
+    renderStyles() {
+        document.getElementById('dj-styles-grid').innerHTML = Object.entries(this.dj.arcs).map(([id, arc]) => `
+            <div class="dj-style-card ${id === this.selectedArc ? 'active' : ''}" data-arc="${id}">
+                <div class="dj-style-icon">${arc.icon}</div>
+                <div class="dj-style-name">${arc.name}</div>
+                <div class="dj-style-description">${arc.description}</div>
+            </div>
+        `).join('');
+    }
+
+    renderVisualization(order, targets) {
+        const analyzed = order.filter(track => track.analysis);
+        const quality = this.dj.getMixQuality(order);
+        const average = (values) => values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+
+        document.getElementById('dj-visualization').classList.add('show');
+        document.getElementById('dj-mix-quality-value').textContent = `${quality.score}%`;
+
+        const badge = document.getElementById('dj-mix-quality-badge');
+        badge.textContent = quality.label;
+        badge.className = `dj-stat-quality quality-${quality.label}`;
+
+        document.getElementById('dj-transitions-count').textContent = Math.max(0, analyzed.length - 1);
+        document.getElementById('dj-avg-bpm').textContent = Math.round(average(analyzed.map(t => t.analysis.bpm))) || '--';
+        document.getElementById('dj-avg-energy').textContent = `${Math.round(average(analyzed.map(t => t.analysis.energy)) * 100)}%`;
+
+        this.drawCurve(document.getElementById('dj-energy-curve'), analyzed.map(t => t.analysis.energy), targets, 0, 1);
+        const bpms = analyzed.map(t => t.analysis.bpm);
+        this.drawCurve(document.getElementById('dj-bpm-curve'), bpms, null, Math.min(...bpms) - 5, Math.max(...bpms) + 5);
+
+        this.renderTransitions(order);
+    }
+
+    /**
+     * Track list with an explanation row between each pair
+     */
+    renderTransitions(order) {
+        const list = document.getElementById('dj-mood-list');
+        const shown = order.slice(0, this.maxListedTracks);
+        const transitions = new Map(this.dj.explainTransitions(shown).map(t => [t.to, t]));
+
+        list.innerHTML = shown.map((track, index) => {
+            const analysis = track.analysis;
+            const camelot = this.dj.getCamelot(analysis);
+            const color = this.moodColors[analysis?.mood] || '#666';
+            const transition = transitions.get(track);
+
+            const transitionHTML = transition ? `
+                <div class="dj-transition quality-border-${transition.quality}">
+                    <span>🔑 ${transition.fromKey?.code || '?'} → ${transition.toKey?.code || '?'} ${transition.keyLabel}</span>
+                    <span>🥁 ${transition.bpmText}</span>
+                    <span>⚡ energy ${transition.energyStep >= 0 ? '+' : ''}${Math.round(transition.energyStep * 100)}%</span>
+                    <span>🎭 ${transition.moodText}</span>
+                </div>
+            ` : '';
+
+            return `
+                ${transitionHTML}
+                <div class="dj-mood-track" style="border-left-color: ${color}">
+                    <span class="dj-mood-index">${index + 1}</span>
+                    <span class="dj-mood-badge" style="background: ${color}33; color: ${color}"
+                          title="${camelot?.estimated ? 'Mode unknown - re-analyze for minor/major' : ''}">
+                        ${camelot ? `${camelot.code}${camelot.estimated ? '?' : ''}` : '--'}
+                    </span>
+                    <span class="dj-mood-title-text">${this.escapeHtml(track.metadata?.title || track.fileName)}</span>
+                    <span class="dj-mood-bpm">${analysis ? `${Math.round(analysis.bpm)} BPM` : 'not analyzed'}</span>
+                </div>
+            `;
+        }).join('') + (order.length > shown.length
+            ? `<div class="dj-session-info">…and ${order.length - shown.length} more tracks</div>`
+            : '');
+    }
+
+    /**
+     * Say so when the solver only ordered part of a big playlist
+     */
+    renderTruncation(truncated) {
+        const note = document.getElementById('dj-truncated-note');
+        if (!note) return;
+
+        note.textContent = truncated
+            ? `⚠️ Only the first ${this.dj.maxSolveTracks} analyzed tracks were ordered - the other ${truncated} follow in their current order. Use a smaller playlist for a full DJ order.`
+            : '';
+        note.style.display = truncated ? '' : 'none';
+    }
+
+    renderSession() {
+        const panel = document.getElementById('dj-session-stats');
+        const info = document.getElementById('dj-session-info');
+
+        if (!this.lastApplied) {
+            panel.classList.remove('show');
+            return;
+        }
+
+        const applied = this.lastApplied;
+        info.innerHTML = `
+            Style: ${this.dj.arcs[applied.arc].icon} ${this.dj.arcs[applied.arc].name}${applied.fromCurrent ? ' (from current track)' : ''}<br>
+            Tracks: ${applied.trackCount}<br>
+            Mix quality: ${applied.quality.score}% (${applied.quality.label})<br>
+            Applied: ${new Date(applied.appliedAt).toLocaleTimeString()}
+        `;
+        panel.classList.add('show');
+    }
+
+    /**
+     * Line chart of values (and an optional dashed target line)
+     */
+    drawCurve(canvas, values, targets, min, max) {
+        if (!canvas) return;
+
+        // Match the canvas resolution to its CSS size
+        canvas.width = canvas.clientWidth || 300;
+        canvas.height = canvas.clientHeight || 150;
+
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const padding = 10;
+        const range = max - min || 1;
+        const count = values.length;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.fillRect(0, 0, width, height);
+        if (count === 0) return;
+
+        const x = (i) => padding + (count > 1 ? i / (count - 1) : 0.5) * (width - padding * 2);
+        const y = (value) => height - padding - ((value - min) / range) * (height - padding * 2);
+
+        const drawLine = (line, color, dashed) => {
+            ctx.beginPath();
+            ctx.setLineDash(dashed ? [6, 4] : []);
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            line.forEach((value, i) => {
+                if (i === 0) ctx.moveTo(x(i), y(value));
+                else ctx.lineTo(x(i), y(value));
+            });
+            ctx.stroke();
+        };
+
+        if (targets) drawLine(targets, 'rgba(255, 255, 255, 0.5)', true);
+        drawLine(values, '#dc3545', false);
+        ctx.setLineDash([]);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DJModeUI;
+}
@@ -0,0 +1,384 @@
+/* ============================================
+   EQ Override Manager - Pins an EQ preset or curve to a track,
+   album or artist. A pin beats Auto-EQ, and tracks without one
+   get back the EQ that was on before a pin took over
+   ============================================ */
+
+class EQOverrideManager {
+    constructor(equalizer, debugLog) {
+        this.equalizer = equalizer;
+        this.debugLog = debugLog;
+
+        // Most specific first - that's also the order a track's pins win in
+        this.scopes = { track: 'Track', album: 'Album', artist: 'Artist' };
+
+        // Providers (set by init)
+        this.store = null;
+        this.getPresetsManager = () => null;
+        this.getAutoEQ = () => null;
+        this.onChange = () => {};
+
+        // The pin on the playing track, and the free EQ to go back to once it's gone
+        this.activeOverride = null;
+        this.unpinnedState = this.loadUnpinnedState();
+
+        this.modal = null;
+    }
+
+    /**
+     * @param {Object} options - { store, getPresetsManager, getAutoEQ, onChange }
+     */
+    init(options) {
+        this.store = options.store;
+        this.getPresetsManager = options.getPresetsManager || this.getPresetsManager;
+        this.getAutoEQ = options.getAutoEQ || this.getAutoEQ;
+        this.onChange = options.onChange || this.onChange;
+    }
+
+    // ========== LOOKUP ==========
+
+    /**
+     * Album (name + year, like album gain) or artist a track belongs to
+     * @returns {string|null} Null when the tags don't say
+     */
+    getGroupName(track, scope) {
+        if (scope === 'album') {
+            const album = (track?.metadata?.album || '').trim().toLowerCase();
+            if (!album || album === 'unknown album') return null;
+            return `${album}|${track.metadata.year || ''}`;
+        }
+        if (scope === 'artist') {
+            const artist = (track?.metadata?.artist || '').trim();
+            if (!artist || artist.toLowerCase() === 'unknown artist') return null;
+            return artist;
+        }
+        return null;
+    }
+
+    /**
+     * The pin stored for one scope of a track
+     */
+    get(track, scope) {
+        if (!track || !this.store) return null;
+        if (scope === 'track') return this.store.getEqOverride(track.fileName, track.fileSize || 0);
+
+        const name = this.getGroupName(track, scope);
+        return name ? this.store.getGroupEqOverride(scope, name) : null;
+    }
+
+    /**
+     * The pin that applies to a track - its own, then its album's, then its artist's
+     * @returns {Object|null} { scope, override }
+     */
+    resolve(track) {
+        for (const scope of Object.keys(this.scopes)) {
+            const override = this.get(track, scope);
+            if (override) return { scope, override };
+        }
+        return null;
+    }
+
+    // ========== APPLYING ==========
+
+    /**
+     * Run for every track that starts: applies its pin, or puts back the EQ
+     * from before the last pin
+     * @returns {boolean} True if a pin was applied - Auto-EQ stays out of it
+     */
+    apply(track) {
+        const resolved = this.resolve(track);
+
+        if (resolved) {
+            const state = this.unpinnedState ? null : this.captureState();
+            if (this.applyOverride(resolved.override)) {
+                if (state) this.saveUnpinnedState(state);
+                this.activeOverride = resolved;
+
+                // Auto-EQ must pick again after a pin, even if it lands on its last preset
+                const autoEQ = this.getAutoEQ();
+                if (autoEQ) autoEQ.lastAppliedPreset = null;
+
+                this.debugLog(`📌 Pinned EQ (${this.scopes[resolved.scope].toLowerCase()}): ${resolved.override.name}`, 'success');
+                return true;
+            }
+        }
+
+        this.activeOverride = null;
+        if (this.unpinnedState) this.restore();
+        return false;
+    }
+
+    /**
+     * @returns {boolean} False if the pinned preset is gone (or presets aren't loaded yet)
+     */
+    applyOverride(override) {
+        const manager = this.getPresetsManager();
+
+        if (override.type === 'preset') {
+            if (!manager) return false;
+            if (!manager.staticPresets[override.preset] && !manager.userPresets[override.preset]) {
+                this.debugLog(`⚠️ Pinned EQ preset "${override.name}" no longer exists`, 'warning');
+                return false;
+            }
+            manager.applyPreset(override.preset);
+            this.syncPresetSelect(override.preset);
+            return true;
+        }
+
+        this.applyCurve(override);
+        manager?.markCustom();
+        this.syncPresetSelect('');
+        return true;
+    }
+
+    /**
+     * @param {Object} curve - { mode, bands, autoHeadroom }
+     */
+    applyCurve(curve) {
+        if (this.equalizer.mode !== curve.mode) {
+            this.equalizer.setMode(curve.mode);
+        }
+        if (this.equalizer.autoHeadroom !== (curve.autoHeadroom !== false)) {
+            this.equalizer.setAutoHeadroom(curve.autoHeadroom !== false);
+        }
+        this.equalizer.applyBands(curve.bands);
+    }
+
+    /**
+     * Back to the EQ from before the pin - unless Auto-EQ is about to pick one anyway
+     */
+    restore() {
+        const state = this.unpinnedState;
+        this.saveUnpinnedState(null);
+        if (this.getAutoEQ()?.enabled) return;
+
+        this.applyCurve(state);
+        const manager = this.getPresetsManager();
+        const isPreset = manager && (manager.staticPresets[state.preset] || manager.userPresets[state.preset]);
+        if (isPreset) {
+            manager.setCurrentPreset(state.preset);
+        } else {
+            manager?.markCustom();
+        }
+        this.syncPresetSelect(isPreset ? state.preset : '');
+
+        this.debugLog('📌 No EQ pin - back to the previous EQ', 'info');
+    }
+
+    captureState() {
+        return {
+            mode: this.equalizer.mode,
+            bands: this.equalizer.getBands(),
+            autoHeadroom: this.equalizer.autoHeadroom,
+            preset: this.getPresetsManager()?.getCurrentPreset() || null
+        };
+    }
+
+    syncPresetSelect(value) {
+        const presetSelect = document.getElementById('eq-preset-select');
+        if (presetSelect) {
+            presetSelect.value = value;
+        }
+    }
+
+    // ========== PINS ==========
+
+    /**
+     * @param {Object} track - Any track of the album / by the artist for those scopes
+     * @param {string} scope - 'track', 'album' or 'artist'
+     * @param {Object|null} override - { type: 'preset', preset, name } or { type: 'curve', mode, bands, autoHeadroom, name }
+     * @returns {boolean} Success status
+     */
+    pin(track, scope, override) {
+        const saved = scope === 'track'
+            ? this.store.setEqOverride(track.fileName, track.fileSize || 0, override)
+            : this.store.setGroupEqOverride(scope, this.getGroupName(track, scope), override);
+        if (!saved) return false;
+
+        const target = scope === 'track' ? (track.metadata?.title || track.fileName) : this.getGroupLabel(track, scope);
+        this.debugLog(override
+            ? `📌 Pinned "${override.name}" to ${scope} "${target}"`
+            : `📌 Removed the EQ pin from ${scope} "${target}"`, 'success');
+
+        this.onChange();
+        return true;
+    }
+
+    /**
+     * Pin whatever the EQ is set to right now
+     */
+    pinCurrent(track, scope) {
+        const manager = this.getPresetsManager();
+        const presetId = manager?.getCurrentPreset();
+        const preset = manager?.getPresetList().find(item => item.id === presetId);
+
+        return this.pin(track, scope, {
+            type: 'curve',
+            name: preset ? preset.name : 'Custom EQ',
+            mode: this.equalizer.mode,
+            bands: this.equalizer.getBands(),
+            autoHeadroom: this.equalizer.autoHeadroom
+        });
+    }
+
+    pinPreset(track, scope, presetId) {
+        const preset = this.getPresetsManager()?.getPresetList().find(item => item.id === presetId);
+        if (!preset) return false;
+
+        return this.pin(track, scope, { type: 'preset', preset: presetId, name: preset.name });
+    }
+
+    /**
+     * @param {string} [scope] - Defaults to the pin that currently applies
+     */
+    clear(track, scope = this.resolve(track)?.scope) {
+        return scope ? this.pin(track, scope, null) : false;
+    }
+
+    getGroupLabel(track, scope) {
+        return scope === 'album' ? track.metadata.album.trim() : this.getGroupName(track, scope);
+    }
+
+    // ========== MODAL ==========
+
+    open(track) {
+        if (this.modal || !track) return;
+
+        const manager = this.getPresetsManager();
+        const presets = manager ? manager.getPresetList() : [];
+        const options = (list) => list.map(preset => `
+            <option value="${preset.id}">${this.escapeHtml(preset.name)}</option>
+        `).join('');
+        const currentId = manager?.getCurrentPreset();
+        const current = presets.find(preset => preset.id === currentId);
+
+        this.modal = document.createElement('div');
+        this.modal.id = 'eq-pin-modal';
+        this.modal.innerHTML = `
+            <div class="metadata-editor-overlay"></div>
+            <div class="metadata-editor-content eq-pin-content">
+                <div class="metadata-editor-header">
+                    <h2>📌 EQ Pin</h2>
+                    <button class="metadata-editor-close">✕</button>
+                </div>
+                <div class="metadata-editor-body">
+                    <p class="eq-pin-hint">${this.escapeHtml(track.metadata?.title || track.fileName)} - a pin beats Auto-EQ. The track's own pin comes first, then the album's, then the artist's.</p>
+                    <ul class="eq-pin-list"></ul>
+
+                    <div class="metadata-form-group">
+                        <label>Pin</label>
+                        <div class="eq-pin-row">
+                            <select id="eq-pin-source">
+                                <option value="">Current EQ (${this.escapeHtml(current ? current.name : 'custom')})</option>
+                                ${presets.length ? `
+                                    <optgroup label="Built-in">${options(presets.filter(preset => !preset.user))}</optgroup>
+                                    ${presets.some(preset => preset.user) ? `<optgroup label="My presets">${options(presets.filter(preset => preset.user))}</optgroup>` : ''}
+                                ` : ''}
+                            </select>
+                            <span>to</span>
+                            <select id="eq-pin-scope">
+                                ${Object.entries(this.scopes).map(([scope, label]) => `
+                                    <option value="${scope}" ${scope !== 'track' && !this.getGroupName(track, scope) ? 'disabled' : ''}>${label}</option>
+                                `).join('')}
+                            </select>
+                            <button type="button" class="btn-primary" id="eq-pin-save">📌 Pin</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelector('#eq-pin-save').onclick = () => {
+            const source = this.modal.querySelector('#eq-pin-source').value;
+            const scope = this.modal.querySelector('#eq-pin-scope').value;
+            if (source) this.pinPreset(track, scope, source);
+            else this.pinCurrent(track, scope);
+            this.renderPins(track);
+        };
+        this.modal.querySelector('.metadata-editor-close').onclick = () => this.close();
+        this.modal.querySelector('.metadata-editor-overlay').onclick = () => this.close();
+
+        this.renderPins(track);
+        requestAnimationFrame(() => {
+            this.modal?.classList.add('show');
+        });
+    }
+
+    renderPins(track) {
+        const list = this.modal?.querySelector('.eq-pin-list');
+        if (!list) return;
+
+        const winner = this.resolve(track)?.scope;
+        list.innerHTML = Object.entries(this.scopes).map(([scope, label]) => {
+            const override = this.get(track, scope);
+            const target = scope === 'track' ? 'this track' : this.getGroupName(track, scope) && this.getGroupLabel(track, scope);
+            const detail = !target ? `No ${scope} tag`
+                : override ? `${override.type === 'preset' ? 'Preset' : 'Curve'}${scope === winner ? '' : ' (overridden)'}`
+                : 'Not pinned';
+
+            return `
+                <li class="eq-pin-item ${scope === winner ? 'active' : ''}">
+                    <div class="eq-pin-info">
+                        <span class="eq-pin-scope">${label}${target && scope !== 'track' ? `: ${this.escapeHtml(target)}` : ''}</span>
+                        <span class="eq-pin-name">${override ? this.escapeHtml(override.name) : ''}</span>
+                        <span class="eq-pin-meta">${detail}</span>
+                    </div>
+                    ${override ? `<button type="button" class="btn-secondary" data-scope="${scope}">Remove</button>` : ''}
+                </li>
+            `;
+        }).join('');
+
+        list.querySelectorAll('button[data-scope]').forEach(button => {
+            button.onclick = () => {
+                this.clear(track, button.dataset.scope);
+                this.renderPins(track);
+            };
+        });
+    }
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.classList.remove('show');
+        const modal = this.modal;
+        this.modal = null;
+        setTimeout(() => modal.remove(), 300);
+    }
+
+    // ========== SETTINGS ==========
+
+    loadUnpinnedState() {
+        try {
+            return JSON.parse(localStorage.getItem('eqUnpinnedState') || 'null');
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Kept across reloads - the equalizer saves the pinned curve as its own state
+     */
+    saveUnpinnedState(state) {
+        this.unpinnedState = state;
+        if (state) {
+            localStorage.setItem('eqUnpinnedState', JSON.stringify(state));
+        } else {
+            localStorage.removeItem('eqUnpinnedState');
+        }
+    }
+
+    // ========== Utilities ==========
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EQOverrideManager;
+}
@@ -0,0 +1,515 @@
+/* ============================================
+   Equalizer UI - Mode switch, presets, graphic sliders or
+   parametric band rows, and a live response curve drawn over
+   the analyser spectrum with draggable band handles (the dashed
+   curve is the net response after the headroom pre-gain)
+   ============================================ */
+
+class EqualizerUI {
+    constructor(equalizer, debugLog) {
+        this.equalizer = equalizer;
+        this.debugLog = debugLog;
+
+        this.container = document.getElementById('equalizer-control');
+        this.canvas = null;
+        this.ctx = null;
+        this.spectrum = null;
+        this.renderedLayout = null; // mode + band count the controls were built for
+        this.animationId = null;
+        this.dragIndex = -1;
+
+        this.minFreq = 20;
+        this.maxFreq = 20000;
+        this.dbRange = 15; // Canvas shows ±15 dB
+
+        // Set by init
+        this.getAnalyser = () => null; // Created with the audio context
+        this.getPresetsManager = () => null;
+        this.isPlaying = () => false;
+    }
+
+    /**
+     * @param {Object} config - { getAnalyser, getPresetsManager, isPlaying }
+     */
+    init(config = {}) {
+        if (config.getAnalyser) this.getAnalyser = config.getAnalyser;
+        if (config.getPresetsManager) this.getPresetsManager = config.getPresetsManager;
+        if (config.isPlaying) this.isPlaying = config.isPlaying;
+
+        if (!this.container) return;
+
+        this.canvas = this.container.querySelector('#eq-response-canvas');
+        this.ctx = this.canvas?.getContext('2d');
+
+        const modeSelect = this.container.querySelector('#eq-mode-select');
+        modeSelect.value = this.equalizer.mode;
+        modeSelect.onchange = () => this.equalizer.setMode(modeSelect.value);
+
+        this.container.querySelector('#eq-reset').onclick = () => {
+            this.equalizer.reset();
+            this.markCustom();
+        };
+        this.container.querySelector('#eq-auto-headroom').onchange = (e) => {
+            const manager = this.getPresetsManager();
+            if (manager) manager.setAutoHeadroom(e.target.checked);
+            else this.equalizer.setAutoHeadroom(e.target.checked);
+        };
+        this.container.querySelector('#eq-save-preset').onclick = () => this.savePreset();
+        this.container.querySelector('#eq-delete-preset').onclick = () => this.deletePreset();
+
+        this.equalizer.onChange = () => this.refresh();
+        this.setupCanvas();
+        this.refresh();
+
+        document.addEventListener('visibilitychange', () => this.startAnimation());
+        window.addEventListener('resize', () => this.draw());
+    }
+
+    // ========== PRESETS ==========
+
+    /**
+     * Fill the preset dropdown - built-in curves, then the user's own
+     */
+    populatePresets() {
+        const select = this.container?.querySelector('#eq-preset-select');
+        const manager = this.getPresetsManager();
+        if (!select || !manager) return;
+
+        const presets = manager.getPresetList();
+        const options = (list) => list.map(preset => `
+            <option value="${preset.id}" title="${this.escapeHtml(preset.description)}">${this.escapeHtml(preset.name)}</option>
+        `).join('');
+        const user = presets.filter(preset => preset.user);
+
+        select.innerHTML = `
+            <option value="">Select Preset...</option>
+            <optgroup label="Built-in">${options(presets.filter(preset => !preset.user))}</optgroup>
+            ${user.length ? `<optgroup label="My presets">${options(user)}</optgroup>` : ''}
+        `;
+
+        const current = manager.getCurrentPreset();
+        select.value = presets.some(preset => preset.id === current) ? current : '';
+        this.updateDeleteButton();
+
+        select.onchange = () => {
+            if (select.value) manager.applyPreset(select.value);
+            this.updateDeleteButton();
+        };
+    }
+
+    savePreset() {
+        const manager = this.getPresetsManager();
+        if (!manager) {
+            alert('Please play a track first to initialize the audio system!');
+            return;
+        }
+
+        const name = prompt('Name this EQ preset:', `My preset ${manager.getPresetList().filter(preset => preset.user).length + 1}`);
+        if (name === null) return;
+
+        manager.saveUserPreset(name);
+        this.populatePresets();
+    }
+
+    deletePreset() {
+        const manager = this.getPresetsManager();
+        const select = this.container.querySelector('#eq-preset-select');
+        const preset = manager?.userPresets[select.value];
+        if (!preset || !confirm(`Delete preset "${preset.name}"?`)) return;
+
+        manager.deleteUserPreset(select.value);
+        this.populatePresets();
+    }
+
+    updateDeleteButton() {
+        const manager = this.getPresetsManager();
+        const select = this.container.querySelector('#eq-preset-select');
+        this.container.querySelector('#eq-delete-preset').hidden = !manager?.userPresets[select.value];
+    }
+
+    /**
+     * A hand edit means the bands no longer match the selected preset
+     */
+    markCustom() {
+        this.getPresetsManager()?.markCustom();
+        const select = this.container.querySelector('#eq-preset-select');
+        if (select) select.value = '';
+        this.updateDeleteButton();
+    }
+
+    // ========== BANDS ==========
+
+    /**
+     * Rebuild the controls when the layout changed, otherwise just update the values
+     * (rebuilding under a slider that's being dragged would drop the drag)
+     */
+    refresh() {
+        if (!this.container) return;
+
+        const layout = `${this.equalizer.mode}:${this.equalizer.getBands().map(band => band.type).join(',')}`;
+        if (layout !== this.renderedLayout) {
+            this.renderBands();
+            this.renderedLayout = layout;
+        } else {
+            this.updateBandValues();
+        }
+
+        this.container.querySelector('#eq-mode-select').value = this.equalizer.mode;
+        this.container.querySelector('#eq-auto-headroom').checked = this.equalizer.autoHeadroom;
+        const preGain = this.equalizer.getPreGain();
+        this.container.querySelector('.eq-headroom-value').textContent = preGain < 0 ? `${preGain} dB` : '';
+        this.draw();
+    }
+
+    renderBands() {
+        const bandsEl = this.container.querySelector('.eq-bands');
+        bandsEl.classList.toggle('parametric', this.equalizer.mode === 'parametric');
+
+        if (this.equalizer.mode === 'graphic') {
+            bandsEl.innerHTML = this.equalizer.graphicFrequencies.map((frequency, i) => `
+                <div class="eq-band">
+                    <span class="eq-value" data-index="${i}"></span>
+                    <input type="range" class="eq-slider" data-index="${i}" min="${this.equalizer.minGain}" max="${this.equalizer.maxGain}" step="0.5" orient="vertical">
+                    <label class="eq-label">${this.formatFrequency(frequency)}</label>
+                </div>
+            `).join('');
+
+            bandsEl.querySelectorAll('.eq-slider').forEach(slider => {
+                slider.oninput = () => {
+                    this.equalizer.setGraphicGain(parseInt(slider.dataset.index), parseFloat(slider.value));
+                    this.markCustom();
+                };
+            });
+        } else {
+            const bands = this.equalizer.parametricBands;
+            bandsEl.innerHTML = `
+                ${bands.map((band, i) => `
+                    <div class="eq-param-row" data-index="${i}">
+                        <span class="eq-param-dot" style="background: ${this.getBandColor(i)}"></span>
+                        <select class="eq-param-type">
+                            ${Object.entries(this.equalizer.bandTypes).map(([value, label]) => `
+                                <option value="${value}" ${value === band.type ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                        <label>Hz <input type="number" class="eq-param-frequency" min="20" max="20000" step="1"></label>
+                        <label>dB <input type="number" class="eq-param-gain" min="${this.equalizer.minGain}" max="${this.equalizer.maxGain}" step="0.5" ${this.hasGain(band) ? '' : 'disabled'}></label>
+                        <label>Q <input type="number" class="eq-param-q" min="0.1" max="18" step="0.1" ${this.hasQ(band) ? '' : 'disabled'}></label>
+                        <button type="button" class="eq-param-remove" title="Remove band">✕</button>
+                    </div>
+                `).join('')}
+                <button type="button" class="eq-add-band" ${bands.length >= this.equalizer.maxBands ? 'disabled' : ''}>+ Add band</button>
+            `;
+
+            bandsEl.querySelectorAll('.eq-param-row').forEach(row => {
+                const index = parseInt(row.dataset.index);
+                const update = (changes) => {
+                    this.equalizer.updateBand(index, changes);
+                    this.markCustom();
+                };
+
+                row.querySelector('.eq-param-type').onchange = (e) => update({ type: e.target.value });
+                row.querySelector('.eq-param-frequency').onchange = (e) => update({ frequency: parseFloat(e.target.value) });
+                row.querySelector('.eq-param-gain').onchange = (e) => update({ gain: parseFloat(e.target.value) });
+                row.querySelector('.eq-param-q').onchange = (e) => update({ Q: parseFloat(e.target.value) });
+                row.querySelector('.eq-param-remove').onclick = () => {
+                    this.equalizer.removeBand(index);
+                    this.markCustom();
+                };
+            });
+
+            bandsEl.querySelector('.eq-add-band').onclick = () => {
+                this.equalizer.addBand(this.suggestBand());
+                this.markCustom();
+            };
+        }
+
+        this.updateBandValues();
+    }
+
+    updateBandValues() {
+        const bandsEl = this.container.querySelector('.eq-bands');
+
+        if (this.equalizer.mode === 'graphic') {
+            this.equalizer.graphicGains.forEach((gain, i) => {
+                const slider = bandsEl.querySelector(`.eq-slider[data-index="${i}"]`);
+                if (slider && document.activeElement !== slider) slider.value = gain;
+                const value = bandsEl.querySelector(`.eq-value[data-index="${i}"]`);
+                if (value) value.textContent = `${gain > 0 ? '+' : ''}${gain}`;
+            });
+            return;
+        }
+
+        this.equalizer.parametricBands.forEach((band, i) => {
+            const row = bandsEl.querySelector(`.eq-param-row[data-index="${i}"]`);
+            if (!row) return;
+            row.querySelector('.eq-param-frequency').value = Math.round(band.frequency);
+            row.querySelector('.eq-param-gain').value = band.gain;
+            row.querySelector('.eq-param-q').value = band.Q;
+        });
+    }
+
+    /**
+     * New bands go in the widest gap between the existing ones
+     */
+    suggestBand() {
+        const frequencies = [this.minFreq, ...this.equalizer.parametricBands.map(band => band.frequency), this.maxFreq];
+        let best = 1000;
+        let widest = 0;
+        for (let i = 1; i < frequencies.length; i++) {
+            const gap = Math.log(frequencies[i] / frequencies[i - 1]);
+            if (gap > widest) {
+                widest = gap;
+                best = Math.sqrt(frequencies[i] * frequencies[i - 1]);
+            }
+        }
+        return { type: 'peaking', frequency: Math.round(best), gain: 0, Q: 1 };
+    }
+
+    hasGain(band) {
+        return !['lowpass', 'highpass', 'notch'].includes(band.type);
+    }
+
+    hasQ(band) {
+        return band.type !== 'lowshelf' && band.type !== 'highshelf';
+    }
+
+    // ========== RESPONSE CANVAS ==========
+
+    setupCanvas() {
+        if (!this.canvas) return;
+
+        const bandAt = (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            const x = e.clientX - rect.left;
+            const y = e.clientY - rect.top;
+            let found = -1;
+            let nearest = 14; // px
+            this.getHandles(rect.width, rect.height).forEach((handle, i) => {
+                const distance = Math.hypot(handle.x - x, handle.y - y);
+                if (distance < nearest) {
+                    nearest = distance;
+                    found = i;
+                }
+            });
+            return found;
+        };
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            this.dragIndex = bandAt(e);
+            if (this.dragIndex === -1) return;
+            this.canvas.setPointerCapture(e.pointerId);
+            e.preventDefault();
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (this.dragIndex === -1) {
+                this.canvas.style.cursor = bandAt(e) === -1 ? '' : 'grab';
+                return;
+            }
+
+            const rect = this.canvas.getBoundingClientRect();
+            const gain = Math.round(this.yToDb(e.clientY - rect.top, rect.height) * 2) / 2;
+
+            if (this.equalizer.mode === 'graphic') {
+                this.equalizer.setGraphicGain(this.dragIndex, gain);
+            } else {
+                const band = this.equalizer.parametricBands[this.dragIndex];
+                const changes = { frequency: Math.round(this.xToFreq(e.clientX - rect.left, rect.width)) };
+                if (this.hasGain(band)) changes.gain = gain;
+                this.equalizer.updateBand(this.dragIndex, changes);
+            }
+            this.markCustom();
+        });
+
+        const endDrag = () => {
+            if (this.dragIndex === -1) return;
+            this.dragIndex = -1;
+            // Keep the list in frequency order once the handle is let go
+            this.equalizer.parametricBands.sort((a, b) => a.frequency - b.frequency);
+            this.renderedLayout = null;
+            this.equalizer.changed();
+        };
+        this.canvas.addEventListener('pointerup', endDrag);
+        this.canvas.addEventListener('pointercancel', endDrag);
+
+        // Wheel over a parametric handle widens or narrows it
+        this.canvas.addEventListener('wheel', (e) => {
+            if (this.equalizer.mode !== 'parametric') return;
+            const index = bandAt(e);
+            const band = this.equalizer.parametricBands[index];
+            if (!band || !this.hasQ(band)) return;
+
+            e.preventDefault();
+            this.equalizer.updateBand(index, { Q: Math.round(band.Q * (e.deltaY < 0 ? 1.1 : 1 / 1.1) * 100) / 100 });
+            this.markCustom();
+        }, { passive: false });
+    }
+
+    /**
+     * Keep the spectrum moving while something plays and the EQ is on screen
+     */
+    startAnimation() {
+        if (this.animationId) return;
+
+        const frame = () => {
+            this.draw();
+            if (this.isPlaying() && document.visibilityState === 'visible' && this.canvas?.offsetParent) {
+                this.animationId = requestAnimationFrame(frame);
+            } else {
+                this.animationId = null;
+            }
+        };
+        this.animationId = requestAnimationFrame(frame);
+    }
+
+    draw() {
+        if (!this.ctx) return;
+
+        const dpr = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (!width || !height) return;
+        if (this.canvas.width !== Math.round(width * dpr) || this.canvas.height !== Math.round(height * dpr)) {
+            this.canvas.width = Math.round(width * dpr);
+            this.canvas.height = Math.round(height * dpr);
+        }
+
+        const ctx = this.ctx;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        this.drawGrid(ctx, width, height);
+        this.drawSpectrum(ctx, width, height);
+
+        // Response curve, and what actually comes out once the pre-gain is applied
+        const points = Math.ceil(width / 2);
+        const frequencies = Array.from({ length: points + 1 }, (_, i) => this.xToFreq(i * width / points, width));
+        const response = this.equalizer.getResponse(frequencies);
+        const preGain = this.equalizer.getPreGain();
+
+        const curve = (offset) => {
+            ctx.beginPath();
+            response.forEach((db, i) => {
+                const x = i * width / points;
+                const y = this.dbToY(db + offset, height);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+        };
+
+        if (preGain < 0) {
+            ctx.setLineDash([4, 4]);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+            ctx.lineWidth = 1;
+            curve(preGain);
+            ctx.setLineDash([]);
+        }
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        curve(0);
+
+        // Handles
+        this.getHandles(width, height).forEach((handle, i) => {
+            ctx.beginPath();
+            ctx.arc(handle.x, handle.y, i === this.dragIndex ? 7 : 5, 0, Math.PI * 2);
+            ctx.fillStyle = this.getBandColor(i);
+            ctx.fill();
+        });
+    }
+
+    drawGrid(ctx, width, height) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.font = '10px sans-serif';
+        ctx.lineWidth = 1;
+
+        [100, 1000, 10000].forEach(frequency => {
+            const x = this.freqToX(frequency, width);
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+            ctx.fillText(this.formatFrequency(frequency), x + 3, height - 3);
+        });
+
+        [-12, -6, 0, 6, 12].forEach(db => {
+            const y = this.dbToY(db, height);
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+            ctx.fillText(`${db > 0 ? '+' : ''}${db}`, 3, y - 2);
+        });
+    }
+
+    /**
+     * Analyser bins on the same log-frequency axis (the analyser sits after the EQ,
+     * so this is what's actually coming out)
+     */
+    drawSpectrum(ctx, width, height) {
+        const analyser = this.getAnalyser();
+        if (!analyser || !this.isPlaying()) return;
+
+        if (!this.spectrum || this.spectrum.length !== analyser.frequencyBinCount) {
+            this.spectrum = new Uint8Array(analyser.frequencyBinCount);
+        }
+        analyser.getByteFrequencyData(this.spectrum);
+
+        const binWidth = analyser.context.sampleRate / analyser.fftSize;
+        ctx.beginPath();
+        ctx.moveTo(0, height);
+        for (let x = 0; x <= width; x += 2) {
+            const bin = Math.min(this.spectrum.length - 1, Math.round(this.xToFreq(x, width) / binWidth));
+            ctx.lineTo(x, height - (this.spectrum[bin] / 255) * height);
+        }
+        ctx.lineTo(width, height);
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(102, 126, 234, 0.25)';
+        ctx.fill();
+    }
+
+    getHandles(width, height) {
+        return this.equalizer.getBands().map(band => ({
+            x: this.freqToX(band.frequency, width),
+            y: this.dbToY(this.hasGain(band) ? band.gain : 0, height)
+        }));
+    }
+
+    getBandColor(index) {
+        return `hsl(${(index * 47) % 360}, 75%, 62%)`;
+    }
+
+    freqToX(frequency, width) {
+        return Math.log(frequency / this.minFreq) / Math.log(this.maxFreq / this.minFreq) * width;
+    }
+
+    xToFreq(x, width) {
+        return this.minFreq * Math.pow(this.maxFreq / this.minFreq, Math.max(0, Math.min(1, x / width)));
+    }
+
+    dbToY(db, height) {
+        return height / 2 - (db / this.dbRange) * (height / 2);
+    }
+
+    yToDb(y, height) {
+        return (height / 2 - y) / (height / 2) * this.dbRange;
+    }
+
+    // ========== Utilities ==========
+
+    formatFrequency(frequency) {
+        return frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EqualizerUI;
+}
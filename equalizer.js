@@ -0,0 +1,381 @@
+/* ============================================
+   Equalizer - 10-band graphic or fully parametric EQ
+   built from a chain of biquads between input and output,
+   behind a pre-gain stage that leaves headroom for boosts
+   ============================================ */
+
+class Equalizer {
+    constructor(debugLog) {
+        this.debugLog = debugLog;
+
+        this.graphicFrequencies = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+        this.graphicQ = 1.41; // One octave wide
+        this.bandTypes = {
+            'peaking': 'Peak',
+            'lowshelf': 'Low shelf',
+            'highshelf': 'High shelf',
+            'lowpass': 'Low-pass',
+            'highpass': 'High-pass',
+            'notch': 'Notch'
+        };
+        this.maxBands = 16;
+        this.minGain = APP_CONFIG.EQ_MIN_DB;
+        this.maxGain = APP_CONFIG.EQ_MAX_DB;
+
+        // State
+        this.mode = 'graphic'; // 'graphic' | 'parametric'
+        this.graphicGains = this.graphicFrequencies.map(() => 0);
+        this.parametricBands = this.fromThreeBand(0, 0, 0);
+        this.autoHeadroom = true; // Turn the input down by the curve's biggest boost
+
+        // Audio nodes (created by attach)
+        this.audioContext = null;
+        this.input = null;
+        this.preGain = null;
+        this.output = null;
+        this.filters = [];
+
+        this.onChange = () => {}; // UI refresh after any change
+
+        this.loadSettings();
+    }
+
+    // ========== AUDIO ==========
+
+    /**
+     * Create the chain. Connect whatever feeds the EQ to `input` and `output` onwards.
+     */
+    attach(audioContext) {
+        if (this.audioContext) return;
+
+        this.audioContext = audioContext;
+        this.input = audioContext.createGain();
+        this.preGain = audioContext.createGain();
+        this.output = audioContext.createGain();
+        this.input.connect(this.preGain);
+        this.rebuild();
+    }
+
+    /**
+     * Recreate the filters (band count or types changed)
+     */
+    rebuild() {
+        if (!this.audioContext) return;
+
+        this.preGain.disconnect();
+        this.preGain.gain.value = Math.pow(10, this.getPreGain() / 20);
+        this.filters.forEach(filter => filter.disconnect());
+
+        this.filters = this.getBands().map(band => {
+            const filter = this.audioContext.createBiquadFilter();
+            filter.type = band.type;
+            filter.frequency.value = band.frequency;
+            filter.gain.value = band.gain;
+            filter.Q.value = band.Q;
+            return filter;
+        });
+
+        let node = this.preGain;
+        this.filters.forEach(filter => {
+            node.connect(filter);
+            node = filter;
+        });
+        node.connect(this.output);
+    }
+
+    /**
+     * Push the band values to the filters, smoothly where the layout hasn't changed
+     */
+    updateNodes() {
+        if (!this.audioContext) return;
+
+        const bands = this.getBands();
+        const sameLayout = bands.length === this.filters.length &&
+            bands.every((band, i) => band.type === this.filters[i].type);
+        if (!sameLayout) {
+            this.rebuild();
+            return;
+        }
+
+        const now = this.audioContext.currentTime;
+        this.preGain.gain.setTargetAtTime(Math.pow(10, this.getPreGain() / 20), now, 0.01);
+        bands.forEach((band, i) => {
+            const filter = this.filters[i];
+            filter.frequency.setTargetAtTime(band.frequency, now, 0.01);
+            filter.gain.setTargetAtTime(band.gain, now, 0.01);
+            filter.Q.setTargetAtTime(band.Q, now, 0.01);
+        });
+    }
+
+    // ========== BANDS ==========
+
+    /**
+     * Bands of the current mode
+     * @returns {Array} [{ type, frequency, gain, Q }]
+     */
+    getBands() {
+        if (this.mode === 'graphic') {
+            return this.graphicFrequencies.map((frequency, i) => ({
+                type: 'peaking', frequency, gain: this.graphicGains[i], Q: this.graphicQ
+            }));
+        }
+        return this.parametricBands.map(band => ({ ...band }));
+    }
+
+    setMode(mode) {
+        if (mode !== 'graphic' && mode !== 'parametric') return;
+        this.mode = mode;
+        this.changed();
+        this.debugLog(`🎛️ EQ mode: ${mode === 'graphic' ? '10-band graphic' : 'parametric'}`, 'info');
+    }
+
+    setGraphicGain(index, gain) {
+        this.graphicGains[index] = this.clampGain(gain);
+        this.changed();
+    }
+
+    /**
+     * @param {Object} changes - Any of { type, frequency, gain, Q }
+     */
+    updateBand(index, changes) {
+        const band = this.parametricBands[index];
+        if (!band) return;
+
+        Object.assign(band, this.sanitizeBand({ ...band, ...changes }));
+        this.changed();
+    }
+
+    addBand(band = { type: 'peaking', frequency: 1000, gain: 0, Q: 1 }) {
+        if (this.parametricBands.length >= this.maxBands) return false;
+
+        this.parametricBands.push(this.sanitizeBand(band));
+        this.parametricBands.sort((a, b) => a.frequency - b.frequency);
+        this.changed();
+        return true;
+    }
+
+    removeBand(index) {
+        this.parametricBands.splice(index, 1);
+        this.changed();
+    }
+
+    /**
+     * Load a band set (preset) into the current mode. The graphic mode gets
+     * slider positions fitted to the set's response.
+     */
+    applyBands(bands) {
+        if (this.mode === 'graphic') {
+            this.graphicGains = this.fitGraphic(bands);
+        } else {
+            this.parametricBands = bands.slice(0, this.maxBands).map(band => this.sanitizeBand(band));
+        }
+        this.changed();
+    }
+
+    setAutoHeadroom(enabled) {
+        this.autoHeadroom = enabled;
+        this.changed();
+    }
+
+    reset() {
+        if (this.mode === 'graphic') {
+            this.graphicGains = this.graphicFrequencies.map(() => 0);
+        } else {
+            this.parametricBands = this.fromThreeBand(0, 0, 0);
+        }
+        this.changed();
+        this.debugLog('Equalizer reset', 'success');
+    }
+
+    /**
+     * The old fixed bass/mid/treble EQ as a band set
+     */
+    fromThreeBand(bass, mid, treble) {
+        return [
+            { type: 'lowshelf', frequency: APP_CONFIG.BASS_FREQ_HZ, gain: this.clampGain(bass), Q: 1 },
+            { type: 'peaking', frequency: APP_CONFIG.MID_FREQ_HZ, gain: this.clampGain(mid), Q: 1 },
+            { type: 'highshelf', frequency: APP_CONFIG.TREBLE_FREQ_HZ, gain: this.clampGain(treble), Q: 1 }
+        ];
+    }
+
+    /**
+     * Graphic slider gains whose combined response best matches a band set's.
+     * Neighbouring bands overlap, so the first guess is corrected a few times.
+     */
+    fitGraphic(bands) {
+        const target = this.getResponse(this.graphicFrequencies, bands);
+        let gains = target.map(gain => this.clampGain(gain));
+
+        for (let pass = 0; pass < 6; pass++) {
+            const actual = this.getResponse(this.graphicFrequencies, this.graphicFrequencies.map((frequency, i) => ({
+                type: 'peaking', frequency, gain: gains[i], Q: this.graphicQ
+            })));
+            gains = gains.map((gain, i) => this.clampGain(gain + (target[i] - actual[i]) * 0.8));
+        }
+
+        return gains.map(gain => Math.round(gain * 2) / 2 || 0);
+    }
+
+    sanitizeBand(band) {
+        const type = this.bandTypes[band.type] ? band.type : 'peaking';
+        return {
+            type,
+            frequency: Math.max(20, Math.min(20000, Number(band.frequency) || 1000)),
+            gain: this.clampGain(Number(band.gain) || 0),
+            Q: Math.max(0.1, Math.min(18, Number(band.Q) || 1))
+        };
+    }
+
+    clampGain(value) {
+        return Math.max(this.minGain, Math.min(this.maxGain, value));
+    }
+
+    changed() {
+        this.updateNodes();
+        this.saveSettings();
+        this.onChange();
+    }
+
+    // ========== RESPONSE ==========
+
+    /**
+     * Combined magnitude response in dB, worked out from the same biquad formulas
+     * Web Audio uses - so it can be drawn before the audio context exists
+     * @param {number[]} frequencies - Hz
+     * @param {Array} bands - Defaults to the current bands
+     */
+    getResponse(frequencies, bands = this.getBands()) {
+        const sampleRate = this.audioContext?.sampleRate || 48000;
+        return frequencies.map(frequency => bands.reduce(
+            (sum, band) => sum + this.getBandResponse(band, frequency, sampleRate), 0
+        ));
+    }
+
+    /**
+     * Biggest boost anywhere in the audible range, in dB (0 or less means no boost)
+     */
+    getPeakGain(bands = this.getBands()) {
+        const frequencies = Array.from({ length: 121 }, (_, i) => 20 * Math.pow(1000, i / 120)); // 1/12 octave
+        return Math.max(...this.getResponse(frequencies, bands));
+    }
+
+    /**
+     * Pre-gain in dB - with auto headroom, just enough cut that the boosted bands peak at 0 dB
+     */
+    getPreGain(bands = this.getBands()) {
+        if (!this.autoHeadroom) return 0;
+        return -Math.max(0, Math.round(this.getPeakGain(bands) * 10) / 10);
+    }
+
+    getBandResponse(band, frequency, sampleRate) {
+        const w0 = 2 * Math.PI * Math.min(band.frequency, sampleRate / 2 - 1) / sampleRate;
+        const cos = Math.cos(w0);
+        const sin = Math.sin(w0);
+        const A = Math.pow(10, band.gain / 40);
+        let b0, b1, b2, a0, a1, a2, alpha;
+
+        switch (band.type) {
+            case 'lowshelf':
+            case 'highshelf': {
+                // Web Audio shelves ignore Q (slope of 1)
+                alpha = sin / 2 * Math.SQRT2;
+                const k = 2 * Math.sqrt(A) * alpha;
+                const sign = band.type === 'lowshelf' ? 1 : -1;
+                b0 = A * ((A + 1) - sign * (A - 1) * cos + k);
+                b1 = 2 * sign * A * ((A - 1) - sign * (A + 1) * cos);
+                b2 = A * ((A + 1) - sign * (A - 1) * cos - k);
+                a0 = (A + 1) + sign * (A - 1) * cos + k;
+                a1 = -2 * sign * ((A - 1) + sign * (A + 1) * cos);
+                a2 = (A + 1) + sign * (A - 1) * cos - k;
+                break;
+            }
+            case 'lowpass':
+            case 'highpass': {
+                // Q is a resonance in dB for these
+                alpha = sin / (2 * Math.pow(10, band.Q / 20));
+                const edge = band.type === 'lowpass' ? 1 - cos : 1 + cos;
+                b0 = edge / 2;
+                b1 = band.type === 'lowpass' ? edge : -edge;
+                b2 = edge / 2;
+                a0 = 1 + alpha;
+                a1 = -2 * cos;
+                a2 = 1 - alpha;
+                break;
+            }
+            case 'notch':
+                alpha = sin / (2 * band.Q);
+                b0 = 1; b1 = -2 * cos; b2 = 1;
+                a0 = 1 + alpha; a1 = -2 * cos; a2 = 1 - alpha;
+                break;
+            default: // peaking
+                alpha = sin / (2 * band.Q);
+                b0 = 1 + alpha * A; b1 = -2 * cos; b2 = 1 - alpha * A;
+                a0 = 1 + alpha / A; a1 = -2 * cos; a2 = 1 - alpha / A;
+        }
+
+        // |H(e^jw)| at the frequency asked for
+        const w = 2 * Math.PI * frequency / sampleRate;
+        const cos1 = Math.cos(w), sin1 = Math.sin(w);
+        const cos2 = Math.cos(2 * w), sin2 = Math.sin(2 * w);
+        const numRe = b0 + b1 * cos1 + b2 * cos2;
+        const numIm = -(b1 * sin1 + b2 * sin2);
+        const denRe = a0 + a1 * cos1 + a2 * cos2;
+        const denIm = -(a1 * sin1 + a2 * sin2);
+        const magnitude = Math.sqrt((numRe * numRe + numIm * numIm) / (denRe * denRe + denIm * denIm));
+
+        return 20 * Math.log10(Math.max(magnitude, 1e-6));
+    }
+
+    // ========== SETTINGS ==========
+
+    /**
+     * Saved state, or the old bass/mid/treble sliders moved over as parametric bands
+     */
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('eqState') || 'null');
+            if (saved) {
+                this.mode = saved.mode === 'parametric' ? 'parametric' : 'graphic';
+                this.autoHeadroom = saved.autoHeadroom !== false;
+                if (Array.isArray(saved.graphicGains) && saved.graphicGains.length === this.graphicFrequencies.length) {
+                    this.graphicGains = saved.graphicGains.map(gain => this.clampGain(Number(gain) || 0));
+                }
+                if (Array.isArray(saved.parametricBands)) {
+                    this.parametricBands = saved.parametricBands.slice(0, this.maxBands).map(band => this.sanitizeBand(band));
+                }
+                return;
+            }
+
+            const bass = localStorage.getItem('eqBass');
+            const mid = localStorage.getItem('eqMid');
+            const treble = localStorage.getItem('eqTreble');
+            if (bass !== null || mid !== null || treble !== null) {
+                this.mode = 'parametric';
+                this.parametricBands = this.fromThreeBand(parseFloat(bass) || 0, parseFloat(mid) || 0, parseFloat(treble) || 0);
+                this.saveSettings();
+                ['eqBass', 'eqMid', 'eqTreble'].forEach(key => localStorage.removeItem(key));
+                this.debugLog('🎛️ Moved your 3-band EQ settings to the parametric EQ', 'info');
+            }
+        } catch (err) {
+            this.debugLog(`Failed to load EQ settings: ${err.message}`, 'error');
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem('eqState', JSON.stringify({
+                mode: this.mode,
+                autoHeadroom: this.autoHeadroom,
+                graphicGains: this.graphicGains,
+                parametricBands: this.parametricBands
+            }));
+        } catch (err) {
+            this.debugLog(`Failed to save EQ settings: ${err.message}`, 'error');
+        }
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Equalizer;
+}
@@ -24,6 +24,7 @@ class EnhancedFileLoadingManager {
         // Dependencies
         this.metadataParser = null;
         this.vttParser = null;
+        this.playlistFileParser = null;
         this.analysisParser = null;
         this.customMetadataStore = null;
         this.analyzer = null;
@@ -40,6 +41,7 @@ class EnhancedFileLoadingManager {
             retryAttempts: options.retryAttempts || 2,
             retryDelay: options.retryDelay || 1000,
             fuzzyMatchThreshold: options.fuzzyMatchThreshold || 0.8,
+            playlistFuzzyThreshold: options.playlistFuzzyThreshold || 0.9, // Stricter - a wrong song is worse than a missing one
             // Mobile: smaller chunks
             chunkSize: this.isMobile ? 3 : (options.chunkSize || 5),
             enableCaching: false, // Force disabled as per user request
@@ -74,7 +76,8 @@ class EnhancedFileLoadingManager {
             onLoadError: null,
             onFileProcessed: null,
             onChunkComplete: null,
-            onProgressiveUpdate: null
+            onProgressiveUpdate: null,
+            onPlaylistFilesLoaded: null
         };
         
         // In-memory cache (small, for current session)
@@ -199,6 +202,7 @@ class EnhancedFileLoadingManager {
     init(dependencies) {
         this.metadataParser = dependencies.metadataParser;
         this.vttParser = dependencies.vttParser;
+        this.playlistFileParser = dependencies.playlistFileParser || null;
         this.analysisParser = dependencies.analysisParser;
         this.customMetadataStore = dependencies.customMetadataStore;
         this.analyzer = dependencies.analyzer;
@@ -242,9 +246,24 @@ class EnhancedFileLoadingManager {
             
             this.debugLog(
                 `📂 Categorized: ${categorized.audio.length} audio, ` +
-                `${categorized.vtt.length} VTT, ${categorized.analysis.length} analysis`
+                `${categorized.vtt.length} VTT, ${categorized.analysis.length} analysis, ` +
+                `${categorized.playlist.length} playlist files`
             );
             
+            // Playlist files on their own are resolved against the tracks already loaded
+            const playlistFiles = await this._parsePlaylistFiles(categorized.playlist);
+            if (categorized.audio.length === 0 && playlistFiles.length > 0) {
+                this._notifyCallback('onPlaylistFilesLoaded', { playlists: playlistFiles, tracks: null });
+                
+                return {
+                    success: true,
+                    playlist: [],
+                    importedPlaylists: playlistFiles,
+                    errors: this.state.errors,
+                    warnings: this.state.warnings
+                };
+            }
+            
             // Step 2: Build file map (fast, no I/O)
             const fileMap = this._buildFileMatchMap(categorized);
             
@@ -264,6 +283,10 @@ class EnhancedFileLoadingManager {
                 'success'
             );
             
+            if (playlistFiles.length > 0) {
+                this._notifyCallback('onPlaylistFilesLoaded', { playlists: playlistFiles, tracks: playlist });
+            }
+            
             this._notifyCallback('onLoadComplete', playlist);
             
             const stats = this._generateStats(categorized, playlist);
@@ -529,6 +552,7 @@ class EnhancedFileLoadingManager {
             audio: [],
             vtt: [],
             analysis: [],
+            playlist: [],
             unknown: []
         };
         
@@ -551,6 +575,11 @@ class EnhancedFileLoadingManager {
         const nameLower = file.name.toLowerCase();
         const extension = nameLower.split('.').pop();
         
+        // Before the audio check: .m3u/.pls report audio/x-mpegurl / audio/x-scpls
+        if (['m3u', 'm3u8', 'pls', 'xspf'].includes(extension)) {
+            return 'playlist';
+        }
+        
         if (file.type.startsWith('audio/') || 
             this.config.supportedAudioFormats.includes(extension)) {
             return 'audio';
@@ -627,21 +656,160 @@ class EnhancedFileLoadingManager {
         return matches;
     }
     
-    _fuzzyMatch(baseName, files) {
+    /**
+     * @param {Object} options - { threshold, unique } - unique: no match unless exactly one file clears the threshold
+     */
+    _fuzzyMatch(baseName, files, options = {}) {
+        const threshold = options.threshold ?? this.config.fuzzyMatchThreshold;
         let bestMatch = null;
         let bestScore = 0;
+        let matchCount = 0;
         
         for (const file of files) {
             const fileBaseName = this._getBaseName(file.name);
+            
+            // The edit distance is at least the length difference - skip what can't reach the threshold
+            const longest = Math.max(baseName.length, fileBaseName.length);
+            if (Math.abs(baseName.length - fileBaseName.length) > (1 - threshold) * longest + 1e-9) continue;
+            
             const score = this._calculateSimilarity(baseName, fileBaseName);
+            if (score < threshold) continue;
             
-            if (score > bestScore && score >= this.config.fuzzyMatchThreshold) {
+            matchCount++;
+            if (score > bestScore) {
                 bestScore = score;
                 bestMatch = file;
             }
         }
         
-        return bestMatch;
+        return options.unique && matchCount > 1 ? null : bestMatch;
+    }
+    
+    // ========== PLAYLIST FILES ==========
+    
+    async _parsePlaylistFiles(files) {
+        if (files.length === 0) return [];
+        
+        if (!this.playlistFileParser) {
+            this.debugLog('⚠️ Playlist files skipped - no playlist parser available', 'warning');
+            return [];
+        }
+        
+        const parsed = [];
+        for (const file of files) {
+            const result = await this.playlistFileParser.parseFile(file);
+            if (result && result.entries.length > 0) {
+                parsed.push(result);
+            } else {
+                this.state.warnings.push({ file: file.name, message: 'Empty or unreadable playlist file' });
+            }
+        }
+        
+        return parsed;
+    }
+    
+    /**
+     * Resolve parsed playlist entries against loaded tracks:
+     * relative path first, then path tail, then file name (with or without extension),
+     * then a strict fuzzy file name match.
+     * The fuzzy step needs the same numbers in both names ("Track 01" never becomes "Track 02")
+     * and exactly one candidate above the threshold; anything else is reported missing.
+     * @param {Object} playlistFile - Result of PlaylistFileParser.parseFile()
+     * @param {Array} tracks - Loaded tracks
+     * @returns {Object} { tracks, missing, fuzzy } - fuzzy: [{ entry, track }] matched by similar name
+     */
+    resolvePlaylistEntries(playlistFile, tracks) {
+        const byPath = new Map();
+        const byName = new Map();
+        
+        tracks.forEach(track => {
+            const relativePath = (track.file?.webkitRelativePath || track.fileName).toLowerCase();
+            byPath.set(relativePath, track);
+            if (!byName.has(track.fileName.toLowerCase())) {
+                byName.set(track.fileName.toLowerCase(), track);
+            }
+        });
+        
+        // Same name in another format (re-encoded files), and fuzzy candidates grouped by the numbers in their names
+        const digitsOf = (name) => (name.match(/\d+/g) || []).map(Number).join(',');
+        const byBaseName = new Map();
+        const byDigits = new Map();
+        tracks.forEach(track => {
+            const name = track.fileName.toLowerCase();
+            const baseName = this._getBaseName(name);
+            if (!byBaseName.has(baseName)) byBaseName.set(baseName, track);
+            
+            const key = digitsOf(baseName);
+            if (!byDigits.has(key)) byDigits.set(key, []);
+            byDigits.get(key).push({ name, track });
+        });
+        
+        const resolved = [];
+        const missing = [];
+        const fuzzy = [];
+        
+        for (const entry of playlistFile.entries) {
+            const entryPath = entry.path.toLowerCase();
+            const joined = this._joinPath(playlistFile.baseDir.toLowerCase(), entryPath);
+            const fileName = entryPath.split('/').pop();
+            
+            let track = byPath.get(joined) || byPath.get(entryPath);
+            
+            if (!track) {
+                // Absolute or foreign path - longest shared path tail wins
+                let bestLength = 0;
+                for (const [path, candidate] of byPath) {
+                    const shared = path.endsWith(`/${entryPath}`) ? entryPath.length
+                        : entryPath.endsWith(`/${path}`) ? path.length
+                        : 0;
+                    if (shared > bestLength) {
+                        bestLength = shared;
+                        track = candidate;
+                    }
+                }
+            }
+            
+            if (!track) {
+                track = byName.get(fileName);
+            }
+            
+            const baseName = this._getBaseName(fileName);
+            if (!track) {
+                track = byBaseName.get(baseName);
+            }
+            
+            if (!track) {
+                const candidates = byDigits.get(digitsOf(baseName)) || [];
+                track = this._fuzzyMatch(baseName, candidates, { threshold: this.config.playlistFuzzyThreshold, unique: true })?.track;
+                if (track) fuzzy.push({ entry, track });
+            }
+            
+            if (track) {
+                resolved.push(track);
+            } else {
+                missing.push(entry);
+            }
+        }
+        
+        if (missing.length > 0) {
+            this.debugLog(`⚠️ "${playlistFile.name}": ${missing.length} of ${playlistFile.entries.length} entries not found`, 'warning');
+        }
+        fuzzy.forEach(({ entry, track }) => {
+            this.debugLog(`🔍 "${playlistFile.name}": ${entry.path} → ${track.fileName} (similar name)`, 'info');
+        });
+        
+        return { tracks: resolved, missing, fuzzy };
+    }
+    
+    _joinPath(baseDir, relativePath) {
+        if (/^([a-z]:)?\//.test(relativePath)) return relativePath; // absolute
+        
+        const segments = baseDir ? baseDir.split('/') : [];
+        for (const part of relativePath.split('/')) {
+            if (part === '..') segments.pop();
+            else if (part && part !== '.') segments.push(part);
+        }
+        return segments.join('/');
     }
     
     _calculateSimilarity(str1, str2) {
@@ -846,13 +1014,20 @@ class EnhancedFileLoadingManager {
         // Check custom metadata
         if (this.customMetadataStore) {
             const customMeta = this.customMetadataStore.get(audioFile.name, audioFile.size);
-            if (customMeta) {
+            if (customMeta && customMeta.title) {
                 metadata = {
                     ...metadata,
                     ...customMeta,
                     hasMetadata: true,
                     isCustom: true
                 };
+            } else if (customMeta) {
+                // Only a rating/favorite was stored - it overrides the file's rating tag
+                metadata = {
+                    ...metadata,
+                    rating: customMeta.rating ?? metadata.rating,
+                    favorite: !!customMeta.favorite
+                };
             }
         }
         
@@ -1005,7 +1180,7 @@ class EnhancedFileLoadingManager {
     createFileInput(options = {}) {
         const input = document.createElement('input');
         input.type = 'file';
-        input.accept = options.accept || 'audio/*,.vtt,.txt';
+        input.accept = options.accept || 'audio/*,.vtt,.txt,.m3u,.m3u8,.pls,.xspf';
         input.multiple = options.multiple !== false;
         
         input.style.display = 'none';
@@ -1107,6 +1282,7 @@ class EnhancedFileLoadingManager {
             audioFiles: categorized.audio.length,
             vttFiles: categorized.vtt.length,
             analysisFiles: categorized.analysis.length,
+            playlistFiles: categorized.playlist?.length || 0,
             unknownFiles: categorized.unknown?.length || 0,
             playlistSize: playlist.length,
             errors: this.state.errors.length,
@@ -0,0 +1,417 @@
+/* ============================================
+   Gapless Engine - Sample-accurate track changes by
+   scheduling decoded buffers back to back in Web Audio
+   ============================================ */
+
+class GaplessEngine {
+    constructor(player, debugLog) {
+        this.player = player;
+        this.debugLog = debugLog;
+
+        // Settings
+        this.scheduleAhead = 15; // Queue the next buffer this many seconds before the end
+        this.switchTime = 0.01; // Element ↔ engine swap
+        this.startLatency = 0.03; // Headroom for source.start() when taking over mid-track
+        this.checkEvery = 500;
+
+        // Audio graph (set by attach)
+        this.audioContext = null;
+        this.elementGain = null;
+        this.engineGain = null;
+        this.output = null;
+
+        // State
+        this.engaged = false; // The engine, not the element, is audible
+        this.current = null; // { track, buffer, trim, source, ctxStart, ctxEnd }
+        this.next = null; // Same shape, scheduled to start at current.ctxEnd
+        this.pending = null; // Track being decoded for `next`
+        this.unavailable = null; // Track that couldn't be decoded - element path
+        this.elementTrack = null; // Track loaded in the <audio> element
+        this.needsSync = false; // Element has to catch up with the engine after a handoff
+        this.syncing = false; // Our own seek on the element
+        this.checkInterval = null;
+
+        // Providers (set by init)
+        this.isEnabled = () => false;
+        this.getNextTrack = () => null;
+        this.wantsGapless = () => false; // (current, next)
+        this.isHeld = () => false; // A-B loop, sleep timer...
+        this.getDecodedBuffer = async () => null; // (track) → AudioBuffer, null when memory is tight
+        this.setTransitionHeld = () => {}; // Keep the crossfade out while the engine has the transition
+    }
+
+    /**
+     * @param {Object} config - { isEnabled, getNextTrack, wantsGapless(current, next), isHeld, getDecodedBuffer(track), setTransitionHeld(held) }
+     */
+    init(config = {}) {
+        if (config.isEnabled) this.isEnabled = config.isEnabled;
+        if (config.getNextTrack) this.getNextTrack = config.getNextTrack;
+        if (config.wantsGapless) this.wantsGapless = config.wantsGapless;
+        if (config.isHeld) this.isHeld = config.isHeld;
+        if (config.getDecodedBuffer) this.getDecodedBuffer = config.getDecodedBuffer;
+        if (config.setTransitionHeld) this.setTransitionHeld = config.setTransitionHeld;
+
+        this.player.addEventListener('playing', () => this.handlePlaying());
+        this.player.addEventListener('pause', () => this.handlePause());
+        this.player.addEventListener('seeking', () => this.handleSeeking());
+        this.player.addEventListener('seeked', () => this.handleSeeked());
+        this.player.addEventListener('ratechange', () => {
+            if (this.player.playbackRate !== 1) this.disengage();
+        });
+
+        this.checkInterval = setInterval(() => this.checkSchedule(), this.checkEvery);
+        this.debugLog('✅ Gapless engine ready', 'success');
+    }
+
+    // ========== AUDIO GRAPH ==========
+
+    /**
+     * Mix the element and the engine in front of the EQ
+     * @returns {AudioNode} Node to treat as the chain's source
+     */
+    attach(audioContext, elementSource, outputNode) {
+        if (this.output) return this.output;
+
+        this.audioContext = audioContext;
+        this.elementGain = audioContext.createGain();
+        this.engineGain = audioContext.createGain();
+        this.output = audioContext.createGain();
+        this.engineGain.gain.value = 0;
+
+        try {
+            elementSource.disconnect(outputNode);
+        } catch (err) {
+            // Wasn't connected yet
+        }
+
+        elementSource.connect(this.elementGain);
+        this.elementGain.connect(this.output);
+        this.engineGain.connect(this.output);
+        this.output.connect(outputNode);
+
+        this.debugLog('🔗 Gapless engine attached to audio chain', 'info');
+        return this.output;
+    }
+
+    // ========== TRACK CHANGES ==========
+
+    /**
+     * Called for every track the player loads
+     * @returns {boolean} true if the engine is already playing it (skip seeks on the element)
+     */
+    trackLoaded(track) {
+        const handoff = this.engaged && (this.next?.track === track || this.current?.track === track);
+        this.elementTrack = track;
+
+        if (handoff) {
+            // Next buffer hasn't ended the current one yet - it's started on time regardless
+            if (this.next?.track === track) this.promote();
+            this.needsSync = true;
+            this.debugLog(`✨ Gapless handoff: ${track.fileName}`, 'success');
+            return true;
+        }
+
+        this.stop();
+        this.prepareCurrent(track);
+        return false;
+    }
+
+    async prepareCurrent(track) {
+        if (!this.isEnabled() || !this.audioContext || !this.getUpcoming(track)) return;
+
+        const buffer = await this.getDecodedBuffer(track);
+        if (!buffer || this.elementTrack !== track || this.current) return;
+
+        this.current = { track, buffer, trim: this.getTrim(track, buffer), source: null, ctxStart: 0, ctxEnd: 0 };
+        this.checkSchedule();
+    }
+
+    /**
+     * Next track, if the change to it should be seamless
+     */
+    getUpcoming(track) {
+        const next = this.getNextTrack();
+        return next && next !== track && this.wantsGapless(track, next) ? next : null;
+    }
+
+    /**
+     * Is the engine carrying playback past the element's track?
+     */
+    isHandingOff() {
+        return this.engaged && (!!this.next || this.current?.track !== this.elementTrack);
+    }
+
+    // ========== SCHEDULING ==========
+
+    checkSchedule() {
+        if (!this.current || !this.audioContext) return;
+
+        // The element hasn't caught up yet - leave it all alone
+        if (this.current.track !== this.elementTrack || this.needsSync) return;
+
+        const upcoming = !this.isEnabled() || this.isHeld() ? null : this.getUpcoming(this.current.track);
+
+        if (this.next && this.next.track !== upcoming) {
+            this.cancelNext();
+        }
+
+        // Nothing to join up to. Once engaged the engine plays the track out -
+        // swapping back mid-track would jump by however far the element is off.
+        if (!upcoming) return;
+
+        if (!this.engaged) {
+            this.engage();
+            if (!this.engaged) return;
+        }
+
+        const remaining = this.current.ctxEnd - this.audioContext.currentTime;
+        if (!this.next && remaining < this.scheduleAhead && upcoming !== this.unavailable) {
+            this.scheduleNext(upcoming);
+        }
+    }
+
+    async scheduleNext(track) {
+        if (this.pending === track) return;
+        this.pending = track;
+
+        const buffer = await this.getDecodedBuffer(track);
+        if (this.pending !== track) return;
+        this.pending = null;
+
+        if (!buffer) {
+            this.unavailable = track;
+            this.debugLog(`⚠️ Not enough memory to decode ${track.fileName} - normal track change`, 'warning');
+            return;
+        }
+
+        const current = this.current;
+        if (!this.engaged || !current || this.next) return;
+
+        // Too late to start on time
+        if (current.ctxEnd - this.audioContext.currentTime < 0.05) return;
+
+        const entry = { track, buffer, trim: this.getTrim(track, buffer), source: null, ctxStart: 0, ctxEnd: 0 };
+        this.startSource(entry, current.ctxEnd, entry.trim.start);
+        this.next = entry;
+        this.setTransitionHeld(true);
+
+        this.debugLog(`🔗 Gapless: ${track.fileName} queued to start in ${(current.ctxEnd - this.audioContext.currentTime).toFixed(1)}s`, 'info');
+    }
+
+    cancelNext() {
+        this.pending = null;
+        if (!this.next) return;
+
+        this.stopSource(this.next);
+        this.next = null;
+        this.setTransitionHeld(false);
+    }
+
+    /**
+     * The queued buffer took over from the current one
+     */
+    promote() {
+        if (!this.next) return;
+
+        if (this.current) this.current.source = null;
+        this.current = this.next;
+        this.next = null;
+        this.setTransitionHeld(false);
+    }
+
+    handleSourceEnded(entry) {
+        if (entry !== this.current) return;
+
+        if (this.next) {
+            this.promote();
+            return;
+        }
+
+        // Played out with nothing after it - the element ends at the same time
+        entry.source = null;
+        this.engaged = false;
+        this.setGains(1, 0, 0);
+    }
+
+    // ========== ENGAGE / DISENGAGE ==========
+
+    canEngage() {
+        return this.isEnabled() &&
+            !this.player.paused &&
+            !this.player.seeking &&
+            this.player.playbackRate === 1 &&
+            this.audioContext?.state === 'running';
+    }
+
+    /**
+     * Take over from the element at its current position
+     */
+    engage() {
+        if (this.engaged || !this.current || !this.canEngage()) return;
+
+        const when = this.audioContext.currentTime + this.startLatency;
+        const offset = this.current.trim.start + this.player.currentTime + this.startLatency;
+        if (offset >= this.current.trim.end - 0.05) return;
+
+        this.startSource(this.current, when, offset);
+        this.setGains(0, 1, this.switchTime, when);
+        this.engaged = true;
+    }
+
+    /**
+     * Hand playback back to the element
+     */
+    disengage() {
+        if (!this.engaged) return;
+
+        this.cancelNext();
+        this.engaged = false;
+        this.setGains(1, 0, this.switchTime);
+
+        if (this.current) {
+            this.stopSource(this.current, this.audioContext.currentTime + this.switchTime);
+        }
+    }
+
+    /**
+     * Drop everything (a track was loaded the engine didn't have)
+     */
+    stop() {
+        this.cancelNext();
+        if (this.current) this.stopSource(this.current);
+
+        this.current = null;
+        this.engaged = false;
+        this.needsSync = false;
+        this.unavailable = null;
+
+        if (this.audioContext) this.setGains(1, 0, 0);
+    }
+
+    // ========== ELEMENT EVENTS ==========
+
+    handlePlaying() {
+        if (this.needsSync && this.engaged && this.current?.track === this.elementTrack) {
+            this.needsSync = false;
+            this.syncing = true;
+            this.player.currentTime = this.getPosition();
+            return;
+        }
+
+        this.checkSchedule();
+    }
+
+    handlePause() {
+        // Reached the end - the queued buffer carries on
+        if (this.player.ended && this.isHandingOff()) return;
+
+        if (this.isHandingOff()) {
+            this.stop();
+        } else {
+            this.disengage();
+        }
+    }
+
+    handleSeeking() {
+        if (this.syncing) return;
+        this.disengage();
+    }
+
+    handleSeeked() {
+        if (this.syncing) {
+            this.syncing = false;
+            return;
+        }
+        this.checkSchedule();
+    }
+
+    // ========== Utilities ==========
+
+    startSource(entry, when, offset) {
+        const source = this.audioContext.createBufferSource();
+        source.buffer = entry.buffer;
+        source.connect(this.engineGain);
+        source.onended = () => this.handleSourceEnded(entry);
+        source.start(when, offset, Math.max(0, entry.trim.end - offset));
+
+        entry.source = source;
+        entry.ctxStart = when - (offset - entry.trim.start);
+        entry.ctxEnd = when + (entry.trim.end - offset);
+    }
+
+    stopSource(entry, when = 0) {
+        if (!entry.source) return;
+
+        const source = entry.source;
+        source.onended = null;
+        entry.source = null;
+        try {
+            source.stop(when);
+        } catch (err) {
+            // Never started
+        }
+    }
+
+    setGains(element, engine, duration, at = this.audioContext.currentTime) {
+        [[this.elementGain, element], [this.engineGain, engine]].forEach(([node, value]) => {
+            node.gain.cancelScheduledValues(at);
+            node.gain.setValueAtTime(node.gain.value, at);
+            if (duration > 0) {
+                node.gain.linearRampToValueAtTime(value, at + duration);
+            } else {
+                node.gain.setValueAtTime(value, at);
+            }
+        });
+    }
+
+    /**
+     * Position in the current track as heard (seconds)
+     */
+    getPosition() {
+        if (!this.engaged || !this.current?.source) return this.player.currentTime;
+        return Math.max(0, this.audioContext.currentTime - this.current.ctxStart);
+    }
+
+    /**
+     * Part of the decoded buffer that is actual music (encoder delay and padding removed)
+     * @returns {Object} { start, end } in seconds
+     */
+    getTrim(track, buffer) {
+        const full = { start: 0, end: buffer.duration };
+        const info = track.metadata?.gapless;
+        if (!info) return full;
+
+        const rate = info.sampleRate || this.guessSampleRate(info, buffer);
+        if (!rate) return full;
+
+        // Some decoders already drop the delay and padding
+        if (info.totalSamples && Math.abs(buffer.duration - info.totalSamples / rate) < 0.005) {
+            return full;
+        }
+
+        const start = Math.min(buffer.duration, (info.encoderDelay + info.decoderDelay) / rate);
+        const end = info.totalSamples
+            ? start + info.totalSamples / rate
+            : buffer.duration - info.encoderPadding / rate;
+
+        return { start, end: Math.max(start, Math.min(buffer.duration, end)) };
+    }
+
+    /**
+     * iTunSMPB in an MP3 doesn't say the file's rate - work it out from the length
+     */
+    guessSampleRate(info, buffer) {
+        if (!info.totalSamples || !buffer.duration) return null;
+
+        const samples = info.totalSamples + info.encoderDelay + info.encoderPadding + info.decoderDelay;
+        const estimate = samples / buffer.duration;
+        const rates = [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000, 88200, 96000];
+
+        return rates.reduce((best, rate) => Math.abs(rate - estimate) < Math.abs(best - estimate) ? rate : best);
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GaplessEngine;
+}
@@ -0,0 +1,136 @@
+/* ============================================
+   Limiter Processor (AudioWorklet)
+   Lookahead brickwall limiter: the gain needed for every
+   sample is known a few ms before the sample goes out, so
+   the gain can ramp down ahead of a peak instead of clipping it
+   ============================================ */
+
+class LimiterProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'ceiling', defaultValue: 0.891, minValue: 0.1, maxValue: 1, automationRate: 'k-rate' }, // Linear (-1 dBFS)
+            { name: 'release', defaultValue: 0.15, minValue: 0.01, maxValue: 2, automationRate: 'k-rate' }, // Seconds
+            { name: 'enabled', defaultValue: 1, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+        ];
+    }
+
+    constructor() {
+        super();
+
+        // 5 ms lookahead - the output is delayed by this much either way
+        this.lookahead = Math.max(1, Math.round(sampleRate * 0.005));
+        this.delayBuffers = [];
+        this.position = 0;
+
+        // Sliding minimum of the required gain over lookahead + 1 samples (monotonic queue),
+        // so every sample in the box average below has seen the sample about to go out
+        this.minValues = new Float32Array(this.lookahead + 2);
+        this.minIndexes = new Float64Array(this.lookahead + 2);
+        this.minHead = 0;
+        this.minTail = 0;
+        this.sampleIndex = 0;
+
+        // Box average of the held gain over the same window - a linear ramp into each peak
+        this.smoothBuffer = new Float32Array(this.lookahead).fill(1);
+        this.smoothSum = this.lookahead;
+        this.held = 1;
+
+        // Meter, posted every 50 ms
+        this.meterInterval = Math.round(sampleRate * 0.05);
+        this.meterCountdown = this.meterInterval;
+        this.meterPeak = 0;
+        this.meterMinGain = 1;
+        this.meterOvers = 0;
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const frames = output[0]?.length || 128;
+        const channels = input && input.length ? input.length : 0;
+
+        const ceiling = parameters.ceiling[0];
+        const enabled = parameters.enabled[0] >= 0.5;
+        const releaseCoef = Math.exp(-1 / (parameters.release[0] * sampleRate));
+        const size = this.lookahead;
+
+        while (this.delayBuffers.length < Math.max(channels, output.length)) {
+            this.delayBuffers.push(new Float32Array(size));
+        }
+
+        for (let i = 0; i < frames; i++) {
+            let peak = 0;
+            for (let channel = 0; channel < channels; channel++) {
+                const sample = Math.abs(input[channel][i]);
+                if (sample > peak) peak = sample;
+            }
+
+            if (peak > this.meterPeak) this.meterPeak = peak;
+            if (peak > 1) this.meterOvers++;
+
+            // Gain this sample needs, then the lowest needed anywhere in the lookahead window
+            const required = enabled && peak > ceiling ? ceiling / peak : 1;
+            this.pushMin(required);
+            const windowMin = this.minValues[this.minHead];
+
+            // Drop straight down, recover at the release rate
+            this.held = windowMin < this.held ? windowMin : windowMin + (this.held - windowMin) * releaseCoef;
+
+            this.smoothSum += this.held - this.smoothBuffer[this.position];
+            this.smoothBuffer[this.position] = this.held;
+            const gain = Math.min(1, this.smoothSum / size);
+            if (gain < this.meterMinGain) this.meterMinGain = gain;
+
+            for (let channel = 0; channel < output.length; channel++) {
+                const buffer = this.delayBuffers[channel];
+                const delayed = buffer[this.position];
+                // Mono in: same signal on every output channel
+                const source = channels === 1 ? input[0] : input[channel];
+                buffer[this.position] = source ? source[i] : 0;
+
+                const sample = delayed * gain;
+                // Rounding safety only - the gain ramp already keeps peaks under the ceiling
+                output[channel][i] = enabled ? Math.max(-ceiling, Math.min(ceiling, sample)) : sample;
+            }
+
+            this.position = (this.position + 1) % size;
+            this.sampleIndex++;
+        }
+
+        this.meterCountdown -= frames;
+        if (this.meterCountdown <= 0) {
+            this.port.postMessage({
+                peak: this.meterPeak,
+                gainReduction: -20 * Math.log10(this.meterMinGain),
+                overs: this.meterOvers
+            });
+            this.meterCountdown = this.meterInterval;
+            this.meterPeak = 0;
+            this.meterMinGain = 1;
+            this.meterOvers = 0;
+        }
+
+        return true;
+    }
+
+    pushMin(value) {
+        const capacity = this.minValues.length;
+
+        // Anything larger than the new value can never be the minimum again
+        while (this.minHead !== this.minTail) {
+            const last = (this.minTail - 1 + capacity) % capacity;
+            if (this.minValues[last] < value) break;
+            this.minTail = last;
+        }
+        this.minValues[this.minTail] = value;
+        this.minIndexes[this.minTail] = this.sampleIndex;
+        this.minTail = (this.minTail + 1) % capacity;
+
+        // Drop what has slid out of the window
+        if (this.minIndexes[this.minHead] <= this.sampleIndex - this.lookahead - 1) {
+            this.minHead = (this.minHead + 1) % capacity;
+        }
+    }
+}
+
+registerProcessor('limiter-processor', LimiterProcessor);
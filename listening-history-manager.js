@@ -0,0 +1,361 @@
+/* ============================================
+   LISTENING HISTORY MANAGER
+   Logs every play (start, completion, skip, source playlist)
+   to IndexedDB and keeps per-track totals for stats and views
+   ============================================ */
+
+class ListeningHistoryManager {
+    constructor(debugLog = console.log) {
+        this.debugLog = debugLog;
+
+        // Database
+        this.dbName = 'ListeningHistoryDB';
+        this.dbVersion = 1;
+        this.playsStore = 'plays';
+        this.totalsStore = 'totals';
+        this.db = null;
+
+        // Per-track totals (trackKey -> { playCount, skipCount, lastPlayed, totalListened })
+        this.totals = new Map();
+
+        // Play in progress
+        this.session = null;
+
+        // A play counts once half the track (or 4 minutes) was heard;
+        // leaving earlier than that is a skip
+        this.playThreshold = 0.5;
+        this.playThresholdSeconds = 240;
+        // Under this it was just flicking through - not logged at all
+        this.minLoggedSeconds = 3;
+
+        // Track key provider (set by init)
+        this.getTrackKey = (track) => `${track.fileName.toLowerCase().trim()}_${track.fileSize || 0}`;
+
+        // Callbacks
+        this.onChange = null;
+    }
+
+    // ========== DATABASE INITIALIZATION ==========
+
+    /**
+     * Open the database and load per-track totals
+     * @param {Object} config - { getTrackKey }
+     */
+    async init(config = {}) {
+        if (config.getTrackKey) this.getTrackKey = config.getTrackKey;
+
+        try {
+            await this.initDatabase();
+            await this.loadTotals();
+            await this.migrateLegacyCounts();
+            this.debugLog(`✅ Listening history ready (${this.totals.size} tracks played)`, 'success');
+        } catch (error) {
+            this.debugLog(`❌ Listening history unavailable: ${error.message}`, 'error');
+        }
+
+        // Closing the tab ends the current play
+        window.addEventListener('pagehide', () => this.finishPlay('stopped'));
+    }
+
+    initDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onerror = () => reject(request.error);
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains(this.playsStore)) {
+                    const plays = db.createObjectStore(this.playsStore, { keyPath: 'id', autoIncrement: true });
+                    plays.createIndex('trackKey', 'trackKey', { unique: false });
+                    plays.createIndex('startedAt', 'startedAt', { unique: false });
+                }
+
+                if (!db.objectStoreNames.contains(this.totalsStore)) {
+                    db.createObjectStore(this.totalsStore, { keyPath: 'trackKey' });
+                }
+            };
+        });
+    }
+
+    loadTotals() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.totalsStore], 'readonly');
+            const request = transaction.objectStore(this.totalsStore).getAll();
+
+            request.onsuccess = () => {
+                this.totals.clear();
+                (request.result || []).forEach(record => this.totals.set(record.trackKey, record));
+                resolve();
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Carry over the play counts the queue used to keep in localStorage
+     */
+    async migrateLegacyCounts() {
+        const counts = this.readLegacy('shufflePlayCounts');
+        const lastPlayed = this.readLegacy('lastPlayedTimes');
+        const keys = new Set([...Object.keys(counts), ...Object.keys(lastPlayed)]);
+        if (keys.size === 0) return;
+
+        keys.forEach(trackKey => {
+            if (this.totals.has(trackKey)) return;
+            this.totals.set(trackKey, {
+                trackKey,
+                playCount: counts[trackKey] || 0,
+                skipCount: 0,
+                lastPlayed: lastPlayed[trackKey] || null,
+                totalListened: 0
+            });
+        });
+
+        await Promise.all(Array.from(keys).map(trackKey => this.persistTotals(this.totals.get(trackKey))));
+        localStorage.removeItem('shufflePlayCounts');
+        localStorage.removeItem('lastPlayedTimes');
+        this.debugLog(`📜 Imported play counts for ${keys.size} tracks`, 'info');
+    }
+
+    readLegacy(storageKey) {
+        try {
+            return JSON.parse(localStorage.getItem(storageKey)) || {};
+        } catch (err) {
+            return {};
+        }
+    }
+
+    persistTotals(record) {
+        return this.put(this.totalsStore, record);
+    }
+
+    put(storeName, record) {
+        if (!this.db) return Promise.resolve();
+
+        return new Promise((resolve) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const request = transaction.objectStore(storeName).put(record);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => {
+                this.debugLog(`Failed to save listening history: ${request.error?.message}`, 'error');
+                resolve();
+            };
+        });
+    }
+
+    // ========== LOGGING PLAYS ==========
+
+    /**
+     * A track started playing (ends the previous play first)
+     * @param {Object} track - Track object
+     * @param {Object} source - { id, name } of the playlist it was played from
+     */
+    startPlay(track, source = {}) {
+        this.finishPlay('skipped');
+
+        this.session = {
+            track,
+            trackKey: this.getTrackKey(track),
+            source,
+            startedAt: Date.now(),
+            listened: 0,
+            lastPosition: null,
+            duration: track.duration || 0
+        };
+
+        // Counts as "last played" straight away, like the queue history
+        this.updateTotals(this.session.trackKey, { lastPlayed: this.session.startedAt });
+    }
+
+    /**
+     * Accumulate listened time from timeupdate events (jumps from seeking are ignored)
+     */
+    updateProgress(currentTime, duration) {
+        const session = this.session;
+        if (!session) return;
+
+        if (duration && isFinite(duration)) session.duration = duration;
+
+        if (session.lastPosition !== null) {
+            const delta = currentTime - session.lastPosition;
+            if (delta > 0 && delta < 2) session.listened += delta;
+        }
+        session.lastPosition = currentTime;
+    }
+
+    /**
+     * End the current play
+     * @param {string} reason - 'ended' | 'skipped' | 'stopped'
+     */
+    finishPlay(reason) {
+        const session = this.session;
+        if (!session) return;
+        this.session = null;
+
+        if (session.listened < this.minLoggedSeconds && reason !== 'ended') return;
+
+        const completion = reason === 'ended'
+            ? 1
+            : (session.duration ? Math.min(1, session.listened / session.duration) : 0);
+        const counted = completion >= this.playThreshold || session.listened >= this.playThresholdSeconds;
+        const skipped = !counted && reason === 'skipped';
+
+        const play = {
+            trackKey: session.trackKey,
+            title: session.track.metadata?.title || session.track.fileName,
+            artist: session.track.metadata?.artist || 'Unknown Artist',
+            album: session.track.metadata?.album || '',
+            startedAt: session.startedAt,
+            endedAt: Date.now(),
+            listened: Math.round(session.listened),
+            duration: Math.round(session.duration || 0),
+            completion,
+            skipped,
+            reason,
+            sourceId: session.source.id || null,
+            sourceName: session.source.name || 'All Tracks'
+        };
+
+        this.put(this.playsStore, play);
+
+        const totals = this.getTotals(session.trackKey);
+        this.updateTotals(session.trackKey, {
+            playCount: totals.playCount + (counted ? 1 : 0),
+            skipCount: totals.skipCount + (skipped ? 1 : 0),
+            totalListened: totals.totalListened + play.listened
+        });
+    }
+
+    updateTotals(trackKey, changes) {
+        const record = { ...this.getTotals(trackKey), ...changes, trackKey };
+        this.totals.set(trackKey, record);
+        this.persistTotals(record);
+
+        if (this.onChange) {
+            this.onChange(trackKey);
+        }
+    }
+
+    getTotals(trackKey) {
+        return this.totals.get(trackKey) || { trackKey, playCount: 0, skipCount: 0, lastPlayed: null, totalListened: 0 };
+    }
+
+    // ========== PER-TRACK STATS ==========
+
+    /**
+     * @returns {Object} { playCount, skipCount, skipRate (0-1 or null), lastPlayed, totalListened }
+     */
+    getStats(track) {
+        const totals = this.getTotals(this.getTrackKey(track));
+        const attempts = totals.playCount + totals.skipCount;
+
+        return {
+            playCount: totals.playCount,
+            skipCount: totals.skipCount,
+            skipRate: attempts > 0 ? totals.skipCount / attempts : null,
+            lastPlayed: totals.lastPlayed,
+            totalListened: totals.totalListened
+        };
+    }
+
+    getPlayCount(track) {
+        return this.getTotals(this.getTrackKey(track)).playCount;
+    }
+
+    getLastPlayed(track) {
+        return this.getTotals(this.getTrackKey(track)).lastPlayed;
+    }
+
+    // ========== SUMMARY ==========
+
+    /**
+     * Plays started since a given time
+     * @returns {Promise<Array>} Play records, oldest first
+     */
+    getPlaysSince(since) {
+        if (!this.db) return Promise.resolve([]);
+
+        return new Promise((resolve) => {
+            const transaction = this.db.transaction([this.playsStore], 'readonly');
+            const index = transaction.objectStore(this.playsStore).index('startedAt');
+            const request = index.getAll(IDBKeyRange.lowerBound(since));
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => resolve([]);
+        });
+    }
+
+    /**
+     * Listening summary for the statistics view
+     * @param {number} days - How far back to look
+     * @returns {Promise<Object>} { plays, skips, totalListened, byDay: [{ date, seconds }], byHour: [24], topArtists: [{ artist, seconds, plays }] }
+     */
+    async getSummary(days = 14) {
+        const dayMs = 24 * 60 * 60 * 1000;
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const since = today.getTime() - (days - 1) * dayMs;
+
+        const plays = await this.getPlaysSince(since);
+
+        const byDay = Array.from({ length: days }, (_, i) => ({ date: new Date(since + i * dayMs), seconds: 0 }));
+        const byHour = new Array(24).fill(0);
+        const artists = new Map();
+
+        plays.forEach(play => {
+            const started = new Date(play.startedAt);
+            const dayIndex = Math.floor((play.startedAt - since) / dayMs);
+            if (byDay[dayIndex]) byDay[dayIndex].seconds += play.listened;
+            byHour[started.getHours()] += play.listened;
+
+            const artist = artists.get(play.artist) || { artist: play.artist, seconds: 0, plays: 0 };
+            artist.seconds += play.listened;
+            if (!play.skipped) artist.plays++;
+            artists.set(play.artist, artist);
+        });
+
+        return {
+            plays: plays.filter(play => !play.skipped).length,
+            skips: plays.filter(play => play.skipped).length,
+            totalListened: plays.reduce((sum, play) => sum + play.listened, 0),
+            allTimeListened: Array.from(this.totals.values()).reduce((sum, t) => sum + (t.totalListened || 0), 0),
+            byDay,
+            byHour,
+            topArtists: Array.from(artists.values()).sort((a, b) => b.seconds - a.seconds).slice(0, 5)
+        };
+    }
+
+    /**
+     * Forget all plays and totals
+     */
+    async clear() {
+        this.session = null;
+        this.totals.clear();
+        if (!this.db) return;
+
+        await new Promise((resolve) => {
+            const transaction = this.db.transaction([this.playsStore, this.totalsStore], 'readwrite');
+            transaction.objectStore(this.playsStore).clear();
+            transaction.objectStore(this.totalsStore).clear();
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => resolve();
+        });
+
+        this.debugLog('🗑️ Listening history cleared', 'warning');
+        if (this.onChange) this.onChange(null);
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ListeningHistoryManager;
+}
@@ -0,0 +1,304 @@
+/* ============================================
+   Loudness Normalizer - ReplayGain 2.0 / EBU R128 gains per track
+   or per album, from tags or the analyzer's integrated loudness
+   ============================================ */
+
+class LoudnessNormalizer {
+    constructor(debugLog) {
+        this.debugLog = debugLog;
+        this.modal = null;
+
+        this.referenceLUFS = -18; // ReplayGain 2.0 (R128 tags are converted from -23 by the parser)
+
+        // Settings
+        this.mode = localStorage.getItem('loudnessMode') === 'album' ? 'album' : 'track';
+        this.preAmp = parseFloat(localStorage.getItem('loudnessPreAmp')) || 0; // dB
+        this.preventClipping = localStorage.getItem('loudnessPreventClipping') !== 'false';
+
+        // Providers (set by init)
+        this.getLibraryTracks = () => [];
+        this.getCurrentTrack = () => null;
+        this.isEnabled = () => true;
+        this.setEnabled = () => {};
+        this.onChange = () => {};
+    }
+
+    /**
+     * @param {Object} config - { getLibraryTracks, getCurrentTrack, isEnabled, setEnabled(enabled), onChange }
+     */
+    init(config = {}) {
+        if (config.getLibraryTracks) this.getLibraryTracks = config.getLibraryTracks;
+        if (config.getCurrentTrack) this.getCurrentTrack = config.getCurrentTrack;
+        if (config.isEnabled) this.isEnabled = config.isEnabled;
+        if (config.setEnabled) this.setEnabled = config.setEnabled;
+        if (config.onChange) this.onChange = config.onChange;
+    }
+
+    // ========== GAIN ==========
+
+    /**
+     * Gain to play a track at. Album mode falls back to the track gain when there's
+     * no album gain (untagged and not every album track analyzed yet).
+     * @returns {Object} { gain (dB, pre-amp and clipping prevention included), linear, mode, source, lufs, peak, limited }
+     *                   - mode and source are null when there's nothing to go on
+     */
+    getGain(track) {
+        const tags = track?.metadata?.replayGain;
+        const found = (this.mode === 'album' && this.getAlbumGain(track, tags)) || this.getTrackGain(track, tags);
+        if (!found) {
+            return { gain: 0, linear: 1, mode: null, source: null, lufs: null, peak: null, limited: false };
+        }
+
+        let gain = found.gain + this.preAmp;
+        let limited = false;
+        if (this.preventClipping && found.peak > 0) {
+            const ceiling = -20 * Math.log10(found.peak);
+            if (gain > ceiling) {
+                gain = ceiling;
+                limited = true;
+            }
+        }
+
+        return { ...found, gain, linear: Math.pow(10, gain / 20), limited };
+    }
+
+    getTrackGain(track, tags) {
+        if (tags && typeof tags.trackGain === 'number') {
+            return { gain: tags.trackGain, mode: 'track', source: tags.source, lufs: this.referenceLUFS - tags.trackGain, peak: tags.trackPeak };
+        }
+
+        const lufs = track?.analysis?.loudnessLUFS;
+        if (typeof lufs === 'number' && isFinite(lufs)) {
+            return { gain: this.referenceLUFS - lufs, mode: 'track', source: 'analysis', lufs, peak: track.analysis.truePeak || null };
+        }
+        return null;
+    }
+
+    getAlbumGain(track, tags) {
+        if (tags && typeof tags.albumGain === 'number') {
+            return { gain: tags.albumGain, mode: 'album', source: tags.source, lufs: this.referenceLUFS - tags.albumGain, peak: tags.albumPeak ?? tags.trackPeak };
+        }
+
+        const album = this.getAlbumLoudness(track);
+        if (!album) return null;
+        return { gain: this.referenceLUFS - album.lufs, mode: 'album', source: 'analysis', lufs: album.lufs, peak: album.peak };
+    }
+
+    /**
+     * Album loudness gated over every block of every track, so quiet interludes don't pull it down
+     * @returns {Object|null} { lufs, peak } - null until every loaded track of the album is analyzed
+     */
+    getAlbumLoudness(track) {
+        const key = this.getAlbumKey(track);
+        if (!key) return null;
+
+        const tracks = this.getLibraryTracks().filter(other => this.getAlbumKey(other) === key);
+        if (tracks.some(other => !other.analysis?.loudnessBlocks)) return null;
+
+        const blocks = {};
+        let peak = 0;
+        tracks.forEach(other => {
+            Object.entries(other.analysis.loudnessBlocks).forEach(([bin, count]) => {
+                blocks[bin] = (blocks[bin] || 0) + count;
+            });
+            peak = Math.max(peak, other.analysis.truePeak || 0);
+        });
+
+        const lufs = this.integrate(blocks);
+        return lufs === null ? null : { lufs, peak: peak || null };
+    }
+
+    /**
+     * Album name and year - the closest thing to an album identity the tags give us
+     */
+    getAlbumKey(track) {
+        const album = (track?.metadata?.album || '').trim().toLowerCase();
+        if (!album || album === 'unknown album') return null;
+        return `${album}|${track.metadata.year || ''}`;
+    }
+
+    /**
+     * Relative-gated loudness from a 0.1 LU block histogram (see MusicAnalyzer.measureLoudness)
+     */
+    integrate(blocks) {
+        const entries = Object.entries(blocks).map(([bin, count]) => [parseInt(bin) / 10 - 70 + 0.05, count]);
+        const meanLoudness = (list) => {
+            let power = 0;
+            let count = 0;
+            list.forEach(([loudness, n]) => {
+                power += Math.pow(10, (loudness + 0.691) / 10) * n;
+                count += n;
+            });
+            return count ? -0.691 + 10 * Math.log10(power / count) : null;
+        };
+
+        const ungated = meanLoudness(entries);
+        if (ungated === null) return null;
+        return meanLoudness(entries.filter(([loudness]) => loudness > ungated - 10));
+    }
+
+    /**
+     * Short text for the track info panel, e.g. "-6.2 dB · album (tags)"
+     */
+    describe(result) {
+        if (!this.isEnabled()) return 'Off';
+        if (!result.mode) return 'No loudness data yet';
+
+        const source = { replaygain: 'tags', r128: 'R128 tags', analysis: 'measured' }[result.source] || result.source;
+        const gain = `${result.gain > 0 ? '+' : ''}${result.gain.toFixed(1)} dB`;
+        return `${gain} · ${result.mode} (${source})${result.limited ? ' · peak limited' : ''}`;
+    }
+
+    // ========== SETTINGS ==========
+
+    setMode(mode) {
+        if (mode !== 'track' && mode !== 'album') return;
+        this.mode = mode;
+        localStorage.setItem('loudnessMode', mode);
+        this.debugLog(`⚖️ Loudness normalization: ${mode} gain`, 'info');
+        this.onChange();
+    }
+
+    /**
+     * @param {number} db - -12 to +12
+     */
+    setPreAmp(db) {
+        this.preAmp = Math.max(-12, Math.min(12, db));
+        localStorage.setItem('loudnessPreAmp', this.preAmp.toString());
+        this.onChange();
+    }
+
+    setPreventClipping(enabled) {
+        this.preventClipping = enabled;
+        localStorage.setItem('loudnessPreventClipping', enabled.toString());
+        this.onChange();
+    }
+
+    // ========== MODAL ==========
+
+    open() {
+        if (this.modal) return;
+
+        this.modal = document.createElement('div');
+        this.modal.id = 'loudness-modal';
+        this.modal.innerHTML = `
+            <div class="metadata-editor-overlay"></div>
+            <div class="metadata-editor-content loudness-content">
+                <div class="metadata-editor-header">
+                    <h2>⚖️ Loudness</h2>
+                    <button class="metadata-editor-close">✕</button>
+                </div>
+                <div class="metadata-editor-body">
+                    <div class="metadata-form-group">
+                        <label>Normalization</label>
+                        <div class="loudness-modes">
+                            <label><input type="radio" name="loudness-mode" value="off"> Off</label>
+                            <label><input type="radio" name="loudness-mode" value="track"> Track</label>
+                            <label><input type="radio" name="loudness-mode" value="album"> Album</label>
+                        </div>
+                        <small class="loudness-hint">Track evens out every song. Album keeps the loudness differences within an album (quiet intros stay quiet) - best for gapless albums.</small>
+                    </div>
+
+                    <div class="metadata-form-group">
+                        <label for="loudness-preamp">Pre-amp <span class="loudness-preamp-value"></span></label>
+                        <input type="range" id="loudness-preamp" min="-12" max="12" step="0.5" value="${this.preAmp}">
+                        <small class="loudness-hint">ReplayGain aims for -18 LUFS, which is quieter than most modern releases. Raise this if everything sounds too quiet.</small>
+                    </div>
+
+                    <div class="metadata-form-group">
+                        <label class="loudness-checkbox">
+                            <input type="checkbox" id="loudness-prevent-clipping" ${this.preventClipping ? 'checked' : ''}>
+                            Prevent clipping
+                        </label>
+                        <small class="loudness-hint">Never turn a track up past the point where its true peak would go over 0 dBFS.</small>
+                    </div>
+
+                    <div class="loudness-current"></div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        const mode = this.isEnabled() ? this.mode : 'off';
+        this.modal.querySelector(`input[name="loudness-mode"][value="${mode}"]`).checked = true;
+        this.modal.querySelectorAll('input[name="loudness-mode"]').forEach(input => {
+            input.onchange = () => {
+                if (input.value === 'off') {
+                    this.setEnabled(false);
+                    this.onChange();
+                } else {
+                    this.setEnabled(true);
+                    this.setMode(input.value);
+                }
+                this.renderCurrent();
+            };
+        });
+
+        const preAmpInput = this.modal.querySelector('#loudness-preamp');
+        preAmpInput.oninput = () => {
+            this.setPreAmp(parseFloat(preAmpInput.value));
+            this.renderCurrent();
+        };
+
+        this.modal.querySelector('#loudness-prevent-clipping').onchange = (e) => {
+            this.setPreventClipping(e.target.checked);
+            this.renderCurrent();
+        };
+
+        this.modal.querySelector('.metadata-editor-close').onclick = () => this.close();
+        this.modal.querySelector('.metadata-editor-overlay').onclick = () => this.close();
+
+        this.renderCurrent();
+        requestAnimationFrame(() => {
+            this.modal?.classList.add('show');
+        });
+    }
+
+    /**
+     * Pre-amp label and what the playing track gets
+     */
+    renderCurrent() {
+        if (!this.modal) return;
+
+        this.modal.querySelector('.loudness-preamp-value').textContent = `${this.preAmp > 0 ? '+' : ''}${this.preAmp} dB`;
+
+        const container = this.modal.querySelector('.loudness-current');
+        const track = this.getCurrentTrack();
+        if (!track) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const result = this.getGain(track);
+        const rows = [['Now playing', track.metadata?.title || track.fileName], ['Applied gain', this.describe(result)]];
+        if (result.lufs !== null) rows.push([`${result.mode === 'album' ? 'Album' : 'Track'} loudness`, `${result.lufs.toFixed(1)} LUFS`]);
+        if (result.peak) rows.push(['Peak', `${(20 * Math.log10(result.peak)).toFixed(1)} dBTP`]);
+
+        container.innerHTML = rows.map(([label, value]) => `
+            <div class="loudness-row"><span>${label}</span><span>${this.escapeHtml(value)}</span></div>
+        `).join('');
+    }
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.classList.remove('show');
+        const modal = this.modal;
+        this.modal = null;
+        setTimeout(() => modal.remove(), 300);
+    }
+
+    // ========== Utilities ==========
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LoudnessNormalizer;
+}
@@ -48,6 +48,7 @@ class LyricsManager {
         // Callbacks
         this.onGetTrackInfo = null;
         this.onNavigationRequest = null;
+        this.onLoopLine = null;
         
         // Throttling
         this.lastUpdate = 0;
@@ -465,10 +466,36 @@ class LyricsManager {
                 this.elements.player.currentTime = cue.startTime;
             }
         };
+        this.attachLoopHandler(line, cue);
         
         return line;
     }
     
+    /**
+     * Right-click a line to loop it (A-B loop)
+     */
+    attachLoopHandler(line, cue) {
+        if (!this.onLoopLine) return;
+        
+        line.title = 'Right-click to loop this line';
+        line.oncontextmenu = (e) => {
+            e.preventDefault();
+            this.onLoopLine(cue);
+        };
+    }
+    
+    /**
+     * Cue playing at a given time (or the last one started before it)
+     */
+    getCueAt(currentTime) {
+        let found = null;
+        for (const cue of this.cues) {
+            if (cue.startTime > currentTime) break;
+            found = cue;
+        }
+        return found;
+    }
+    
     updateNormalHighlight(currentTime, compactMode) {
         if (compactMode === 'mini' || compactMode === 'compact') return;
         if (this.cues.length === 0) return;
@@ -586,6 +613,7 @@ class LyricsManager {
                     this.elements.player.currentTime = cue.startTime;
                 }
             };
+            this.attachLoopHandler(line, cue);
             
             fragment.appendChild(line);
         });
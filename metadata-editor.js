@@ -131,6 +131,31 @@ class MetadataEditor {
                             </datalist>
                         </div>
                         
+                        <div class="metadata-form-row">
+                            <div class="metadata-form-group">
+                                <label>Rating</label>
+                                <input type="hidden" id="metadata-rating" name="rating" value="${currentMetadata.rating || 0}">
+                                <div class="metadata-rating-stars" id="metadata-rating-stars">
+                                    ${[1, 2, 3, 4, 5].map(star => `
+                                        <button type="button" data-rating="${star}" title="${star} star${star > 1 ? 's' : ''}">☆</button>
+                                    `).join('')}
+                                </div>
+                            </div>
+                            
+                            <div class="metadata-form-group">
+                                <label for="metadata-favorite">Favorite</label>
+                                <label class="metadata-favorite-toggle">
+                                    <input 
+                                        type="checkbox" 
+                                        id="metadata-favorite" 
+                                        name="favorite"
+                                        ${currentMetadata.favorite ? 'checked' : ''}
+                                    >
+                                    <span>❤️ Favorite</span>
+                                </label>
+                            </div>
+                        </div>
+                        
                         <div class="metadata-form-group">
                             <label for="metadata-composer">Composer</label>
                             <input 
@@ -190,6 +215,18 @@ class MetadataEditor {
             this.closeEditor();
         };
         
+        // Rating stars (clicking the current rating clears it)
+        const ratingInput = document.getElementById('metadata-rating');
+        const ratingStars = document.getElementById('metadata-rating-stars');
+        this.updateRatingStars(parseInt(ratingInput.value) || 0);
+        ratingStars.onclick = (e) => {
+            const star = e.target.closest('[data-rating]');
+            if (!star) return;
+            const rating = parseInt(star.dataset.rating);
+            ratingInput.value = parseInt(ratingInput.value) === rating ? 0 : rating;
+            this.updateRatingStars(parseInt(ratingInput.value));
+        };
+        
         // Reset button
         document.getElementById('metadata-reset-btn').onclick = () => {
             if (confirm('Reset all fields to original metadata?')) {
@@ -201,6 +238,9 @@ class MetadataEditor {
                 document.getElementById('metadata-genre').value = originalMetadata.genre || '';
                 document.getElementById('metadata-composer').value = originalMetadata.composer || '';
                 document.getElementById('metadata-comment').value = originalMetadata.comment || '';
+                document.getElementById('metadata-rating').value = originalMetadata.rating || 0;
+                document.getElementById('metadata-favorite').checked = !!originalMetadata.favorite;
+                this.updateRatingStars(originalMetadata.rating || 0);
             }
         };
         
@@ -232,6 +272,8 @@ class MetadataEditor {
             genre: formData.get('genre').trim(),
             composer: formData.get('composer').trim(),
             comment: formData.get('comment').trim(),
+            rating: parseInt(formData.get('rating')) || 0,
+            favorite: formData.get('favorite') === 'on',
             isCustom: true, // Flag to indicate user-edited metadata
             editedAt: Date.now()
         };
@@ -251,6 +293,14 @@ class MetadataEditor {
         this.closeEditor();
     }
     
+    updateRatingStars(rating) {
+        this.modal.querySelectorAll('#metadata-rating-stars [data-rating]').forEach(star => {
+            const filled = parseInt(star.dataset.rating) <= rating;
+            star.textContent = filled ? '★' : '☆';
+            star.classList.toggle('filled', filled);
+        });
+    }
+    
     closeEditor() {
         if (this.modal) {
             this.modal.classList.remove('show');
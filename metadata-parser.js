@@ -76,13 +76,15 @@ class MetadataParser {
         
         if (buffer.byteLength < 10 || String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2)) !== 'ID3') {
             // Check for ID3v1 at the end of file
-            return await this.parseID3v1(file);
+            const metadata = await this.parseID3v1(file);
+            metadata.gapless = this.parseMP3Gapless(view, 0);
+            return metadata;
         }
         
         const version = view.getUint8(3);
         const tagSize = this.synchsafe32(view, 6);
         
-        let metadata = { title: null, artist: null, album: null, year: null, image: null, genre: null, track: null };
+        let metadata = { title: null, artist: null, album: null, year: null, image: null, genre: null, track: null, disc: null, rating: null };
         let pos = 10;
 
         // Handle ID3v2.2 (3-char frame IDs)
@@ -113,6 +115,7 @@ class MetadataParser {
                 'TYER': 'year', 'TDRC': 'year', 'TYE': 'year',
                 'TCON': 'genre', 'TCO': 'genre',
                 'TRCK': 'track', 'TRK': 'track',
+                'TPOS': 'disc', 'TPA': 'disc',
                 'APIC': 'image', 'PIC': 'image'
             };
 
@@ -129,11 +132,30 @@ class MetadataParser {
                     if (field === 'year') metadata.year = parseInt(text);
                     else metadata[field] = text;
                 }
+            } else if (frameId === 'POPM' || frameId === 'POP') {
+                // A TXXX rating (below) wins over the popularimeter
+                if (metadata.rating === null) {
+                    metadata.rating = this.parsePOPMRating(view, dataStart, frameSize);
+                }
+            } else if (frameId === 'TXXX' || frameId === 'TXX') {
+                const { description, value } = this.parseTXXX(view, dataStart, frameSize, encoding);
+                const rating = this.ratingFromTXXX(description, value);
+                if (rating !== null) metadata.rating = rating;
+                this.readLoudnessTag(metadata, description, value);
+            } else if (frameId === 'COMM' || frameId === 'COM') {
+                // iTunes writes its gapless info as a comment
+                const gapless = this.parseITunSMPBComment(view, dataStart, frameSize, encoding);
+                if (gapless) metadata.gapless = gapless;
             }
             
             pos += frameHeaderSize + frameSize;
         }
         
+        // LAME header in the first audio frame (iTunSMPB wins if both are there)
+        if (!metadata.gapless) {
+            metadata.gapless = this.parseMP3Gapless(view, tagSize + 10);
+        }
+        
         return this.normalizeMetadata(metadata, file);
     }
 
@@ -170,6 +192,14 @@ class MetadataParser {
             if (ilst) {
                 metadata = this.parseILST(view, ilst.pos, ilst.size);
             }
+            
+            // iTunSMPB counts samples - the track timescale is the sample rate
+            if (metadata.gapless) {
+                const mdhd = this.findAtom(view, moov.pos, moov.size, ['trak', 'mdia', 'mdhd']);
+                if (mdhd) {
+                    metadata.gapless.sampleRate = view.getUint32(mdhd.pos + (view.getUint8(mdhd.pos) === 1 ? 20 : 12));
+                }
+            }
         }
         
         return this.normalizeMetadata(metadata, file);
@@ -198,11 +228,28 @@ class MetadataParser {
                     else if (atomType === '©ART' || atomType === 'aART') metadata.artist = metadata.artist || text;
                     else if (atomType === '©alb') metadata.album = text;
                     else if (atomType === '©day') metadata.year = parseInt(text);
+                    else if (atomType === '©gen') metadata.genre = text;
+                } else if (dataFlags === 0 && (atomType === 'trkn' || atomType === 'disk') && textLen >= 6) {
+                    // Binary number/total pairs
+                    const number = view.getUint16(textStart + 2);
+                    const total = view.getUint16(textStart + 4);
+                    metadata[atomType === 'trkn' ? 'track' : 'disc'] = total ? `${number}/${total}` : `${number}`;
                 } else if ((dataFlags === 13 || dataFlags === 14) && atomType === 'covr') { // Image
                     const imageData = new Uint8Array(view.buffer, textStart, textLen);
                     const blob = new Blob([imageData], { type: dataFlags === 13 ? 'image/jpeg' : 'image/png' });
                     metadata.image = URL.createObjectURL(blob);
                 }
+                
+                // Freeform ----:com.apple.iTunes:iTunSMPB (and replaygain_*)
+                if (atomType === '----') {
+                    const nameAtom = this.findAtom(view, pos + 8, atomSize - 8, ['name']);
+                    const name = nameAtom ? this.readAscii(view, nameAtom.pos + 4, nameAtom.size - 4) : '';
+                    if (name === 'iTunSMPB') {
+                        metadata.gapless = this.parseITunSMPB(this.readAscii(view, textStart, textLen));
+                    } else {
+                        this.readLoudnessTag(metadata, name, this.readAscii(view, textStart, textLen));
+                    }
+                }
             }
             
             pos += atomSize;
@@ -247,7 +294,7 @@ class MetadataParser {
     }
 
     parseVorbisComment(view, start, size) {
-        const metadata = { title: null, artist: null, album: null, year: null };
+        const metadata = { title: null, artist: null, album: null, year: null, rating: null };
         let pos = start;
         
         const vendorLen = view.getUint32(pos, true);
@@ -274,6 +321,12 @@ class MetadataParser {
                 else if (key === 'ARTIST') metadata.artist = value;
                 else if (key === 'ALBUM') metadata.album = value;
                 else if (key === 'DATE' || key === 'YEAR') metadata.year = parseInt(value);
+                else if (key === 'GENRE') metadata.genre = value;
+                else if (key === 'TRACKNUMBER') metadata.track = value;
+                else if (key === 'DISCNUMBER') metadata.disc = value;
+                else if (key === 'FMPS_RATING') metadata.rating = this.ratingFromFraction(value);
+                else if (key === 'RATING' && metadata.rating === null) metadata.rating = this.ratingFromText(value);
+                else this.readLoudnessTag(metadata, key, value);
             }
         }
         
@@ -325,6 +378,12 @@ class MetadataParser {
                 metadata = this.parseVorbisComment(view, headerStart + 7, pageSize - 7);
                 break;
             }
+            
+            // Opus uses the same comment layout after an "OpusTags" magic
+            if (headerStart + 8 <= buffer.byteLength && this.readAscii(view, headerStart, 8) === 'OpusTags') {
+                metadata = this.parseVorbisComment(view, headerStart + 8, pageSize - 8);
+                break;
+            }
             pos = headerStart + pageSize;
         }
         
@@ -581,6 +640,205 @@ class MetadataParser {
         } catch (e) { return null; }
     }
 
+    // ========== Ratings ==========
+
+    /**
+     * POPM/POP frame: email, NUL, rating byte (1-255, 0 = unrated), optional play counter
+     */
+    parsePOPMRating(view, start, size) {
+        let pos = start;
+        while (pos < start + size && view.getUint8(pos) !== 0) pos++; // Skip email
+        pos++;
+        if (pos >= start + size) return null;
+
+        const value = view.getUint8(pos);
+        if (value === 0) return null;
+
+        // Windows Media Player steps: 1, 64, 128, 196, 255
+        if (value < 32) return 1;
+        if (value < 96) return 2;
+        if (value < 160) return 3;
+        if (value < 224) return 4;
+        return 5;
+    }
+
+    /**
+     * TXXX frame: encoding, description, NUL, value
+     * @returns {Object} { description (upper case), value }
+     */
+    parseTXXX(view, start, size, encoding) {
+        // Description and value are separated by a NUL (two bytes for UTF-16)
+        const end = start + size;
+        const step = encoding === 1 || encoding === 2 ? 2 : 1;
+        let pos = start + 1;
+        while (pos + step <= end && (step === 2 ? view.getUint16(pos) : view.getUint8(pos)) !== 0) pos += step;
+
+        const description = this.decodeText(view, start + 1, pos - start - 1, encoding).toUpperCase();
+        const valueStart = pos + step;
+        const value = this.decodeText(view, valueStart, end - valueStart, encoding);
+        return { description, value };
+    }
+
+    /**
+     * TXXX ratings use an FMPS_Rating or RATING description
+     */
+    ratingFromTXXX(description, value) {
+        if (description === 'FMPS_RATING') return this.ratingFromFraction(value);
+        if (description === 'RATING') return this.ratingFromText(value);
+        return null;
+    }
+
+    /**
+     * FMPS ratings are 0.0-1.0
+     */
+    ratingFromFraction(text) {
+        const value = parseFloat(text);
+        if (isNaN(value) || value <= 0) return null;
+        return Math.max(1, Math.min(5, Math.round(value * 5)));
+    }
+
+    /**
+     * RATING is written as 1-5 stars by some taggers and 0-100 by others
+     */
+    ratingFromText(text) {
+        const value = parseFloat(text);
+        if (isNaN(value) || value <= 0) return null;
+        if (value <= 5) return Math.round(value);
+        return Math.max(1, Math.min(5, Math.round(value / 20)));
+    }
+
+    // ========== Loudness Tags ==========
+
+    /**
+     * REPLAYGAIN_* ("-6.48 dB", peaks as "0.988547") and Opus R128_* (Q7.8 dB against -23 LUFS).
+     * Gains are stored in ReplayGain terms (-18 LUFS reference) on metadata.replayGain
+     */
+    readLoudnessTag(metadata, key, value) {
+        const name = (key || '').toUpperCase();
+        const field = {
+            'REPLAYGAIN_TRACK_GAIN': 'trackGain',
+            'REPLAYGAIN_TRACK_PEAK': 'trackPeak',
+            'REPLAYGAIN_ALBUM_GAIN': 'albumGain',
+            'REPLAYGAIN_ALBUM_PEAK': 'albumPeak',
+            'R128_TRACK_GAIN': 'trackGain',
+            'R128_ALBUM_GAIN': 'albumGain'
+        }[name];
+        if (!field) return;
+
+        let number = parseFloat(value);
+        if (isNaN(number)) return;
+
+        const r128 = name.startsWith('R128_');
+        if (r128) number = number / 256 + 5;
+
+        if (!metadata.replayGain) {
+            metadata.replayGain = { trackGain: null, trackPeak: null, albumGain: null, albumPeak: null, source: null };
+        }
+        metadata.replayGain[field] = number;
+        metadata.replayGain.source = r128 ? 'r128' : 'replaygain';
+    }
+
+    // ========== Gapless Info ==========
+    
+    /**
+     * LAME/Xing header in the first MP3 frame
+     * @returns {Object|null} { encoderDelay, encoderPadding, decoderDelay, totalSamples, sampleRate, source }
+     */
+    parseMP3Gapless(view, offset) {
+        // Find the first frame sync (there may be padding after the tag)
+        let pos = offset;
+        const searchEnd = Math.min(view.byteLength - 4, offset + 4096);
+        while (pos < searchEnd && !(view.getUint8(pos) === 0xFF && (view.getUint8(pos + 1) & 0xE0) === 0xE0)) pos++;
+        if (pos >= searchEnd) return null;
+        
+        const header = view.getUint32(pos);
+        const version = (header >> 19) & 3; // 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5
+        const layer = (header >> 17) & 3; // 1 = Layer III
+        const rateIndex = (header >> 10) & 3;
+        const mono = ((header >> 6) & 3) === 3;
+        if (version === 1 || layer !== 1 || rateIndex === 3) return null;
+        
+        const sampleRate = [44100, 48000, 32000][rateIndex] / (version === 3 ? 1 : version === 2 ? 2 : 4);
+        const samplesPerFrame = version === 3 ? 1152 : 576;
+        const sideInfo = version === 3 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+        
+        let xing = pos + 4 + sideInfo;
+        if (xing + 120 > view.byteLength) return null;
+        
+        const tag = String.fromCharCode(view.getUint8(xing), view.getUint8(xing + 1), view.getUint8(xing + 2), view.getUint8(xing + 3));
+        if (tag !== 'Xing' && tag !== 'Info') return null;
+        
+        const flags = view.getUint32(xing + 4);
+        let frames = null;
+        xing += 8;
+        if (flags & 1) { frames = view.getUint32(xing); xing += 4; }
+        if (flags & 2) xing += 4; // Bytes
+        if (flags & 4) xing += 100; // TOC
+        if (flags & 8) xing += 4; // Quality
+        
+        // LAME (or FFmpeg's "Lavc") extension - delay and padding are two 12-bit values at +21
+        const encoder = this.readAscii(view, xing, 4);
+        if (encoder !== 'LAME' && encoder !== 'Lavc' && encoder !== 'Lavf') return null;
+        
+        const b0 = view.getUint8(xing + 21);
+        const b1 = view.getUint8(xing + 22);
+        const b2 = view.getUint8(xing + 23);
+        const encoderDelay = (b0 << 4) | (b1 >> 4);
+        const encoderPadding = ((b1 & 0x0F) << 8) | b2;
+        
+        return {
+            encoderDelay,
+            encoderPadding,
+            decoderDelay: 529, // MP3 decoders add 528 + 1 samples
+            totalSamples: frames ? frames * samplesPerFrame - encoderDelay - encoderPadding : null,
+            sampleRate,
+            source: 'lame'
+        };
+    }
+    
+    /**
+     * ID3 COMM frame: encoding, language, description, NUL, text
+     */
+    parseITunSMPBComment(view, start, size, encoding) {
+        const end = start + size;
+        const step = encoding === 1 || encoding === 2 ? 2 : 1;
+        let pos = start + 4;
+        while (pos + step <= end && (step === 2 ? view.getUint16(pos) : view.getUint8(pos)) !== 0) pos += step;
+        
+        const description = this.decodeText(view, start + 4, pos - start - 4, encoding);
+        if (description !== 'iTunSMPB') return null;
+        
+        const valueStart = pos + step;
+        return this.parseITunSMPB(this.decodeText(view, valueStart, end - valueStart, encoding));
+    }
+    
+    /**
+     * " 00000000 00000840 000001CA 00000000003F31F6 ..." - hex delay, padding and sample count
+     */
+    parseITunSMPB(text) {
+        const fields = (text || '').trim().split(/\s+/).map(field => parseInt(field, 16));
+        if (fields.length < 4 || fields.slice(1, 4).some(isNaN)) return null;
+        
+        return {
+            encoderDelay: fields[1],
+            encoderPadding: fields[2],
+            decoderDelay: 0, // Already included in the iTunes delay
+            totalSamples: fields[3] || null,
+            sampleRate: null,
+            source: 'itunsmpb'
+        };
+    }
+    
+    readAscii(view, start, length) {
+        let text = '';
+        for (let i = start; i < start + length && i < view.byteLength; i++) {
+            const code = view.getUint8(i);
+            if (code === 0) break;
+            text += String.fromCharCode(code);
+        }
+        return text;
+    }
+
     findAtom(view, start, size, path) {
         let pos = start;
         const end = start + size;
@@ -625,6 +883,10 @@ class MetadataParser {
             image: metadata.image || null,
             genre: nuclearClean(metadata.genre || null),
             track: metadata.track || null,
+            disc: metadata.disc || null,
+            rating: metadata.rating || null,
+            gapless: metadata.gapless || null,
+            replayGain: metadata.replayGain || null,
             hasMetadata: !!(metadata.title || metadata.artist || metadata.album)
         };
     }
@@ -0,0 +1,289 @@
+/* ============================================
+   Metadata Tag Writer - Writes star ratings back into
+   audio tags (ID3v2 POPM + TXXX:FMPS_Rating, FLAC RATING + FMPS_RATING)
+   Browsers can't modify the original file, so a re-tagged copy is returned
+   ============================================ */
+
+class MetadataTagWriter {
+    constructor(debugLog) {
+        this.debugLog = debugLog;
+
+        // Popularimeter values Windows Media Player uses for 1-5 stars
+        this.popmSteps = [0, 1, 64, 128, 196, 255];
+        this.popmEmail = 'Windows Media Player 9 Series';
+
+        // Room left in a new ID3 tag so later edits don't have to move the audio
+        this.id3Padding = 1024;
+    }
+
+    /**
+     * Whether ratings can be written for this file type
+     * @param {string} fileName - Name of the audio file
+     * @returns {boolean}
+     */
+    canWriteRating(fileName) {
+        return /\.(mp3|flac)$/i.test(fileName || '');
+    }
+
+    /**
+     * Copy of the file with its rating tags replaced
+     * @param {File} file - Original audio file
+     * @param {number} rating - 0 (removes the rating) to 5 stars
+     * @returns {Promise<Blob>} Re-tagged file
+     */
+    async writeRating(file, rating) {
+        if (!this.canWriteRating(file.name)) {
+            throw new Error('Ratings can only be written to MP3 and FLAC files');
+        }
+
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const parts = /\.flac$/i.test(file.name)
+            ? this.writeFLACRating(bytes, rating)
+            : this.writeID3Rating(bytes, rating);
+
+        this.debugLog(`🏷️ Rating tag written for ${file.name} (${rating || 'no'} stars)`, 'success');
+        return new Blob(parts, { type: file.type || 'application/octet-stream' });
+    }
+
+    // ========== MP3 / ID3v2 ==========
+
+    /**
+     * @returns {Array<Uint8Array>} New tag followed by the untouched audio
+     */
+    writeID3Rating(bytes, rating) {
+        let version = 3;
+        let frames = [];
+        let audioStart = 0;
+
+        if (bytes.length >= 10 && this.readString(bytes, 0, 3) === 'ID3') {
+            version = bytes[3];
+            const flags = bytes[5];
+
+            if (version < 3) throw new Error('ID3v2.2 tags are not supported - re-save the file with a newer tagger');
+            // Unsynchronised, extended-header and footer tags would need a full rewrite
+            if (flags & 0xD0) throw new Error('This ID3 tag layout is not supported');
+
+            audioStart = 10 + this.readSynchsafe(bytes, 6);
+            frames = this.readID3Frames(bytes, version, audioStart)
+                .filter(frame => !this.isRatingFrame(frame));
+        }
+
+        if (rating > 0) {
+            frames.push(this.buildID3Frame('POPM', version, this.concat([
+                this.encodeLatin1(this.popmEmail), new Uint8Array([0, this.popmSteps[rating]])
+            ])));
+            frames.push(this.buildID3Frame('TXXX', version, this.concat([
+                new Uint8Array([0]), this.encodeLatin1('FMPS_Rating'), new Uint8Array([0]),
+                this.encodeLatin1(this.formatFraction(rating))
+            ])));
+        }
+
+        const body = this.concat([...frames, new Uint8Array(this.id3Padding)]);
+        const header = new Uint8Array(10);
+        header.set([0x49, 0x44, 0x33, version, 0, 0]);
+        this.writeSynchsafe(header, 6, body.length);
+
+        return [header, body, bytes.subarray(audioStart)];
+    }
+
+    readID3Frames(bytes, version, end) {
+        const frames = [];
+        let pos = 10;
+
+        while (pos + 10 <= end) {
+            const id = this.readString(bytes, pos, 4);
+            if (!/^[A-Z0-9]{4}$/.test(id)) break; // Padding
+
+            const size = version === 4 ? this.readSynchsafe(bytes, pos + 4) : this.readUint32(bytes, pos + 4);
+            if (size <= 0 || pos + 10 + size > end) break;
+
+            frames.push(bytes.subarray(pos, pos + 10 + size));
+            pos += 10 + size;
+        }
+
+        return frames;
+    }
+
+    isRatingFrame(frame) {
+        const id = this.readString(frame, 0, 4);
+        if (id === 'POPM') return true;
+        if (id !== 'TXXX') return false;
+
+        // Description runs from after the encoding byte to the first NUL (two bytes for UTF-16)
+        const step = frame[10] === 1 || frame[10] === 2 ? 2 : 1;
+        let end = 11;
+        while (end + step <= frame.length && (frame[end] !== 0 || (step === 2 && frame[end + 1] !== 0))) end += step;
+
+        const description = Array.from(frame.subarray(11, end))
+            .filter(byte => byte !== 0 && byte !== 0xFF && byte !== 0xFE)
+            .map(byte => String.fromCharCode(byte))
+            .join('')
+            .toUpperCase();
+        return description === 'FMPS_RATING' || description === 'RATING';
+    }
+
+    buildID3Frame(id, version, data) {
+        const frame = new Uint8Array(10 + data.length);
+        frame.set(this.encodeLatin1(id), 0);
+        if (version === 4) this.writeSynchsafe(frame, 4, data.length);
+        else this.writeUint32(frame, 4, data.length);
+        frame.set(data, 10);
+        return frame;
+    }
+
+    // ========== FLAC ==========
+
+    /**
+     * @returns {Array<Uint8Array>} Rebuilt metadata blocks followed by the untouched audio
+     */
+    writeFLACRating(bytes, rating) {
+        if (this.readString(bytes, 0, 4) !== 'fLaC') throw new Error('Not a valid FLAC file');
+
+        const blocks = [];
+        let pos = 4;
+        let isLast = false;
+
+        while (!isLast && pos + 4 <= bytes.length) {
+            isLast = (bytes[pos] & 0x80) !== 0;
+            const type = bytes[pos] & 0x7F;
+            const size = (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3];
+            if (pos + 4 + size > bytes.length) throw new Error('FLAC metadata is truncated');
+
+            blocks.push({ type, data: bytes.subarray(pos + 4, pos + 4 + size) });
+            pos += 4 + size;
+        }
+
+        let comments = blocks.find(block => block.type === 4);
+        if (!comments) {
+            // New Vorbis comment block right after STREAMINFO
+            comments = { type: 4, data: null };
+            blocks.splice(1, 0, comments);
+        }
+
+        const { vendor, entries } = this.readVorbisComments(comments.data);
+        const previous = entries.find(entry => /^RATING=/i.test(entry));
+        const kept = entries.filter(entry => !/^(RATING|FMPS_RATING)=/i.test(entry));
+
+        if (rating > 0) {
+            // Keep the 1-5 scale if that's what the file already used, otherwise 0-100
+            const previousValue = previous ? parseFloat(previous.split('=')[1]) : NaN;
+            kept.push(`RATING=${previousValue > 0 && previousValue <= 5 ? rating : rating * 20}`);
+            kept.push(`FMPS_RATING=${this.formatFraction(rating)}`);
+        }
+
+        comments.data = this.buildVorbisComments(vendor, kept);
+
+        const parts = [this.encodeLatin1('fLaC')];
+        blocks.forEach((block, index) => {
+            const header = new Uint8Array(4);
+            header[0] = (index === blocks.length - 1 ? 0x80 : 0) | block.type;
+            header[1] = (block.data.length >> 16) & 0xFF;
+            header[2] = (block.data.length >> 8) & 0xFF;
+            header[3] = block.data.length & 0xFF;
+            parts.push(header, block.data);
+        });
+        parts.push(bytes.subarray(pos));
+
+        return parts;
+    }
+
+    readVorbisComments(data) {
+        if (!data) return { vendor: 'Music Player', entries: [] };
+
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const decoder = new TextDecoder('utf-8');
+        let pos = 0;
+
+        const vendorLength = view.getUint32(pos, true);
+        const vendor = decoder.decode(data.subarray(4, 4 + vendorLength));
+        pos = 4 + vendorLength;
+
+        const count = view.getUint32(pos, true);
+        pos += 4;
+
+        const entries = [];
+        for (let i = 0; i < count && pos + 4 <= data.length; i++) {
+            const length = view.getUint32(pos, true);
+            entries.push(decoder.decode(data.subarray(pos + 4, pos + 4 + length)));
+            pos += 4 + length;
+        }
+
+        return { vendor, entries };
+    }
+
+    buildVorbisComments(vendor, entries) {
+        const encoder = new TextEncoder();
+        const encoded = entries.map(entry => encoder.encode(entry));
+        const vendorBytes = encoder.encode(vendor);
+
+        const data = new Uint8Array(8 + vendorBytes.length + encoded.reduce((sum, e) => sum + 4 + e.length, 0));
+        const view = new DataView(data.buffer);
+        let pos = 0;
+
+        view.setUint32(pos, vendorBytes.length, true);
+        data.set(vendorBytes, pos + 4);
+        pos += 4 + vendorBytes.length;
+
+        view.setUint32(pos, encoded.length, true);
+        pos += 4;
+
+        encoded.forEach(entry => {
+            view.setUint32(pos, entry.length, true);
+            data.set(entry, pos + 4);
+            pos += 4 + entry.length;
+        });
+
+        return data;
+    }
+
+    // ========== Utilities ==========
+
+    formatFraction(rating) {
+        return String(rating / 5);
+    }
+
+    readString(bytes, start, length) {
+        return String.fromCharCode(...bytes.subarray(start, start + length));
+    }
+
+    encodeLatin1(text) {
+        return Uint8Array.from(text, char => char.charCodeAt(0) & 0xFF);
+    }
+
+    readSynchsafe(bytes, offset) {
+        return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+    }
+
+    writeSynchsafe(bytes, offset, value) {
+        bytes[offset] = (value >> 21) & 0x7F;
+        bytes[offset + 1] = (value >> 14) & 0x7F;
+        bytes[offset + 2] = (value >> 7) & 0x7F;
+        bytes[offset + 3] = value & 0x7F;
+    }
+
+    readUint32(bytes, offset) {
+        return ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+    }
+
+    writeUint32(bytes, offset, value) {
+        bytes[offset] = (value >>> 24) & 0xFF;
+        bytes[offset + 1] = (value >> 16) & 0xFF;
+        bytes[offset + 2] = (value >> 8) & 0xFF;
+        bytes[offset + 3] = value & 0xFF;
+    }
+
+    concat(arrays) {
+        const result = new Uint8Array(arrays.reduce((sum, a) => sum + a.length, 0));
+        let pos = 0;
+        arrays.forEach(a => {
+            result.set(a, pos);
+            pos += a.length;
+        });
+        return result;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MetadataTagWriter;
+}
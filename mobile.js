@@ -496,6 +496,42 @@ class MobileOptimizer {
         
         document.body.appendChild(floatingBtn);
         
+        // Speed pill above the play button - tap to cycle
+        const speedBtn = document.createElement('button');
+        speedBtn.id = 'mobile-speed-btn';
+        speedBtn.textContent = '1x';
+        speedBtn.setAttribute('aria-label', 'Playback speed');
+        speedBtn.style.cssText = `
+            position: fixed;
+            bottom: calc(96px + var(--safe-area-inset-bottom));
+            right: calc(26px + var(--safe-area-inset-right));
+            min-width: 52px;
+            height: 32px;
+            padding: 0 10px;
+            border-radius: 16px;
+            background: rgba(26, 26, 26, 0.9);
+            color: white;
+            font-size: 14px;
+            font-weight: 600;
+            border: 1px solid #dc3545;
+            z-index: 9999;
+            cursor: pointer;
+            touch-action: manipulation;
+        `;
+        
+        const speedSteps = [0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3];
+        speedBtn.addEventListener('click', () => {
+            const player = document.getElementById('audio-player');
+            if (!player) return;
+            
+            // Next step up, wrapping back to the slowest
+            const next = speedSteps.find(step => step > player.playbackRate + 0.01) || speedSteps[0];
+            player.playbackRate = next;
+            this.triggerHaptic('light');
+        });
+        
+        document.body.appendChild(speedBtn);
+        
         // Sync with player state
         const player = document.getElementById('audio-player');
         if (player) {
@@ -506,12 +542,19 @@ class MobileOptimizer {
             player.addEventListener('pause', () => {
                 floatingBtn.innerHTML = '▶️';
             });
+            
+            player.addEventListener('ratechange', () => {
+                speedBtn.textContent = `${parseFloat(player.playbackRate.toFixed(2))}x`;
+            });
         }
         
         this.cleanupFunctions.push(() => {
             if (floatingBtn.parentNode) {
                 floatingBtn.parentNode.removeChild(floatingBtn);
             }
+            if (speedBtn.parentNode) {
+                speedBtn.parentNode.removeChild(speedBtn);
+            }
         });
     }
     
@@ -38,16 +38,25 @@ class MusicAnalyzer {
             const vocalProminence = this.calculateVocalProminence(frequencyBands);
             
             const bpm = await this.detectBPM(audioBuffer);
+            const beatGrid = this.detectBeatGrid(audioBuffer, bpm);
             const energy = this.calculateEnergy(audioBuffer);
+            const tonality = this.detectKey(audioBuffer);
+            const integrated = this.measureLoudness(audioBuffer);
             
             const analysis = {
                 bpm: bpm,
+                bpmConfidence: beatGrid.confidence >= 0.6 ? 'high' : beatGrid.confidence >= 0.35 ? 'medium' : 'low',
+                beatGrid: beatGrid,
                 energy: energy,
                 spectralCentroid: spectralCentroid,
                 mood: this.detectMood(energy, spectralCentroid, bpm),
-                key: this.detectKey(audioBuffer),
+                key: tonality.key,
+                mode: tonality.mode,
                 danceability: this.calculateDanceability(audioBuffer),
                 loudness: this.calculateLoudness(audioBuffer),
+                loudnessLUFS: integrated.lufs,
+                loudnessBlocks: integrated.blocks,
+                truePeak: integrated.truePeak,
                 tempo: this.classifyTempo(bpm),
                 duration: audioBuffer.duration,
                 
@@ -447,42 +456,75 @@ class MusicAnalyzer {
     }
     
     /**
-     * Key detection
+     * Key detection - chroma profile matched against Krumhansl-Schmuckler
+     * major/minor key profiles
+     * @returns {Object} { key: 'C'..'B', mode: 'major' | 'minor' }
      */
     detectKey(audioBuffer) {
+        const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        
         try {
             const channel = audioBuffer.getChannelData(0);
+            const sampleRate = audioBuffer.sampleRate;
             const fftSize = 8192;
+            const numFrames = 16;
             
-            if (channel.length < fftSize) return 'C';
+            if (channel.length < fftSize) return { key: 'C', mode: 'major' };
             
-            const fft = this.performFFT(channel.slice(0, fftSize));
+            // Accumulate energy per pitch class over frames spread across the track
+            const chroma = new Array(12).fill(0);
+            const step = Math.max(fftSize, Math.floor((channel.length - fftSize) / numFrames));
             
-            let maxMagnitude = 0;
-            let peakIndex = 0;
-            
-            for (let i = 20; i < fft.length / 2; i++) {
-                const magnitude = Math.sqrt(fft[i].real ** 2 + fft[i].imag ** 2);
-                if (magnitude > maxMagnitude) {
-                    maxMagnitude = magnitude;
-                    peakIndex = i;
+            for (let start = 0; start + fftSize <= channel.length; start += step) {
+                const fft = this.performFFT(channel.subarray(start, start + fftSize));
+                
+                for (let i = 1; i < fftSize / 2; i++) {
+                    const freq = (i * sampleRate) / fftSize;
+                    if (freq < 55 || freq > 2000) continue;
+                    
+                    const magnitude = Math.sqrt(fft[i].real ** 2 + fft[i].imag ** 2);
+                    const pitchClass = ((Math.round(12 * Math.log2(freq / 440)) + 9) % 12 + 12) % 12;
+                    chroma[pitchClass] += magnitude;
                 }
             }
             
-            const peakFreq = (peakIndex * audioBuffer.sampleRate) / fftSize;
+            const majorProfile = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+            const minorProfile = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
             
-            const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-            const a4 = 440;
-            const halfSteps = Math.round(12 * Math.log2(peakFreq / a4));
-            const noteIndex = (halfSteps + 9 + 12 * 10) % 12;
+            let best = { key: 'C', mode: 'major', score: -Infinity };
+            for (let root = 0; root < 12; root++) {
+                const rotated = chroma.map((_, i) => chroma[(i + root) % 12]);
+                const majorScore = this.correlate(rotated, majorProfile);
+                const minorScore = this.correlate(rotated, minorProfile);
+                
+                if (majorScore > best.score) best = { key: notes[root], mode: 'major', score: majorScore };
+                if (minorScore > best.score) best = { key: notes[root], mode: 'minor', score: minorScore };
+            }
             
-            return notes[noteIndex];
+            return { key: best.key, mode: best.mode };
             
         } catch (err) {
-            return 'C';
+            return { key: 'C', mode: 'major' };
         }
     }
     
+    /**
+     * Pearson correlation of two equal-length arrays
+     */
+    correlate(a, b) {
+        const meanA = a.reduce((sum, v) => sum + v, 0) / a.length;
+        const meanB = b.reduce((sum, v) => sum + v, 0) / b.length;
+        let numerator = 0, denomA = 0, denomB = 0;
+        
+        for (let i = 0; i < a.length; i++) {
+            numerator += (a[i] - meanA) * (b[i] - meanB);
+            denomA += (a[i] - meanA) ** 2;
+            denomB += (b[i] - meanB) ** 2;
+        }
+        
+        return denomA && denomB ? numerator / Math.sqrt(denomA * denomB) : 0;
+    }
+    
     /**
      * Danceability calculation
      */
@@ -536,6 +578,144 @@ class MusicAnalyzer {
         return Math.max(0, Math.min(1, (db + 60) / 60));
     }
     
+    /**
+     * ITU-R BS.1770 / EBU R128 integrated loudness: K-weighted, 400ms blocks with 75% overlap,
+     * absolute gate at -70 LUFS and relative gate 10 LU below the ungated level.
+     * Also returns a 0.1 LU histogram of the blocks past the absolute gate, which album
+     * loudness is gated from, and the 4x oversampled true peak.
+     * @returns {Object} { lufs, blocks: { bin: count }, truePeak } (lufs null if too short or silent)
+     */
+    measureLoudness(audioBuffer) {
+        const sampleRate = audioBuffer.sampleRate;
+        const channels = audioBuffer.numberOfChannels;
+        const step = Math.round(sampleRate * 0.1);
+        const steps = Math.floor(audioBuffer.length / step);
+        const stepPower = new Float64Array(steps);
+        
+        // 5.1 order is L R C LFE Ls Rs - no LFE, surrounds weighted +1.5 dB
+        const weights = channels === 6 ? [1, 1, 1, 0, 1.41, 1.41] : new Array(channels).fill(1);
+        const [shelf, highPass] = this.getKWeighting(sampleRate);
+        
+        for (let c = 0; c < channels; c++) {
+            if (!weights[c]) continue;
+            const data = audioBuffer.getChannelData(c);
+            let x1 = 0, x2 = 0, y1 = 0, y2 = 0, z1 = 0, z2 = 0;
+            
+            for (let s = 0; s < steps; s++) {
+                let sum = 0;
+                for (let i = s * step, end = i + step; i < end; i++) {
+                    const x = data[i];
+                    const y = shelf.b0 * x + shelf.b1 * x1 + shelf.b2 * x2 - shelf.a1 * y1 - shelf.a2 * y2;
+                    const z = y - 2 * y1 + y2 - highPass.a1 * z1 - highPass.a2 * z2;
+                    x2 = x1; x1 = x;
+                    y2 = y1; y1 = y;
+                    z2 = z1; z1 = z;
+                    sum += z * z;
+                }
+                stepPower[s] += weights[c] * sum;
+            }
+        }
+        
+        const blockLoudness = [];
+        for (let s = 0; s + 4 <= steps; s++) {
+            const power = (stepPower[s] + stepPower[s + 1] + stepPower[s + 2] + stepPower[s + 3]) / (step * 4);
+            const loudness = -0.691 + 10 * Math.log10(power);
+            if (loudness > -70) blockLoudness.push(loudness);
+        }
+        
+        const toPower = (loudness) => Math.pow(10, (loudness + 0.691) / 10);
+        const gatedMean = (values) => -0.691 + 10 * Math.log10(values.reduce((sum, l) => sum + toPower(l), 0) / values.length);
+        
+        let lufs = null;
+        const blocks = {};
+        if (blockLoudness.length > 0) {
+            const relativeGate = gatedMean(blockLoudness) - 10;
+            const gated = blockLoudness.filter(l => l > relativeGate);
+            lufs = Math.round(gatedMean(gated) * 100) / 100;
+            
+            blockLoudness.forEach(l => {
+                const bin = Math.min(799, Math.floor((l + 70) * 10));
+                blocks[bin] = (blocks[bin] || 0) + 1;
+            });
+        }
+        
+        return { lufs, blocks, truePeak: this.measureTruePeak(audioBuffer) };
+    }
+    
+    /**
+     * BS.1770 K-weighting (high shelf then high-pass) for any sample rate
+     */
+    getKWeighting(sampleRate) {
+        let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+        let Q = 0.7071752369554196;
+        const Vh = Math.pow(10, 3.999843853973347 / 20);
+        const Vb = Math.pow(Vh, 0.4996667741545416);
+        let a0 = 1 + K / Q + K * K;
+        const shelf = {
+            b0: (Vh + Vb * K / Q + K * K) / a0,
+            b1: 2 * (K * K - Vh) / a0,
+            b2: (Vh - Vb * K / Q + K * K) / a0,
+            a1: 2 * (K * K - 1) / a0,
+            a2: (1 - K / Q + K * K) / a0
+        };
+        
+        K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+        Q = 0.5003270373238773;
+        a0 = 1 + K / Q + K * K;
+        const highPass = {
+            a1: 2 * (K * K - 1) / a0,
+            a2: (1 - K / Q + K * K) / a0
+        };
+        
+        return [shelf, highPass];
+    }
+    
+    /**
+     * Peak including inter-sample overs, from 4x windowed-sinc oversampling.
+     * Only the stretches near the sample peak are interpolated.
+     * @returns {number} Linear peak (1.0 = full scale)
+     */
+    measureTruePeak(audioBuffer) {
+        const taps = 6; // Each side
+        const phases = [0.25, 0.5, 0.75].map(fraction => {
+            const coefficients = [];
+            for (let k = -taps + 1; k <= taps; k++) {
+                const t = k - fraction;
+                const sinc = Math.sin(Math.PI * t) / (Math.PI * t);
+                const window = 0.5 * (1 + Math.cos(Math.PI * t / (taps + 0.5)));
+                coefficients.push(sinc * window);
+            }
+            return coefficients;
+        });
+        
+        let peak = 0;
+        for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+            const data = audioBuffer.getChannelData(c);
+            let samplePeak = 0;
+            for (let i = 0; i < data.length; i++) {
+                const value = Math.abs(data[i]);
+                if (value > samplePeak) samplePeak = value;
+            }
+            peak = Math.max(peak, samplePeak);
+            
+            // Overs can't reach past the sample peak far from the loud samples
+            const threshold = samplePeak * 0.7;
+            for (let i = taps - 1; i < data.length - taps; i++) {
+                if (Math.abs(data[i]) < threshold && Math.abs(data[i + 1]) < threshold) continue;
+                
+                for (const coefficients of phases) {
+                    let value = 0;
+                    for (let k = 0; k < coefficients.length; k++) {
+                        value += data[i - taps + 1 + k] * coefficients[k];
+                    }
+                    if (Math.abs(value) > peak) peak = Math.abs(value);
+                }
+            }
+        }
+        
+        return Math.round(peak * 10000) / 10000;
+    }
+    
     /**
      * Tempo classification
      */
@@ -585,6 +765,127 @@ class MusicAnalyzer {
         return { start: duration, end: duration };
     }
 
+    /**
+     * Beat grid - exact tempo, where the bars start, and how well the grid fits
+     * @param {number} bpm - Rough BPM from detectBPM()
+     * @returns {Object} { bpm, offset (first downbeat, seconds), confidence 0-1 }
+     */
+    detectBeatGrid(audioBuffer, bpm) {
+        const fallback = { bpm, offset: 0, confidence: 0 };
+        
+        try {
+            const channel = audioBuffer.getChannelData(0);
+            const sampleRate = audioBuffer.sampleRate;
+            const hop = Math.round(sampleRate / 100); // 10 ms frames
+            const frameRate = sampleRate / hop;
+            const frameCount = Math.floor(channel.length / hop);
+            if (!bpm || frameCount < frameRate * 10) return fallback;
+            
+            // Frame energy, full band and kick/bass band (one-pole low-pass ~150 Hz)
+            const energy = new Float32Array(frameCount);
+            const lowEnergy = new Float32Array(frameCount);
+            const alpha = 1 - Math.exp(-2 * Math.PI * 150 / sampleRate);
+            let low = 0;
+            
+            for (let frame = 0; frame < frameCount; frame++) {
+                let sum = 0;
+                let lowSum = 0;
+                const end = (frame + 1) * hop;
+                for (let i = frame * hop; i < end; i++) {
+                    const sample = channel[i];
+                    low += alpha * (sample - low);
+                    sum += sample * sample;
+                    lowSum += low * low;
+                }
+                energy[frame] = Math.sqrt(sum / hop);
+                lowEnergy[frame] = Math.sqrt(lowSum / hop);
+            }
+            
+            // Onsets = rises in energy
+            const onsets = new Float32Array(frameCount);
+            const lowOnsets = new Float32Array(frameCount);
+            for (let i = 1; i < frameCount; i++) {
+                onsets[i] = Math.max(0, energy[i] - energy[i - 1]);
+                lowOnsets[i] = Math.max(0, lowEnergy[i] - lowEnergy[i - 1]);
+            }
+            
+            // Score of a grid = average onset strength on its beats
+            const scoreGrid = (period, phase, values = onsets, step = 1) => {
+                let sum = 0;
+                let count = 0;
+                for (let position = phase; position < frameCount; position += period * step) {
+                    sum += values[Math.round(position)] || 0;
+                    count++;
+                }
+                return count > 0 ? sum / count : 0;
+            };
+            
+            // Tempo to 0.05 BPM within ±2% of the rough estimate, best phase for each
+            let best = { bpm, period: 0, phase: 0, score: -1 };
+            for (let candidate = bpm * 0.98; candidate <= bpm * 1.02; candidate += 0.05) {
+                const period = frameRate * 60 / candidate;
+                
+                for (let phase = 0; phase < period; phase++) {
+                    const score = scoreGrid(period, phase);
+                    if (score > best.score) {
+                        best = { bpm: candidate, period, phase, score };
+                    }
+                }
+            }
+            
+            if (best.score <= 0) return fallback;
+            
+            // Share of grid beats that land on a clear onset - a wrong tempo drifts off most of them
+            let mean = 0;
+            for (let i = 0; i < frameCount; i++) mean += onsets[i];
+            mean /= frameCount;
+            let variance = 0;
+            for (let i = 0; i < frameCount; i++) variance += (onsets[i] - mean) ** 2;
+            const threshold = mean + Math.sqrt(variance / frameCount);
+            
+            const isHit = (frame) => Math.max(onsets[frame - 1] || 0, onsets[frame], onsets[frame + 1] || 0) > threshold;
+            
+            let hits = 0;
+            let beats = 0;
+            for (let position = best.phase; position < frameCount - 1; position += best.period) {
+                if (isHit(Math.round(position))) hits++;
+                beats++;
+            }
+            
+            // Measured against how often any frame would count as a hit (noise scores ~0)
+            let chanceHits = 0;
+            for (let i = 0; i < frameCount; i++) {
+                if (isHit(i)) chanceHits++;
+            }
+            const chance = chanceHits / frameCount;
+            const confidence = beats > 0 && chance < 1 ? Math.max(0, (hits / beats - chance) / (1 - chance)) : 0;
+            
+            // Downbeat = the beat of the bar with the strongest kicks
+            let downbeat = 0;
+            let downbeatScore = -1;
+            for (let beat = 0; beat < 4; beat++) {
+                const score = scoreGrid(best.period, best.phase + beat * best.period, lowOnsets, 4);
+                if (score > downbeatScore) {
+                    downbeatScore = score;
+                    downbeat = beat;
+                }
+            }
+            
+            const barSeconds = best.period * 4 / frameRate;
+            const offset = ((best.phase + downbeat * best.period) / frameRate) % barSeconds;
+            
+            return {
+                bpm: Math.round(best.bpm * 100) / 100,
+                offset: Math.round(offset * 1000) / 1000,
+                confidence: Math.round(confidence * 100) / 100
+            };
+            
+        } catch (err) {
+            this.debugLog(`Beat grid detection failed: ${err.message}`, 'warning');
+            return fallback;
+        }
+    }
+    
     /**
      * Detect silence at start and end
      */
@@ -598,12 +899,48 @@ class MusicAnalyzer {
     }
     
     /**
-     * Simplified FFT
+     * Radix-2 FFT (Hann-windowed, length must be a power of two)
      */
     performFFT(data) {
+        const n = data.length;
+        const real = new Float64Array(n);
+        const imag = new Float64Array(n);
+        
+        for (let i = 0; i < n; i++) {
+            real[i] = data[i] * (0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1)));
+        }
+        
+        // Bit-reversal permutation
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+            }
+        }
+        
+        for (let size = 2; size <= n; size <<= 1) {
+            const angle = (-2 * Math.PI) / size;
+            for (let start = 0; start < n; start += size) {
+                for (let k = 0; k < size / 2; k++) {
+                    const cos = Math.cos(angle * k);
+                    const sin = Math.sin(angle * k);
+                    const a = start + k;
+                    const b = a + size / 2;
+                    const tReal = real[b] * cos - imag[b] * sin;
+                    const tImag = real[b] * sin + imag[b] * cos;
+                    real[b] = real[a] - tReal;
+                    imag[b] = imag[a] - tImag;
+                    real[a] += tReal;
+                    imag[a] += tImag;
+                }
+            }
+        }
+        
         const result = [];
-        for (let i = 0; i < data.length; i++) {
-            result.push({ real: data[i], imag: 0 });
+        for (let i = 0; i < n; i++) {
+            result.push({ real: real[i], imag: imag[i] });
         }
         return result;
     }
@@ -625,11 +962,17 @@ class MusicAnalyzer {
     getDefaultAnalysis() {
         return {
             bpm: 120,
+            bpmConfidence: 'low',
+            beatGrid: { bpm: 120, offset: 0, confidence: 0 },
             energy: 0.5,
             mood: 'neutral',
             key: 'C',
+            mode: 'major',
             danceability: 0.5,
             loudness: 0.5,
+            loudnessLUFS: null,
+            loudnessBlocks: {},
+            truePeak: null,
             tempo: 'moderate',
             spectralCentroid: 1500,
             duration: 0,
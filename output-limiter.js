@@ -0,0 +1,200 @@
+/* ============================================
+   Output Limiter - Lookahead brickwall limiter at the end of
+   the audio chain, plus the output meter (peak hold, gain
+   reduction and a latching OVER light)
+   ============================================ */
+
+class OutputLimiter {
+    constructor(debugLog) {
+        this.debugLog = debugLog;
+        this.processorURL = 'limiter-processor.js';
+
+        // Settings
+        this.enabled = localStorage.getItem('limiterEnabled') !== 'false';
+        this.ceiling = parseFloat(localStorage.getItem('limiterCeiling')) || -1; // dBFS
+        this.ceilings = [-0.1, -0.5, -1, -2, -3];
+
+        // Audio nodes - input/output exist from attach() on, the worklet joins once loaded
+        this.audioContext = null;
+        this.input = null;
+        this.output = null;
+        this.limiterNode = null;
+
+        // Meter state
+        this.peak = 0;          // Linear, before limiting
+        this.peakHold = 0;
+        this.peakHoldTime = 0;
+        this.gainReduction = 0; // dB
+        this.over = false;      // Latched until clicked
+        this.holdDuration = 1500; // ms
+        this.renderPending = false;
+
+        // DOM elements
+        this.meter = document.getElementById('output-meter');
+        this.meterFill = this.meter?.querySelector('.output-meter-fill');
+        this.meterHold = this.meter?.querySelector('.output-meter-hold');
+        this.meterReadout = this.meter?.querySelector('.output-meter-readout');
+        this.overButton = document.getElementById('output-meter-over');
+        this.enabledCheck = document.getElementById('limiter-enabled');
+        this.ceilingSelect = document.getElementById('limiter-ceiling');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        if (this.overButton) {
+            this.overButton.onclick = () => {
+                this.over = false;
+                this.peakHold = 0;
+                this.render();
+            };
+        }
+
+        if (this.enabledCheck) {
+            this.enabledCheck.checked = this.enabled;
+            this.enabledCheck.onchange = () => this.setEnabled(this.enabledCheck.checked);
+        }
+
+        if (this.ceilingSelect) {
+            this.ceilingSelect.innerHTML = this.ceilings.map(db => `
+                <option value="${db}" ${db === this.ceiling ? 'selected' : ''}>${db} dB</option>
+            `).join('');
+            this.ceilingSelect.onchange = () => this.setCeiling(parseFloat(this.ceilingSelect.value));
+        }
+    }
+
+    // ========== AUDIO ==========
+
+    /**
+     * Create the input/output pair (a straight pass-through until the worklet loads)
+     */
+    attach(audioContext) {
+        if (this.audioContext) return;
+
+        this.audioContext = audioContext;
+        this.input = audioContext.createGain();
+        this.output = audioContext.createGain();
+        this.input.connect(this.output);
+
+        this.loadProcessor();
+    }
+
+    async loadProcessor() {
+        if (!this.audioContext.audioWorklet) {
+            this.debugLog('⚠️ Limiter needs AudioWorklet support (HTTPS or localhost) - output is unprotected', 'warning');
+            this.meter?.classList.add('unavailable');
+            return false;
+        }
+
+        try {
+            await this.audioContext.audioWorklet.addModule(this.processorURL);
+            // Explicit stereo input, so mono sources are up-mixed instead of losing the right channel
+            this.limiterNode = new AudioWorkletNode(this.audioContext, 'limiter-processor', {
+                outputChannelCount: [2],
+                channelCount: 2,
+                channelCountMode: 'explicit'
+            });
+            this.limiterNode.port.onmessage = (e) => this.handleMeter(e.data);
+            this.applySettings();
+
+            this.input.disconnect(this.output);
+            this.input.connect(this.limiterNode);
+            this.limiterNode.connect(this.output);
+
+            this.debugLog('✅ Output limiter inserted into audio chain', 'success');
+            return true;
+        } catch (err) {
+            this.debugLog(`❌ Output limiter failed: ${err.message}`, 'error');
+            this.limiterNode = null;
+            this.meter?.classList.add('unavailable');
+            return false;
+        }
+    }
+
+    applySettings() {
+        if (!this.limiterNode) return;
+
+        const now = this.audioContext.currentTime;
+        this.limiterNode.parameters.get('ceiling').setValueAtTime(Math.pow(10, this.ceiling / 20), now);
+        this.limiterNode.parameters.get('enabled').setValueAtTime(this.enabled ? 1 : 0, now);
+    }
+
+    // ========== SETTINGS ==========
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        localStorage.setItem('limiterEnabled', enabled.toString());
+        this.applySettings();
+        this.debugLog(`🧱 Output limiter: ${enabled ? 'ON' : 'OFF'}`, 'info');
+    }
+
+    /**
+     * @param {number} db - Highest output peak, -3 to -0.1 dBFS
+     */
+    setCeiling(db) {
+        this.ceiling = Math.max(-3, Math.min(-0.1, db));
+        localStorage.setItem('limiterCeiling', this.ceiling.toString());
+        this.applySettings();
+    }
+
+    // ========== METER ==========
+
+    /**
+     * @param {Object} data - { peak (linear, pre-limiter), gainReduction (dB), overs (samples above 0 dBFS) }
+     */
+    handleMeter(data) {
+        const now = performance.now();
+
+        this.peak = data.peak;
+        this.gainReduction = data.gainReduction;
+        if (data.peak >= this.peakHold || now - this.peakHoldTime > this.holdDuration) {
+            this.peakHold = data.peak;
+            this.peakHoldTime = now;
+        }
+        if (data.overs > 0) this.over = true;
+
+        // Messages come in every 50 ms - draw at most once a frame
+        if (!this.renderPending) {
+            this.renderPending = true;
+            requestAnimationFrame(() => {
+                this.renderPending = false;
+                this.render();
+            });
+        }
+    }
+
+    render() {
+        if (!this.meter) return;
+
+        // Clipped rather than resized, so the colours stay put on the dB scale
+        this.meterFill.style.clipPath = `inset(0 ${100 - this.levelToPercent(this.peak)}% 0 0)`;
+        this.meterHold.style.left = `${this.levelToPercent(this.peakHold)}%`;
+
+        const holdDb = this.peakHold > 0 ? 20 * Math.log10(this.peakHold) : -Infinity;
+        const peakText = isFinite(holdDb) ? `${holdDb > 0 ? '+' : ''}${holdDb.toFixed(1)} dB` : '-∞';
+        const limiting = this.enabled && this.gainReduction > 0.05;
+        this.meterReadout.textContent = limiting ? `${peakText} · GR ${this.gainReduction.toFixed(1)} dB` : peakText;
+        this.meter.classList.toggle('limiting', limiting);
+
+        if (this.overButton) {
+            this.overButton.classList.toggle('active', this.over);
+            this.overButton.title = this.over
+                ? `The signal went over 0 dBFS${this.enabled ? ' (caught by the limiter)' : ''} - click to reset`
+                : 'No overs';
+        }
+    }
+
+    /**
+     * -48..+6 dBFS across the bar
+     */
+    levelToPercent(level) {
+        if (level <= 0) return 0;
+        const db = 20 * Math.log10(level);
+        return Math.max(0, Math.min(100, (db + 48) / 54 * 100));
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OutputLimiter;
+}
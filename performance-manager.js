@@ -408,7 +408,8 @@ class PerformanceManager {
     
     // ========== THROTTLING & DEBOUNCING ==========
     
-    shouldUpdate(operationType) {
+    // Faster playback needs proportionally more frequent updates
+    shouldUpdate(operationType, playbackRate = 1) {
         const now = performance.now();
         const last = this.lastUpdate.get(operationType) || 0;
         
@@ -427,7 +428,7 @@ class PerformanceManager {
                 interval = 100;
         }
         
-        if (now - last >= interval) {
+        if (now - last >= interval / Math.max(1, playbackRate)) {
             this.lastUpdate.set(operationType, now);
             return true;
         }
@@ -0,0 +1,88 @@
+/* ============================================
+   Pitch Shift Processor (AudioWorklet)
+   Transposes without changing tempo using two crossfaded
+   read heads on a short delay line
+   ============================================ */
+
+class PitchShiftProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: 'k-rate' }];
+    }
+
+    constructor() {
+        super();
+
+        // 50 ms grains - short enough for speech, long enough for bass notes
+        this.windowSize = Math.round(sampleRate * 0.05);
+        this.bufferSize = this.windowSize + 4;
+        this.buffers = [];
+        this.writeIndex = 0;
+
+        // Delay of the first read head (the second is half a window behind)
+        this.delay = 0;
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        if (!input || input.length === 0) return true;
+
+        const ratio = parameters.pitchRatio[0];
+        const frames = input[0].length;
+        const size = this.bufferSize;
+        const grain = this.windowSize;
+
+        while (this.buffers.length < input.length) {
+            this.buffers.push(new Float32Array(size));
+        }
+
+        let delay = this.delay;
+        let writeIndex = this.writeIndex;
+
+        for (let i = 0; i < frames; i++) {
+            const delayB = delay + grain / 2 < grain ? delay + grain / 2 : delay - grain / 2;
+            // Hann windows half a grain apart always sum to 1
+            const gainA = 0.5 - 0.5 * Math.cos(2 * Math.PI * delay / grain);
+            const gainB = 1 - gainA;
+
+            for (let channel = 0; channel < input.length; channel++) {
+                const buffer = this.buffers[channel];
+                const sample = input[channel][i];
+                buffer[writeIndex] = sample;
+
+                if (!output[channel]) continue;
+                if (ratio === 1) {
+                    output[channel][i] = sample;
+                    continue;
+                }
+
+                output[channel][i] = this.read(buffer, writeIndex - delay) * gainA +
+                    this.read(buffer, writeIndex - delayB) * gainB;
+            }
+
+            writeIndex = (writeIndex + 1) % size;
+
+            // Reading faster than writing raises the pitch
+            delay += 1 - ratio;
+            if (delay < 0) delay += grain;
+            else if (delay >= grain) delay -= grain;
+        }
+
+        this.delay = delay;
+        this.writeIndex = writeIndex;
+        return true;
+    }
+
+    /**
+     * Linear interpolation at a fractional buffer position
+     */
+    read(buffer, position) {
+        const size = this.bufferSize;
+        const wrapped = ((position % size) + size) % size;
+        const index = Math.floor(wrapped);
+        const fraction = wrapped - index;
+        return buffer[index] * (1 - fraction) + buffer[(index + 1) % size] * fraction;
+    }
+}
+
+registerProcessor('pitch-shift-processor', PitchShiftProcessor);
@@ -0,0 +1,721 @@
+/* ============================================
+   Play Queue Manager
+   "Up Next" queue + playback history, kept separate from the playlist
+   ============================================ */
+
+class PlayQueueManager {
+    constructor(debugLog) {
+        this.debugLog = debugLog;
+
+        // Queue state (track object references from the live playlist)
+        this.upNext = [];
+        this.history = [];
+        this.contextTrack = null;
+        this.maxHistory = 200;
+
+        // Shuffle state - one cycle plays every playlist track exactly once
+        this.shuffleEnabled = false;
+        this.shuffleOrder = [];
+        this.shufflePosition = -1;
+        this.nextShuffleCycle = null; // Drawn when a peek runs past the end on loop-all, adopted by next()
+        this.shuffleWeighting = localStorage.getItem('shuffleWeighting') || 'none'; // none | playCount | rating | mood
+        this.shuffleMood = localStorage.getItem('shuffleMood') || 'energetic';
+
+        // Playlist provider (function for live updates, like background handler)
+        this.getPlaylist = () => [];
+        this.getTrackKey = (track) => `${track.fileName}_${track.fileSize || 0}`;
+        this.getRating = () => null;
+        this.getPlayCount = () => 0;
+
+        // Storage
+        this.storageKey = 'savedQueue';
+
+        // Callbacks
+        this.onTrackClick = null;
+        this.onQueueChange = null;
+
+        // DOM elements
+        this.panel = null;
+        this.listElement = null;
+        this.countElement = null;
+        this.collapsed = localStorage.getItem('upNextCollapsed') === 'true';
+
+        // Drag and drop
+        this.draggedIndex = null;
+    }
+
+    /**
+     * Initialize with playlist provider and optional UI container
+     */
+    init(config) {
+        if (config.playlist) this.getPlaylist = config.playlist;
+        if (config.getTrackKey) this.getTrackKey = config.getTrackKey;
+        if (config.getRating) this.getRating = config.getRating;
+        if (config.getPlayCount) this.getPlayCount = config.getPlayCount;
+
+        if (config.container) {
+            this.createPanel(config.container, config.insertBefore || null);
+        }
+
+        this.debugLog('✅ Play queue initialized', 'success');
+    }
+
+    /**
+     * Set callbacks
+     */
+    setCallbacks(callbacks) {
+        this.onTrackClick = callbacks.onTrackClick || null;
+        this.onQueueChange = callbacks.onQueueChange || null;
+    }
+
+    // ========== QUEUE OPERATIONS ==========
+
+    /**
+     * Append a track to the end of Up Next
+     */
+    addToEnd(track) {
+        if (!track) return;
+        this.upNext.push(track);
+        this.debugLog(`➕ Queued: ${this.getTitle(track)} (${this.upNext.length} up next)`, 'success');
+        this.changed();
+    }
+
+    /**
+     * Insert a track at the front of Up Next
+     */
+    playNext(track) {
+        if (!track) return;
+        this.upNext.unshift(track);
+        this.debugLog(`⏭️ Next up: ${this.getTitle(track)}`, 'success');
+        this.changed();
+    }
+
+    /**
+     * Move a queued entry to a new position
+     */
+    move(fromIndex, toIndex) {
+        if (fromIndex < 0 || fromIndex >= this.upNext.length) return;
+
+        const [track] = this.upNext.splice(fromIndex, 1);
+        const insertIndex = Math.max(0, Math.min(this.upNext.length, toIndex > fromIndex ? toIndex - 1 : toIndex));
+        this.upNext.splice(insertIndex, 0, track);
+        this.changed();
+    }
+
+    /**
+     * Remove a queued entry by position
+     */
+    remove(index) {
+        if (index < 0 || index >= this.upNext.length) return;
+        this.upNext.splice(index, 1);
+        this.changed();
+    }
+
+    /**
+     * Drop every reference to the given tracks (used when they leave the playlist)
+     */
+    removeTracks(tracks) {
+        const removed = new Set(tracks);
+        this.upNext = this.upNext.filter(track => !removed.has(track));
+        this.history = this.history.filter(track => !removed.has(track));
+        if (removed.has(this.contextTrack)) this.contextTrack = null;
+        this.changed();
+    }
+
+    /**
+     * Empty Up Next (history is kept so Previous still works)
+     */
+    clear() {
+        this.upNext = [];
+        this.debugLog('Up Next cleared', 'info');
+        this.changed();
+    }
+
+    /**
+     * Forget everything (playlist replaced or cleared)
+     */
+    reset() {
+        this.upNext = [];
+        this.history = [];
+        this.contextTrack = null;
+        this.shuffleOrder = [];
+        this.shufflePosition = -1;
+        this.nextShuffleCycle = null;
+        this.changed();
+    }
+
+    /**
+     * Queue position of a track (0-based) or -1
+     */
+    indexOf(track) {
+        return this.upNext.indexOf(track);
+    }
+
+    getUpNext() {
+        return [...this.upNext];
+    }
+
+    getHistory() {
+        return [...this.history];
+    }
+
+    // ========== PLAYBACK NAVIGATION ==========
+
+    /**
+     * Record that a track started playing
+     * @param {Object} track - Track now playing
+     * @param {Object} options - { previous, fromQueue, fromHistory }
+     */
+    trackStarted(track, options = {}) {
+        const { previous = null, fromQueue = false, fromHistory = false } = options;
+
+        if (previous && previous !== track && !fromHistory) {
+            this.history.push(previous);
+            if (this.history.length > this.maxHistory) {
+                this.history = this.history.slice(-this.maxHistory);
+            }
+        }
+
+        // Tracks that came from Up Next don't move the playlist position
+        if (!fromQueue) {
+            this.contextTrack = track;
+            if (this.shuffleEnabled) {
+                this.markShufflePlayed(track, fromHistory);
+            }
+        }
+
+        // Playing a queued track directly takes it out of the queue
+        const queuedIndex = this.upNext.indexOf(track);
+        if (queuedIndex !== -1) {
+            this.upNext.splice(queuedIndex, 1);
+        }
+
+        this.changed();
+    }
+
+    /**
+     * Resolve the next track to play and consume it from Up Next
+     * @param {Object} currentTrack - Track currently playing
+     * @param {string} loopMode - 'off' | 'all' | 'one'
+     * @returns {Object|null} { track, fromQueue } or null at end of playlist
+     */
+    next(currentTrack, loopMode = 'off') {
+        const next = this.peekNext(currentTrack, loopMode);
+        if (next && next.fromQueue) {
+            this.upNext.shift();
+        } else if (next && this.nextShuffleCycle && next.track === this.nextShuffleCycle[0]
+            && this.shufflePosition + 1 >= this.shuffleOrder.length) {
+            this.shuffleOrder = this.nextShuffleCycle;
+            this.shufflePosition = -1;
+            this.nextShuffleCycle = null;
+            this.debugLog('🔀 Shuffle cycle complete - starting a new one', 'info');
+            this.save();
+        }
+        return next;
+    }
+
+    /**
+     * Resolve the next track without consuming Up Next or changing the shuffle
+     * (on loop-all past the end of a cycle it previews the next one - next() adopts it)
+     */
+    peekNext(currentTrack, loopMode = 'off') {
+        if (this.upNext.length > 0) {
+            return { track: this.upNext[0], fromQueue: true };
+        }
+
+        const playlist = this.getPlaylist();
+        if (playlist.length === 0) return null;
+
+        if (this.shuffleEnabled) {
+            return this.peekShuffleNext(currentTrack, loopMode);
+        }
+
+        const anchor = this.contextTrack && playlist.includes(this.contextTrack)
+            ? this.contextTrack
+            : currentTrack;
+        const anchorIndex = playlist.indexOf(anchor);
+
+        if (anchorIndex < playlist.length - 1) {
+            return { track: playlist[anchorIndex + 1], fromQueue: false };
+        }
+
+        if (loopMode === 'all') {
+            return { track: playlist[0], fromQueue: false };
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve the track that actually played before the current one
+     * @param {Object} currentTrack - Track currently playing
+     * @param {string} loopMode - 'off' | 'all' | 'one'
+     * @returns {Object|null} { track, fromHistory }
+     */
+    previous(currentTrack, loopMode = 'off') {
+        const playlist = this.getPlaylist();
+
+        while (this.history.length > 0) {
+            const track = this.history.pop();
+            if (playlist.includes(track) && track !== currentTrack) {
+                this.changed();
+                return { track, fromHistory: true };
+            }
+        }
+
+        // No history yet - step back through the shuffle cycle
+        if (this.shuffleEnabled && this.shufflePosition > 0) {
+            this.syncShuffleOrder();
+            return { track: this.shuffleOrder[this.shufflePosition - 1], fromHistory: true };
+        }
+
+        // ...or plain playlist order
+        const currentIndex = playlist.indexOf(currentTrack);
+        if (currentIndex > 0) {
+            return { track: playlist[currentIndex - 1], fromHistory: true };
+        }
+        if (loopMode === 'all' && playlist.length > 0) {
+            return { track: playlist[playlist.length - 1], fromHistory: true };
+        }
+
+        return null;
+    }
+
+    // ========== SHUFFLE ==========
+
+    /**
+     * Turn shuffle on/off without touching playlist order
+     * @param {boolean} enabled - New shuffle state
+     * @param {Object} currentTrack - Track playing now (starts the cycle / resumes order)
+     */
+    setShuffle(enabled, currentTrack = null) {
+        this.shuffleEnabled = enabled;
+
+        if (enabled) {
+            this.buildShuffleCycle(currentTrack);
+            this.debugLog(`🔀 Shuffle cycle built (${this.shuffleOrder.length} tracks, weighting: ${this.shuffleWeighting})`, 'success');
+        } else {
+            this.shuffleOrder = [];
+            this.shufflePosition = -1;
+            this.nextShuffleCycle = null;
+            // Continue in original order from wherever we are now
+            if (currentTrack) this.contextTrack = currentTrack;
+        }
+
+        this.changed();
+    }
+
+    isShuffleEnabled() {
+        return this.shuffleEnabled;
+    }
+
+    /**
+     * Change how the shuffle favours tracks; unplayed part of the cycle is redrawn
+     * @param {string} mode - 'none' | 'playCount' | 'rating' | 'mood'
+     * @param {string} mood - Analysis mood to favour when mode is 'mood'
+     */
+    setShuffleWeighting(mode, mood = this.shuffleMood) {
+        this.shuffleWeighting = mode;
+        this.shuffleMood = mood;
+        localStorage.setItem('shuffleWeighting', mode);
+        localStorage.setItem('shuffleMood', mood);
+
+        if (this.shuffleEnabled) {
+            this.syncShuffleOrder();
+            const played = this.shuffleOrder.slice(0, this.shufflePosition + 1);
+            const remaining = this.shuffleOrder.slice(this.shufflePosition + 1);
+            this.shuffleOrder = [...played, ...this.weightedShuffle(remaining)];
+            this.nextShuffleCycle = null;
+        }
+
+        this.debugLog(`🔀 Shuffle weighting: ${mode}${mode === 'mood' ? ` (${mood})` : ''}`, 'info');
+        this.changed();
+    }
+
+    /**
+     * Start a new cycle
+     * @param {Object} firstTrack - Track placed first (already playing), or null
+     * @param {Object} avoidFirst - Track that must not open the cycle (just played)
+     */
+    buildShuffleCycle(firstTrack = null, avoidFirst = null) {
+        const playlist = this.getPlaylist();
+        const order = this.drawShuffleCycle(playlist.filter(track => track !== firstTrack), avoidFirst);
+        this.nextShuffleCycle = null;
+
+        if (firstTrack && playlist.includes(firstTrack)) {
+            this.shuffleOrder = [firstTrack, ...order];
+            this.shufflePosition = 0;
+        } else {
+            this.shuffleOrder = order;
+            this.shufflePosition = -1;
+        }
+    }
+
+    /**
+     * Weighted order for a cycle
+     * @param {Object} avoidFirst - Track that must not open the cycle (just played)
+     */
+    drawShuffleCycle(tracks, avoidFirst = null) {
+        const order = this.weightedShuffle(tracks);
+
+        if (avoidFirst && order.length > 1 && order[0] === avoidFirst) {
+            [order[0], order[1]] = [order[1], order[0]];
+        }
+
+        return order;
+    }
+
+    peekShuffleNext(currentTrack, loopMode) {
+        this.syncShuffleOrder();
+
+        if (this.shufflePosition + 1 < this.shuffleOrder.length) {
+            return { track: this.shuffleOrder[this.shufflePosition + 1], fromQueue: false };
+        }
+
+        if (loopMode === 'all') {
+            // Drawn once and kept aside, so repeated look-aheads (preloads) agree with next()
+            const playlist = this.getPlaylist();
+            const pending = this.nextShuffleCycle;
+            const inPlaylist = new Set(playlist);
+            if (!pending || pending.length !== playlist.length || !pending.every(track => inPlaylist.has(track))) {
+                this.nextShuffleCycle = this.drawShuffleCycle(playlist, currentTrack);
+            }
+            return this.nextShuffleCycle.length > 0 ? { track: this.nextShuffleCycle[0], fromQueue: false } : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Move the cycle position onto a track that just started
+     */
+    markShufflePlayed(track, fromHistory) {
+        this.syncShuffleOrder();
+        const index = this.shuffleOrder.indexOf(track);
+
+        // Going back (or straight ahead) just moves the cursor
+        if (index !== -1 && (fromHistory || index === this.shufflePosition + 1)) {
+            this.shufflePosition = index;
+            return;
+        }
+
+        // Picked by hand: pull it into the played part so it isn't repeated this cycle
+        if (index !== -1) {
+            this.shuffleOrder.splice(index, 1);
+            if (index <= this.shufflePosition) this.shufflePosition--;
+        }
+        this.shuffleOrder.splice(this.shufflePosition + 1, 0, track);
+        this.shufflePosition++;
+    }
+
+    /**
+     * Reconcile the cycle with tracks added to or removed from the playlist
+     */
+    syncShuffleOrder() {
+        const playlist = this.getPlaylist();
+        const inPlaylist = new Set(playlist);
+        let position = this.shufflePosition;
+
+        const kept = [];
+        this.shuffleOrder.forEach((track, index) => {
+            if (inPlaylist.has(track)) {
+                kept.push(track);
+            } else if (index <= this.shufflePosition) {
+                position--;
+            }
+        });
+
+        if (kept.length === playlist.length) {
+            this.shuffleOrder = kept;
+            this.shufflePosition = position;
+            return;
+        }
+
+        // New tracks join the unplayed remainder of this cycle
+        const known = new Set(kept);
+        const added = playlist.filter(track => !known.has(track));
+        const remaining = [...kept.slice(position + 1), ...added];
+
+        this.shuffleOrder = [...kept.slice(0, position + 1), ...this.weightedShuffle(remaining)];
+        this.shufflePosition = position;
+    }
+
+    /**
+     * Weighted random permutation (Efraimidis-Spirakis: key = u^(1/w))
+     */
+    weightedShuffle(tracks) {
+        return tracks
+            .map(track => ({
+                track,
+                key: Math.pow(Math.random(), 1 / Math.max(this.getTrackWeight(track), 0.01))
+            }))
+            .sort((a, b) => b.key - a.key)
+            .map(entry => entry.track);
+    }
+
+    getTrackWeight(track) {
+        switch (this.shuffleWeighting) {
+            case 'playCount':
+                // Rarely played tracks surface earlier
+                return 1 / (1 + this.getPlayCount(track));
+            case 'rating': {
+                const rating = this.getRating(track);
+                return 1 + (typeof rating === 'number' ? rating : 2.5);
+            }
+            case 'mood':
+                return track.analysis?.mood === this.shuffleMood ? 4 : 1;
+            default:
+                return 1;
+        }
+    }
+
+    // ========== PERSISTENCE ==========
+
+    /**
+     * Save queue and history keys to localStorage
+     */
+    save() {
+        try {
+            const data = {
+                upNext: this.upNext.map(track => this.getTrackKey(track)),
+                history: this.history.slice(-50).map(track => this.getTrackKey(track)),
+                context: this.contextTrack ? this.getTrackKey(this.contextTrack) : null,
+                shuffle: {
+                    enabled: this.shuffleEnabled,
+                    order: this.shuffleOrder.map(track => this.getTrackKey(track)),
+                    position: this.shufflePosition
+                },
+                savedAt: Date.now()
+            };
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (err) {
+            this.debugLog(`Failed to save queue: ${err.message}`, 'error');
+        }
+    }
+
+    /**
+     * Restore saved queue against a freshly loaded playlist
+     * @param {Array} playlist - Loaded tracks
+     * @returns {number} Number of queued tracks restored
+     */
+    restore(playlist) {
+        this.upNext = [];
+        this.history = [];
+        this.contextTrack = null;
+        this.shuffleOrder = [];
+        this.shufflePosition = -1;
+        this.nextShuffleCycle = null;
+
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (!saved) {
+                this.changed(false);
+                return 0;
+            }
+
+            const data = JSON.parse(saved);
+            const byKey = new Map(playlist.map(track => [this.getTrackKey(track), track]));
+            const resolve = (keys) => (keys || []).map(key => byKey.get(key)).filter(Boolean);
+
+            this.upNext = resolve(data.upNext);
+            this.history = resolve(data.history);
+            this.contextTrack = data.context ? (byKey.get(data.context) || null) : null;
+
+            if (data.shuffle) {
+                this.shuffleEnabled = !!data.shuffle.enabled;
+                const order = data.shuffle.order || [];
+                const position = data.shuffle.position ?? -1;
+                const played = resolve(order.slice(0, position + 1));
+                this.shuffleOrder = [...played, ...resolve(order.slice(position + 1))];
+                this.shufflePosition = played.length - 1;
+                if (this.shuffleEnabled) this.syncShuffleOrder();
+            }
+
+            if (this.upNext.length > 0) {
+                this.debugLog(`📋 Restored ${this.upNext.length} tracks to Up Next`, 'success');
+            }
+        } catch (err) {
+            this.debugLog(`Failed to restore queue: ${err.message}`, 'error');
+        }
+
+        this.changed(false);
+        return this.upNext.length;
+    }
+
+    clearStorage() {
+        localStorage.removeItem(this.storageKey);
+    }
+
+    // ========== UI ==========
+
+    /**
+     * Create the Up Next panel
+     */
+    createPanel(container, insertBefore) {
+        this.panel = document.createElement('div');
+        this.panel.id = 'up-next-panel';
+        this.panel.className = 'up-next-panel';
+        this.panel.innerHTML = `
+            <div class="up-next-header">
+                <button class="up-next-toggle" title="Show/Hide Up Next">⏭️ Up Next <span class="up-next-count">0</span></button>
+                <select class="shuffle-weighting" title="How shuffle picks tracks">
+                    <option value="none">🔀 Even shuffle</option>
+                    <option value="playCount">🆕 Least played first</option>
+                    <option value="rating">⭐ Favour top rated</option>
+                    <option value="mood:energetic">⚡ Favour energetic</option>
+                    <option value="mood:bright">☀️ Favour bright</option>
+                    <option value="mood:calm">😌 Favour calm</option>
+                    <option value="mood:dark">🌙 Favour dark</option>
+                </select>
+                <button class="up-next-clear" title="Clear Up Next">🗑️ Clear</button>
+            </div>
+            <div class="up-next-list"></div>
+        `;
+
+        if (insertBefore && insertBefore.parentNode === container) {
+            container.insertBefore(this.panel, insertBefore);
+        } else {
+            container.appendChild(this.panel);
+        }
+
+        this.listElement = this.panel.querySelector('.up-next-list');
+        this.countElement = this.panel.querySelector('.up-next-count');
+
+        this.panel.querySelector('.up-next-toggle').onclick = () => {
+            this.collapsed = !this.collapsed;
+            localStorage.setItem('upNextCollapsed', this.collapsed);
+            this.render();
+        };
+
+        this.panel.querySelector('.up-next-clear').onclick = () => this.clear();
+
+        const weightingSelect = this.panel.querySelector('.shuffle-weighting');
+        weightingSelect.value = this.shuffleWeighting === 'mood'
+            ? `mood:${this.shuffleMood}`
+            : this.shuffleWeighting;
+        weightingSelect.onchange = () => {
+            const [mode, mood] = weightingSelect.value.split(':');
+            this.setShuffleWeighting(mode, mood || this.shuffleMood);
+        };
+
+        // Event delegation for item actions
+        this.listElement.addEventListener('click', (e) => {
+            const item = e.target.closest('.up-next-item');
+            if (!item) return;
+
+            const index = parseInt(item.dataset.queueIndex);
+            if (isNaN(index)) return;
+
+            const action = e.target.dataset.action;
+            if (action === 'up') {
+                this.move(index, index - 1);
+            } else if (action === 'down') {
+                this.move(index, index + 2);
+            } else if (action === 'remove') {
+                this.remove(index);
+            } else if (this.onTrackClick) {
+                const [track] = this.upNext.splice(index, 1);
+                this.onTrackClick(track);
+            }
+        });
+
+        this.render();
+    }
+
+    /**
+     * Render the Up Next list
+     */
+    render() {
+        if (!this.panel) return;
+
+        this.countElement.textContent = this.upNext.length;
+        this.panel.classList.toggle('empty', this.upNext.length === 0);
+        this.panel.classList.toggle('collapsed', this.collapsed);
+
+        if (this.collapsed || this.upNext.length === 0) {
+            this.listElement.innerHTML = '';
+            return;
+        }
+
+        const fragment = document.createDocumentFragment();
+
+        this.upNext.forEach((track, index) => {
+            const item = document.createElement('div');
+            item.className = 'up-next-item';
+            item.dataset.queueIndex = index;
+            item.draggable = true;
+            item.innerHTML = `
+                <span class="up-next-position">${index + 1}</span>
+                <span class="up-next-title">${this.escapeHtml(this.getTitle(track))}</span>
+                <span class="up-next-artist">${this.escapeHtml(track.metadata?.artist || '')}</span>
+                <button data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>▲</button>
+                <button data-action="down" title="Move down" ${index === this.upNext.length - 1 ? 'disabled' : ''}>▼</button>
+                <button data-action="remove" title="Remove from Up Next">✕</button>
+            `;
+
+            this.attachDragListeners(item, index);
+            fragment.appendChild(item);
+        });
+
+        this.listElement.innerHTML = '';
+        this.listElement.appendChild(fragment);
+    }
+
+    /**
+     * Drag-and-drop reordering inside the queue
+     */
+    attachDragListeners(item, index) {
+        item.addEventListener('dragstart', (e) => {
+            this.draggedIndex = index;
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+        });
+
+        item.addEventListener('dragend', () => {
+            item.classList.remove('dragging');
+            this.draggedIndex = null;
+        });
+
+        item.addEventListener('dragover', (e) => {
+            if (this.draggedIndex === null) return;
+            e.preventDefault();
+            e.stopPropagation();
+        });
+
+        item.addEventListener('drop', (e) => {
+            if (this.draggedIndex === null) return;
+            e.preventDefault();
+            e.stopPropagation();
+
+            const rect = item.getBoundingClientRect();
+            const dropIndex = e.clientY < rect.top + rect.height / 2 ? index : index + 1;
+
+            if (dropIndex !== this.draggedIndex) {
+                this.move(this.draggedIndex, dropIndex);
+            }
+        });
+    }
+
+    // ========== HELPERS ==========
+
+    changed(persist = true) {
+        this.render();
+        if (persist) this.save();
+        if (this.onQueueChange) this.onQueueChange(this.getUpNext());
+    }
+
+    getTitle(track) {
+        return track.metadata?.title || track.fileName;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlayQueueManager;
+}
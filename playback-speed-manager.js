@@ -0,0 +1,423 @@
+/* ============================================
+   Playback Speed Manager
+   Playback rate (0.5x-3x) with optional pitch preservation,
+   semitone transpose and per-track speed memory
+   ============================================ */
+
+class PlaybackSpeedManager {
+    constructor(player, debugLog) {
+        this.player = player;
+        this.debugLog = debugLog;
+
+        // Rate limits
+        this.minRate = 0.5;
+        this.maxRate = 3;
+        this.rateStep = 0.25;
+        this.minSemitones = -12;
+        this.maxSemitones = 12;
+
+        // State
+        this.rate = 1; // Last rate picked by the user (used for tracks without memory)
+        this.appliedRate = 1;
+        this.preservePitch = true;
+        this.semitones = 0;
+        this.trackRates = new Map(); // Per-track speed memory
+        this.currentTrackId = null;
+        this.nudgeState = null; // Temporary beat-matching rate { baseRate, interval }
+
+        // Pitch shift node (created on first transpose)
+        this.audioContext = null;
+        this.inputNode = null;
+        this.outputNode = null;
+        this.pitchNode = null;
+        this.pitchNodeLoading = null;
+        this.processorURL = 'pitch-shift-processor.js';
+
+        // Callbacks
+        this.onRateChange = null;
+
+        // DOM elements
+        this.speedSlider = document.getElementById('speed-slider');
+        this.speedValue = document.getElementById('speed-value');
+        this.speedIcon = document.getElementById('speed-icon');
+        this.preservePitchCheck = document.getElementById('preserve-pitch-check');
+        this.pitchValue = document.getElementById('pitch-value');
+        this.pitchDownButton = document.getElementById('pitch-down');
+        this.pitchUpButton = document.getElementById('pitch-up');
+
+        this.init();
+    }
+
+    init() {
+        this.loadSettings();
+        this.loadTrackRates();
+
+        this.applyPreservePitch();
+        this.applyRate(this.rate);
+        this.setupEventListeners();
+        this.updateUI();
+
+        this.debugLog('✅ Playback speed control initialized', 'success');
+    }
+
+    setupEventListeners() {
+        if (this.speedSlider) {
+            this.speedSlider.addEventListener('input', (e) => this.setRate(parseFloat(e.target.value)));
+        }
+
+        if (this.speedIcon) {
+            this.speedIcon.addEventListener('click', () => this.reset());
+        }
+
+        if (this.preservePitchCheck) {
+            this.preservePitchCheck.addEventListener('change', (e) => this.setPreservePitch(e.target.checked));
+        }
+
+        if (this.pitchDownButton) {
+            this.pitchDownButton.addEventListener('click', () => this.setSemitones(this.semitones - 1));
+        }
+
+        if (this.pitchUpButton) {
+            this.pitchUpButton.addEventListener('click', () => this.setSemitones(this.semitones + 1));
+        }
+
+        if (this.pitchValue) {
+            this.pitchValue.addEventListener('click', () => this.setSemitones(0));
+        }
+
+        // Rate changed from elsewhere (mobile controls, browser UI) - adopt it
+        this.player.addEventListener('ratechange', () => {
+            if (Math.abs(this.player.playbackRate - this.appliedRate) > 0.001) {
+                this.setRate(this.player.playbackRate);
+            }
+        });
+
+        // Loading a new source resets playbackRate to defaultPlaybackRate in some browsers
+        this.player.addEventListener('loadedmetadata', () => {
+            if (this.player.playbackRate !== this.appliedRate) {
+                this.player.playbackRate = this.appliedRate;
+            }
+        });
+    }
+
+    // ========== PLAYBACK RATE ==========
+
+    /**
+     * Change the playback rate
+     * @param {number} rate - 0.5 to 3
+     * @param {boolean} remember - Also make it the default and remember it for the current track
+     */
+    setRate(rate, remember = true) {
+        this.cancelNudge();
+        const clamped = this.clampRate(rate);
+        this.applyRate(clamped);
+
+        if (remember) {
+            this.rate = clamped;
+            if (this.currentTrackId) this.rememberTrackRate(this.currentTrackId, clamped);
+            this.saveSettings();
+        }
+
+        this.updateUI();
+        if (this.onRateChange) this.onRateChange(clamped);
+    }
+
+    applyRate(rate) {
+        this.appliedRate = rate;
+        this.player.defaultPlaybackRate = rate;
+        this.player.playbackRate = rate;
+    }
+
+    increaseRate() {
+        this.setRate(this.appliedRate + this.rateStep);
+        this.debugLog(`⏩ Speed: ${this.formatRate(this.appliedRate)}`, 'info');
+    }
+
+    decreaseRate() {
+        this.setRate(this.appliedRate - this.rateStep);
+        this.debugLog(`⏪ Speed: ${this.formatRate(this.appliedRate)}`, 'info');
+    }
+
+    /**
+     * Back to normal speed and pitch
+     */
+    reset() {
+        this.setRate(1);
+        this.setSemitones(0);
+        this.debugLog('⏯ Speed and pitch reset', 'info');
+    }
+
+    getRate() {
+        return this.appliedRate;
+    }
+
+    clampRate(rate) {
+        if (!isFinite(rate)) return 1;
+        // Round to the slider step so 1.2499999 doesn't show up
+        return Math.round(Math.max(this.minRate, Math.min(this.maxRate, rate)) * 100) / 100;
+    }
+
+    formatRate(rate) {
+        return `${parseFloat(rate.toFixed(2))}x`;
+    }
+
+    // ========== TEMPO NUDGE ==========
+
+    /**
+     * Play at an exact rate for a while, then ease back to the track's own rate
+     * (beat-matched crossfades). Never remembered - any real rate change cancels it.
+     * @param {number} rate - Not rounded to the slider step
+     * @param {number} holdSeconds - Time at `rate` before easing back
+     * @param {number} easeSeconds
+     */
+    nudge(rate, holdSeconds, easeSeconds) {
+        this.cancelNudge();
+
+        const baseRate = this.appliedRate;
+        const target = Math.max(this.minRate, Math.min(this.maxRate, rate));
+        const easeFrom = Date.now() + holdSeconds * 1000;
+
+        this.applyRate(target);
+        this.updateUI();
+
+        this.nudgeState = {
+            baseRate,
+            interval: setInterval(() => {
+                const progress = (Date.now() - easeFrom) / (easeSeconds * 1000);
+                if (progress < 0) return;
+
+                if (progress >= 1) {
+                    this.cancelNudge();
+                    this.applyRate(baseRate);
+                } else {
+                    // Smoothstep - no lurch at either end
+                    const eased = progress * progress * (3 - 2 * progress);
+                    this.applyRate(target + (baseRate - target) * eased);
+                }
+                this.updateUI();
+            }, 100)
+        };
+    }
+
+    cancelNudge() {
+        if (!this.nudgeState) return;
+
+        clearInterval(this.nudgeState.interval);
+        this.nudgeState = null;
+    }
+
+    // ========== PER-TRACK MEMORY ==========
+
+    /**
+     * A track was loaded - use its remembered rate, otherwise the default
+     * @param {string} trackId - Unique track identifier
+     * @returns {boolean} True if a remembered rate was applied
+     */
+    applyTrackRate(trackId) {
+        this.currentTrackId = trackId;
+        const saved = trackId ? this.trackRates.get(trackId) : undefined;
+
+        this.setRate(saved !== undefined ? saved : this.rate, false);
+
+        if (saved !== undefined && saved !== 1) {
+            this.debugLog(`📌 Applied saved speed for track: ${this.formatRate(saved)}`, 'info');
+        }
+        return saved !== undefined;
+    }
+
+    /**
+     * Remember rate for specific track
+     * @param {string} trackId - Unique track identifier
+     * @param {number} rate - Rate to remember
+     */
+    rememberTrackRate(trackId, rate) {
+        if (!trackId) return;
+
+        this.trackRates.set(trackId, rate);
+        this.saveTrackRates();
+    }
+
+    saveTrackRates() {
+        try {
+            localStorage.setItem('speedTrackMemory', JSON.stringify(Array.from(this.trackRates.entries())));
+        } catch (err) {
+            this.debugLog(`Failed to save track speeds: ${err.message}`, 'error');
+        }
+    }
+
+    loadTrackRates() {
+        try {
+            const data = localStorage.getItem('speedTrackMemory');
+            if (data) this.trackRates = new Map(JSON.parse(data));
+        } catch (err) {
+            this.debugLog(`Failed to load track speeds: ${err.message}`, 'error');
+        }
+    }
+
+    // ========== PITCH ==========
+
+    /**
+     * Keep the original pitch when the rate changes (otherwise it plays like tape)
+     */
+    setPreservePitch(enabled) {
+        this.preservePitch = enabled;
+        this.applyPreservePitch();
+        this.saveSettings();
+        this.updateUI();
+        this.debugLog(`🎼 Pitch preservation: ${enabled ? 'ON' : 'OFF'}`, 'info');
+    }
+
+    applyPreservePitch() {
+        this.player.preservesPitch = this.preservePitch;
+        this.player.mozPreservesPitch = this.preservePitch;
+        this.player.webkitPreservesPitch = this.preservePitch;
+    }
+
+    /**
+     * Transpose without changing speed
+     * @param {number} semitones - -12 to +12
+     */
+    async setSemitones(semitones) {
+        const clamped = Math.round(Math.max(this.minSemitones, Math.min(this.maxSemitones, semitones)));
+        if (clamped === this.semitones && (clamped === 0 || this.pitchNode)) return;
+
+        this.semitones = clamped;
+        this.saveSettings();
+        this.updateUI();
+
+        if (clamped !== 0 && !this.pitchNode) {
+            const ready = await this.createPitchNode();
+            if (!ready) {
+                this.semitones = 0;
+                this.saveSettings();
+                this.updateUI();
+                return;
+            }
+        }
+
+        this.applyPitchRatio();
+        this.debugLog(`🎼 Transpose: ${this.formatSemitones(this.semitones)}`, 'info');
+    }
+
+    transposeUp() {
+        this.setSemitones(this.semitones + 1);
+    }
+
+    transposeDown() {
+        this.setSemitones(this.semitones - 1);
+    }
+
+    getSemitones() {
+        return this.semitones;
+    }
+
+    formatSemitones(semitones) {
+        return `${semitones > 0 ? '+' : ''}${semitones} st`;
+    }
+
+    applyPitchRatio() {
+        if (!this.pitchNode || !this.audioContext) return;
+
+        const ratio = Math.pow(2, this.semitones / 12);
+        this.pitchNode.parameters.get('pitchRatio').setValueAtTime(ratio, this.audioContext.currentTime);
+    }
+
+    /**
+     * Where the pitch shifter goes once it's needed (source → [pitch] → EQ)
+     * @param {AudioContext} audioContext - Shared audio context
+     * @param {AudioNode} inputNode - Media element source
+     * @param {AudioNode} outputNode - First node of the EQ chain
+     */
+    attachAudioChain(audioContext, inputNode, outputNode) {
+        this.audioContext = audioContext;
+        this.inputNode = inputNode;
+        this.outputNode = outputNode;
+
+        // Restore a saved transpose
+        if (this.semitones !== 0 && !this.pitchNode) {
+            const saved = this.semitones;
+            this.semitones = 0;
+            this.setSemitones(saved);
+        }
+    }
+
+    createPitchNode() {
+        if (this.pitchNodeLoading) return this.pitchNodeLoading;
+
+        this.pitchNodeLoading = (async () => {
+            if (!this.audioContext || !this.inputNode || !this.outputNode) {
+                this.debugLog('⚠️ Play a track first to enable transpose', 'warning');
+                return false;
+            }
+
+            if (!this.audioContext.audioWorklet) {
+                this.debugLog('⚠️ Transpose needs AudioWorklet support (HTTPS or localhost)', 'warning');
+                return false;
+            }
+
+            try {
+                await this.audioContext.audioWorklet.addModule(this.processorURL);
+                this.pitchNode = new AudioWorkletNode(this.audioContext, 'pitch-shift-processor');
+
+                this.inputNode.disconnect(this.outputNode);
+                this.inputNode.connect(this.pitchNode);
+                this.pitchNode.connect(this.outputNode);
+
+                this.debugLog('✅ Pitch shifter inserted into audio chain', 'success');
+                return true;
+            } catch (err) {
+                this.debugLog(`❌ Pitch shifter failed: ${err.message}`, 'error');
+                this.pitchNode = null;
+                return false;
+            } finally {
+                this.pitchNodeLoading = null;
+            }
+        })();
+
+        return this.pitchNodeLoading;
+    }
+
+    // ========== UI ==========
+
+    updateUI() {
+        if (this.speedSlider) this.speedSlider.value = this.appliedRate;
+        if (this.speedValue) this.speedValue.textContent = this.formatRate(this.appliedRate);
+        if (this.speedIcon) this.speedIcon.classList.toggle('active', this.appliedRate !== 1 || this.semitones !== 0);
+        if (this.preservePitchCheck) this.preservePitchCheck.checked = this.preservePitch;
+        if (this.pitchValue) this.pitchValue.textContent = this.formatSemitones(this.semitones);
+        if (this.pitchDownButton) this.pitchDownButton.disabled = this.semitones <= this.minSemitones;
+        if (this.pitchUpButton) this.pitchUpButton.disabled = this.semitones >= this.maxSemitones;
+    }
+
+    // ========== SETTINGS ==========
+
+    loadSettings() {
+        try {
+            const rate = parseFloat(localStorage.getItem('playbackRate'));
+            if (!isNaN(rate)) this.rate = this.clampRate(rate);
+
+            const preserve = localStorage.getItem('preservePitch');
+            if (preserve !== null) this.preservePitch = preserve === 'true';
+
+            const semitones = parseInt(localStorage.getItem('pitchSemitones'));
+            if (!isNaN(semitones)) this.semitones = Math.max(this.minSemitones, Math.min(this.maxSemitones, semitones));
+        } catch (err) {
+            this.debugLog('⚠️ Could not load speed settings', 'warning');
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem('playbackRate', this.rate.toString());
+            localStorage.setItem('preservePitch', this.preservePitch.toString());
+            localStorage.setItem('pitchSemitones', this.semitones.toString());
+        } catch (err) {
+            this.debugLog('⚠️ Could not save speed settings', 'warning');
+        }
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlaybackSpeedManager;
+}
@@ -0,0 +1,330 @@
+/* ============================================
+   Playlist File Parser - M3U/M3U8, PLS and XSPF
+   Reads playlist files into path entries and writes
+   tracks back out in any of those formats
+   ============================================ */
+
+class PlaylistFileParser {
+    constructor(debugLog) {
+        this.debugLog = debugLog;
+        this.maxFileSize = 5 * 1024 * 1024; // 5MB limit
+        this.supportedFormats = ['m3u', 'm3u8', 'pls', 'xspf'];
+    }
+
+    /**
+     * Check if a file name has a playlist extension
+     */
+    isPlaylistFile(fileName) {
+        return this.supportedFormats.includes(fileName.toLowerCase().split('.').pop());
+    }
+
+    // ========== PARSING ==========
+
+    /**
+     * Parse a playlist file
+     * @param {File} file - .m3u/.m3u8/.pls/.xspf file
+     * @returns {Promise<Object|null>} { name, format, entries: [{ path, title, duration }] }
+     */
+    async parseFile(file) {
+        if (file.size > this.maxFileSize) {
+            this.debugLog(`Playlist file too large: ${file.name}`, 'error');
+            return null;
+        }
+
+        const format = file.name.toLowerCase().split('.').pop();
+        const fallbackName = file.name.split('.').slice(0, -1).join('.') || file.name;
+
+        try {
+            const text = await file.text();
+            const parsed = this.parseText(text, format);
+            if (!parsed) return null;
+
+            this.debugLog(`📃 Parsed ${format.toUpperCase()} playlist "${file.name}": ${parsed.entries.length} entries`, 'success');
+
+            return {
+                name: parsed.name || fallbackName,
+                format,
+                entries: parsed.entries,
+                // Folder the playlist lives in, for resolving relative entries
+                baseDir: (file.webkitRelativePath || '').split('/').slice(0, -1).join('/')
+            };
+        } catch (err) {
+            this.debugLog(`Failed to parse playlist ${file.name}: ${err.message}`, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Parse playlist text in a given format
+     * @returns {Object|null} { name, entries }
+     */
+    parseText(text, format) {
+        const content = text.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+
+        switch (format) {
+            case 'm3u':
+            case 'm3u8':
+                return this.parseM3U(content);
+            case 'pls':
+                return this.parsePLS(content);
+            case 'xspf':
+                return this.parseXSPF(content);
+            default:
+                this.debugLog(`Unsupported playlist format: ${format}`, 'error');
+                return null;
+        }
+    }
+
+    parseM3U(content) {
+        const entries = [];
+        let name = null;
+        let pending = null;
+
+        for (const rawLine of content.split('\n')) {
+            const line = rawLine.trim();
+            if (!line) continue;
+
+            if (line.startsWith('#EXTINF:')) {
+                // #EXTINF:<seconds>[ attributes],<display title>
+                const info = line.slice(8);
+                const commaIndex = info.indexOf(',');
+                const duration = parseFloat(commaIndex === -1 ? info : info.slice(0, commaIndex));
+                pending = {
+                    duration: duration > 0 ? duration : null,
+                    title: commaIndex === -1 ? null : info.slice(commaIndex + 1).trim() || null
+                };
+            } else if (line.startsWith('#PLAYLIST:')) {
+                name = line.slice(10).trim() || null;
+            } else if (!line.startsWith('#')) {
+                entries.push({
+                    path: this.normalizePath(line),
+                    title: pending?.title || null,
+                    duration: pending?.duration || null
+                });
+                pending = null;
+            }
+        }
+
+        return { name, entries };
+    }
+
+    parsePLS(content) {
+        const files = new Map();
+
+        for (const rawLine of content.split('\n')) {
+            const match = rawLine.trim().match(/^(File|Title|Length)(\d+)=(.*)$/i);
+            if (!match) continue;
+
+            const [, field, number, value] = match;
+            const index = parseInt(number, 10);
+            if (!files.has(index)) files.set(index, {});
+
+            const entry = files.get(index);
+            const key = field.toLowerCase();
+            if (key === 'file') entry.path = this.normalizePath(value.trim());
+            if (key === 'title') entry.title = value.trim() || null;
+            if (key === 'length') {
+                const length = parseFloat(value);
+                entry.duration = length > 0 ? length : null;
+            }
+        }
+
+        const entries = Array.from(files.entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([, entry]) => entry)
+            .filter(entry => entry.path)
+            .map(entry => ({ path: entry.path, title: entry.title || null, duration: entry.duration || null }));
+
+        return { name: null, entries };
+    }
+
+    parseXSPF(content) {
+        const doc = new DOMParser().parseFromString(content, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Invalid XSPF (XML parse error)');
+        }
+
+        const childText = (parent, tag) => {
+            const child = Array.from(parent.children).find(el => el.localName === tag);
+            return child ? child.textContent.trim() : null;
+        };
+
+        const playlistElement = doc.documentElement;
+        const entries = Array.from(doc.getElementsByTagNameNS('*', 'track'))
+            .map(track => {
+                const location = childText(track, 'location');
+                const duration = parseFloat(childText(track, 'duration'));
+                const title = childText(track, 'title');
+                const creator = childText(track, 'creator');
+
+                return {
+                    path: location ? this.normalizePath(location) : null,
+                    title: title ? (creator ? `${creator} - ${title}` : title) : null,
+                    duration: duration > 0 ? duration / 1000 : null // XSPF uses milliseconds
+                };
+            })
+            .filter(entry => entry.path);
+
+        return { name: childText(playlistElement, 'title'), entries };
+    }
+
+    /**
+     * Turn an entry location into a forward-slash path (file:// URLs decoded)
+     */
+    normalizePath(location) {
+        let path = location.trim();
+
+        if (/^file:\/\//i.test(path)) {
+            path = path.replace(/^file:\/\/(localhost)?/i, '');
+            // file:///C:/... -> C:/...
+            path = path.replace(/^\/([a-zA-Z]:)/, '$1');
+        }
+
+        if (/%[0-9a-f]{2}/i.test(path)) {
+            try {
+                path = decodeURIComponent(path);
+            } catch (err) {
+                // Not actually URI-encoded - keep as is
+            }
+        }
+
+        return path.replace(/\\/g, '/').replace(/^\.\//, '');
+    }
+
+    // ========== EXPORT ==========
+
+    /**
+     * Serialize tracks as playlist text
+     * @param {Array} tracks - Track objects (in the order to write)
+     * @param {string} format - 'm3u' | 'm3u8' | 'pls' | 'xspf'
+     * @param {string} name - Playlist name
+     * @returns {string} File content
+     */
+    serialize(tracks, format, name = 'Playlist') {
+        switch (format) {
+            case 'm3u':
+            case 'm3u8':
+                return this.generateM3U(tracks, name);
+            case 'pls':
+                return this.generatePLS(tracks);
+            case 'xspf':
+                return this.generateXSPF(tracks, name);
+            default:
+                throw new Error(`Unsupported playlist format: ${format}`);
+        }
+    }
+
+    generateM3U(tracks, name) {
+        const lines = ['#EXTM3U', `#PLAYLIST:${name}`];
+
+        tracks.forEach(track => {
+            const duration = track.duration ? Math.round(track.duration) : -1;
+            lines.push(`#EXTINF:${duration},${this.getDisplayTitle(track)}`);
+            lines.push(this.getTrackPath(track));
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    generatePLS(tracks) {
+        const lines = ['[playlist]'];
+
+        tracks.forEach((track, index) => {
+            const number = index + 1;
+            lines.push(`File${number}=${this.getTrackPath(track)}`);
+            lines.push(`Title${number}=${this.getDisplayTitle(track)}`);
+            lines.push(`Length${number}=${track.duration ? Math.round(track.duration) : -1}`);
+        });
+
+        lines.push(`NumberOfEntries=${tracks.length}`);
+        lines.push('Version=2');
+
+        return lines.join('\n') + '\n';
+    }
+
+    generateXSPF(tracks, name) {
+        const trackElements = tracks.map(track => {
+            const parts = [
+                `      <location>${this.escapeXml(this.getTrackPath(track).split('/').map(encodeURIComponent).join('/'))}</location>`,
+                `      <title>${this.escapeXml(track.metadata?.title || track.fileName)}</title>`
+            ];
+            if (track.metadata?.artist) parts.push(`      <creator>${this.escapeXml(track.metadata.artist)}</creator>`);
+            if (track.metadata?.album) parts.push(`      <album>${this.escapeXml(track.metadata.album)}</album>`);
+            if (track.duration) parts.push(`      <duration>${Math.round(track.duration * 1000)}</duration>`);
+
+            return `    <track>\n${parts.join('\n')}\n    </track>`;
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+            `  <title>${this.escapeXml(name)}</title>`,
+            '  <trackList>',
+            ...trackElements,
+            '  </trackList>',
+            '</playlist>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Download tracks as a playlist file
+     */
+    exportPlaylist(tracks, format, name = 'Playlist') {
+        const content = this.serialize(tracks, format, name);
+        const mimeTypes = {
+            m3u: 'audio/x-mpegurl',
+            m3u8: 'application/vnd.apple.mpegurl',
+            pls: 'audio/x-scpls',
+            xspf: 'application/xspf+xml'
+        };
+
+        const blob = new Blob([content], { type: `${mimeTypes[format]};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${name.replace(/[\\/:*?"<>|]/g, '_')}.${format}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        this.debugLog(`💾 Exported ${tracks.length} tracks as ${format.toUpperCase()}`, 'success');
+    }
+
+    // ========== HELPERS ==========
+
+    /**
+     * Path written into exported playlists: relative to the loaded folder
+     * (a playlist saved next to the music resolves on re-import)
+     */
+    getTrackPath(track) {
+        const relativePath = track.file?.webkitRelativePath;
+        if (relativePath && relativePath.includes('/')) {
+            return relativePath.split('/').slice(1).join('/');
+        }
+        return track.fileName;
+    }
+
+    getDisplayTitle(track) {
+        const title = track.metadata?.title || track.fileName;
+        const artist = track.metadata?.artist;
+        return artist && artist !== 'Unknown Artist' && artist !== 'Loading...'
+            ? `${artist} - ${title}`
+            : title;
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlaylistFileParser;
+}
@@ -0,0 +1,427 @@
+/* ============================================
+   PLAYLIST LIBRARY MANAGER
+   Named playlists stored in IndexedDB, referencing tracks by
+   the same name+size key as CustomMetadataStore
+   ============================================ */
+
+class PlaylistLibraryManager {
+    constructor(debugLog = console.log) {
+        this.debugLog = debugLog;
+
+        // Database
+        this.dbName = 'PlaylistLibraryDB';
+        this.dbVersion = 1;
+        this.storeName = 'playlists';
+        this.db = null;
+
+        // In-memory copy of every saved playlist (id -> record)
+        this.playlists = new Map();
+
+        // Built-in listening history views - smart rules that are never stored or edited
+        this.views = [
+            {
+                id: 'view:recent', name: 'Recently Played', icon: '🕘', type: 'smart', builtIn: true, trackKeys: [],
+                rules: {
+                    match: 'all',
+                    groups: [{ match: 'all', conditions: [{ field: 'lastPlayed', operator: 'inLast', value: 30 }] }],
+                    sort: { field: 'lastPlayed', order: 'desc' },
+                    limit: 100,
+                    seed: 0
+                }
+            },
+            {
+                id: 'view:mostPlayed', name: 'Most Played', icon: '🏆', type: 'smart', builtIn: true, trackKeys: [],
+                rules: {
+                    match: 'all',
+                    groups: [{ match: 'all', conditions: [{ field: 'playCount', operator: 'gt', value: 0 }] }],
+                    sort: { field: 'playCount', order: 'desc' },
+                    limit: 100,
+                    seed: 0
+                }
+            }
+        ];
+
+        // Currently shown playlist (null = all loaded tracks)
+        this.activeId = localStorage.getItem('activeLibraryPlaylist') || null;
+
+        // Track key provider and smart playlist evaluator (set by init)
+        this.getTrackKey = (track) => `${track.fileName.toLowerCase().trim()}_${track.fileSize || 0}`;
+        this.ruleEngine = null;
+
+        // Callbacks
+        this.onLibraryChange = null;
+    }
+
+    // ========== DATABASE INITIALIZATION ==========
+
+    /**
+     * Open the database and load all playlists into memory
+     * @param {Object} config - { getTrackKey, ruleEngine }
+     */
+    async init(config = {}) {
+        if (config.getTrackKey) this.getTrackKey = config.getTrackKey;
+        if (config.ruleEngine) this.ruleEngine = config.ruleEngine;
+
+        try {
+            await this.initDatabase();
+            await this.loadAll();
+            this.debugLog(`✅ Playlist library ready (${this.playlists.size} playlists)`, 'success');
+        } catch (error) {
+            this.debugLog(`❌ Playlist library unavailable: ${error.message}`, 'error');
+        }
+
+        // Active playlist may have been deleted in another tab
+        if (this.activeId && !this.get(this.activeId)) {
+            this.setActive(null);
+        }
+    }
+
+    initDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onerror = () => reject(request.error);
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('name', 'name', { unique: false });
+                }
+            };
+        });
+    }
+
+    loadAll() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).getAll();
+
+            request.onsuccess = () => {
+                this.playlists.clear();
+                (request.result || []).forEach(record => this.playlists.set(record.id, record));
+                resolve();
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    persist(record) {
+        if (!this.db) return Promise.resolve();
+
+        return new Promise((resolve) => {
+            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const request = transaction.objectStore(this.storeName).put(record);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => {
+                this.debugLog(`Failed to save playlist "${record.name}"`, 'error');
+                resolve();
+            };
+        });
+    }
+
+    remove(id) {
+        if (!this.db) return Promise.resolve();
+
+        return new Promise((resolve) => {
+            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const request = transaction.objectStore(this.storeName).delete(id);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => resolve();
+        });
+    }
+
+    // ========== PLAYLIST OPERATIONS ==========
+
+    /**
+     * Built-in views, then all playlists sorted by name
+     */
+    getAll() {
+        return [
+            ...this.views,
+            ...Array.from(this.playlists.values()).sort((a, b) => a.name.localeCompare(b.name))
+        ];
+    }
+
+    get(id) {
+        return this.playlists.get(id) || this.views.find(view => view.id === id) || null;
+    }
+
+    /**
+     * Create a playlist
+     * @param {string} name - Display name
+     * @param {Array} trackKeys - Initial track keys
+     * @returns {Promise<Object>} New playlist record
+     */
+    async create(name, trackKeys = []) {
+        const record = {
+            id: this.generateId(),
+            name: this.uniqueName(name),
+            trackKeys: [...new Set(trackKeys)],
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+
+        this.playlists.set(record.id, record);
+        await this.persist(record);
+        this.debugLog(`📁 Created playlist "${record.name}" (${record.trackKeys.length} tracks)`, 'success');
+        this.changed();
+        return record;
+    }
+
+    /**
+     * Create a smart playlist (tracks come from rules, not a stored list)
+     * @param {string} name - Display name
+     * @param {Object} rules - Rule set understood by SmartPlaylistRuleEngine
+     * @returns {Promise<Object>} New playlist record
+     */
+    async createSmart(name, rules) {
+        const record = {
+            id: this.generateId(),
+            name: this.uniqueName(name),
+            type: 'smart',
+            rules,
+            trackKeys: [],
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+
+        this.playlists.set(record.id, record);
+        await this.persist(record);
+        this.debugLog(`🧠 Created smart playlist "${record.name}"`, 'success');
+        this.changed();
+        return record;
+    }
+
+    async updateSmart(id, name, rules) {
+        const record = this.playlists.get(id);
+        if (!record || record.type !== 'smart') return null;
+
+        record.name = this.uniqueName(name, id);
+        record.rules = rules;
+        record.updatedAt = Date.now();
+        await this.persist(record);
+        this.changed();
+        return record;
+    }
+
+    isSmart(id) {
+        return this.get(id)?.type === 'smart';
+    }
+
+    /**
+     * Create or refresh a playlist imported from a playlist file (or generated).
+     * Re-importing the same file (or regenerating) updates the existing playlist instead of
+     * adding a copy - unless it was edited since (tracks or name), then it gets a new playlist.
+     * @param {string} name - Name from the file (or its file name)
+     * @param {Array} tracks - Resolved tracks, in file order
+     * @param {string} source - 'file' | 'generator'
+     * @returns {Object} Playlist record (available immediately, saved in the background)
+     */
+    importPlaylist(name, tracks, source = 'file') {
+        const trackKeys = [...new Set(tracks.map(track => this.getTrackKey(track)))];
+        let record = Array.from(this.playlists.values())
+            .find(p => p.source === source && p.importedName === name && !this.isEditedSinceImport(p));
+
+        if (record) {
+            record.trackKeys = trackKeys;
+            record.updatedAt = Date.now();
+        } else {
+            record = {
+                id: this.generateId(),
+                name: this.uniqueName(name),
+                importedName: name,
+                source,
+                trackKeys,
+                createdAt: Date.now(),
+                updatedAt: Date.now()
+            };
+            this.playlists.set(record.id, record);
+        }
+
+        record.imported = { name: record.name, trackKeys: [...trackKeys] };
+        this.persist(record);
+        this.changed();
+        return record;
+    }
+
+    /**
+     * Changed by the user since its last import. Records saved before import snapshots
+     * existed count as unedited - the import that refreshes them takes the first snapshot.
+     */
+    isEditedSinceImport(record) {
+        const imported = record.imported;
+        if (!imported) return false;
+
+        return record.name !== imported.name
+            || record.trackKeys.length !== imported.trackKeys.length
+            || record.trackKeys.some((key, index) => key !== imported.trackKeys[index]);
+    }
+
+    async rename(id, name) {
+        const record = this.playlists.get(id);
+        if (!record || !name.trim()) return null;
+
+        record.name = this.uniqueName(name, id);
+        record.updatedAt = Date.now();
+        await this.persist(record);
+        this.changed();
+        return record;
+    }
+
+    async duplicate(id) {
+        const record = this.get(id);
+        if (!record) return null;
+
+        if (record.type === 'smart') {
+            return this.createSmart(`${record.name} (copy)`, JSON.parse(JSON.stringify(record.rules)));
+        }
+        return this.create(`${record.name} (copy)`, record.trackKeys);
+    }
+
+    async delete(id) {
+        const record = this.playlists.get(id);
+        if (!record) return false;
+
+        this.playlists.delete(id);
+        await this.remove(id);
+
+        if (this.activeId === id) {
+            this.setActive(null);
+        }
+
+        this.debugLog(`🗑️ Deleted playlist "${record.name}"`, 'info');
+        this.changed();
+        return true;
+    }
+
+    /**
+     * Append tracks (duplicates are skipped)
+     * @returns {Promise<number>} Number of tracks actually added
+     */
+    async addTracks(id, tracks) {
+        const record = this.playlists.get(id);
+        if (!record || record.type === 'smart') return 0;
+
+        const existing = new Set(record.trackKeys);
+        const keys = tracks.map(track => this.getTrackKey(track)).filter(key => !existing.has(key));
+        if (keys.length === 0) return 0;
+
+        record.trackKeys.push(...new Set(keys));
+        record.updatedAt = Date.now();
+        await this.persist(record);
+        this.changed();
+        return keys.length;
+    }
+
+    async removeTracks(id, tracks) {
+        const record = this.playlists.get(id);
+        if (!record || record.type === 'smart') return;
+
+        const removed = new Set(tracks.map(track => this.getTrackKey(track)));
+        record.trackKeys = record.trackKeys.filter(key => !removed.has(key));
+        record.updatedAt = Date.now();
+        await this.persist(record);
+        this.changed();
+    }
+
+    /**
+     * Store a new track order (e.g. after drag-and-drop).
+     * Keys of tracks that aren't loaded right now keep their place at the end.
+     */
+    async setOrder(id, tracks) {
+        const record = this.playlists.get(id);
+        if (!record || record.type === 'smart') return;
+
+        const ordered = tracks.map(track => this.getTrackKey(track));
+        const present = new Set(ordered);
+        record.trackKeys = [...ordered, ...record.trackKeys.filter(key => !present.has(key))];
+        record.updatedAt = Date.now();
+        await this.persist(record);
+    }
+
+    /**
+     * Resolve a playlist's keys against the loaded tracks
+     * @param {string} id - Playlist id
+     * @param {Array} library - All loaded tracks
+     * @returns {Array} Tracks in playlist order (missing files are skipped)
+     */
+    resolveTracks(id, library) {
+        const record = this.get(id);
+        if (!record) return library;
+
+        if (record.type === 'smart') {
+            return this.ruleEngine ? this.ruleEngine.evaluate(record.rules, library) : [];
+        }
+
+        const byKey = new Map(library.map(track => [this.getTrackKey(track), track]));
+        return record.trackKeys.map(key => byKey.get(key)).filter(Boolean);
+    }
+
+    /**
+     * Number of tracks a playlist shows (smart playlists are evaluated)
+     */
+    countTracks(record, library) {
+        return record.type === 'smart'
+            ? this.resolveTracks(record.id, library).length
+            : record.trackKeys.length;
+    }
+
+    // ========== ACTIVE PLAYLIST ==========
+
+    setActive(id) {
+        this.activeId = id && this.get(id) ? id : null;
+
+        if (this.activeId) {
+            localStorage.setItem('activeLibraryPlaylist', this.activeId);
+        } else {
+            localStorage.removeItem('activeLibraryPlaylist');
+        }
+    }
+
+    getActive() {
+        return this.activeId ? this.get(this.activeId) : null;
+    }
+
+    // ========== HELPERS ==========
+
+    generateId() {
+        return `pl_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    uniqueName(name, ignoreId = null) {
+        const base = name.trim() || 'Untitled Playlist';
+        const taken = new Set(
+            Array.from(this.playlists.values())
+                .filter(record => record.id !== ignoreId)
+                .map(record => record.name.toLowerCase())
+        );
+
+        let candidate = base;
+        let counter = 2;
+        while (taken.has(candidate.toLowerCase())) {
+            candidate = `${base} ${counter++}`;
+        }
+        return candidate;
+    }
+
+    changed() {
+        if (this.onLibraryChange) {
+            this.onLibraryChange(this.getAll(), this.activeId);
+        }
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlaylistLibraryManager;
+}
@@ -19,6 +19,43 @@ class EnhancedPlaylistRenderer {
         this.onEditClick = null;
         this.onReorder = null;
         this.onBatchDelete = null;
+        this.onPlayNext = null;
+        this.onAddToQueue = null;
+        this.onFindSimilar = null;
+        this.onPlaylistSelect = null;
+        this.onPlaylistCreate = null;
+        this.onSmartPlaylistCreate = null;
+        this.onPlaylistRename = null;
+        this.onPlaylistDuplicate = null;
+        this.onPlaylistDelete = null;
+        this.onAddToPlaylist = null;
+        this.onExportPlaylist = null;
+        this.onRateTrack = null;
+        this.onWriteRatingTag = null;
+        this.canWriteRatingTag = null;
+        this.onMarkFinished = null;
+        this.onResetPosition = null;
+        this.onEditEqOverride = null;
+        this.onClearEqOverride = null;
+        
+        // Named playlists (library sidebar)
+        this.libraryPlaylists = [];
+        this.activePlaylistId = null;
+        this.libraryTrackCount = 0;
+        this.libraryCollapsed = localStorage.getItem('playlistLibraryCollapsed') === 'true';
+        
+        // Up Next queue (track references, for position badges)
+        this.queuedTracks = [];
+        
+        // Listening history (set by setHistoryProvider)
+        this.getTrackStats = null;
+        this.getListeningSummary = null;
+        
+        // Resume positions (set by setResumeProvider)
+        this.getResumeProgress = null;
+        
+        // Pinned EQ (set by setEqOverrideProvider)
+        this.getEqOverride = null;
         
         // DOM elements
         this.container = null;
@@ -29,6 +66,7 @@ class EnhancedPlaylistRenderer {
         this.sortDropdown = null;
         this.filterDropdown = null;
         this.statsContainer = null;
+        this.librarySidebar = null;
         
         // Virtual scrolling
         this.itemHeight = 80;
@@ -85,7 +123,8 @@ class EnhancedPlaylistRenderer {
             return;
         }
         
-        // Create toolbar
+        // Create library sidebar and toolbar
+        this.createLibrarySidebar();
         this.createToolbar();
         
         // Setup event listeners
@@ -114,6 +153,9 @@ class EnhancedPlaylistRenderer {
                 <button id="playlist-stats-btn" class="toolbar-btn" title="Statistics">
                     <span>📊</span>
                 </button>
+                <button id="playlist-export-btn" class="toolbar-btn" title="Export shown tracks as playlist file">
+                    <span>💾</span>
+                </button>
                 <select id="playlist-sort" class="toolbar-select">
                     <option value="default">Default Order</option>
                     <option value="title">Title (A-Z)</option>
@@ -124,12 +166,20 @@ class EnhancedPlaylistRenderer {
                     <option value="mood">Mood</option>
                     <option value="vintage">Vintage First</option>
                     <option value="dance">Danceability</option>
+                    <option value="plays">Most Played</option>
+                    <option value="lastPlayed">Recently Played</option>
+                    <option value="skipRate">Most Skipped</option>
+                    <option value="rating">Highest Rated</option>
+                    <option value="favorite">Favorites First</option>
                 </select>
                 <select id="playlist-filter" class="toolbar-select">
                     <option value="all">All Tracks</option>
                     <option value="lyrics">Has Lyrics</option>
                     <option value="metadata">Has Metadata</option>
                     <option value="analysis">Has Analysis</option>
+                    <option value="favorites">❤️ Favorites</option>
+                    <option value="rated">⭐ Rated</option>
+                    <option value="unrated">☆ Unrated</option>
                     <option value="energetic">Energetic</option>
                     <option value="calm">Calm</option>
                     <option value="bright">Bright</option>
@@ -149,6 +199,7 @@ class EnhancedPlaylistRenderer {
         this.filterDropdown = document.getElementById('playlist-filter');
         this.selectModeBtn = document.getElementById('playlist-select-mode');
         this.statsBtn = document.getElementById('playlist-stats-btn');
+        this.exportBtn = document.getElementById('playlist-export-btn');
         this.countDisplay = document.getElementById('playlist-count');
         
         // Restore saved preferences
@@ -157,6 +208,134 @@ class EnhancedPlaylistRenderer {
         }
     }
     
+    /**
+     * Create named playlist sidebar
+     */
+    createLibrarySidebar() {
+        const sidebar = document.createElement('div');
+        sidebar.className = 'playlist-library';
+        sidebar.innerHTML = `
+            <div class="playlist-library-header">
+                <button class="playlist-library-toggle" title="Show/Hide Playlists">📚 Playlists</button>
+                <span class="playlist-library-actions">
+                    <button class="playlist-library-new" title="New Playlist">➕ New</button>
+                    <button class="playlist-library-smart" title="New Smart Playlist (rule-based)">🧠 Smart</button>
+                </span>
+            </div>
+            <div class="playlist-library-list"></div>
+        `;
+        
+        // Above search (the Up Next panel slots in after it)
+        const anchor = this.searchInput && this.searchInput.parentNode === this.container
+            ? this.searchInput
+            : this.playlistItems;
+        anchor.parentNode.insertBefore(sidebar, anchor);
+        
+        this.librarySidebar = sidebar;
+        
+        sidebar.querySelector('.playlist-library-toggle').onclick = () => {
+            this.libraryCollapsed = !this.libraryCollapsed;
+            localStorage.setItem('playlistLibraryCollapsed', this.libraryCollapsed);
+            this.renderLibrary();
+        };
+        
+        sidebar.querySelector('.playlist-library-new').onclick = () => {
+            if (this.onPlaylistCreate) this.onPlaylistCreate();
+        };
+        
+        sidebar.querySelector('.playlist-library-smart').onclick = () => {
+            if (this.onSmartPlaylistCreate) this.onSmartPlaylistCreate();
+        };
+        
+        // Event delegation for entries and their actions
+        sidebar.querySelector('.playlist-library-list').addEventListener('click', (e) => {
+            const entry = e.target.closest('.library-entry');
+            if (!entry) return;
+            
+            const id = entry.dataset.playlistId || null;
+            const action = e.target.dataset.action;
+            
+            if (action === 'rename') {
+                if (this.onPlaylistRename) this.onPlaylistRename(id);
+            } else if (action === 'duplicate') {
+                if (this.onPlaylistDuplicate) this.onPlaylistDuplicate(id);
+            } else if (action === 'delete') {
+                if (this.onPlaylistDelete) this.onPlaylistDelete(id);
+            } else if (id !== this.activePlaylistId && this.onPlaylistSelect) {
+                this.onPlaylistSelect(id);
+            }
+        });
+        
+        this.renderLibrary();
+    }
+    
+    /**
+     * Update named playlists shown in the sidebar
+     * @param {Array} playlists - Playlist records ({ id, name, type, trackCount, description })
+     * @param {string|null} activeId - Active playlist (null = all tracks)
+     * @param {number} libraryTrackCount - Number of loaded tracks
+     */
+    setLibrary(playlists, activeId, libraryTrackCount) {
+        this.libraryPlaylists = playlists;
+        this.activePlaylistId = activeId;
+        this.libraryTrackCount = libraryTrackCount;
+        this.renderLibrary();
+        this.updateAddToPlaylistOptions();
+    }
+    
+    /**
+     * Render the library sidebar
+     */
+    renderLibrary() {
+        if (!this.librarySidebar) return;
+        
+        this.librarySidebar.classList.toggle('collapsed', this.libraryCollapsed);
+        
+        const active = this.libraryPlaylists.find(p => p.id === this.activePlaylistId);
+        const heading = this.container?.querySelector('#playlist-header h2');
+        if (heading) {
+            heading.textContent = active ? `📋 ${active.name}` : '📋 Playlist';
+        }
+        
+        const list = this.librarySidebar.querySelector('.playlist-library-list');
+        if (this.libraryCollapsed) {
+            list.innerHTML = '';
+            return;
+        }
+        
+        const entries = [`
+            <div class="library-entry ${this.activePlaylistId ? '' : 'active'}" data-playlist-id="">
+                <span class="library-entry-name">🎵 All Tracks</span>
+                <span class="library-entry-count">${this.libraryTrackCount}</span>
+            </div>
+        `];
+        
+        this.libraryPlaylists.forEach(p => {
+            const isSmart = p.type === 'smart';
+            const icon = p.icon || (isSmart ? '🧠' : '📁');
+            
+            // Built-in views (Recently/Most Played) can only be copied
+            const actions = p.builtIn
+                ? '<button data-action="duplicate" title="Copy as editable smart playlist">📄</button>'
+                : `
+                    <button data-action="rename" title="${isSmart ? 'Edit rules' : 'Rename'}">✏️</button>
+                    <button data-action="duplicate" title="Duplicate">📄</button>
+                    <button data-action="delete" title="Delete">🗑️</button>
+                `;
+            
+            entries.push(`
+                <div class="library-entry ${p.id === this.activePlaylistId ? 'active' : ''} ${isSmart ? 'smart' : ''} ${p.builtIn ? 'built-in' : ''}" data-playlist-id="${p.id}"
+                     ${p.description ? `title="${this.escapeHtml(p.description)}"` : ''}>
+                    <span class="library-entry-name">${icon} ${this.escapeHtml(p.name)}</span>
+                    <span class="library-entry-count">${p.trackCount ?? p.trackKeys.length}</span>
+                    ${actions}
+                </div>
+            `);
+        });
+        
+        list.innerHTML = entries.join('');
+    }
+    
     /**
      * Setup event listeners
      */
@@ -200,6 +379,14 @@ class EnhancedPlaylistRenderer {
             });
         }
         
+        // Export
+        if (this.exportBtn) {
+            this.exportBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showExportMenu(e);
+            });
+        }
+        
         // Jump to current
         if (this.jumpToCurrentBtn) {
             this.jumpToCurrentBtn.addEventListener('click', () => {
@@ -225,6 +412,23 @@ class EnhancedPlaylistRenderer {
                     return;
                 }
                 
+                // Rating stars / favorite heart
+                const star = e.target.closest('.playlist-item-star');
+                if (star) {
+                    e.stopPropagation();
+                    const rating = parseInt(star.dataset.rating);
+                    const current = this.playlist[actualIndex]?.metadata?.rating || 0;
+                    if (this.onRateTrack) this.onRateTrack(actualIndex, { rating: rating === current ? 0 : rating });
+                    return;
+                }
+                
+                if (e.target.closest('.playlist-item-favorite-btn')) {
+                    e.stopPropagation();
+                    const favorite = !this.playlist[actualIndex]?.metadata?.favorite;
+                    if (this.onRateTrack) this.onRateTrack(actualIndex, { favorite });
+                    return;
+                }
+                
                 // Menu button (3 dots)
                 if (e.target.classList.contains('playlist-item-menu-btn') || 
                     e.target.closest('.playlist-item-menu-btn')) {
@@ -301,6 +505,94 @@ class EnhancedPlaylistRenderer {
         this.onEditClick = callbacks.onEditClick;
         this.onReorder = callbacks.onReorder;
         this.onBatchDelete = callbacks.onBatchDelete;
+        this.onPlayNext = callbacks.onPlayNext;
+        this.onAddToQueue = callbacks.onAddToQueue;
+        this.onFindSimilar = callbacks.onFindSimilar;
+        this.onPlaylistSelect = callbacks.onPlaylistSelect;
+        this.onPlaylistCreate = callbacks.onPlaylistCreate;
+        this.onSmartPlaylistCreate = callbacks.onSmartPlaylistCreate;
+        this.onPlaylistRename = callbacks.onPlaylistRename;
+        this.onPlaylistDuplicate = callbacks.onPlaylistDuplicate;
+        this.onPlaylistDelete = callbacks.onPlaylistDelete;
+        this.onAddToPlaylist = callbacks.onAddToPlaylist;
+        this.onExportPlaylist = callbacks.onExportPlaylist;
+        this.onRateTrack = callbacks.onRateTrack;
+        this.onWriteRatingTag = callbacks.onWriteRatingTag;
+        this.canWriteRatingTag = callbacks.canWriteRatingTag;
+        this.onMarkFinished = callbacks.onMarkFinished;
+        this.onResetPosition = callbacks.onResetPosition;
+        this.onEditEqOverride = callbacks.onEditEqOverride;
+        this.onClearEqOverride = callbacks.onClearEqOverride;
+    }
+    
+    /**
+     * Listening history lookups
+     * @param {Object} provider - { getStats(track), getSummary(days) }
+     */
+    setHistoryProvider(provider) {
+        this.getTrackStats = provider.getStats || null;
+        this.getListeningSummary = provider.getSummary || null;
+    }
+    
+    /**
+     * Resume position lookups for long tracks
+     * @param {Object} provider - { getProgress(track) }
+     */
+    setResumeProvider(provider) {
+        this.getResumeProgress = provider.getProgress || null;
+    }
+    
+    /**
+     * EQ pins (track / album / artist) for the badge and context menu
+     * @param {Object} provider - { getOverride(track) } returning { scope, override } or null
+     */
+    setEqOverrideProvider(provider) {
+        this.getEqOverride = provider.getOverride || null;
+    }
+    
+    /**
+     * An EQ pin changed - redraw items
+     */
+    refreshEqOverrides() {
+        this.itemCache.clear();
+        if (this.playlistItems && this.filteredPlaylist.length > 0) {
+            this.render();
+        }
+    }
+    
+    /**
+     * Play counts changed - redraw items (and re-sort when sorting by them)
+     */
+    refreshTrackStats() {
+        this.itemCache.clear();
+        if (['plays', 'lastPlayed', 'skipRate'].includes(this.sortBy)) {
+            this.applyFiltersAndSort();
+        } else if (this.playlistItems && this.filteredPlaylist.length > 0) {
+            this.render();
+        }
+    }
+    
+    /**
+     * A rating or favorite changed - redraw items (and re-filter/re-sort when they depend on it)
+     */
+    refreshRatings() {
+        this.itemCache.clear();
+        if (['rating', 'favorite'].includes(this.sortBy) || ['favorites', 'rated', 'unrated'].includes(this.filterMood)) {
+            this.applyFiltersAndSort();
+        } else if (this.playlistItems && this.filteredPlaylist.length > 0) {
+            this.render();
+        }
+    }
+    
+    /**
+     * Update Up Next queue (shown as position badges)
+     */
+    setQueue(queuedTracks) {
+        this.queuedTracks = queuedTracks;
+        this.itemCache.clear();
+        if (this.playlistItems && this.filteredPlaylist.length > 0) {
+            this.render();
+        }
     }
     
     /**
@@ -337,6 +629,9 @@ class EnhancedPlaylistRenderer {
                     case 'lyrics': return !!track.vtt;
                     case 'metadata': return track.metadata?.hasMetadata;
                     case 'analysis': return !!track.analysis || track.hasDeepAnalysis;
+                    case 'favorites': return !!track.metadata?.favorite;
+                    case 'rated': return track.metadata?.rating > 0;
+                    case 'unrated': return !(track.metadata?.rating > 0);
                     case 'energetic':
                     case 'calm':
                     case 'bright':
@@ -385,6 +680,28 @@ class EnhancedPlaylistRenderer {
                         aVal = a.analysis?.danceability || 0;
                         bVal = b.analysis?.danceability || 0;
                         break;
+                    // History sorts: highest first
+                    case 'plays':
+                        aVal = -(this.getStats(a)?.playCount || 0);
+                        bVal = -(this.getStats(b)?.playCount || 0);
+                        break;
+                    case 'lastPlayed':
+                        aVal = -(this.getStats(a)?.lastPlayed || 0);
+                        bVal = -(this.getStats(b)?.lastPlayed || 0);
+                        break;
+                    case 'skipRate':
+                        aVal = -(this.getStats(a)?.skipRate ?? -1);
+                        bVal = -(this.getStats(b)?.skipRate ?? -1);
+                        break;
+                    // Ratings: highest first, favorites break ties
+                    case 'rating':
+                        aVal = -((a.metadata?.rating || 0) * 2 + (a.metadata?.favorite ? 1 : 0));
+                        bVal = -((b.metadata?.rating || 0) * 2 + (b.metadata?.favorite ? 1 : 0));
+                        break;
+                    case 'favorite':
+                        aVal = -((a.metadata?.favorite ? 10 : 0) + (a.metadata?.rating || 0));
+                        bVal = -((b.metadata?.favorite ? 10 : 0) + (b.metadata?.rating || 0));
+                        break;
                     default:
                         return 0;
                 }
@@ -560,6 +877,10 @@ if (imageSrc) {
         if (track.vtt) badges.push('<span class="badge badge-lyrics">🎤 Lyrics</span>');
         if (track.metadata?.hasMetadata) badges.push('<span class="badge badge-metadata">🏷️ ID3</span>');
         if (track.hasDeepAnalysis) badges.push('<span class="badge badge-analysis">🔬 Deep</span>');
+        const queuePosition = this.queuedTracks.indexOf(track);
+        if (queuePosition !== -1) badges.push(`<span class="badge badge-queued">⏭️ Up Next #${queuePosition + 1}</span>`);
+        const eqPin = this.getEqOverride ? this.getEqOverride(track) : null;
+        if (eqPin) badges.push(`<span class="badge badge-eq" title="EQ pinned to this ${eqPin.scope}">🎛️ ${this.escapeHtml(eqPin.override.name)}</span>`);
         if (track.analysis?.mood) {
             badges.push(this.createMoodBadgeHTML(track.analysis.mood));
         }
@@ -578,6 +899,41 @@ if (imageSrc) {
             `;
         }
         
+        // Listening history
+        let historyHTML = '';
+        const stats = this.getStats(track);
+        if (stats && stats.lastPlayed) {
+            historyHTML = `
+                <div class="playlist-item-history">
+                    <span title="Plays">▶ ${stats.playCount}</span>
+                    ${stats.skipRate !== null ? `<span title="Skip rate">⏭ ${Math.round(stats.skipRate * 100)}%</span>` : ''}
+                    <span title="Last played ${new Date(stats.lastPlayed).toLocaleString()}">🕘 ${this.formatAgo(stats.lastPlayed)}</span>
+                </div>
+            `;
+        }
+        
+        // Resume position (long tracks)
+        let resumeHTML = '';
+        const progress = this.getResumeProgress ? this.getResumeProgress(track) : null;
+        if (progress) {
+            const remaining = Math.max(0, (progress.duration || 0) - progress.position);
+            resumeHTML = `
+                <div class="playlist-item-resume ${progress.finished ? 'finished' : ''}" title="${progress.finished ? 'Finished' : `Resumes at ${this.formatTime(progress.position)}`}">
+                    <div class="playlist-item-resume-bar"><div style="width: ${Math.round(progress.fraction * 100)}%"></div></div>
+                    <span>${progress.finished ? '✔️ Finished' : `⏯ ${this.formatDuration(remaining)} left`}</span>
+                </div>
+            `;
+        }
+        
+        // Rating
+        const rating = track.metadata?.rating || 0;
+        const favorite = !!track.metadata?.favorite;
+        const ratingHTML = `
+            <div class="playlist-item-rating ${rating > 0 ? 'rated' : ''}" title="${rating > 0 ? `${rating} of 5 stars` : 'Not rated'}">
+                ${[1, 2, 3, 4, 5].map(star => `<span class="playlist-item-star ${star <= rating ? 'filled' : ''}" data-rating="${star}">${star <= rating ? '★' : '☆'}</span>`).join('')}
+            </div>
+        `;
+        
         return `
             ${this.selectionMode ? '<div class="playlist-item-checkbox">☐</div>' : ''}
             <div class="playlist-item-number">${displayIndex + 1}</div>
@@ -588,8 +944,12 @@ if (imageSrc) {
                 ${album ? `<div class="playlist-item-album">${this.escapeHtml(album)}</div>` : ''}
                 ${badges.length > 0 ? `<div class="playlist-item-badges">${badges.join('')}</div>` : ''}
                 ${analysisHTML}
+                ${historyHTML}
+                ${resumeHTML}
+                ${ratingHTML}
             </div>
             ${durationText ? `<div class="playlist-item-duration">${durationText}</div>` : ''}
+            <button class="playlist-item-favorite-btn ${favorite ? 'active' : ''}" title="${favorite ? 'Remove from Favorites' : 'Add to Favorites'}">${favorite ? '❤️' : '🤍'}</button>
             <button class="playlist-item-edit-btn" title="Edit Metadata">✏️</button>
             <button class="playlist-item-menu-btn" title="More Options">⋮</button>
         `;
@@ -650,6 +1010,9 @@ if (imageSrc) {
                 return;
             }
             
+            // Left to the delegated handler on the list
+            if (e.target.closest('.playlist-item-star, .playlist-item-favorite-btn')) return;
+            
             if (this.selectionMode) {
                 this.toggleSelection(actualIndex);
                 item.classList.toggle('selected');
@@ -728,10 +1091,25 @@ if (imageSrc) {
         menu.style.top = `${event.clientY}px`;
         
         const track = this.playlist[index];
+        const rating = track.metadata?.rating || 0;
+        const canWriteTag = this.onWriteRatingTag && this.canWriteRatingTag && this.canWriteRatingTag(track);
+        const progress = this.getResumeProgress ? this.getResumeProgress(track) : null;
+        const eqPin = this.getEqOverride ? this.getEqOverride(track) : null;
         
         menu.innerHTML = `
             <button data-action="play">▶️ Play Now</button>
             <button data-action="playNext">⏭️ Play Next</button>
+            <button data-action="addToQueue">➕ Add to Queue</button>
+            <div class="context-menu-rating">
+                ${[1, 2, 3, 4, 5].map(star => `<button data-action="rate" data-rating="${star}" class="${star <= rating ? 'filled' : ''}" title="${star} star${star > 1 ? 's' : ''}">${star <= rating ? '★' : '☆'}</button>`).join('')}
+                ${rating > 0 ? '<button data-action="rate" data-rating="0" title="Clear rating">✕</button>' : ''}
+            </div>
+            <button data-action="favorite">${track.metadata?.favorite ? '💔 Remove from Favorites' : '❤️ Add to Favorites'}</button>
+            ${canWriteTag ? '<button data-action="writeRatingTag">🏷️ Save Rating to File Copy</button>' : ''}
+            ${progress && !progress.finished ? '<button data-action="markFinished">✔️ Mark as Finished</button>' : ''}
+            ${progress ? '<button data-action="resetPosition">↺ Start from Beginning</button>' : ''}
+            ${this.onEditEqOverride ? `<button data-action="eqPin">📌 ${eqPin ? 'Edit EQ Pin' : 'Pin EQ...'}</button>` : ''}
+            ${eqPin && this.onClearEqOverride ? `<button data-action="clearEqPin">📌 Unpin EQ (${eqPin.scope})</button>` : ''}
             <button data-action="edit">✏️ Edit Metadata</button>
             <button data-action="info">ℹ️ Track Info</button>
             ${track.analysis ? '<button data-action="analysis">📊 View Analysis</button>' : ''}
@@ -759,9 +1137,33 @@ if (imageSrc) {
                 case 'play':
                     if (this.onTrackClick) this.onTrackClick(index);
                     break;
+                case 'rate':
+                    if (this.onRateTrack) this.onRateTrack(index, { rating: parseInt(e.target.dataset.rating) });
+                    break;
+                case 'favorite':
+                    if (this.onRateTrack) this.onRateTrack(index, { favorite: !track.metadata?.favorite });
+                    break;
+                case 'writeRatingTag':
+                    this.onWriteRatingTag(index);
+                    break;
+                case 'markFinished':
+                    if (this.onMarkFinished) this.onMarkFinished(index);
+                    break;
+                case 'resetPosition':
+                    if (this.onResetPosition) this.onResetPosition(index);
+                    break;
+                case 'eqPin':
+                    this.onEditEqOverride(index);
+                    break;
+                case 'clearEqPin':
+                    this.onClearEqOverride(index);
+                    break;
                 case 'playNext':
                     if (this.onPlayNext) this.onPlayNext(index);
                     break;
+                case 'addToQueue':
+                    if (this.onAddToQueue) this.onAddToQueue([index]);
+                    break;
                 case 'similar':
                     if (this.onFindSimilar) this.onFindSimilar(index);
                     break;
@@ -788,6 +1190,50 @@ if (imageSrc) {
         }, 0);
     }
     
+    /**
+     * Show export format menu (exports the list as currently filtered and sorted)
+     */
+    showExportMenu(event) {
+        const existing = document.querySelector('.playlist-context-menu');
+        if (existing) existing.remove();
+        
+        if (this.filteredPlaylist.length === 0) return;
+        
+        const menu = document.createElement('div');
+        menu.className = 'playlist-context-menu';
+        menu.style.position = 'fixed';
+        menu.style.left = `${event.clientX}px`;
+        menu.style.top = `${event.clientY}px`;
+        menu.innerHTML = `
+            <button data-format="m3u8">📃 M3U8 (UTF-8)</button>
+            <button data-format="m3u">📃 M3U</button>
+            <button data-format="pls">📃 PLS</button>
+            <button data-format="xspf">📃 XSPF</button>
+        `;
+        
+        document.body.appendChild(menu);
+        
+        const rect = menu.getBoundingClientRect();
+        if (rect.right > window.innerWidth) {
+            menu.style.left = `${event.clientX - rect.width}px`;
+        }
+        if (rect.bottom > window.innerHeight) {
+            menu.style.top = `${event.clientY - rect.height}px`;
+        }
+        
+        menu.addEventListener('click', (e) => {
+            const format = e.target.dataset.format;
+            menu.remove();
+            if (format && this.onExportPlaylist) {
+                this.onExportPlaylist([...this.filteredPlaylist], format);
+            }
+        });
+        
+        setTimeout(() => {
+            document.addEventListener('click', () => menu.remove(), { once: true });
+        }, 0);
+    }
+    
     /**
      * Toggle selection mode
      */
@@ -830,6 +1276,8 @@ if (imageSrc) {
                 <span class="selection-count">0 selected</span>
                 <button id="select-all-btn">Select All</button>
                 <button id="deselect-all-btn">Deselect All</button>
+                <button id="queue-selected-btn">➕ Queue Selected</button>
+                <select id="add-to-playlist-select" class="toolbar-select"></select>
                 <button id="delete-selected-btn">🗑️ Delete Selected</button>
             `;
             this.container.insertBefore(toolbar, this.playlistItems.parentNode);
@@ -837,6 +1285,13 @@ if (imageSrc) {
             // Event listeners
             document.getElementById('select-all-btn').onclick = () => this.selectAll();
             document.getElementById('deselect-all-btn').onclick = () => this.deselectAll();
+            document.getElementById('queue-selected-btn').onclick = () => this.queueSelected();
+            document.getElementById('add-to-playlist-select').onchange = (e) => {
+                const target = e.target.value;
+                e.target.value = '';
+                if (target) this.addSelectedToPlaylist(target === '__new__' ? null : target);
+            };
+            this.updateAddToPlaylistOptions();
             document.getElementById('delete-selected-btn').onclick = () => this.deleteSelected();
         }
     }
@@ -879,6 +1334,48 @@ if (imageSrc) {
         this.render();
     }
     
+    /**
+     * Add selected tracks to the end of Up Next (in playlist order)
+     */
+    queueSelected() {
+        if (this.selectedTracks.size === 0) return;
+        
+        if (this.onAddToQueue) {
+            this.onAddToQueue(Array.from(this.selectedTracks).sort((a, b) => a - b));
+        }
+        this.toggleSelectionMode();
+    }
+    
+    /**
+     * Fill the "add to playlist" picker in the selection toolbar
+     */
+    updateAddToPlaylistOptions() {
+        const select = document.getElementById('add-to-playlist-select');
+        if (!select) return;
+        
+        const options = this.libraryPlaylists
+            .filter(p => p.id !== this.activePlaylistId && p.type !== 'smart')
+            .map(p => `<option value="${p.id}">${this.escapeHtml(p.name)}</option>`);
+        
+        select.innerHTML = `
+            <option value="">📁 Add to Playlist...</option>
+            ${options.join('')}
+            <option value="__new__">➕ New Playlist...</option>
+        `;
+    }
+    
+    /**
+     * Add selected tracks to a named playlist (null = create a new one)
+     */
+    addSelectedToPlaylist(playlistId) {
+        if (this.selectedTracks.size === 0) return;
+        
+        if (this.onAddToPlaylist) {
+            this.onAddToPlaylist(Array.from(this.selectedTracks).sort((a, b) => a - b), playlistId);
+        }
+        this.toggleSelectionMode();
+    }
+    
     /**
      * Delete selected tracks
      */
@@ -936,30 +1433,129 @@ Danceability: ${a.danceability ? (a.danceability * 100).toFixed(0) + '%' : 'N/A'
     }
     
     /**
-     * Show statistics modal
+     * Show statistics modal (playlist contents + listening history charts)
      */
-    showStatistics() {
+    async showStatistics() {
         const stats = this.calculateStatistics();
+        const summary = this.getListeningSummary ? await this.getListeningSummary(14) : null;
+        
+        document.getElementById('playlist-stats-modal')?.remove();
+        
+        const modal = document.createElement('div');
+        modal.id = 'playlist-stats-modal';
+        modal.innerHTML = `
+            <div class="metadata-editor-overlay"></div>
+            <div class="metadata-editor-content">
+                <div class="metadata-editor-header">
+                    <h2>📊 Statistics</h2>
+                    <button class="metadata-editor-close">✕</button>
+                </div>
+                <div class="metadata-editor-body">
+                    <h3>Playlist</h3>
+                    <div class="stats-grid">
+                        <div><strong>${stats.total}</strong><span>Tracks</span></div>
+                        <div><strong>${this.formatDuration(stats.totalDuration)}</strong><span>Total Duration</span></div>
+                        <div><strong>${this.formatTime(stats.avgDuration)}</strong><span>Average Duration</span></div>
+                        <div><strong>${stats.withLyrics}</strong><span>With Lyrics</span></div>
+                        <div><strong>${stats.withMetadata}</strong><span>With Metadata</span></div>
+                        <div><strong>${stats.withAnalysis}</strong><span>With Analysis</span></div>
+                        ${stats.avgBPM ? `<div><strong>${stats.avgBPM}</strong><span>Average BPM</span></div>` : ''}
+                        ${stats.avgEnergy ? `<div><strong>${(stats.avgEnergy * 100).toFixed(0)}%</strong><span>Average Energy</span></div>` : ''}
+                    </div>
+                    ${Object.keys(stats.moods).length > 0 ? `
+                        <div class="stats-moods">
+                            ${Object.entries(stats.moods).map(([mood, count]) => this.createMoodBadgeHTML(mood).replace(`</span>`, ` ${count}</span>`)).join('')}
+                        </div>
+                    ` : ''}
+                    ${summary ? this.buildListeningStatsHTML(summary) : ''}
+                </div>
+            </div>
+        `;
         
-        const info = `
-📊 Playlist Statistics
-
-Total Tracks: ${stats.total}
-Total Duration: ${this.formatTime(stats.totalDuration)}
-Average Duration: ${this.formatTime(stats.avgDuration)}
-
-With Lyrics: ${stats.withLyrics}
-With Metadata: ${stats.withMetadata}
-With Analysis: ${stats.withAnalysis}
-
-${stats.avgBPM ? `Average BPM: ${stats.avgBPM}` : ''}
-${stats.avgEnergy ? `Average Energy: ${(stats.avgEnergy * 100).toFixed(0)}%` : ''}
-
-Moods:
-${Object.entries(stats.moods).map(([mood, count]) => `  ${mood}: ${count}`).join('\n')}
-        `.trim();
+        document.body.appendChild(modal);
         
-        alert(info);
+        const close = () => {
+            modal.classList.remove('show');
+            setTimeout(() => modal.remove(), 300);
+        };
+        modal.querySelector('.metadata-editor-close').onclick = close;
+        modal.querySelector('.metadata-editor-overlay').onclick = close;
+        
+        if (summary) {
+            this.drawBarChart(modal.querySelector('#stats-by-day'),
+                summary.byDay.map(day => day.seconds / 60),
+                summary.byDay.map(day => day.date.toLocaleDateString(undefined, { weekday: 'narrow' })));
+            this.drawBarChart(modal.querySelector('#stats-by-hour'),
+                summary.byHour.map(seconds => seconds / 60),
+                summary.byHour.map((_, hour) => hour % 6 === 0 ? `${hour}h` : ''));
+        }
+        
+        requestAnimationFrame(() => modal.classList.add('show'));
+    }
+    
+    buildListeningStatsHTML(summary) {
+        const maxArtist = summary.topArtists[0]?.seconds || 1;
+        
+        return `
+            <h3>Listening (last 14 days)</h3>
+            <div class="stats-grid">
+                <div><strong>${this.formatDuration(summary.totalListened)}</strong><span>Listening Time</span></div>
+                <div><strong>${this.formatDuration(summary.allTimeListened)}</strong><span>All Time</span></div>
+                <div><strong>${summary.plays}</strong><span>Plays</span></div>
+                <div><strong>${summary.skips}</strong><span>Skips</span></div>
+            </div>
+            
+            <div class="stats-chart">
+                <div class="stats-chart-title">Minutes per day</div>
+                <canvas id="stats-by-day" width="540" height="110"></canvas>
+            </div>
+            <div class="stats-chart">
+                <div class="stats-chart-title">Minutes by hour of day</div>
+                <canvas id="stats-by-hour" width="540" height="110"></canvas>
+            </div>
+            
+            ${summary.topArtists.length > 0 ? `
+                <div class="stats-chart">
+                    <div class="stats-chart-title">Top artists</div>
+                    ${summary.topArtists.map(artist => `
+                        <div class="stats-artist-row">
+                            <span class="stats-artist-name">${this.escapeHtml(artist.artist)}</span>
+                            <span class="stats-artist-bar"><span style="width: ${Math.round((artist.seconds / maxArtist) * 100)}%"></span></span>
+                            <span class="stats-artist-time">${this.formatDuration(artist.seconds)} · ${artist.plays} plays</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+    }
+    
+    /**
+     * Simple bar chart on a canvas
+     */
+    drawBarChart(canvas, values, labels) {
+        if (!canvas) return;
+        
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const labelHeight = 14;
+        const chartHeight = height - labelHeight;
+        const max = Math.max(...values, 1);
+        const barWidth = width / values.length;
+        
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        
+        values.forEach((value, i) => {
+            const barHeight = (value / max) * (chartHeight - 4);
+            ctx.fillStyle = value > 0 ? '#dc3545' : 'rgba(255, 255, 255, 0.1)';
+            ctx.fillRect(i * barWidth + 2, chartHeight - Math.max(barHeight, 1), barWidth - 4, Math.max(barHeight, 1));
+            
+            if (labels[i]) {
+                ctx.fillStyle = '#888';
+                ctx.fillText(labels[i], i * barWidth + barWidth / 2, height - 2);
+            }
+        });
     }
     
     /**
@@ -1147,6 +1743,33 @@ ${Object.entries(stats.moods).map(([mood, count]) => `  ${mood}: ${count}`).join
         return `${min}:${sec}`;
     }
     
+    /**
+     * Helper: Format a long duration (e.g. "3h 12m")
+     */
+    formatDuration(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.round((seconds % 3600) / 60);
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    }
+    
+    /**
+     * Helper: Relative time ("5m ago", "3d ago")
+     */
+    formatAgo(timestamp) {
+        const minutes = Math.floor((Date.now() - timestamp) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes}m ago`;
+        if (minutes < 60 * 24) return `${Math.floor(minutes / 60)}h ago`;
+        return `${Math.floor(minutes / (60 * 24))}d ago`;
+    }
+    
+    /**
+     * Helper: History stats for a track (null without a provider)
+     */
+    getStats(track) {
+        return this.getTrackStats ? this.getTrackStats(track) : null;
+    }
+    
     /**
      * Helper: Escape HTML
      */
@@ -0,0 +1,208 @@
+/* ============================================
+   Resume Position Manager
+   Remembers where long files (audiobooks, podcasts, mixes)
+   were left so they don't restart at 0
+   ============================================ */
+
+class ResumePositionManager {
+    constructor(debugLog) {
+        this.debugLog = debugLog;
+
+        // Storage (trackKey -> { position, duration, finished, updatedAt })
+        this.storageKey = 'resumePositions';
+        this.positions = {};
+
+        // Tracks at least this long are resumable (speech always is)
+        this.minDuration = parseInt(localStorage.getItem('resumeMinDuration')) || 20; // minutes
+
+        // Don't bother remembering the first few seconds; near the end counts as finished
+        this.minPosition = 15;
+        this.finishedMargin = 30;
+        // Step back a little on resume so the sentence isn't cut
+        this.rewindOnResume = 3;
+        // How often timeupdate positions are written
+        this.saveInterval = 10000;
+        // Oldest entries are dropped past this
+        this.maxEntries = 500;
+
+        this.current = null;
+        this.lastSave = 0;
+        this.ignoredKey = null;
+
+        // Providers (set by init)
+        this.getTrackKey = (track) => `${track.fileName}_${track.fileSize || 0}`;
+        this.isSpeech = () => false;
+
+        // Callbacks
+        this.onChange = null;
+    }
+
+    /**
+     * @param {Object} config - { getTrackKey, isSpeech(track) }
+     */
+    init(config = {}) {
+        if (config.getTrackKey) this.getTrackKey = config.getTrackKey;
+        if (config.isSpeech) this.isSpeech = config.isSpeech;
+
+        this.load();
+
+        // Closing the tab keeps the latest position
+        window.addEventListener('pagehide', () => this.flush());
+
+        this.debugLog(`✅ Resume positions ready (${Object.keys(this.positions).length} saved)`, 'success');
+    }
+
+    // ========== PLAYBACK ==========
+
+    /**
+     * A track is being loaded
+     * @returns {number} Position to seek to (0 = start from the beginning)
+     */
+    begin(track) {
+        this.flush();
+        this.current = { track, key: this.getTrackKey(track), position: 0, duration: track.duration || 0 };
+        this.ignoredKey = null;
+
+        const entry = this.positions[this.current.key];
+        if (!entry || entry.finished) return 0;
+
+        return Math.max(0, entry.position - this.rewindOnResume);
+    }
+
+    /**
+     * Called from timeupdate - saved every saveInterval
+     */
+    update(currentTime, duration) {
+        const current = this.current;
+        if (!current || current.key === this.ignoredKey) return;
+
+        current.position = currentTime;
+        if (duration && isFinite(duration)) current.duration = duration;
+
+        if (Date.now() - this.lastSave >= this.saveInterval) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Write the current position now (pause, track change, page close)
+     */
+    flush() {
+        const current = this.current;
+        if (!current || current.key === this.ignoredKey || current.position < this.minPosition) return;
+        if (!this.isEligible(current.track, current.duration)) return;
+
+        this.lastSave = Date.now();
+
+        // Stopping in the last few seconds is the same as finishing
+        if (current.duration && current.position >= current.duration - this.finishedMargin) {
+            this.setEntry(current.key, { position: 0, duration: current.duration, finished: true });
+            return;
+        }
+
+        this.setEntry(current.key, { position: current.position, duration: current.duration, finished: false });
+    }
+
+    /**
+     * The track played to the end
+     */
+    ended(track) {
+        if (!this.current || this.current.track !== track) return;
+        if (!this.isEligible(track, this.current.duration)) return;
+
+        this.setEntry(this.current.key, { position: 0, duration: this.current.duration, finished: true });
+        // The loop-one restart shouldn't overwrite it straight away
+        this.ignoredKey = this.current.key;
+    }
+
+    // ========== ACTIONS ==========
+
+    markFinished(track) {
+        const key = this.getTrackKey(track);
+        this.setEntry(key, { position: 0, duration: track.duration || this.positions[key]?.duration || 0, finished: true });
+
+        // Keep listening without un-finishing it
+        if (this.current?.key === key) this.ignoredKey = key;
+        this.debugLog(`✔️ Marked as finished: ${track.metadata?.title || track.fileName}`, 'success');
+    }
+
+    /**
+     * Forget the position (next play starts from 0)
+     */
+    reset(track) {
+        const key = this.getTrackKey(track);
+        if (!this.positions[key]) return;
+
+        delete this.positions[key];
+        this.save();
+        if (this.onChange) this.onChange(key);
+    }
+
+    // ========== QUERIES ==========
+
+    /**
+     * Long enough, or speech
+     * @param {Object} track - Track object
+     * @param {number} [duration] - Known duration (the player's is more reliable)
+     */
+    isEligible(track, duration) {
+        const length = duration || track.duration || 0;
+        return length >= this.minDuration * 60 || this.isSpeech(track);
+    }
+
+    /**
+     * @returns {Object|null} { position, duration, fraction, finished } for tracks with a saved entry
+     */
+    getProgress(track) {
+        const entry = this.positions[this.getTrackKey(track)];
+        if (!entry) return null;
+
+        return {
+            position: entry.position,
+            duration: entry.duration,
+            fraction: entry.finished ? 1 : (entry.duration ? Math.min(1, entry.position / entry.duration) : 0),
+            finished: entry.finished
+        };
+    }
+
+    setMinDuration(minutes) {
+        this.minDuration = Math.max(1, minutes);
+        localStorage.setItem('resumeMinDuration', this.minDuration);
+    }
+
+    // ========== STORAGE ==========
+
+    setEntry(key, entry) {
+        this.positions[key] = { ...entry, updatedAt: Date.now() };
+        this.save();
+        if (this.onChange) this.onChange(key);
+    }
+
+    load() {
+        try {
+            this.positions = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (err) {
+            this.positions = {};
+        }
+    }
+
+    save() {
+        const keys = Object.keys(this.positions);
+        if (keys.length > this.maxEntries) {
+            keys.sort((a, b) => this.positions[a].updatedAt - this.positions[b].updatedAt)
+                .slice(0, keys.length - this.maxEntries)
+                .forEach(key => delete this.positions[key]);
+        }
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.positions));
+        } catch (err) {
+            this.debugLog(`Failed to save resume positions: ${err.message}`, 'error');
+        }
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResumePositionManager;
+}
@@ -6,16 +6,34 @@
 // Parsers and managers
 let metadataParser = null;
 let vttParser = null;
+let playlistFileParser = null;
 let errorRecovery = null;
 let audioPresetsManager = null;
 let metadataEditor = null;
+let metadataTagWriter = null;
 let analyzer = null;          // ✅ ADD THIS
 let generator = null;         // ✅ ADD THIS
 let analysisParser = null;
 let lyricsManager = null;
+let playQueue = null;
+let listeningHistory = null;
+let resumePositions = null;
+let abLoop = null;
+let sleepTimer = null;
+let playlistLibrary = null;
+let smartPlaylistRules = null;
+let smartPlaylistEditor = null;
+let smartGeneratorUI = null;
+let djModeManager = null;
+let djModeUI = null;
+let alarmManager = null;
+let alarmUI = null;
+let loudnessNormalizer = null;
+let outputLimiter = null;
 
 // Playlist data
-let playlist = [];
+let libraryTracks = [];       // Every loaded track
+let playlist = [];            // Active view (all tracks or a named playlist)
 let currentTrackIndex = -1;
 let isShuffled = false;
 let loopMode = 'off';
@@ -32,13 +50,15 @@ let bufferLength = null;
 let visualizerAnimationId = null;
 let visualizerEnabled = true;
 let volumeControl = null;
+let playbackSpeed = null;
 let visualizerManager = typeof VisualizerManager !== 'undefined' ? new VisualizerManager() : null;
 let fileLoadingManager = null;
 
 // Equalizer
-let bassFilter = null;
-let midFilter = null;
-let trebleFilter = null;
+let equalizer = null;
+let equalizerUI = null;
+let correctionProfiles = null;
+let eqOverrides = null;
 
 // UI state
 let debugMode = false;
@@ -50,7 +70,11 @@ let canvas = null;
 let canvasCtx = null;
 let currentDominantColor = null;
 let crossfadeManager = null;
+let gaplessEngine = null;
+let crossfadeSettingsUI = null;
 let autoEQManager = null;
+let autoEQLearner = null;
+let autoEQExplainer = null;
 	let imageOptimizer = null;
 	let audioBufferManager = null;
 	let uiManager = null;
@@ -89,12 +113,15 @@ folderPersistence.getStats().then(stats => {
     debugLog('✅ UI Manager initialized', 'success');
 
     analyzer = new MusicAnalyzer(debugLog);
+    generator = new SmartPlaylistGenerator(debugLog);
 
     // NOW initialize parsers (after they're declared)
     metadataParser = new MetadataParser(debugLog);
     errorRecovery = new ErrorRecovery(debugLog);
     vttParser = new VTTParser(debugLog);
+    playlistFileParser = new PlaylistFileParser(debugLog);
     metadataEditor = new MetadataEditor(debugLog);
+    metadataTagWriter = new MetadataTagWriter(debugLog);
     analysisParser = new AnalysisTextParser(debugLog);
 
     
@@ -116,6 +143,7 @@ folderPersistence.getStats().then(stats => {
         const trackTitle = document.getElementById('track-title');
         const trackArtist = document.getElementById('track-artist');
         const trackAlbum = document.getElementById('track-album');
+        const trackGain = document.getElementById('track-gain');
         const metadataContainer = document.getElementById('metadata-container');
         const progressContainer = document.getElementById('custom-progress-container');
         const progressBar = document.getElementById('progress-bar');
@@ -134,13 +162,6 @@ folderPersistence.getStats().then(stats => {
         canvas = document.getElementById('visualizer');
         canvasCtx = canvas.getContext('2d');
     
-        const eqBassSlider = document.getElementById('eq-bass');
-        const eqMidSlider = document.getElementById('eq-mid');
-        const eqTrebleSlider = document.getElementById('eq-treble');
-        const bassValue = document.getElementById('bass-value');
-        const midValue = document.getElementById('mid-value');
-        const trebleValue = document.getElementById('treble-value');
-        const eqResetBtn = document.getElementById('eq-reset');
 	    const perfManager = new PerformanceManager(debugLog);
 	    debugLog('✅ Advanced performance manager initialized', 'success');
 
@@ -183,6 +204,121 @@ if (window.backgroundAudioHandler) {
 volumeControl = new VolumeControl(player, debugLog);
 window.volumeControlInitialized = true;
 
+    // Initialize loudness normalization (ReplayGain / R128)
+loudnessNormalizer = new LoudnessNormalizer(debugLog);
+loudnessNormalizer.init({
+    getLibraryTracks: () => libraryTracks,
+    getCurrentTrack: () => currentTrackIndex !== -1 ? playlist[currentTrackIndex] : null,
+    isEnabled: () => volumeControl.normalizationEnabled,
+    setEnabled: (enabled) => volumeControl.setNormalization(enabled),
+    onChange: () => applyTrackGain(currentTrackIndex !== -1 ? playlist[currentTrackIndex] : null)
+});
+document.getElementById('loudness-button')?.addEventListener('click', () => loudnessNormalizer.open());
+
+    // Initialize output limiter & meter (joins the chain with the audio context)
+outputLimiter = new OutputLimiter(debugLog);
+
+    // Initialize equalizer (graphic / parametric) - filters are created with the audio context
+equalizer = new Equalizer(debugLog);
+equalizerUI = new EqualizerUI(equalizer, debugLog);
+equalizerUI.init({
+    getAnalyser: () => analyser,
+    getPresetsManager: () => audioPresetsManager,
+    isPlaying: () => !player.paused
+});
+player.addEventListener('play', () => equalizerUI.startAnimation());
+
+    // Initialize headphone / room correction (its own stage ahead of the EQ)
+correctionProfiles = new CorrectionProfiles(equalizer, debugLog);
+
+    // Initialize EQ pins (track / album / artist presets that beat Auto-EQ)
+eqOverrides = new EQOverrideManager(equalizer, debugLog);
+eqOverrides.init({
+    store: customMetadataStore,
+    getPresetsManager: () => audioPresetsManager,
+    getAutoEQ: () => autoEQManager,
+    onChange: () => {
+        if (currentTrackIndex !== -1) applyTrackEQ(playlist[currentTrackIndex]);
+        playlistRenderer.refreshEqOverrides();
+    }
+});
+
+    // Initialize Auto-EQ learning (a preset picked over Auto-EQ's choice retrains it)
+autoEQLearner = new AutoEQLearner(debugLog);
+autoEQLearner.init({
+    getAutoEQ: () => autoEQManager,
+    getTrackKey: (track) => customMetadataStore.generateKey(track.fileName, track.fileSize || 0),
+    getPresetName: (id) => audioPresetsManager?.getPresetList().find(preset => preset.id === id)?.name || id
+});
+document.getElementById('eq-preset-select')?.addEventListener('change', (e) => {
+    if (e.target.value && currentTrackIndex !== -1) {
+        autoEQLearner.noteUserPreset(playlist[currentTrackIndex], e.target.value);
+    }
+});
+document.getElementById('auto-eq-learning-button')?.addEventListener('click', () => autoEQLearner.open());
+
+    // Initialize Auto-EQ explanation panel & library dry run
+autoEQExplainer = new AutoEQExplainer(debugLog);
+autoEQExplainer.init({
+    getAutoEQ: () => autoEQManager,
+    getPresetsManager: () => audioPresetsManager,
+    getCurrentTrack: () => (currentTrackIndex !== -1 ? playlist[currentTrackIndex] : null),
+    getLibraryTracks: () => libraryTracks,
+    getEqOverride: (track) => eqOverrides.resolve(track)
+});
+document.getElementById('auto-eq-explain-button')?.addEventListener('click', () => autoEQExplainer.open());
+
+    // Initialize playback speed & transpose
+playbackSpeed = new PlaybackSpeedManager(player, debugLog);
+
+    // Initialize A-B loop (practice mode)
+abLoop = new ABLoopManager(player, debugLog);
+abLoop.onActiveChange = (active) => {
+    // Looping near the end mustn't trigger a transition
+    if (crossfadeManager) crossfadeManager.setSuspended('abLoop', active);
+};
+abLoop.init({
+    getTrackKey: (track) => customMetadataStore.generateKey(track.fileName, track.fileSize || 0),
+    getRate: () => playbackSpeed.getRate(),
+    setRate: (rate) => playbackSpeed.setRate(rate, false),
+    progressContainer
+});
+
+    // Initialize sleep timer
+sleepTimer = new SleepTimerManager(player, debugLog);
+sleepTimer.init({
+    fadeOut: (seconds, done) => volumeControl.fadeOutAndHold(seconds, done),
+    cancelFadeOut: () => volumeControl.cancelHold(),
+    releaseWakeLock: () => window.backgroundAudioHandler?.releaseWakeLock(true),
+    setSessionStatus: (text) => window.backgroundAudioHandler?.setSessionStatus(text),
+    // The last track has to actually end, not crossfade into the next one
+    holdTransitions: (held) => crossfadeManager?.setSuspended('sleepTimer', held),
+    getRate: () => playbackSpeed.getRate(),
+    display: document.getElementById('sleep-timer-display'),
+    sidebarLabel: document.querySelector('#sleep-timer-button .sidebar-label')
+});
+document.getElementById('sleep-timer-button')?.addEventListener('click', () => sleepTimer.open());
+
+    // Initialize gapless engine (decoded buffers scheduled back to back)
+gaplessEngine = new GaplessEngine(player, debugLog);
+gaplessEngine.init({
+    isEnabled: () => !!crossfadeManager?.gaplessEnabled,
+    getNextTrack: () => loopMode === 'one' ? null : getUpcomingTrack(),
+    wantsGapless: (current, next) => !!crossfadeManager?.isGaplessTransition(current, next),
+    isHeld: () => !!crossfadeManager?.isSuspended('gapless'),
+    getDecodedBuffer: (track) => audioBufferManager ? audioBufferManager.getDecodedBuffer(playlist.indexOf(track)) : Promise.resolve(null),
+    setTransitionHeld: (held) => crossfadeManager?.setSuspended('gapless', held)
+});
+volumeControl.isSeamlessChange = () => gaplessEngine.isHandingOff();
+
+    // Initialize transition settings (curves, styles, previews)
+crossfadeSettingsUI = new CrossfadeSettingsUI(player, debugLog);
+crossfadeSettingsUI.init({
+    getManager: () => crossfadeManager,
+    getCurrentTrack: () => currentTrackIndex !== -1 ? playlist[currentTrackIndex] : null
+});
+document.getElementById('transition-settings-button')?.addEventListener('click', () => crossfadeSettingsUI.open());
+
 // ✅ NEW: Smart reconnection system
 if (audioContext && window.volumeGainNode) {
     // Audio context exists - try immediate connection
@@ -218,6 +354,11 @@ playlistRenderer.setCallbacks({
     onTrackClick: (index) => loadTrack(index),
     onEditClick: (index) => openMetadataEditorForTrack(index),
     onReorder: (fromIndex, toIndex) => {
+        if (playlistLibrary.isSmart(playlistLibrary.activeId)) {
+            debugLog('🧠 Smart playlists are ordered by their sort rule - edit the rules to change it', 'warning');
+            return;
+        }
+        
         // Handle drag-and-drop reordering
         const track = playlist.splice(fromIndex, 1)[0];
         const insertIndex = toIndex > fromIndex ? toIndex - 1 : toIndex;
@@ -232,16 +373,35 @@ playlistRenderer.setCallbacks({
             currentTrackIndex++;
         }
         
+        const activePlaylist = playlistLibrary.getActive();
+        if (activePlaylist) {
+            playlistLibrary.setOrder(activePlaylist.id, playlist);
+        }
+        
         playlistRenderer.setPlaylist(playlist, currentTrackIndex);
         playlistRenderer.render();
         savePlaylistToStorage();
         debugLog(`Track moved from ${fromIndex + 1} to ${insertIndex + 1}`, 'success');
     },
     onBatchDelete: (indices) => {
+        if (playlistLibrary.isSmart(playlistLibrary.activeId)) {
+            alert('Smart playlists are built from rules - edit the rules to change which tracks appear.');
+            return;
+        }
+        
+        const removedTracks = indices.map(index => playlist[index]);
+        playQueue.removeTracks(removedTracks);
+        
+        // In a named playlist only the references go - the files stay loaded
+        const activePlaylist = playlistLibrary.getActive();
+        if (activePlaylist) {
+            playlistLibrary.removeTracks(activePlaylist.id, removedTracks);
+        }
+        
         const sortedIndices = [...indices].sort((a, b) => b - a);
         sortedIndices.forEach(index => {
             const track = playlist[index];
-            if (track.audioURL && track.audioURL.startsWith('blob:')) {
+            if (!activePlaylist && track.audioURL && track.audioURL.startsWith('blob:')) {
                 URL.revokeObjectURL(track.audioURL);
             }
             playlist.splice(index, 1);
@@ -265,15 +425,59 @@ playlistRenderer.setCallbacks({
     },
     onPlayNext: (index) => {
         if (index === currentTrackIndex) return;
-        const track = playlist.splice(index, 1)[0];
-        const insertAt = currentTrackIndex + 1;
-        playlist.splice(insertAt, 0, track);
+        playQueue.playNext(playlist[index]);
+    },
+    onAddToQueue: (indices) => {
+        indices.forEach(index => playQueue.addToEnd(playlist[index]));
+    },
+    onExportPlaylist: (tracks, format) => {
+        const active = playlistLibrary.getActive();
+        playlistFileParser.exportPlaylist(tracks, format, active ? active.name : 'Playlist');
+    },
+    onPlaylistSelect: (id) => switchLibraryPlaylist(id),
+    onPlaylistCreate: async () => {
+        const name = prompt('New playlist name:', 'New Playlist');
+        if (name) await playlistLibrary.create(name);
+    },
+    onSmartPlaylistCreate: () => openSmartPlaylistEditor(null),
+    onPlaylistRename: async (id) => {
+        const current = playlistLibrary.get(id);
+        if (!current) return;
+        if (current.type === 'smart') {
+            openSmartPlaylistEditor(current);
+            return;
+        }
+        const name = prompt('Rename playlist:', current.name);
+        if (name && name !== current.name) await playlistLibrary.rename(id, name);
+    },
+    onPlaylistDuplicate: (id) => playlistLibrary.duplicate(id),
+    onPlaylistDelete: async (id) => {
+        const current = playlistLibrary.get(id);
+        if (!current || !confirm(`Delete playlist "${current.name}"? The music files are not affected.`)) return;
+        const wasActive = playlistLibrary.activeId === id;
+        await playlistLibrary.delete(id);
+        if (wasActive) switchLibraryPlaylist(null);
+    },
+    onAddToPlaylist: async (indices, playlistId) => {
+        const tracks = indices.map(index => playlist[index]);
+        let target = playlistId ? playlistLibrary.get(playlistId) : null;
+        
+        if (!target) {
+            const name = prompt('New playlist name:', 'New Playlist');
+            if (!name) return;
+            target = await playlistLibrary.create(name);
+        }
         
-        playlistRenderer.setPlaylist(playlist, currentTrackIndex);
-        playlistRenderer.render();
-        savePlaylistToStorage();
-        debugLog(`⏭️ Next up: ${track.metadata?.title || track.fileName}`, 'success');
+        const added = await playlistLibrary.addTracks(target.id, tracks);
+        debugLog(`📁 Added ${added} track${added !== 1 ? 's' : ''} to "${target.name}"${added < tracks.length ? ` (${tracks.length - added} already in it)` : ''}`, 'success');
     },
+    onRateTrack: (index, changes) => setTrackRating(playlist[index], changes),
+    onWriteRatingTag: (index) => downloadRatingTagCopy(playlist[index]),
+    canWriteRatingTag: (track) => !!track.file && metadataTagWriter.canWriteRating(track.fileName),
+    onMarkFinished: (index) => resumePositions.markFinished(playlist[index]),
+    onResetPosition: (index) => resumePositions.reset(playlist[index]),
+    onEditEqOverride: (index) => eqOverrides.open(playlist[index]),
+    onClearEqOverride: (index) => eqOverrides.clear(playlist[index]),
     onFindSimilar: async (index) => {
         const track = playlist[index];
         if (!track.analysis) {
@@ -304,6 +508,146 @@ playlistRenderer.setCallbacks({
 });
     
     debugLog('✅ Playlist renderer ready', 'success');
+
+    // Listening history (plays, skips, last played - IndexedDB)
+    listeningHistory = new ListeningHistoryManager(debugLog);
+    let historyRefreshTimer = null;
+    listeningHistory.onChange = () => {
+        // Counts only - the active list isn't re-sorted under the playing track
+        clearTimeout(historyRefreshTimer);
+        historyRefreshTimer = setTimeout(() => {
+            playlistRenderer.refreshTrackStats();
+            playlistLibrary.changed();
+        }, 1000);
+    };
+    listeningHistory.init({
+        getTrackKey: (track) => customMetadataStore.generateKey(track.fileName, track.fileSize || 0)
+    }).then(() => playlistRenderer.refreshTrackStats());
+    playlistRenderer.setHistoryProvider({
+        getStats: (track) => listeningHistory.getStats(track),
+        getSummary: (days) => listeningHistory.getSummary(days)
+    });
+    
+    // Resume positions for long files and speech (audiobooks, podcasts, mixes)
+    resumePositions = new ResumePositionManager(debugLog);
+    let resumeRefreshTimer = null;
+    resumePositions.onChange = () => {
+        clearTimeout(resumeRefreshTimer);
+        resumeRefreshTimer = setTimeout(() => playlistRenderer.refreshTrackStats(), 1000);
+    };
+    resumePositions.init({
+        getTrackKey: (track) => customMetadataStore.generateKey(track.fileName, track.fileSize || 0),
+        isSpeech: (track) => !!autoEQManager && autoEQManager.isSpeechContent(track)
+    });
+    playlistRenderer.setResumeProvider({
+        getProgress: (track) => resumePositions.getProgress(track)
+    });
+    playlistRenderer.setEqOverrideProvider({
+        getOverride: (track) => eqOverrides.resolve(track)
+    });
+
+    // Initialize "Up Next" queue (separate from playlist order)
+    playQueue = new PlayQueueManager(debugLog);
+    playQueue.init({
+        playlist: () => playlist,
+        getTrackKey: (track) => customMetadataStore.generateKey(track.fileName, track.fileSize || 0),
+        getRating: (track) => track.metadata?.rating || null,
+        getPlayCount: (track) => listeningHistory.getPlayCount(track),
+        container: document.getElementById('playlist-container'),
+        insertBefore: document.getElementById('playlist-search')
+    });
+    playQueue.setCallbacks({
+        onTrackClick: (track) => {
+            const index = playlist.indexOf(track);
+            if (index !== -1) loadTrack(index, { fromQueue: true });
+        },
+        onQueueChange: (upNext) => {
+            playlistRenderer.setQueue(upNext);
+            updatePlaylistStatus();
+        }
+    });
+
+    // Smart playlist rules (evaluated against the loaded tracks)
+    smartPlaylistRules = new SmartPlaylistRuleEngine(debugLog);
+    smartPlaylistRules.init({
+        getPlayCount: (track) => listeningHistory.getPlayCount(track),
+        getLastPlayed: (track) => listeningHistory.getLastPlayed(track),
+        getRating: (track) => track.metadata?.rating || null
+    });
+    smartPlaylistEditor = new SmartPlaylistEditor(debugLog, smartPlaylistRules);
+
+    // Named playlists (subsets of the loaded tracks, stored in IndexedDB)
+    playlistLibrary = new PlaylistLibraryManager(debugLog);
+    playlistLibrary.onLibraryChange = (playlists, activeId) => {
+        const entries = playlists.map(p => ({
+            ...p,
+            trackCount: playlistLibrary.countTracks(p, libraryTracks),
+            description: p.type === 'smart' ? smartPlaylistRules.describe(p.rules) : null
+        }));
+        playlistRenderer.setLibrary(entries, activeId, libraryTracks.length);
+    };
+    playlistLibrary.init({
+        getTrackKey: (track) => customMetadataStore.generateKey(track.fileName, track.fileSize || 0),
+        ruleEngine: smartPlaylistRules
+    }).then(() => playlistLibrary.changed());
+    
+    // Template playlists (Workout, Focus, DJ Mix...) from analysis results
+    smartGeneratorUI = new SmartPlaylistGeneratorUI(debugLog, generator);
+    smartGeneratorUI.init({
+        getTracks: () => libraryTracks,
+        onAnalyze: () => startBackgroundAnalysis(),
+        onLoad: (result) => {
+            const record = playlistLibrary.importPlaylist(result.name, result.tracks, 'generator');
+            switchLibraryPlaylist(record.id);
+            if (playlist.length > 0) loadTrack(0);
+        }
+    });
+    window.showSmartPlaylistResult = (result) => smartGeneratorUI.showResult(result);
+    
+    // Harmonic DJ ordering of the active view
+    djModeManager = new DJModeManager(debugLog);
+    djModeUI = new DJModeUI(debugLog, djModeManager);
+    djModeUI.init({
+        getTracks: () => playlist,
+        getCurrentTrack: () => currentTrackIndex !== -1 ? playlist[currentTrackIndex] : null,
+        getPlaylistId: () => playlistLibrary.activeId,
+        canReorder: () => !playlistLibrary.isSmart(playlistLibrary.activeId),
+        onApply: (order) => {
+            setPlaylistOrder(order);
+            // A mix only works in order
+            if (isShuffled) shuffleButton.click();
+        },
+        onRestore: (tracks) => {
+            // Tracks added since the reorder go to the end
+            const current = new Set(playlist);
+            const kept = tracks.filter(track => current.has(track));
+            const keptSet = new Set(kept);
+            setPlaylistOrder([...kept, ...playlist.filter(track => !keptSet.has(track))]);
+        }
+    });
+    
+    // Scheduled playback (alarms)
+    alarmManager = new AlarmManager(player, debugLog);
+    alarmUI = new AlarmUI(debugLog, alarmManager);
+    alarmManager.init({
+        startSource: startAlarmSource,
+        rampIn: (seconds, volume) => volumeControl.rampIn(seconds, volume),
+        fadeOut: (seconds, done) => volumeControl.fadeOutAndHold(seconds, done),
+        setKeepAlive: (held) => {
+            if (!window.backgroundAudioHandler) return;
+            if (held) backgroundAudioHandler.startKeepAlive('alarm');
+            else backgroundAudioHandler.stopKeepAlive('alarm');
+        }
+    });
+    alarmUI.init({
+        getSources: () => [
+            { type: 'library', id: null, name: '🎵 All tracks' },
+            ...playlistLibrary.getAll().map(p => ({ type: 'playlist', id: p.id, name: `${p.icon || (p.type === 'smart' ? '✨' : '📁')} ${p.name}` })),
+            ...Object.entries(generator.getTemplates()).map(([id, template]) => ({ type: 'template', id, name: `🧠 ${template.icon} ${template.name} (generated)` }))
+        ],
+        sidebarLabel: document.querySelector('#alarm-button .sidebar-label')
+    });
+    document.getElementById('alarm-button')?.addEventListener('click', () => alarmUI.open());
         
         // --- Color Extraction Functions ---
         function rgbToHex(r, g, b) {
@@ -427,6 +771,8 @@ lyricsManager.onGetTrackInfo = () => {
     };
 };
 
+lyricsManager.onLoopLine = (cue) => abLoop.loopLine(cue);
+
 lyricsManager.onNavigationRequest = (direction) => {
     if (direction === 'previous' && !prevButton.disabled) {
         playPrevious();
@@ -579,13 +925,6 @@ getAudioData: () => {
         };
         
         // --- Utility Functions ---
-        function shuffleArray(array) {
-            for (let i = array.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [array[i], array[j]] = [array[j], array[i]];
-            }
-        }
-        
         function formatTime(seconds) {
             const min = Math.floor(seconds / 60);
             const sec = Math.floor(seconds % 60).toString().padStart(2, '0');
@@ -620,9 +959,9 @@ function setupAudioContext() {
         }
         
         // ✅ FIX: Create managers if they don't exist (PWA mode fix)
-        if (!audioPresetsManager && bassFilter && midFilter && trebleFilter) {
+        if (!audioPresetsManager && equalizer) {
             try {
-                audioPresetsManager = new AudioPresetsManager(bassFilter, midFilter, trebleFilter, debugLog);
+                audioPresetsManager = new AudioPresetsManager(equalizer, debugLog);
                 audioPresetsManager.loadSavedPreset();
                 debugLog('✅ Audio presets manager initialized (late)', 'success');
                 populatePresetDropdown();
@@ -648,6 +987,7 @@ function setupAudioContext() {
         if (!crossfadeManager) {
             try {
                 crossfadeManager = new CrossfadeManager(audioContext, debugLog);
+                connectCrossfade();
                 debugLog('✅ Crossfade system initialized (late)', 'success');
             } catch (err) {
                 debugLog(`⚠️ Failed to init crossfade: ${err.message}`, 'warning');
@@ -679,9 +1019,7 @@ function setupAudioContext() {
             audioContext = window.sharedAudioContext;
             analyser = window.sharedAnalyser;
             audioSource = window.sharedAudioSource;
-            bassFilter = window.sharedBassFilter;
-            midFilter = window.sharedMidFilter;
-            trebleFilter = window.sharedTrebleFilter;
+            if (window.sharedEqualizer) equalizer = window.sharedEqualizer;
             
             bufferLength = analyser.frequencyBinCount;
             dataArray = new Uint8Array(bufferLength);
@@ -704,21 +1042,15 @@ function setupAudioContext() {
             dataArray = new Uint8Array(bufferLength);
             
             // Create equalizer filters
-            bassFilter = audioContext.createBiquadFilter();
-            bassFilter.type = 'lowshelf';
-            bassFilter.frequency.value = APP_CONFIG.BASS_FREQ_HZ;
-            bassFilter.gain.value = 0;
-            
-            midFilter = audioContext.createBiquadFilter();
-            midFilter.type = 'peaking';
-            midFilter.frequency.value = APP_CONFIG.MID_FREQ_HZ;
-            midFilter.Q.value = 1;
-            midFilter.gain.value = 0;
-            
-            trebleFilter = audioContext.createBiquadFilter();
-            trebleFilter.type = 'highshelf';
-            trebleFilter.frequency.value = APP_CONFIG.TREBLE_FREQ_HZ;
-            trebleFilter.gain.value = 0;
+            equalizer.attach(audioContext);
+            correctionProfiles.attach(audioContext);
+            correctionProfiles.output.connect(equalizer.input);
+            outputLimiter.attach(audioContext);
+            
+            // Before the chain is wired, so the crossfade stage goes in with it
+            if (!crossfadeManager) {
+                crossfadeManager = new CrossfadeManager(audioContext, debugLog);
+            }
             
             // ✅ CRITICAL: Only create source if it doesn't exist globally
             if (!window.sharedAudioSource) {
@@ -737,43 +1069,28 @@ function setupAudioContext() {
             
             // Connect with volume control and compression integrated
             if (window.volumeGainNode && window.volumeCompressor && window.volumeMakeupGain) {
-                // Chain: source → bass → mid → treble → gain → compressor → makeup → analyser → output
-                audioSource.connect(bassFilter);
-                bassFilter.connect(midFilter);
-                midFilter.connect(trebleFilter);
-                trebleFilter.connect(window.volumeGainNode);
+                // Chain: source → correction → EQ (pre-gain + bands) → gain → compressor → makeup → limiter → analyser → output
+                audioSource.connect(correctionProfiles.input);
+                equalizer.output.connect(window.volumeGainNode);
                 window.volumeGainNode.connect(window.volumeCompressor);
                 window.volumeCompressor.connect(window.volumeMakeupGain);
-                window.volumeMakeupGain.connect(analyser);
+                window.volumeMakeupGain.connect(outputLimiter.input);
+                outputLimiter.output.connect(analyser);
                 analyser.connect(audioContext.destination);
                 
                 debugLog('✅ Audio chain connected WITH volume control & compression', 'success');
             } else {
                 // Fallback: simple chain (volume control not ready yet)
-                audioSource.connect(bassFilter);
-                bassFilter.connect(midFilter);
-                midFilter.connect(trebleFilter);
-                trebleFilter.connect(analyser);
+                audioSource.connect(correctionProfiles.input);
+                equalizer.output.connect(outputLimiter.input);
+                outputLimiter.output.connect(analyser);
                 analyser.connect(audioContext.destination);
                 
                 debugLog('✅ Audio chain connected WITHOUT volume control (will reconnect later)', 'info');
             }
             
-            // ✅ CROSSFADE INIT (inside else block, after audio chain)
-            if (crossfadeManager && !crossfadeManager.isInitialized) {
-                crossfadeManager.initAudioNodes();
-                
-                // Reconnect audio chain with crossfade
-                if (window.volumeGainNode) {
-                    // treble → crossfade → volume → compressor → makeup → analyser → output
-                    trebleFilter.disconnect();
-                    crossfadeManager.connectToAudioChain(trebleFilter, window.volumeGainNode);
-                } else {
-                    // treble → crossfade → analyser → output
-                    trebleFilter.disconnect();
-                    crossfadeManager.connectToAudioChain(trebleFilter, analyser);
-                }
-            }
+            // EQ → crossfade → volume (or limiter)
+            connectCrossfade();
         }
         
         // Share globally
@@ -781,9 +1098,7 @@ function setupAudioContext() {
         window.sharedAnalyser = analyser;
         window.sharedDataArray = dataArray; 
         window.sharedBufferLength = bufferLength;
-        window.sharedBassFilter = bassFilter;
-        window.sharedMidFilter = midFilter;
-        window.sharedTrebleFilter = trebleFilter;
+        window.sharedEqualizer = equalizer;
         
         // Initialize visualizer
         if (analyser && canvas && dataArray) {
@@ -802,9 +1117,7 @@ function setupAudioContext() {
         analyser.fftSize = vizSettings.fftSize;
         
         // Initialize other components
-        setupEqualizerControls();
-        
-        audioPresetsManager = new AudioPresetsManager(bassFilter, midFilter, trebleFilter, debugLog);
+        audioPresetsManager = new AudioPresetsManager(equalizer, debugLog);
         audioPresetsManager.loadSavedPreset();
         
         if (!autoEQManager) {
@@ -813,8 +1126,22 @@ function setupAudioContext() {
         
         populatePresetDropdown();
         
+        // Gapless buffers join the element's output ahead of transpose, correction and EQ
+        let chainSource = audioSource;
+        if (gaplessEngine && audioSource) {
+            chainSource = gaplessEngine.attach(audioContext, audioSource, correctionProfiles.input);
+            if (audioBufferManager) audioBufferManager.setDecodeContext(audioContext);
+        }
+        
+        // Transpose slots in between the source and the correction/EQ stages once it's used
+        if (playbackSpeed && audioSource) {
+            playbackSpeed.attachAudioChain(audioContext, chainSource, correctionProfiles.input);
+        }
+        
+        // Audio system borrowed from background-audio-handler - crossfade joins its chain here
         if (!crossfadeManager) {
             crossfadeManager = new CrossfadeManager(audioContext, debugLog);
+            connectCrossfade();
         }
         
     } catch (error) {
@@ -832,11 +1159,21 @@ function setupAudioContext() {
     }
 }
 
+/**
+ * Insert the crossfade stage (bass swap → filter sweep → fade gain, plus the echo send)
+ * between the EQ and the volume stage, or the limiter when volume control isn't up yet
+ */
+function connectCrossfade() {
+    const target = window.volumeGainNode || outputLimiter?.input;
+    if (!crossfadeManager || !equalizer?.output || !target) return false;
+    return crossfadeManager.connectToAudioChain(equalizer.output, target);
+}
+
     /**
  * âœ… NEW FUNCTION: Reconnect audio chain when volume control initializes late
  */
 function reconnectAudioChainWithVolumeControl() {
-    if (!audioContext || !audioSource || !bassFilter || !midFilter || !trebleFilter || !analyser) {
+    if (!audioContext || !audioSource || !equalizer?.output || !outputLimiter?.input || !analyser) {
         debugLog('âŒ Cannot reconnect - audio chain not initialized', 'error');
         return false;
     }
@@ -848,17 +1185,18 @@ function reconnectAudioChainWithVolumeControl() {
     
     try {
         // Disconnect old connections
-        trebleFilter.disconnect();
+        equalizer.output.disconnect();
         if (window.volumeGainNode) window.volumeGainNode.disconnect();
         if (window.volumeCompressor) window.volumeCompressor.disconnect();
         if (window.volumeMakeupGain) window.volumeMakeupGain.disconnect();
         analyser.disconnect();
         
         // Reconnect with proper order
-        trebleFilter.connect(window.volumeGainNode);
+        if (!connectCrossfade()) equalizer.output.connect(window.volumeGainNode);
         window.volumeGainNode.connect(window.volumeCompressor);
         window.volumeCompressor.connect(window.volumeMakeupGain);
-        window.volumeMakeupGain.connect(analyser);
+        window.volumeMakeupGain.connect(outputLimiter.input);
+        outputLimiter.output.connect(analyser);
         analyser.connect(audioContext.destination);
         
         debugLog('âœ… Audio chain reconnected with volume control', 'success');
@@ -967,94 +1305,6 @@ document.addEventListener('click', resumeAudioOnInteraction, { once: true });
 document.addEventListener('touchstart', resumeAudioOnInteraction, { once: true });
 player.addEventListener('play', resumeAudioOnInteraction, { once: true });
         
-        // --- Equalizer Functions ---
-        function setupEqualizerControls() {
-            // Load saved EQ settings
-            const savedBass = localStorage.getItem('eqBass');
-            const savedMid = localStorage.getItem('eqMid');
-            const savedTreble = localStorage.getItem('eqTreble');
-            
-            if (savedBass !== null) {
-                eqBassSlider.value = savedBass;
-                bassFilter.gain.value = parseFloat(savedBass);
-                bassValue.textContent = `${savedBass} dB`;
-            }
-            if (savedMid !== null) {
-                eqMidSlider.value = savedMid;
-                midFilter.gain.value = parseFloat(savedMid);
-                midValue.textContent = `${savedMid} dB`;
-            }
-            if (savedTreble !== null) {
-                eqTrebleSlider.value = savedTreble;
-                trebleFilter.gain.value = parseFloat(savedTreble);
-                trebleValue.textContent = `${savedTreble} dB`;
-            }
-            
-            // Bass control
-            eqBassSlider.oninput = (e) => {
-                const value = parseFloat(e.target.value);
-                bassFilter.gain.value = value;
-                bassValue.textContent = `${value} dB`;
-                localStorage.setItem('eqBass', value);
-                debugLog(`Bass: ${value} dB`);
-            };
-            
-            // Mid control
-            eqMidSlider.oninput = (e) => {
-                const value = parseFloat(e.target.value);
-                midFilter.gain.value = value;
-                midValue.textContent = `${value} dB`;
-                localStorage.setItem('eqMid', value);
-                debugLog(`Mid: ${value} dB`);
-            };
-            
-            // Treble control
-            eqTrebleSlider.oninput = (e) => {
-                const value = parseFloat(e.target.value);
-                trebleFilter.gain.value = value;
-                trebleValue.textContent = `${value} dB`;
-                localStorage.setItem('eqTreble', value);
-                debugLog(`Treble: ${value} dB`);
-            };
-            
-            // Reset button
-            eqResetBtn.onclick = () => {
-                eqBassSlider.value = 0;
-                eqMidSlider.value = 0;
-                eqTrebleSlider.value = 0;
-                
-                bassFilter.gain.value = 0;
-                midFilter.gain.value = 0;
-                trebleFilter.gain.value = 0;
-                
-                bassValue.textContent = '0 dB';
-                midValue.textContent = '0 dB';
-                trebleValue.textContent = '0 dB';
-                
-                localStorage.removeItem('eqBass');
-                localStorage.removeItem('eqMid');
-                localStorage.removeItem('eqTreble');
-                
-                debugLog('Equalizer reset', 'success');
-            };
-        }
-        
-
-// What This Does
-
-//**Equalizer Features:**
-//- **Bass Filter** (200 Hz low shelf): Boosts/cuts low frequencies
-//- **Mid Filter** (1000 Hz peaking): Boosts/cuts mid frequencies
-//- **Treble Filter** (3000 Hz high shelf): Boosts/cuts high frequencies
-//- **Range**: -12 dB to +12 dB for each band
-//- **Visual sliders**: Vertical sliders with real-time value display
-//- **Persistence**: Settings saved to localStorage
-//- **Reset button**: Instantly returns all bands to 0 dB
-
-//**Audio Chain:**
-//```
-//Player → Bass Filter → Mid Filter → Treble Filter → Analyser → Output
-        
         // --- Metadata Functions (User's Code) ---
        function clearMetadata() {
     // Revoke blob URL if it exists
@@ -1068,6 +1318,7 @@ player.addEventListener('play', resumeAudioOnInteraction, { once: true });
     trackTitle.textContent = 'No track loaded';
     trackArtist.textContent = '--';
     trackAlbum.textContent = '--';
+    trackGain.textContent = '--';
     applyDynamicBackground(null);
     lyricsDisplay.innerHTML = '<div class="lyric-line">Lyrics will appear here when a track is loaded.</div>';
     lyricsManager.clearLyrics();
@@ -1154,7 +1405,9 @@ if (jumpToCurrentBtn) {
             if (loopMode === 'all') loopText = 'Loop: All Tracks';
             if (loopMode === 'one') loopText = 'Loop: Current Track';
             const shuffleText = isShuffled ? 'Shuffle: ON' : 'Shuffle: Off';
-            playlistStatus.textContent = `Tracks: ${playlist.length} | ${loopText} | ${shuffleText}`;
+            const queueCount = playQueue ? playQueue.getUpNext().length : 0;
+            const queueText = queueCount > 0 ? ` | Up Next: ${queueCount}` : '';
+            playlistStatus.textContent = `Tracks: ${playlist.length} | ${loopText} | ${shuffleText}${queueText}`;
         }
 
     function updateMediaSession() {
@@ -1192,11 +1445,38 @@ if (jumpToCurrentBtn) {
         }
     }
 
-    async function loadTrack(index) {
+    async function loadTrack(index, options = {}) {
     if (index < 0 || index >= playlist.length) return;
+    const previousTrack = currentTrackIndex !== -1 ? playlist[currentTrackIndex] : null;
     currentTrackIndex = index;
     const track = playlist[currentTrackIndex];
     
+    // Keep queue history/context in sync with what actually plays
+    if (playQueue) {
+        playQueue.trackStarted(track, {
+            previous: previousTrack,
+            fromQueue: !!options.fromQueue,
+            fromHistory: !!options.fromHistory
+        });
+    }
+    
+    if (listeningHistory) {
+        listeningHistory.startPlay(track, getPlaySource());
+    }
+    
+    // Already playing from decoded buffers since the previous track ended
+    const gaplessHandoff = gaplessEngine ? gaplessEngine.trackLoaded(track) : false;
+    
+    // Long files pick up where they were left
+    const resumeAt = resumePositions ? resumePositions.begin(track) : 0;
+    if (resumeAt > 0 && !gaplessHandoff) {
+        player.addEventListener('loadedmetadata', () => {
+            if (playlist[currentTrackIndex] !== track) return;
+            player.currentTime = resumeAt;
+            debugLog(`⏯ Resumed at ${formatTime(resumeAt)}`, 'success');
+        }, { once: true });
+    }
+    
     debugLog(`=== Loading Track ${index + 1}/${playlist.length}: ${track.fileName} ===`);
     
     // Clear previous
@@ -1220,20 +1500,31 @@ if (jumpToCurrentBtn) {
         setupAudioContext();
     }
 
-           // ✅ ADD: Apply saved volume for this track (if exists) with smart normalization
+           // ✅ ADD: Apply saved volume for this track (if exists), then its loudness normalization gain
     const trackId = `${track.metadata?.artist || 'Unknown'}_${track.metadata?.title || track.fileName}`;
     if (volumeControl) {
-        // Pass analysis data for smart normalization
-        const hasAppliedSaved = volumeControl.applyTrackVolume(trackId);
-        if (!hasAppliedSaved) {
-            volumeControl.applyVolume(volumeControl.getVolume(), true, track.analysis);
-        }
+        volumeControl.applyTrackVolume(trackId);
+        applyTrackGain(track);
     }
     
-    // Apply Auto-EQ if enabled
-    if (autoEQManager && autoEQManager.enabled) {
-        autoEQManager.applyAutoEQ(track);
+    // Loops belong to the track they were set on
+    if (abLoop) {
+        abLoop.setTrack(track);
     }
+    
+    // Counts down "stop after N tracks"
+    if (sleepTimer) {
+        sleepTimer.trackStarted();
+    }
+    
+    // Remembered speed for this track (otherwise the last one picked)
+    if (playbackSpeed) {
+        playbackSpeed.applyTrackRate(trackId);
+    }
+    
+    // Pinned EQ, otherwise Auto-EQ if enabled
+    applyTrackEQ(track);
+    autoEQExplainer?.trackChanged();
 
 // ✅ NEW: Pass analysis data to visualizer if available
 if (visualizerManager) {
@@ -1274,14 +1565,15 @@ if (!dataArray && analyser) {
                 debugLog(`Audio source set from buffer manager for track ${loadTrackIndex}`, 'success');
                 
                 // ✅ SMART SKIP: Skip initial silence if detected
-                if (track.analysis?.silence?.start > 0.1) {
+                if (track.analysis?.silence?.start > 0.1 && !gaplessHandoff) {
                     const skipTime = track.analysis.silence.start;
                     player.currentTime = skipTime;
                     debugLog(`⏭️ Skipped ${skipTime.toFixed(2)}s of silence at start`, 'success');
                 }
 
                 player.play().catch(e => debugLog(`Playback start failed: ${e.message}`, 'warning'));
-                audioBufferManager.preloadUpcoming(loadTrackIndex);
+                const gaplessNext = gaplessEngine ? gaplessEngine.getUpcoming(track) : null;
+                audioBufferManager.preloadUpcoming(loadTrackIndex, gaplessNext ? playlist.indexOf(gaplessNext) : -1);
             }).catch(err => {
             debugLog(`Buffer manager failed, falling back to original URL: ${err.message}`, 'warning');
             player.src = track.audioURL;
@@ -1328,8 +1620,9 @@ if (!audioContext) {
 updateMediaSession();
     playlistRenderer.updateJumpButton();
 // Start crossfade monitoring AFTER metadata loads
-if (crossfadeManager && crossfadeManager.enabled && currentTrackIndex + 1 < playlist.length) {
-    const nextTrack = playlist[currentTrackIndex + 1];
+const upcomingTrack = getUpcomingTrack();
+if (crossfadeManager && upcomingTrack && crossfadeManager.shouldMonitor(track, upcomingTrack)) {
+    const nextTrack = upcomingTrack;
     
     // ✅ CRITICAL: Wait for both duration AND playback to start
     const startCrossfadeMonitoring = () => {
@@ -1347,6 +1640,11 @@ if (crossfadeManager && crossfadeManager.enabled && currentTrackIndex + 1 < play
             debugLog('🎚️ Crossfade triggered - switching tracks', 'info');
             await playNext();
             
+            // Beat-matched: the incoming track runs at the outgoing tempo, then eases back
+            if (fadeData.tempo && playbackSpeed) {
+                playbackSpeed.nudge(fadeData.tempo.rate, fadeData.tempo.holdFor, fadeData.tempo.easeOver);
+            }
+            
             if (fadeData.startTime && fadeData.startTime > 0) {
                 await new Promise((resolve) => {
                     if (player.readyState >= 2) {
@@ -1409,15 +1707,13 @@ async function playNext() {
         volumeControl.rememberTrackVolume(trackId, volumeControl.getVolume());
     }
     
-    if (currentTrackIndex === -1 || playlist.length === 0) return;
+    if (playlist.length === 0) return;
 
-    let nextIndex;
+    // Up Next first, then playlist order (wrapping on loop-all).
+    // With no current track (e.g. it isn't in the active playlist) this starts from the top.
+    const next = playQueue.next(playlist[currentTrackIndex], loopMode);
     
-    if (currentTrackIndex < playlist.length - 1) {
-        nextIndex = currentTrackIndex + 1;
-    } else if (loopMode === 'all') {
-        nextIndex = 0;
-    } else {
+    if (!next) {
         player.pause();
         trackTitle.textContent = "Playlist finished";
         debugLog('Playlist finished');
@@ -1426,7 +1722,257 @@ async function playNext() {
     
     // ✅ SIMPLE: Just load the next track normally
     // Crossfade will be handled automatically by the monitoring system in loadTrack
-    loadTrack(nextIndex);
+    loadTrack(playlist.indexOf(next.track), { fromQueue: next.fromQueue });
+}
+
+/**
+ * ReplayGain for the track (or none) into the volume chain and the info panel
+ */
+function applyTrackGain(track) {
+    if (!volumeControl || !loudnessNormalizer) return;
+    
+    const result = track ? loudnessNormalizer.getGain(track) : null;
+    volumeControl.setNormalizationGain(result ? result.linear : 1);
+    trackGain.textContent = result ? loudnessNormalizer.describe(result) : '--';
+    trackGain.title = result?.lufs != null ? `${result.lufs.toFixed(1)} LUFS${result.peak ? `, peak ${(20 * Math.log10(result.peak)).toFixed(1)} dBTP` : ''}` : '';
+    loudnessNormalizer.renderCurrent();
+}
+
+/**
+ * EQ for the track: its pin (track, album or artist) beats Auto-EQ
+ */
+function applyTrackEQ(track) {
+    if (!track) return;
+    if (eqOverrides && eqOverrides.apply(track)) return;
+    
+    if (autoEQManager && autoEQManager.enabled) {
+        autoEQManager.applyAutoEQ(track);
+    }
+}
+
+/**
+ * Track that playNext() would pick, without consuming the queue
+ */
+function getUpcomingTrack() {
+    if (currentTrackIndex === -1 || playlist.length === 0) return null;
+    const next = playQueue.peekNext(playlist[currentTrackIndex], loopMode);
+    return next ? next.track : null;
+}
+
+/**
+ * Show a named playlist (or all loaded tracks when id is null).
+ * Whatever is playing keeps playing.
+ */
+function switchLibraryPlaylist(id) {
+    playlistLibrary.setActive(id);
+    const active = applyActivePlaylist();
+    debugLog(`📁 Showing ${active ? `"${active.name}"` : 'all tracks'} (${playlist.length} tracks)`, 'info');
+}
+
+/**
+ * Show the alarm's playlist and load its first track
+ * @param {Object} source - { type: 'library' | 'playlist' | 'template', id }
+ * @returns {boolean} False when there's nothing to play
+ */
+async function startAlarmSource(source, shuffle) {
+    if (libraryTracks.length === 0) return false;
+    
+    if (source.type === 'template') {
+        // Generated fresh each time so new music gets picked up
+        let result = null;
+        try {
+            result = generator.generate(source.id, libraryTracks);
+        } catch (err) {
+            debugLog(`⚠️ Alarm template failed: ${err.message}`, 'warning');
+        }
+        
+        if (result && result.tracks.length > 0) {
+            const record = playlistLibrary.importPlaylist(result.name, result.tracks, 'generator');
+            switchLibraryPlaylist(record.id);
+        } else {
+            switchLibraryPlaylist(null);
+        }
+    } else if (source.type === 'playlist' && playlistLibrary.get(source.id)) {
+        switchLibraryPlaylist(source.id);
+    } else {
+        switchLibraryPlaylist(null);
+    }
+    
+    // An empty playlist still wakes you up
+    if (playlist.length === 0) switchLibraryPlaylist(null);
+    if (playlist.length === 0) return false;
+    
+    if (shuffle && !isShuffled) shuffleButton.click();
+    await loadTrack(shuffle ? Math.floor(Math.random() * playlist.length) : 0);
+    return waitForAlarmPlayback();
+}
+
+/**
+ * loadTrack only logs a blocked play() - resolve false if the alarm track never starts
+ * (autoplay policy), so the alarm can fall back to the chime
+ */
+function waitForAlarmPlayback(timeoutMs = 8000) {
+    return new Promise((resolve) => {
+        const onPlaying = () => {
+            clearTimeout(timer);
+            resolve(true);
+        };
+        const timer = setTimeout(() => {
+            player.removeEventListener('playing', onPlaying);
+            if (!player.paused) {
+                resolve(true);
+                return;
+            }
+            player.play().then(() => resolve(true), (err) => {
+                debugLog(`⚠️ Alarm playback blocked: ${err.message}`, 'warning');
+                resolve(false);
+            });
+        }, timeoutMs);
+        player.addEventListener('playing', onPlaying, { once: true });
+    });
+}
+
+/**
+ * Rebuild `playlist` from the active library playlist, keeping the current track
+ */
+function applyActivePlaylist() {
+    const currentTrack = currentTrackIndex !== -1 ? playlist[currentTrackIndex] : null;
+    const active = playlistLibrary.getActive();
+    playlist = active ? playlistLibrary.resolveTracks(active.id, libraryTracks) : libraryTracks;
+    currentTrackIndex = currentTrack ? playlist.indexOf(currentTrack) : -1;
+    
+    // Up Next only holds tracks from the active list
+    const inPlaylist = new Set(playlist);
+    const foreign = playQueue.getUpNext().filter(track => !inPlaylist.has(track));
+    if (foreign.length > 0) playQueue.removeTracks(foreign);
+    
+    if (audioBufferManager) {
+        audioBufferManager.setPlaylist(playlist);
+    }
+    
+    playlistRenderer.setPlaylist(playlist, currentTrackIndex);
+    playlistLibrary.changed();
+    updatePlaylistStatus();
+    return active;
+}
+
+/**
+ * Playlist a play is logged against in the listening history
+ */
+function getPlaySource() {
+    const active = playlistLibrary.getActive();
+    return { id: active?.id || null, name: active?.name || 'All Tracks' };
+}
+
+/**
+ * Replace the order of the active view (DJ Mode), keeping the current track
+ */
+function setPlaylistOrder(order) {
+    const currentTrack = currentTrackIndex !== -1 ? playlist[currentTrackIndex] : null;
+    
+    // In place - with no named playlist active, `playlist` is `libraryTracks`
+    playlist.splice(0, playlist.length, ...order);
+    currentTrackIndex = currentTrack ? playlist.indexOf(currentTrack) : -1;
+    
+    const activePlaylist = playlistLibrary.getActive();
+    if (activePlaylist) {
+        playlistLibrary.setOrder(activePlaylist.id, playlist);
+    }
+    
+    if (audioBufferManager) {
+        audioBufferManager.setPlaylist(playlist);
+    }
+    
+    playlistRenderer.setPlaylist(playlist, currentTrackIndex);
+    playlistRenderer.render();
+    savePlaylistToStorage();
+}
+
+/**
+ * Rate or (un)favorite a track - stored by name + size, like custom metadata
+ * @param {Object} track - Track object
+ * @param {Object} changes - { rating } and/or { favorite }
+ */
+function setTrackRating(track, changes) {
+    if (!track) return;
+    
+    const result = customMetadataStore.setRating(track.fileName, track.fileSize || 0, changes);
+    if (!result.success) {
+        debugLog(`❌ ${result.errors.join(', ')}`, 'error');
+        return;
+    }
+    
+    track.metadata = { ...track.metadata, ...customMetadataStore.getRating(track.fileName, track.fileSize || 0) };
+    
+    playlistRenderer.refreshRatings();
+    scheduleSmartPlaylistRefresh();
+    
+    const title = track.metadata.title || track.fileName;
+    if (changes.favorite !== undefined) {
+        debugLog(`${changes.favorite ? '❤️ Added to' : '💔 Removed from'} favorites: ${title}`, 'success');
+    } else {
+        debugLog(`⭐ ${track.metadata.rating ? `Rated ${track.metadata.rating}/5` : 'Rating cleared'}: ${title}`, 'success');
+    }
+}
+
+/**
+ * Download a copy of the track with its rating written to the file's tags
+ * (the original file can't be modified from the browser)
+ */
+async function downloadRatingTagCopy(track) {
+    if (!track?.file) {
+        alert('The original file is no longer available - reload it to write its rating tag.');
+        return;
+    }
+    
+    try {
+        const blob = await metadataTagWriter.writeRating(track.file, track.metadata?.rating || 0);
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = track.fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    } catch (err) {
+        debugLog(`❌ Couldn't write rating tag: ${err.message}`, 'error');
+        alert(`Couldn't write the rating tag: ${err.message}`);
+    }
+}
+
+/**
+ * Open the rule builder for a new (null) or existing smart playlist
+ */
+function openSmartPlaylistEditor(record) {
+    smartPlaylistEditor.openEditor(record, async (name, rules) => {
+        if (record) {
+            await playlistLibrary.updateSmart(record.id, name, rules);
+            if (playlistLibrary.activeId === record.id) applyActivePlaylist();
+        } else {
+            const created = await playlistLibrary.createSmart(name, rules);
+            switchLibraryPlaylist(created.id);
+        }
+    }, (rules) => smartPlaylistRules.evaluate(rules, libraryTracks).length);
+}
+
+let smartRefreshTimer = null;
+
+/**
+ * Re-evaluate smart playlists after the library, metadata or analysis changed (debounced)
+ */
+function scheduleSmartPlaylistRefresh() {
+    clearTimeout(smartRefreshTimer);
+    smartRefreshTimer = setTimeout(() => {
+        const active = playlistLibrary.getActive();
+        if (active && active.type === 'smart') {
+            const tracks = playlistLibrary.resolveTracks(active.id, libraryTracks);
+            const unchanged = tracks.length === playlist.length && tracks.every((track, i) => track === playlist[i]);
+            if (!unchanged) applyActivePlaylist();
+        }
+        // Sidebar counts
+        playlistLibrary.changed();
+    }, 1000);
 }
 
         function playPrevious() {
@@ -1437,10 +1983,11 @@ async function playNext() {
         volumeControl.rememberTrackVolume(trackId, volumeControl.getVolume());
     }
             if (currentTrackIndex === -1 || playlist.length === 0) return;
-            if (currentTrackIndex > 0) {
-                loadTrack(currentTrackIndex - 1);
-            } else if (loopMode === 'all') {
-                loadTrack(playlist.length - 1);
+            
+            // Return to the track that actually played before this one
+            const previous = playQueue.previous(playlist[currentTrackIndex], loopMode);
+            if (previous) {
+                loadTrack(playlist.indexOf(previous.track), { fromHistory: true });
             }
         }
 
@@ -1461,6 +2008,9 @@ async function playNext() {
 // Enhanced seek handling with error recovery
 let seekDebounce = null;
 progressContainer.onmousedown = (e) => {
+    // Shift+drag marks an A-B loop instead of seeking
+    if (e.shiftKey && abLoop.startRangeDrag(e)) return;
+    
     clearTimeout(seekDebounce);
     
     isSeekingProg = true;
@@ -1518,7 +2068,7 @@ document.onmouseup = (e) => {
 loadButton.onclick = async () => {
     try {
         await fileLoadingManager.createFileInput({
-            accept: 'audio/*,.vtt,.txt',
+            accept: 'audio/*,.vtt,.txt,.m3u,.m3u8,.pls,.xspf',
             multiple: true
         });
     } catch (err) {
@@ -1566,6 +2116,7 @@ fileLoadingManager = new EnhancedFileLoadingManager(debugLog, {
     fileLoadingManager.init({
         metadataParser: metadataParser,
         vttParser: vttParser,
+        playlistFileParser: playlistFileParser,
         analysisParser: analysisParser,
         customMetadataStore: customMetadataStore,
         analyzer: analyzer
@@ -1573,6 +2124,35 @@ fileLoadingManager = new EnhancedFileLoadingManager(debugLog, {
     
     // Set callbacks
     fileLoadingManager.setCallbacks({
+    onPlaylistFilesLoaded: ({ playlists, tracks }) => {
+        // tracks is null when only playlist files were dropped - match against what's loaded
+        const source = tracks || libraryTracks;
+        if (source.length === 0) {
+            debugLog('⚠️ Load your music first - playlist files are matched against loaded tracks', 'warning');
+            return;
+        }
+        
+        let lastImported = null;
+        playlists.forEach(playlistFile => {
+            const resolved = fileLoadingManager.resolvePlaylistEntries(playlistFile, source);
+            if (resolved.tracks.length === 0) {
+                debugLog(`⚠️ "${playlistFile.name}": none of its ${playlistFile.entries.length} entries are loaded`, 'warning');
+                return;
+            }
+            lastImported = playlistLibrary.importPlaylist(playlistFile.name, resolved.tracks);
+            debugLog(`📃 Imported "${playlistFile.name}": ${resolved.tracks.length}/${playlistFile.entries.length} tracks${resolved.fuzzy.length ? ` (${resolved.fuzzy.length} by similar file name)` : ''}`, 'success');
+        });
+        
+        if (!lastImported) return;
+        
+        if (tracks) {
+            // onLoadComplete opens the active playlist
+            playlistLibrary.setActive(lastImported.id);
+        } else {
+            switchLibraryPlaylist(lastImported.id);
+        }
+    },
+    
     onLoadStart: (fileCount) => {
         playlistStatus.textContent = '⚡ Enhanced loading: Scanning files...';
         debugLog(`Starting enhanced load: ${fileCount} files...`, 'info');
@@ -1604,9 +2184,21 @@ fileLoadingManager = new EnhancedFileLoadingManager(debugLog, {
             player.src = '';
             currentTrackIndex = -1;
             
-	            // Set new playlist
-	            playlist = newPlaylist;
+	            // Set new playlist (re-applying the named playlist that was open)
+	            libraryTracks = newPlaylist;
+	            const activePlaylist = playlistLibrary.getActive();
+	            const activeTracks = activePlaylist ? playlistLibrary.resolveTracks(activePlaylist.id, libraryTracks) : [];
+	            if (activePlaylist && activeTracks.length === 0) {
+	                playlistLibrary.setActive(null);
+	            }
+	            playlist = activeTracks.length > 0 ? activeTracks : libraryTracks;
 	            currentTrackIndex = 0;
+	            playlistLibrary.changed();
+	            
+	            // Re-attach saved Up Next / history / shuffle cycle to the new track objects
+	            playQueue.restore(playlist);
+	            isShuffled = playQueue.isShuffleEnabled();
+	            shuffleButton.classList.toggle('active', isShuffled);
 	            
 	            debugLog(`Playlist created with ${playlist.length} tracks`, 'success');
 	            
@@ -1626,8 +2218,8 @@ fileLoadingManager = new EnhancedFileLoadingManager(debugLog, {
             
             // Start background analysis for tracks WITHOUT deep analysis
             setTimeout(() => {
-                if (analyzer && playlist.length > 0) {
-                    const needsAnalysis = playlist.filter(t => !t.hasDeepAnalysis && !t.analysis);
+                if (analyzer && libraryTracks.length > 0) {
+                    const needsAnalysis = libraryTracks.filter(t => !t.hasDeepAnalysis && !t.analysis);
                     
                     if (needsAnalysis.length > 0) {
                         debugLog(`🔍 Starting background analysis for ${needsAnalysis.length} unanalyzed tracks...`, 'info');
@@ -1676,6 +2268,9 @@ fileLoadingManager = new EnhancedFileLoadingManager(debugLog, {
     } else if (update.phase === 2) {
       // Track metadata loaded - update display
       playlistRenderer.render();
+      scheduleSmartPlaylistRefresh();
+    } else if (update.phase === 3) {
+      scheduleSmartPlaylistRefresh();
     }
   }
         
@@ -1686,7 +2281,7 @@ fileLoadingManager = new EnhancedFileLoadingManager(debugLog, {
         // --- Playlist Persistence Functions ---
         function savePlaylistToStorage() {
             try {
-                const playlistData = playlist.map(track => ({
+                const playlistData = libraryTracks.map(track => ({
                     fileName: track.fileName,
                     metadata: {
                         title: track.metadata?.title,
@@ -1701,6 +2296,7 @@ fileLoadingManager = new EnhancedFileLoadingManager(debugLog, {
                 
                 localStorage.setItem('savedPlaylist', JSON.stringify(playlistData));
                 localStorage.setItem('playlistTimestamp', Date.now().toString());
+                playQueue.save();
                 debugLog(`Playlist saved: ${playlistData.length} tracks`, 'success');
             } catch (error) {
                 debugLog(`Failed to save playlist: ${error.message}`, 'error');
@@ -1799,21 +2395,26 @@ fileLoadingManager = new EnhancedFileLoadingManager(debugLog, {
         function clearSavedPlaylist() {
             localStorage.removeItem('savedPlaylist');
             localStorage.removeItem('playlistTimestamp');
+            playQueue.clearStorage();
             debugLog('Saved playlist cleared from storage', 'info');
         }
 
 clearButton.onclick = () => {
     if (confirm('Clear entire playlist? This will stop playback and remove all loaded tracks.')) {
         // Use the manager's cleanup method
-        fileLoadingManager.cleanupPlaylist(playlist);
+        fileLoadingManager.cleanupPlaylist(libraryTracks);
         
         // Clear buffer manager
         if (audioBufferManager) {
             audioBufferManager.clearAllBuffers();
         }
         
+        listeningHistory.finishPlay('stopped');
+        libraryTracks = [];
         playlist = [];
         currentTrackIndex = -1;
+        playQueue.reset();
+        playlistLibrary.changed();
         player.pause();
         player.src = '';
         clearMetadata();
@@ -1825,6 +2426,7 @@ playlistRenderer.render();
         nextButton.disabled = true;
         shuffleButton.disabled = true;
         loopButton.disabled = true;
+        djModeButton.disabled = true;
         
         clearSavedPlaylist();
         
@@ -1844,8 +2446,19 @@ playlistRenderer.render();
    });
         
         player.addEventListener('ended', () => {
+            // A loop ending at the very end of the track keeps going
+            if (abLoop.handleEnded()) return;
+            
+            listeningHistory.finishPlay('ended');
+            resumePositions.ended(playlist[currentTrackIndex]);
+            
+            // Sleep timer set to stop at the end of this track
+            if (sleepTimer.handleTrackEnd()) return;
+            
             if (loopMode === 'one') {
                 debugLog('Looping current track');
+                sleepTimer.trackStarted();
+                listeningHistory.startPlay(playlist[currentTrackIndex], getPlaySource());
                 player.currentTime = 0;
                 player.play();
             } else {
@@ -1877,7 +2490,9 @@ playlistRenderer.render();
 
         
 player.addEventListener('pause', () => {
-    if (audioContext && audioContext.state === 'running') {
+    // Ended into a gapless handoff - the next track is already sounding
+    const seamless = player.ended && gaplessEngine?.isHandingOff();
+    if (audioContext && audioContext.state === 'running' && !seamless) {
         audioContext.suspend();
     }
     
@@ -1888,6 +2503,7 @@ player.addEventListener('pause', () => {
     
     perfManager.setPlayState(false);
     updateMediaSession();
+    resumePositions.flush();
      if (visualizerController) {
         visualizerController.onPlayStateChange();
     }
@@ -1905,15 +2521,18 @@ player.addEventListener('pause', () => {
 player.addEventListener('timeupdate', () => {
     if (isSeekingProg) return;
     
+    listeningHistory.updateProgress(player.currentTime, player.duration);
+    resumePositions.update(player.currentTime, player.duration);
+    
     // 🆕 PERFORMANCE-AWARE UPDATES
-    if (perfManager.shouldUpdate('progress')) {
+    if (perfManager.shouldUpdate('progress', player.playbackRate)) {
         const percent = (player.currentTime / player.duration) * 100;
         progressBar.style.width = `${percent}%`;
         currentTimeDisplay.textContent = formatTime(player.currentTime);
     }
     
     // Update lyrics with performance optimization
-    if (lyricsManager && perfManager.shouldUpdate('lyrics')) {
+    if (lyricsManager && perfManager.shouldUpdate('lyrics', player.playbackRate)) {
         const lyricsSettings = perfManager.getLyricsSettings();
         lyricsManager.update(player.currentTime, compactMode, lyricsSettings);
     }
@@ -1930,23 +2549,14 @@ player.addEventListener('timeupdate', () => {
     if (playlist.length <= 1) return;
     isShuffled = !isShuffled;
     
+    // Playlist order is left alone - the queue plays a non-repeating shuffle cycle
+    playQueue.setShuffle(isShuffled, playlist[currentTrackIndex] || null);
+    
     if (isShuffled) {
         debugLog('Shuffle enabled', 'success');
-        
-        // Get the currently playing track
-        const currentTrack = playlist[currentTrackIndex];
-        
-        // Shuffle the playlist
-        shuffleArray(playlist);
-        
-        // Find where the current track ended up after shuffle
-        currentTrackIndex = playlist.findIndex(track => track === currentTrack);
-        
         shuffleButton.classList.add('active');
-        playlistRenderer.setPlaylist(playlist, currentTrackIndex);
-playlistRenderer.render();
     } else {
-        debugLog('Shuffle disabled');
+        debugLog('Shuffle disabled - back to playlist order');
         shuffleButton.classList.remove('active');
     }
     updatePlaylistStatus();
@@ -2026,13 +2636,20 @@ if (autoEQButton) {
         autoEQButton.classList.toggle('active', newState);
         autoEQButton.textContent = newState ? '🎛️ Auto-EQ On' : '🎛️ Auto-EQ Off';
         
-        if (newState && currentTrackIndex !== -1) {
-            autoEQManager.applyAutoEQ(playlist[currentTrackIndex]);
+        // A pinned track keeps its pin either way
+        if (currentTrackIndex !== -1) {
+            applyTrackEQ(playlist[currentTrackIndex]);
         }
         
         debugLog(`Auto-EQ ${newState ? 'enabled' : 'disabled'}`, 'info');
     };
 }
+
+// 🎧 DJ MODE BUTTON
+const djModeButton = document.getElementById('dj-mode-button');
+if (djModeButton) {
+    djModeButton.onclick = () => djModeUI.open();
+}
     
     // Volume Boost Button
 const volumeBoostButton = document.getElementById('volume-boost-button');
@@ -2061,8 +2678,8 @@ if (volumeBoostButton && volumeControl) {
 
         // Keyboard shortcuts (User's Code)
         document.addEventListener('keydown', (e) => {
-            // Ignore if typing in input fields
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+            // Ignore if typing in input fields (or picking from a select - digits would re-rate the track)
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT' || e.target.isContentEditable) return;
             
             switch(e.key) {
                 case ' ':
@@ -2130,6 +2747,46 @@ case 'B':
     const currentBoost = volumeControl.isBoostEnabled();
     volumeControl.setBoost(!currentBoost, 1.5);
     break;
+                
+                // Speed (Shift+. / Shift+,) and transpose
+                case '>':
+                    e.preventDefault();
+                    playbackSpeed.increaseRate();
+                    break;
+                case '<':
+                    e.preventDefault();
+                    playbackSpeed.decreaseRate();
+                    break;
+                case ']':
+                    e.preventDefault();
+                    playbackSpeed.transposeUp();
+                    break;
+                case '[':
+                    e.preventDefault();
+                    playbackSpeed.transposeDown();
+                    break;
+                case '\\':
+                    e.preventDefault();
+                    playbackSpeed.reset();
+                    break;
+                
+                // A-B loop: set A, set B, clear
+                case 'a':
+                case 'A':
+                    if (currentTrackIndex === -1 || e.ctrlKey || e.metaKey || e.altKey) break;
+                    e.preventDefault();
+                    abLoop.cycleMarker();
+                    break;
+                case 'r':
+                case 'R': {
+                    // Loop the lyrics line that's playing
+                    if (e.ctrlKey || e.metaKey || e.altKey) break;
+                    const cue = lyricsManager.getCueAt(player.currentTime);
+                    if (!cue) break;
+                    e.preventDefault();
+                    abLoop.loopLine(cue);
+                    break;
+                }
                     
                 case 'c':
                 case 'C':
@@ -2153,6 +2810,25 @@ case 'O':
     e.preventDefault();
     if (folderButton && !folderButton.disabled) folderButton.click();
     break;
+                
+                // Rate the current track (0 clears)
+                case '0':
+                case '1':
+                case '2':
+                case '3':
+                case '4':
+                case '5':
+                    if (currentTrackIndex === -1 || e.ctrlKey || e.metaKey || e.altKey) break;
+                    e.preventDefault();
+                    setTrackRating(playlist[currentTrackIndex], { rating: parseInt(e.key) });
+                    break;
+                case 'k':
+                case 'K':
+                    // K is karaoke mode in fullscreen lyrics
+                    if (currentTrackIndex === -1 || lyricsManager?.state.fullscreen) break;
+                    e.preventDefault();
+                    setTrackRating(playlist[currentTrackIndex], { favorite: !playlist[currentTrackIndex].metadata?.favorite });
+                    break;
                 }
         });
 
@@ -2691,6 +3367,9 @@ document.addEventListener('visibilitychange', () => {
             lyrics: document.getElementById('lyrics-display'),
             playlist: document.getElementById('playlist-container'),
             volume: document.getElementById('volume-control'),
+            speed: document.getElementById('speed-control'),
+            abLoop: document.getElementById('ab-loop-control'),
+            meter: document.getElementById('output-meter'),
             progress: document.getElementById('custom-progress-container'),
             time: document.getElementById('time-display')
         };
@@ -2756,12 +3435,15 @@ function setCompactMode(mode) {
                     if (compactElements.visualizer) compactElements.visualizer.classList.add('compact-hidden');
                     if (compactElements.eq) compactElements.eq.classList.add('compact-hidden');
                     if (compactElements.lyrics) compactElements.lyrics.classList.add('compact-hidden');
+                    if (compactElements.abLoop) compactElements.abLoop.classList.add('compact-hidden');
+                    if (compactElements.meter) compactElements.meter.classList.add('compact-hidden');
                     visualizerEnabled = false; // Disable visualizer
     stopVisualizer();
                     
                     // Show everything else
                     if (compactElements.playlist) compactElements.playlist.classList.remove('compact-hidden');
                     if (compactElements.volume) compactElements.volume.classList.remove('compact-hidden');
+                    if (compactElements.speed) compactElements.speed.classList.remove('compact-hidden');
                     if (compactElements.progress) compactElements.progress.classList.remove('compact-hidden');
                     if (compactElements.time) compactElements.time.classList.remove('compact-hidden');
                     
@@ -3296,29 +3978,11 @@ if (!document.pictureInPictureEnabled) {
 
 // Populate preset dropdown - will be called after audioPresetsManager is created
 function populatePresetDropdown() {
-    const presetSelect = document.getElementById('eq-preset-select');
-    if (presetSelect && audioPresetsManager) {
-        // Clear existing options first
-        presetSelect.innerHTML = '<option value="">Select Preset...</option>';
-        
-        const presets = audioPresetsManager.getPresetList();
-        presets.forEach(preset => {
-            const option = document.createElement('option');
-            option.value = preset.id;
-            option.textContent = preset.name;
-            option.title = preset.description;
-            presetSelect.appendChild(option);
-        });
-        
-        presetSelect.onchange = (e) => {
-            if (e.target.value) {
-                audioPresetsManager.applyPreset(e.target.value);
-            }
-        };
-        
+    if (equalizerUI && audioPresetsManager) {
+        equalizerUI.populatePresets();
         debugLog('EQ preset dropdown populated', 'success');
     }
-} 
+}
 
     // ========== METADATA EDITOR INTEGRATION ==========
 
@@ -3335,7 +3999,7 @@ function openMetadataEditorForTrack(index) {
     metadataEditor.openEditor(index, currentMetadata, (trackIndex, newMetadata) => {
         // Save to custom metadata store
         const file = playlist[trackIndex].fileName;
-        const size = playlist[trackIndex].duration || 0; // Use duration as size proxy
+        const size = playlist[trackIndex].fileSize || 0; // Same key the loader reads back
         
         customMetadataStore.save(file, size, newMetadata);
         
@@ -3348,7 +4012,8 @@ function openMetadataEditorForTrack(index) {
         
         // Re-render playlist to show changes
         playlistRenderer.setPlaylist(playlist, currentTrackIndex);
-playlistRenderer.render();
+        playlistRenderer.refreshRatings();
+        scheduleSmartPlaylistRefresh();
         
         // If this is the currently playing track, update display
         if (trackIndex === currentTrackIndex) {
@@ -3387,6 +4052,17 @@ if (autoLyricsToggle) {
     };
 }
 
+    // Resume threshold (minutes) for long tracks
+const resumeMinDurationSelect = document.getElementById('resume-min-duration');
+
+if (resumeMinDurationSelect) {
+    resumeMinDurationSelect.value = String(resumePositions.minDuration);
+    resumeMinDurationSelect.onchange = () => {
+        resumePositions.setMinDuration(parseInt(resumeMinDurationSelect.value));
+        debugLog(`⏯ Remembering positions in tracks over ${resumePositions.minDuration} min`, 'info');
+    };
+}
+
     // Auto-fetch lyrics button
 const autoLyricsBtn = document.getElementById('auto-lyrics-btn');
 
@@ -3396,6 +4072,13 @@ if (autoLyricsBtn) {
     };
 }
 
+    // Smart playlist generator button
+const smartPlaylistButton = document.getElementById('smart-playlist-btn');
+
+if (smartPlaylistButton) {
+    smartPlaylistButton.onclick = () => smartGeneratorUI.open();
+}
+
     // Deep Analysis Tool button
 const deepAnalysisBtn = document.getElementById('deep-analysis-btn');
 
@@ -3410,13 +4093,13 @@ if (deepAnalysisBtn) {
 // REPLACE the entire startBackgroundAnalysis function with this:
 async function startBackgroundAnalysis() {
     if (backgroundAnalysisRunning) return;
-    if (playlist.length === 0) return;
+    if (libraryTracks.length === 0) return;
     
     backgroundAnalysisRunning = true;
     debugLog('🔍 Starting parallel background analysis...', 'info');
     
-    // Get tracks that need analysis
-    const needsAnalysis = playlist
+    // Get tracks that need analysis (all loaded tracks, not just the active playlist)
+    const needsAnalysis = libraryTracks
         .map((track, index) => ({ track, index }))
         .filter(({ track }) => !track.hasDeepAnalysis && !track.analysis);
     
@@ -3444,13 +4127,14 @@ async function startBackgroundAnalysis() {
                 
                 const analysis = await analyzer.analyzeTrack(file, track.fileName);
                 
-                // Save to playlist
-                playlist[index].analysis = analysis;
+                // Save on the track (shared by every playlist view)
+                track.analysis = analysis;
                 analyzedCount++;
                 
-                // Update visualizer if this is the current track
-                if (index === currentTrackIndex) {
+                // Update visualizer and loudness gain if this is the current track
+                if (track === playlist[currentTrackIndex]) {
                     visualizerManager.setTrackAnalysis(analysis);
+                    applyTrackGain(track);
                     debugLog('🎨 Current track visualizer upgraded!', 'success');
                 }
                 
@@ -3467,6 +4151,8 @@ async function startBackgroundAnalysis() {
         // Update UI after each batch
         playlistRenderer.setPlaylist(playlist, currentTrackIndex);
         playlistRenderer.render();
+        scheduleSmartPlaylistRefresh();
+        updateSmartPlaylistButton();
         
         // Save progress every batch
         if (analyzedCount % batchSize === 0) {
@@ -3485,6 +4171,26 @@ async function startBackgroundAnalysis() {
     }
     
     backgroundAnalysisRunning = false;
+    updateSmartPlaylistButton();
+}
+
+/**
+ * Enable the generator once tracks are loaded and show how many are analyzed
+ */
+function updateSmartPlaylistButton() {
+    const tracks = libraryTracks;
+    const analyzed = tracks.filter(track => track.analysis).length;
+    
+    if (smartPlaylistButton) {
+        smartPlaylistButton.disabled = tracks.length === 0;
+        smartPlaylistButton.title = tracks.length > 0
+            ? `${analyzed} of ${tracks.length} tracks analyzed`
+            : 'Load music first';
+    }
+    
+    if (smartGeneratorUI) {
+        smartGeneratorUI.updateAnalysisStatus(backgroundAnalysisRunning);
+    }
 }
 // ========== END BACKGROUND ANALYSIS ==========
 
@@ -0,0 +1,390 @@
+/* ============================================
+   Sleep Timer Manager - Stops playback after a time or
+   a number of tracks, fading out over the final minute
+   ============================================ */
+
+class SleepTimerManager {
+    constructor(player, debugLog) {
+        this.player = player;
+        this.debugLog = debugLog;
+        this.modal = null;
+
+        this.presets = [5, 10, 15, 30, 45, 60, 90, 120]; // minutes
+        this.trackPresets = [1, 2, 3, 5];
+
+        // Settings
+        this.fadeSeconds = 60;
+        this.releaseWakeLock = localStorage.getItem('sleepTimerReleaseWakeLock') !== 'false';
+        this.customMinutes = parseInt(localStorage.getItem('sleepTimerCustomMinutes')) || 25;
+
+        // Timer state
+        this.mode = null; // 'time' | 'tracks'
+        this.endsAt = null;
+        this.tracksLeft = 0;
+        this.fading = false;
+        this.tickInterval = null;
+
+        // Providers (set by init)
+        this.fadeOut = (seconds, done) => done();
+        this.cancelFadeOut = () => {};
+        this.releaseWake = () => {};
+        this.setSessionStatus = () => {};
+        this.holdTransitions = () => {};
+        this.getRate = () => this.player.playbackRate || 1;
+
+        // UI
+        this.display = null;
+        this.sidebarLabel = null;
+    }
+
+    /**
+     * @param {Object} config - { fadeOut(seconds, done), cancelFadeOut, releaseWakeLock, setSessionStatus(text),
+     *                            holdTransitions(held), getRate, display, sidebarLabel }
+     */
+    init(config = {}) {
+        if (config.fadeOut) this.fadeOut = config.fadeOut;
+        if (config.cancelFadeOut) this.cancelFadeOut = config.cancelFadeOut;
+        if (config.releaseWakeLock) this.releaseWake = config.releaseWakeLock;
+        if (config.setSessionStatus) this.setSessionStatus = config.setSessionStatus;
+        if (config.holdTransitions) this.holdTransitions = config.holdTransitions;
+        if (config.getRate) this.getRate = config.getRate;
+        if (config.display) this.display = config.display;
+        if (config.sidebarLabel) this.sidebarLabel = config.sidebarLabel;
+
+        if (this.display) this.display.onclick = () => this.open();
+        this.render();
+    }
+
+    // ========== TIMER ==========
+
+    /**
+     * Stop after a number of minutes
+     */
+    startMinutes(minutes) {
+        this.cancel(true);
+        this.mode = 'time';
+        this.endsAt = Date.now() + minutes * 60 * 1000;
+        this.startTicking();
+
+        this.debugLog(`💤 Sleep timer: ${minutes} min`, 'success');
+    }
+
+    /**
+     * Stop when the current track (count = 1) or the next few tracks have finished
+     */
+    startTracks(count) {
+        this.cancel(true);
+        this.mode = 'tracks';
+        this.tracksLeft = count;
+        this.holdTransitions(count === 1);
+        this.startTicking();
+
+        this.debugLog(`💤 Sleep timer: after ${count === 1 ? 'this track' : `${count} tracks`}`, 'success');
+    }
+
+    /**
+     * Add time to a running timer
+     */
+    extend(minutes) {
+        if (this.mode !== 'time') return;
+
+        if (this.fading) {
+            this.cancelFadeOut();
+            this.fading = false;
+        }
+        this.endsAt += minutes * 60 * 1000;
+        this.tick();
+        this.debugLog(`💤 Sleep timer extended by ${minutes} min`, 'info');
+    }
+
+    /**
+     * @param {boolean} silent - Replaced by a new timer (no log)
+     */
+    cancel(silent = false) {
+        if (!this.mode) return;
+
+        if (this.fading) this.cancelFadeOut();
+        if (this.mode === 'tracks') this.holdTransitions(false);
+
+        this.reset();
+        if (!silent) this.debugLog('💤 Sleep timer cancelled', 'info');
+    }
+
+    reset() {
+        clearInterval(this.tickInterval);
+        this.tickInterval = null;
+        this.mode = null;
+        this.endsAt = null;
+        this.tracksLeft = 0;
+        this.fading = false;
+
+        this.setSessionStatus(null);
+        this.render();
+    }
+
+    isActive() {
+        return this.mode !== null;
+    }
+
+    startTicking() {
+        clearInterval(this.tickInterval);
+        this.tickInterval = setInterval(() => this.tick(), 1000);
+        this.tick();
+    }
+
+    tick() {
+        if (!this.mode) return;
+
+        const remaining = this.getRemainingSeconds();
+
+        if (this.mode === 'time' && remaining <= 0) {
+            this.fire();
+            return;
+        }
+
+        // Only the last track fades (and only while it's actually playing)
+        const canFade = this.mode === 'time' || (this.tracksLeft === 1 && !this.player.paused);
+        if (!this.fading && canFade && remaining !== null && remaining <= this.fadeSeconds) {
+            this.fading = true;
+            this.fadeOut(Math.max(1, remaining), () => {});
+            this.debugLog(`💤 Fading out over ${Math.round(remaining)}s`, 'info');
+        }
+
+        this.render();
+    }
+
+    /**
+     * Real seconds until the timer fires (null when it depends on tracks still to come)
+     */
+    getRemainingSeconds() {
+        if (this.mode === 'time') return Math.max(0, (this.endsAt - Date.now()) / 1000);
+
+        if (this.mode === 'tracks' && this.tracksLeft === 1) {
+            const duration = this.player.duration;
+            if (!duration || !isFinite(duration)) return null;
+            return Math.max(0, (duration - this.player.currentTime) / this.getRate());
+        }
+
+        return null;
+    }
+
+    /**
+     * A new track started (counts down "after N tracks")
+     */
+    trackStarted() {
+        if (this.mode !== 'tracks' || this.tracksLeft <= 1) return;
+
+        this.tracksLeft--;
+        if (this.tracksLeft === 1) this.holdTransitions(true);
+        this.render();
+    }
+
+    /**
+     * Current track ended
+     * @returns {boolean} True if the timer stopped playback here (don't advance)
+     */
+    handleTrackEnd() {
+        if (this.mode !== 'tracks' || this.tracksLeft !== 1) return false;
+
+        this.fire();
+        return true;
+    }
+
+    /**
+     * Time's up - stop playback
+     */
+    fire() {
+        const mode = this.mode;
+        if (mode === 'tracks') this.holdTransitions(false);
+
+        // Normally already faded; a short timer may not have had the time to
+        const faded = this.fading;
+        if (!faded) this.fadeOut(0.5, () => {});
+        this.reset();
+
+        setTimeout(() => {
+            if (!this.player.paused) this.player.pause();
+            if (this.releaseWakeLock) this.releaseWake();
+        }, faded ? 0 : 600);
+
+        this.debugLog('💤 Sleep timer finished - playback stopped', 'success');
+    }
+
+    // ========== DISPLAY ==========
+
+    /**
+     * Short countdown text (null when no timer is set)
+     */
+    getStatusText() {
+        if (!this.mode) return null;
+
+        const remaining = this.getRemainingSeconds();
+        if (this.mode === 'tracks' && this.tracksLeft > 1) return `💤 ${this.tracksLeft} tracks`;
+        if (remaining === null) return '💤 End of track';
+        return `💤 ${this.formatTime(remaining)}`;
+    }
+
+    render() {
+        const text = this.getStatusText();
+
+        if (this.display) {
+            this.display.textContent = text || '';
+            this.display.style.display = text ? '' : 'none';
+            this.display.classList.toggle('fading', this.fading);
+            this.display.title = this.mode === 'tracks' ? 'Stops at the end of the track' : 'Click to change the sleep timer';
+        }
+        if (this.sidebarLabel) {
+            this.sidebarLabel.textContent = text ? `Sleep ${text.replace('💤 ', '')}` : 'Sleep Timer';
+        }
+
+        // Media Session text changes once a minute (every second would spam the OS)
+        this.setSessionStatus(text ? this.getSessionText() : null);
+
+        this.renderModalStatus();
+    }
+
+    getSessionText() {
+        const remaining = this.getRemainingSeconds();
+        if (this.mode === 'tracks') {
+            return this.tracksLeft > 1 ? `💤 Sleep after ${this.tracksLeft} tracks` : '💤 Sleep after this track';
+        }
+        return remaining < 60 ? '💤 Sleep in <1 min' : `💤 Sleep in ${Math.ceil(remaining / 60)} min`;
+    }
+
+    // ========== MODAL ==========
+
+    open() {
+        if (this.modal) return;
+
+        this.modal = document.createElement('div');
+        this.modal.id = 'sleep-timer-modal';
+        this.modal.innerHTML = `
+            <div class="metadata-editor-overlay"></div>
+            <div class="metadata-editor-content sleep-timer-content">
+                <div class="metadata-editor-header">
+                    <h2>💤 Sleep Timer</h2>
+                    <button class="metadata-editor-close">✕</button>
+                </div>
+                <div class="metadata-editor-body">
+                    <div class="sleep-timer-status"></div>
+
+                    <div class="metadata-form-group">
+                        <label>Stop after</label>
+                        <div class="sleep-timer-presets">
+                            ${this.presets.map(minutes => `
+                                <button type="button" class="sleep-timer-preset" data-minutes="${minutes}">
+                                    ${minutes < 60 ? `${minutes} min` : `${minutes / 60} h${minutes % 60 ? ` ${minutes % 60} min` : ''}`}
+                                </button>
+                            `).join('')}
+                        </div>
+                    </div>
+
+                    <div class="metadata-form-group sleep-timer-custom">
+                        <label for="sleep-timer-minutes">Custom</label>
+                        <input type="number" id="sleep-timer-minutes" min="1" max="720" value="${this.customMinutes}">
+                        <span>min</span>
+                        <button type="button" class="btn-secondary sleep-timer-start-custom">Start</button>
+                    </div>
+
+                    <div class="metadata-form-group">
+                        <label>Or stop at the end of</label>
+                        <div class="sleep-timer-presets">
+                            ${this.trackPresets.map(count => `
+                                <button type="button" class="sleep-timer-preset" data-tracks="${count}">
+                                    ${count === 1 ? 'This track' : `${count} tracks`}
+                                </button>
+                            `).join('')}
+                        </div>
+                    </div>
+
+                    <label class="sleep-timer-option">
+                        <input type="checkbox" id="sleep-timer-wake-lock" ${this.releaseWakeLock ? 'checked' : ''}>
+                        Let the screen turn off when the timer ends
+                    </label>
+
+                    <div class="metadata-form-actions">
+                        <button type="button" class="btn-secondary sleep-timer-extend">+5 min</button>
+                        <button type="button" class="btn-primary sleep-timer-cancel">Cancel Timer</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelector('.metadata-editor-close').onclick = () => this.close();
+        this.modal.querySelector('.metadata-editor-overlay').onclick = () => this.close();
+
+        this.modal.querySelectorAll('.sleep-timer-preset').forEach(button => {
+            button.onclick = () => {
+                if (button.dataset.minutes) this.startMinutes(parseInt(button.dataset.minutes));
+                else this.startTracks(parseInt(button.dataset.tracks));
+                this.close();
+            };
+        });
+
+        this.modal.querySelector('.sleep-timer-start-custom').onclick = () => {
+            const minutes = parseInt(this.modal.querySelector('#sleep-timer-minutes').value);
+            if (!minutes || minutes < 1) return;
+
+            this.customMinutes = minutes;
+            localStorage.setItem('sleepTimerCustomMinutes', minutes);
+            this.startMinutes(minutes);
+            this.close();
+        };
+
+        this.modal.querySelector('#sleep-timer-wake-lock').onchange = (e) => {
+            this.releaseWakeLock = e.target.checked;
+            localStorage.setItem('sleepTimerReleaseWakeLock', this.releaseWakeLock);
+        };
+
+        this.modal.querySelector('.sleep-timer-extend').onclick = () => this.extend(5);
+        this.modal.querySelector('.sleep-timer-cancel').onclick = () => {
+            this.cancel();
+            this.close();
+        };
+
+        this.renderModalStatus();
+        requestAnimationFrame(() => {
+            this.modal?.classList.add('show');
+        });
+    }
+
+    renderModalStatus() {
+        if (!this.modal) return;
+
+        const status = this.modal.querySelector('.sleep-timer-status');
+        const text = this.getStatusText();
+        status.textContent = text ? `${text}${this.fading ? ' · fading out' : ''}` : 'No timer set';
+        status.classList.toggle('active', !!text);
+
+        this.modal.querySelector('.sleep-timer-extend').disabled = this.mode !== 'time';
+        this.modal.querySelector('.sleep-timer-cancel').disabled = !this.mode;
+    }
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.classList.remove('show');
+        const modal = this.modal;
+        this.modal = null;
+        setTimeout(() => modal.remove(), 300);
+    }
+
+    // ========== Utilities ==========
+
+    formatTime(seconds) {
+        const total = Math.ceil(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = total % 60;
+        return hours > 0
+            ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`
+            : `${minutes}:${secs.toString().padStart(2, '0')}`;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SleepTimerManager;
+}
@@ -0,0 +1,323 @@
+/* ============================================
+   Smart Playlist Editor - Rule builder modal
+   ============================================ */
+
+class SmartPlaylistEditor {
+    constructor(debugLog, ruleEngine) {
+        this.debugLog = debugLog;
+        this.ruleEngine = ruleEngine;
+        this.modal = null;
+        this.rules = null;
+        this.onSaveCallback = null;
+        this.previewCallback = null;
+    }
+
+    /**
+     * Open the rule builder
+     * @param {Object|null} playlist - Existing smart playlist record, or null for a new one
+     * @param {Function} onSave - (name, rules) => void
+     * @param {Function} preview - (rules) => number of matching tracks
+     */
+    openEditor(playlist, onSave, preview) {
+        this.onSaveCallback = onSave;
+        this.previewCallback = preview;
+        this.rules = playlist
+            ? JSON.parse(JSON.stringify(playlist.rules))
+            : this.ruleEngine.createDefaultRules();
+
+        if (this.modal) {
+            this.modal.remove();
+        }
+
+        this.modal = document.createElement('div');
+        this.modal.id = 'smart-playlist-editor-modal';
+        this.modal.innerHTML = `
+            <div class="metadata-editor-overlay"></div>
+            <div class="metadata-editor-content">
+                <div class="metadata-editor-header">
+                    <h2>🧠 ${playlist ? 'Edit' : 'New'} Smart Playlist</h2>
+                    <button class="metadata-editor-close">✕</button>
+                </div>
+
+                <div class="metadata-editor-body">
+                    <div class="metadata-form-group">
+                        <label for="smart-playlist-name">Name *</label>
+                        <input type="text" id="smart-playlist-name" value="${this.escapeHtml(playlist?.name || '')}" placeholder="e.g. Fast & Unplayed">
+                    </div>
+
+                    <div class="smart-rules-match">
+                        Match
+                        <select class="smart-select" data-role="match">
+                            <option value="all">all</option>
+                            <option value="any">any</option>
+                        </select>
+                        of these groups
+                    </div>
+
+                    <div class="smart-rule-groups"></div>
+                    <button type="button" class="btn-secondary smart-add-group">➕ Add Group</button>
+
+                    <div class="smart-rules-footer">
+                        <label>Sort by
+                            <select class="smart-select" data-role="sort-field">
+                                ${Object.entries(this.ruleEngine.sortFields).map(([value, label]) =>
+                                    `<option value="${value}">${label}</option>`).join('')}
+                            </select>
+                        </label>
+                        <select class="smart-select" data-role="sort-order">
+                            <option value="asc">Ascending</option>
+                            <option value="desc">Descending</option>
+                        </select>
+                        <label>Limit
+                            <input type="number" class="smart-input smart-limit" data-role="limit" min="0" placeholder="No limit">
+                        </label>
+                    </div>
+
+                    <div class="smart-rules-preview"></div>
+
+                    <div class="metadata-form-actions">
+                        <button type="button" class="btn-secondary smart-cancel">Cancel</button>
+                        <button type="button" class="btn-primary smart-save">💾 Save Smart Playlist</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelector('[data-role="match"]').value = this.rules.match;
+        this.modal.querySelector('[data-role="sort-field"]').value = this.rules.sort?.field || 'random';
+        this.modal.querySelector('[data-role="sort-order"]').value = this.rules.sort?.order || 'asc';
+        this.modal.querySelector('[data-role="limit"]').value = this.rules.limit || '';
+
+        this.renderGroups();
+        this.attachEventListeners();
+
+        requestAnimationFrame(() => {
+            this.modal.classList.add('show');
+        });
+
+        setTimeout(() => {
+            document.getElementById('smart-playlist-name')?.focus();
+        }, 300);
+    }
+
+    /**
+     * Render all rule groups from this.rules
+     */
+    renderGroups() {
+        const container = this.modal.querySelector('.smart-rule-groups');
+
+        container.innerHTML = this.rules.groups.map((group, groupIndex) => `
+            <div class="smart-rule-group" data-group="${groupIndex}">
+                <div class="smart-rule-group-header">
+                    <span>Group ${groupIndex + 1}: match</span>
+                    <select class="smart-select" data-role="group-match">
+                        <option value="all" ${group.match !== 'any' ? 'selected' : ''}>all</option>
+                        <option value="any" ${group.match === 'any' ? 'selected' : ''}>any</option>
+                    </select>
+                    <button type="button" class="smart-icon-btn" data-role="remove-group" title="Remove group">🗑️</button>
+                </div>
+                ${group.conditions.map((condition, conditionIndex) => this.buildConditionRow(condition, conditionIndex)).join('')}
+                <button type="button" class="smart-icon-btn smart-add-condition" data-role="add-condition">➕ Condition</button>
+            </div>
+        `).join('');
+
+        this.updatePreview();
+    }
+
+    buildConditionRow(condition, conditionIndex) {
+        const field = this.ruleEngine.fields[condition.field] || this.ruleEngine.fields.artist;
+        const operators = this.ruleEngine.operators[field.type];
+
+        // Group field options by Metadata / Analysis / Usage
+        const fieldGroups = {};
+        Object.entries(this.ruleEngine.fields).forEach(([key, def]) => {
+            (fieldGroups[def.group] = fieldGroups[def.group] || []).push(
+                `<option value="${key}" ${key === condition.field ? 'selected' : ''}>${def.label}</option>`
+            );
+        });
+
+        let valueHTML = '';
+        if (field.type === 'enum') {
+            valueHTML = `
+                <select class="smart-select" data-role="value">
+                    ${field.options.map(option =>
+                        `<option value="${option}" ${option === condition.value ? 'selected' : ''}>${option}</option>`).join('')}
+                </select>
+            `;
+        } else if (field.type === 'boolean' || condition.operator === 'never') {
+            valueHTML = '';
+        } else {
+            const inputType = field.type === 'text' ? 'text' : 'number';
+            valueHTML = `<input type="${inputType}" class="smart-input" data-role="value" value="${this.escapeHtml(condition.value ?? '')}">`;
+            if (condition.operator === 'between') {
+                valueHTML += `<span>and</span><input type="number" class="smart-input" data-role="value2" value="${this.escapeHtml(condition.value2 ?? '')}">`;
+            }
+        }
+
+        return `
+            <div class="smart-condition" data-condition="${conditionIndex}">
+                <select class="smart-select" data-role="field">
+                    ${Object.entries(fieldGroups).map(([group, options]) =>
+                        `<optgroup label="${group}">${options.join('')}</optgroup>`).join('')}
+                </select>
+                <select class="smart-select" data-role="operator">
+                    ${Object.entries(operators).map(([value, label]) =>
+                        `<option value="${value}" ${value === condition.operator ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                ${valueHTML}
+                <button type="button" class="smart-icon-btn" data-role="remove-condition" title="Remove condition">✕</button>
+            </div>
+        `;
+    }
+
+    attachEventListeners() {
+        const close = () => this.closeEditor();
+
+        this.modal.querySelector('.metadata-editor-close').onclick = close;
+        this.modal.querySelector('.metadata-editor-overlay').onclick = close;
+        this.modal.querySelector('.smart-cancel').onclick = close;
+
+        this.modal.querySelector('.smart-add-group').onclick = () => {
+            this.rules.groups.push({ match: 'all', conditions: [{ field: 'artist', operator: 'contains', value: '' }] });
+            this.renderGroups();
+        };
+
+        this.modal.querySelector('.smart-save').onclick = () => this.save();
+
+        // Top-level settings
+        this.modal.querySelector('.smart-rules-footer').addEventListener('change', () => this.readFooter());
+        this.modal.querySelector('[data-role="match"]').onchange = (e) => {
+            this.rules.match = e.target.value;
+            this.updatePreview();
+        };
+
+        const groups = this.modal.querySelector('.smart-rule-groups');
+
+        // Structural changes re-render, value typing only refreshes the preview
+        groups.addEventListener('click', (e) => {
+            const role = e.target.dataset.role;
+            const groupElement = e.target.closest('.smart-rule-group');
+            if (!groupElement || !role) return;
+
+            const group = this.rules.groups[parseInt(groupElement.dataset.group)];
+
+            if (role === 'remove-group') {
+                this.rules.groups.splice(parseInt(groupElement.dataset.group), 1);
+                this.renderGroups();
+            } else if (role === 'add-condition') {
+                group.conditions.push({ field: 'artist', operator: 'contains', value: '' });
+                this.renderGroups();
+            } else if (role === 'remove-condition') {
+                const conditionElement = e.target.closest('.smart-condition');
+                group.conditions.splice(parseInt(conditionElement.dataset.condition), 1);
+                this.renderGroups();
+            }
+        });
+
+        groups.addEventListener('change', (e) => {
+            const role = e.target.dataset.role;
+            const groupElement = e.target.closest('.smart-rule-group');
+            if (!groupElement) return;
+
+            const group = this.rules.groups[parseInt(groupElement.dataset.group)];
+
+            if (role === 'group-match') {
+                group.match = e.target.value;
+                this.updatePreview();
+                return;
+            }
+
+            const conditionElement = e.target.closest('.smart-condition');
+            if (!conditionElement) return;
+            const condition = group.conditions[parseInt(conditionElement.dataset.condition)];
+
+            if (role === 'field') {
+                const field = this.ruleEngine.fields[e.target.value];
+                condition.field = e.target.value;
+                condition.operator = Object.keys(this.ruleEngine.operators[field.type])[0];
+                condition.value = field.type === 'enum' ? field.options[0] : '';
+                delete condition.value2;
+                this.renderGroups();
+            } else if (role === 'operator') {
+                condition.operator = e.target.value;
+                this.renderGroups();
+            } else if (role === 'value' || role === 'value2') {
+                condition[role] = e.target.value;
+                this.updatePreview();
+            }
+        });
+
+        groups.addEventListener('input', (e) => {
+            const role = e.target.dataset.role;
+            if (role !== 'value' && role !== 'value2') return;
+
+            const groupElement = e.target.closest('.smart-rule-group');
+            const conditionElement = e.target.closest('.smart-condition');
+            const group = this.rules.groups[parseInt(groupElement.dataset.group)];
+            group.conditions[parseInt(conditionElement.dataset.condition)][role] = e.target.value;
+            this.updatePreview();
+        });
+    }
+
+    readFooter() {
+        this.rules.sort = {
+            field: this.modal.querySelector('[data-role="sort-field"]').value,
+            order: this.modal.querySelector('[data-role="sort-order"]').value
+        };
+        this.rules.limit = parseInt(this.modal.querySelector('[data-role="limit"]').value) || 0;
+        this.updatePreview();
+    }
+
+    updatePreview() {
+        const preview = this.modal?.querySelector('.smart-rules-preview');
+        if (!preview) return;
+
+        const count = this.previewCallback ? this.previewCallback(this.rules) : null;
+        preview.innerHTML = `
+            <div>${this.escapeHtml(this.ruleEngine.describe(this.rules))}</div>
+            ${count !== null ? `<strong>${count} matching track${count !== 1 ? 's' : ''} in the loaded library</strong>` : ''}
+        `;
+    }
+
+    save() {
+        const name = document.getElementById('smart-playlist-name').value.trim();
+        if (!name) {
+            alert('Please give the smart playlist a name.');
+            return;
+        }
+
+        this.readFooter();
+
+        // Drop groups that ended up empty
+        this.rules.groups = this.rules.groups.filter(group => group.conditions.length > 0);
+
+        if (this.onSaveCallback) {
+            this.onSaveCallback(name, this.rules);
+        }
+
+        this.debugLog(`🧠 Smart playlist saved: ${name}`, 'success');
+        this.closeEditor();
+    }
+
+    closeEditor() {
+        if (!this.modal) return;
+
+        this.modal.classList.remove('show');
+        const modal = this.modal;
+        this.modal = null;
+        setTimeout(() => modal.remove(), 300);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SmartPlaylistEditor;
+}
@@ -0,0 +1,278 @@
+/* ============================================
+   Smart Playlist Generator UI - Template picker,
+   energy curve and stats preview
+   ============================================ */
+
+class SmartPlaylistGeneratorUI {
+    constructor(debugLog, generator) {
+        this.debugLog = debugLog;
+        this.generator = generator;
+        this.modal = null;
+        this.result = null;
+        this.targetDuration = parseInt(localStorage.getItem('smartPlaylistDuration')) || 60;
+
+        // Set by init
+        this.getTracks = () => [];
+        this.onAnalyze = null;
+        this.onLoad = null;
+    }
+
+    /**
+     * @param {Object} config - { getTracks, onAnalyze, onLoad(result) }
+     */
+    init(config = {}) {
+        if (config.getTracks) this.getTracks = config.getTracks;
+        if (config.onAnalyze) this.onAnalyze = config.onAnalyze;
+        if (config.onLoad) this.onLoad = config.onLoad;
+    }
+
+    /**
+     * Open on the template picker
+     */
+    open() {
+        this.createModal();
+        this.showTemplates();
+    }
+
+    /**
+     * Open on a ready-made result (e.g. "Find similar")
+     * @param {Object} result - { name, description, tracks, stats, targetCurve? }
+     */
+    showResult(result) {
+        this.createModal();
+        this.result = result;
+
+        const body = this.modal.querySelector('.metadata-editor-body');
+        body.innerHTML = `
+            <div class="smart-result-header">
+                <h3>${this.escapeHtml(result.name)}</h3>
+                <p>${this.escapeHtml(result.description || '')}</p>
+            </div>
+
+            <canvas class="smart-energy-canvas" width="560" height="120"></canvas>
+            <div class="smart-energy-legend">
+                ${result.targetCurve ? '<span class="legend-target">Target energy</span>' : ''}
+                <span class="legend-actual">Track energy</span>
+            </div>
+
+            ${this.buildStatsHTML(result.stats)}
+
+            <ol class="smart-result-tracks">
+                ${result.tracks.map(track => `
+                    <li>
+                        <span class="smart-result-title">${this.escapeHtml(track.metadata?.title || track.fileName)}</span>
+                        <span class="smart-result-artist">${this.escapeHtml(track.metadata?.artist || '')}</span>
+                        <span class="smart-result-meta">${track.analysis ? `${Math.round(track.analysis.bpm)} BPM · ${Math.round(track.analysis.energy * 100)}%` : ''}</span>
+                    </li>
+                `).join('')}
+            </ol>
+
+            <div class="metadata-form-actions">
+                <button type="button" class="btn-secondary smart-back">◀ Templates</button>
+                <button type="button" class="btn-primary smart-load" ${result.tracks.length === 0 ? 'disabled' : ''}>▶ Load into Player</button>
+            </div>
+        `;
+
+        body.querySelector('.smart-back').onclick = () => this.showTemplates();
+        body.querySelector('.smart-load').onclick = () => {
+            if (this.onLoad) this.onLoad(this.result);
+            this.close();
+        };
+
+        this.drawEnergyCurve(body.querySelector('.smart-energy-canvas'), result);
+    }
+
+    // ========== VIEWS ==========
+
+    createModal() {
+        if (this.modal) return;
+
+        this.modal = document.createElement('div');
+        this.modal.id = 'smart-generator-modal';
+        this.modal.innerHTML = `
+            <div class="metadata-editor-overlay"></div>
+            <div class="metadata-editor-content">
+                <div class="metadata-editor-header">
+                    <h2>🧠 Smart Playlist Generator</h2>
+                    <button class="metadata-editor-close">✕</button>
+                </div>
+                <div class="metadata-editor-body"></div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelector('.metadata-editor-close').onclick = () => this.close();
+        this.modal.querySelector('.metadata-editor-overlay').onclick = () => this.close();
+
+        requestAnimationFrame(() => {
+            this.modal?.classList.add('show');
+        });
+    }
+
+    showTemplates() {
+        this.result = null;
+        const body = this.modal.querySelector('.metadata-editor-body');
+
+        body.innerHTML = `
+            <div class="smart-analysis-status"></div>
+
+            <div class="metadata-form-group">
+                <label for="smart-target-duration">Target length (minutes)</label>
+                <input type="number" id="smart-target-duration" min="5" max="600" step="5" value="${this.targetDuration}">
+            </div>
+
+            <div class="smart-template-grid">
+                ${Object.entries(this.generator.getTemplates()).map(([id, template]) => `
+                    <button type="button" class="smart-template-card" data-template="${id}">
+                        <span class="smart-template-icon">${template.icon}</span>
+                        <strong>${template.name}</strong>
+                        <small>${template.description}</small>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+
+        body.querySelector('#smart-target-duration').onchange = (e) => {
+            this.targetDuration = Math.max(5, parseInt(e.target.value) || 60);
+            localStorage.setItem('smartPlaylistDuration', this.targetDuration);
+        };
+
+        body.querySelector('.smart-template-grid').onclick = (e) => {
+            const card = e.target.closest('.smart-template-card');
+            if (!card) return;
+            this.generateFromTemplate(card.dataset.template);
+        };
+
+        this.updateAnalysisStatus();
+    }
+
+    generateFromTemplate(templateId) {
+        const tracks = this.getTracks();
+        if (!tracks.some(track => track.analysis)) {
+            alert('No analyzed tracks yet - run the analysis first.');
+            return;
+        }
+
+        const result = this.generator.generate(templateId, tracks, { targetDuration: this.targetDuration });
+        if (result.tracks.length === 0) {
+            alert('None of the analyzed tracks fit this template. Try another one or analyze more music.');
+            return;
+        }
+
+        this.showResult(result);
+    }
+
+    /**
+     * Refresh the "X of Y analyzed" line (called while background analysis runs)
+     */
+    updateAnalysisStatus(running = false) {
+        const status = this.modal?.querySelector('.smart-analysis-status');
+        if (!status) return;
+
+        const tracks = this.getTracks();
+        const analyzed = tracks.filter(track => track.analysis).length;
+        const remaining = tracks.length - analyzed;
+
+        status.innerHTML = `
+            <span>📊 ${analyzed} of ${tracks.length} tracks analyzed</span>
+            ${remaining > 0 ? `<button type="button" class="btn-secondary smart-analyze" ${running ? 'disabled' : ''}>
+                ${running ? '⏳ Analyzing...' : `🔍 Analyze ${remaining} remaining`}
+            </button>` : ''}
+        `;
+
+        const analyzeButton = status.querySelector('.smart-analyze');
+        if (analyzeButton && this.onAnalyze) {
+            analyzeButton.onclick = async () => {
+                this.updateAnalysisStatus(true);
+                await this.onAnalyze();
+                this.updateAnalysisStatus();
+            };
+        }
+    }
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.classList.remove('show');
+        const modal = this.modal;
+        this.modal = null;
+        setTimeout(() => modal.remove(), 300);
+    }
+
+    // ========== RENDERING ==========
+
+    buildStatsHTML(stats) {
+        const minutes = Math.round(stats.totalDuration / 60);
+        const moods = Object.entries(stats.moodDistribution)
+            .sort((a, b) => b[1] - a[1])
+            .map(([mood, count]) => `<span class="smart-mood-chip">${mood} ${count}</span>`)
+            .join('');
+
+        return `
+            <div class="smart-result-stats">
+                <div><strong>${stats.trackCount}</strong><span>Tracks</span></div>
+                <div><strong>${minutes} min</strong><span>Duration</span></div>
+                <div><strong>${stats.avgBpm || '--'}</strong><span>Avg BPM${stats.bpmRange ? ` (${Math.round(stats.bpmRange.min)}-${Math.round(stats.bpmRange.max)})` : ''}</span></div>
+                <div><strong>${Math.round(stats.avgEnergy * 100)}%</strong><span>Avg Energy</span></div>
+                <div><strong>${Math.round(stats.avgDanceability * 100)}%</strong><span>Danceability</span></div>
+            </div>
+            ${moods ? `<div class="smart-mood-distribution">${moods}</div>` : ''}
+        `;
+    }
+
+    /**
+     * Target curve (dashed) against the energy of each chosen track
+     */
+    drawEnergyCurve(canvas, result) {
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const padding = 8;
+        const energies = result.tracks.map(track => track.analysis?.energy ?? 0);
+        const count = energies.length;
+
+        ctx.clearRect(0, 0, width, height);
+        if (count === 0) return;
+
+        const x = (i) => padding + (count > 1 ? i / (count - 1) : 0.5) * (width - padding * 2);
+        const y = (energy) => height - padding - Math.max(0, Math.min(1, energy)) * (height - padding * 2);
+
+        const drawLine = (values, color, dashed) => {
+            ctx.beginPath();
+            ctx.setLineDash(dashed ? [6, 4] : []);
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            values.forEach((value, i) => {
+                if (i === 0) ctx.moveTo(x(i), y(value));
+                else ctx.lineTo(x(i), y(value));
+            });
+            ctx.stroke();
+        };
+
+        if (result.targetCurve) {
+            drawLine(result.targetCurve, 'rgba(255, 255, 255, 0.5)', true);
+        }
+        drawLine(energies, '#dc3545', false);
+
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#dc3545';
+        energies.forEach((energy, i) => {
+            ctx.beginPath();
+            ctx.arc(x(i), y(energy), 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SmartPlaylistGeneratorUI;
+}
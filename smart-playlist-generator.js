@@ -0,0 +1,320 @@
+/* ============================================
+   SMART PLAYLIST GENERATOR
+   Builds template playlists (Workout, Focus, DJ Mix...) from
+   MusicAnalyzer results, shaped to a target energy curve
+   ============================================ */
+
+class SmartPlaylistGenerator {
+    constructor(debugLog = console.log) {
+        this.debugLog = debugLog;
+
+        // Used when neither the track nor its analysis knows the duration
+        this.fallbackDuration = 210;
+
+        // energy: target range (0-1) the curve moves through
+        // curve: ascending | descending | flat | peak | wave
+        // bpm: preferred range (half/double time also counts)
+        // moods: preferred moods, others are penalised
+        // minDanceability: tracks below this lose points
+        // smoothTransitions: penalise big BPM/key jumps when ordering
+        this.templates = {
+            workout: {
+                name: 'High Energy Workout', icon: '💪',
+                description: 'Energetic tracks to power through workouts - warm-up, peak, cool-down',
+                energy: [0.55, 0.95], curve: 'peak', bpm: [120, 160],
+                moods: ['energetic', 'bright'], minDanceability: 0.4
+            },
+            focus: {
+                name: 'Focus & Study', icon: '📚',
+                description: 'Calm, consistent tracks for concentration',
+                energy: [0.25, 0.45], curve: 'flat', bpm: [60, 110],
+                moods: ['calm', 'neutral'], smoothTransitions: true
+            },
+            djmix: {
+                name: 'Seamless DJ Mix', icon: '🎧',
+                description: 'BPM and key-matched for smooth transitions, building in waves',
+                energy: [0.45, 0.9], curve: 'wave', bpm: [110, 135],
+                moods: ['energetic', 'bright', 'neutral'], minDanceability: 0.5, smoothTransitions: true
+            },
+            wakeup: {
+                name: 'Gentle Wake Up', icon: '☀️',
+                description: 'Gradually increasing energy',
+                energy: [0.2, 0.8], curve: 'ascending', bpm: [70, 130],
+                moods: ['bright', 'calm', 'neutral']
+            },
+            party: {
+                name: 'Party Mix', icon: '🎉',
+                description: 'High energy, danceable tracks',
+                energy: [0.6, 0.95], curve: 'peak', bpm: [115, 135],
+                moods: ['energetic', 'bright'], minDanceability: 0.6
+            },
+            chill: {
+                name: 'Chill Vibes', icon: '😌',
+                description: 'Relaxed, mellow atmosphere',
+                energy: [0.2, 0.45], curve: 'flat', bpm: [60, 105],
+                moods: ['calm', 'neutral', 'dark']
+            },
+            running: {
+                name: 'Running Pace', icon: '🏃',
+                description: 'Consistent tempo for running (150-180 BPM)',
+                energy: [0.6, 0.85], curve: 'flat', bpm: [150, 180],
+                moods: ['energetic', 'bright'], smoothTransitions: true
+            },
+            sleep: {
+                name: 'Sleep & Relaxation', icon: '😴',
+                description: 'Descending energy for winding down',
+                energy: [0.08, 0.4], curve: 'descending', bpm: [50, 95],
+                moods: ['calm', 'dark']
+            }
+        };
+
+        this.minScore = 0.45;
+    }
+
+    getTemplates() {
+        return this.templates;
+    }
+
+    // ========== GENERATION ==========
+
+    /**
+     * Generate a playlist from a template
+     * @param {string} templateId - Key of this.templates
+     * @param {Array} tracks - Loaded tracks (only analyzed ones are used)
+     * @param {Object} options - { targetDuration } in minutes
+     * @returns {Object} { name, description, templateId, tracks, targetCurve, stats }
+     */
+    generate(templateId, tracks, options = {}) {
+        const template = this.templates[templateId];
+        if (!template) throw new Error(`Unknown template: ${templateId}`);
+
+        const targetSeconds = (options.targetDuration || 60) * 60;
+        const analyzed = tracks.filter(track => track.analysis);
+
+        // Best-scoring tracks first, until the target duration is filled
+        const candidates = analyzed
+            .map(track => ({ track, score: this.scoreTrack(track, template) }))
+            .filter(entry => entry.score >= this.minScore)
+            .sort((a, b) => b.score - a.score);
+
+        const selected = [];
+        let totalSeconds = 0;
+        for (const { track } of candidates) {
+            if (totalSeconds >= targetSeconds) break;
+            selected.push(track);
+            totalSeconds += this.getDuration(track);
+        }
+
+        const targetCurve = this.buildEnergyCurve(template.curve, selected.length, template.energy);
+        const ordered = this.orderByCurve(selected, targetCurve, template);
+
+        this.debugLog(`🧠 ${template.name}: ${ordered.length} of ${analyzed.length} analyzed tracks (${Math.round(totalSeconds / 60)} min)`, 'success');
+
+        return {
+            name: `${template.icon} ${template.name}`,
+            description: template.description,
+            templateId,
+            tracks: ordered,
+            targetCurve,
+            stats: this.calculatePlaylistStats(ordered)
+        };
+    }
+
+    /**
+     * How well a track fits a template (0-1)
+     */
+    scoreTrack(track, template) {
+        const analysis = track.analysis;
+        if (!analysis) return 0;
+
+        const [energyMin, energyMax] = template.energy;
+        const energyScore = this.rangeScore(analysis.energy, energyMin, energyMax, 0.25);
+
+        const [bpmMin, bpmMax] = template.bpm;
+        const bpmScore = Math.max(
+            this.rangeScore(analysis.bpm, bpmMin, bpmMax, 30),
+            this.rangeScore(analysis.bpm * 2, bpmMin, bpmMax, 30) * 0.8,
+            this.rangeScore(analysis.bpm / 2, bpmMin, bpmMax, 30) * 0.8
+        );
+
+        const moodScore = template.moods.includes(analysis.mood) ? 1 : 0.3;
+
+        const danceScore = template.minDanceability
+            ? Math.min(1, (analysis.danceability ?? 0.5) / template.minDanceability)
+            : 1;
+
+        return energyScore * 0.4 + bpmScore * 0.25 + moodScore * 0.2 + danceScore * 0.15;
+    }
+
+    /**
+     * Target energy for each position in the playlist
+     * @param {string} shape - ascending | descending | flat | peak | wave
+     * @param {number} count - Number of tracks
+     * @param {Array} range - [low, high] energy
+     * @returns {Array<number>} Target energy per slot
+     */
+    buildEnergyCurve(shape, count, [low, high]) {
+        const curve = [];
+
+        for (let i = 0; i < count; i++) {
+            const t = count > 1 ? i / (count - 1) : 0.5;
+            let level;
+
+            switch (shape) {
+                case 'ascending':
+                    level = t;
+                    break;
+                case 'descending':
+                    level = 1 - t;
+                    break;
+                case 'peak':
+                    // Warm up over the first fifth, hold, cool down over the last fifth
+                    level = t < 0.2 ? t / 0.2 : (t > 0.8 ? (1 - t) / 0.2 : 1);
+                    level = 0.3 + level * 0.7;
+                    break;
+                case 'wave':
+                    // Overall build with two breakdowns
+                    level = 0.6 * t + 0.4 * (0.5 - 0.5 * Math.cos(t * Math.PI * 4));
+                    break;
+                default:
+                    level = 0.5;
+            }
+
+            curve.push(low + (high - low) * level);
+        }
+
+        return curve;
+    }
+
+    /**
+     * Fill each curve slot with the closest remaining track
+     */
+    orderByCurve(tracks, curve, template) {
+        const remaining = [...tracks];
+        const ordered = [];
+
+        curve.forEach(target => {
+            const previous = ordered[ordered.length - 1];
+            let bestIndex = 0;
+            let bestCost = Infinity;
+
+            remaining.forEach((track, index) => {
+                let cost = Math.abs(track.analysis.energy - target);
+
+                if (template.smoothTransitions && previous) {
+                    cost += Math.min(Math.abs(track.analysis.bpm - previous.analysis.bpm), 30) / 100;
+                    cost += this.keyDistance(track.analysis.key, previous.analysis.key) > 1 ? 0.15 : 0;
+                }
+
+                if (cost < bestCost) {
+                    bestCost = cost;
+                    bestIndex = index;
+                }
+            });
+
+            ordered.push(remaining.splice(bestIndex, 1)[0]);
+        });
+
+        return ordered;
+    }
+
+    // ========== SIMILARITY ==========
+
+    /**
+     * Tracks that sound most like a given one
+     * @param {Object} track - Reference track (must be analyzed)
+     * @param {Array} tracks - Tracks to search
+     * @param {number} limit - Maximum results
+     * @returns {Array} Similar tracks, most similar first
+     */
+    findSimilar(track, tracks, limit = 10) {
+        const reference = track.analysis;
+        if (!reference) return [];
+
+        return tracks
+            .filter(other => other !== track && other.analysis)
+            .map(other => ({ track: other, score: this.similarity(reference, other.analysis) }))
+            .filter(entry => entry.score >= 0.6)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(entry => entry.track);
+    }
+
+    similarity(a, b) {
+        // Half/double time counts as a tempo match
+        const bpmDiff = Math.min(
+            Math.abs(a.bpm - b.bpm),
+            Math.abs(a.bpm - b.bpm * 2),
+            Math.abs(a.bpm * 2 - b.bpm)
+        );
+        const bpmScore = Math.max(0, 1 - bpmDiff / 30);
+        const energyScore = 1 - Math.min(1, Math.abs(a.energy - b.energy) / 0.4);
+        const moodScore = a.mood === b.mood ? 1 : 0.3;
+        const keyScore = 1 - this.keyDistance(a.key, b.key) / 6;
+        const danceScore = 1 - Math.min(1, Math.abs((a.danceability ?? 0.5) - (b.danceability ?? 0.5)) / 0.5);
+
+        return bpmScore * 0.3 + energyScore * 0.3 + moodScore * 0.2 + keyScore * 0.1 + danceScore * 0.1;
+    }
+
+    // ========== STATS ==========
+
+    /**
+     * Summary used by the preview
+     * @returns {Object} { trackCount, totalDuration, avgBpm, bpmRange, avgEnergy, avgDanceability, moodDistribution }
+     */
+    calculatePlaylistStats(tracks) {
+        const analyzed = tracks.filter(track => track.analysis);
+        const average = (values) => values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+        const bpms = analyzed.map(track => track.analysis.bpm).filter(Boolean);
+
+        const moodDistribution = {};
+        analyzed.forEach(track => {
+            const mood = track.analysis.mood || 'neutral';
+            moodDistribution[mood] = (moodDistribution[mood] || 0) + 1;
+        });
+
+        return {
+            trackCount: tracks.length,
+            totalDuration: tracks.reduce((sum, track) => sum + this.getDuration(track), 0),
+            avgBpm: Math.round(average(bpms)),
+            bpmRange: bpms.length ? { min: Math.min(...bpms), max: Math.max(...bpms) } : null,
+            avgEnergy: average(analyzed.map(track => track.analysis.energy)),
+            avgDanceability: average(analyzed.map(track => track.analysis.danceability ?? 0.5)),
+            moodDistribution
+        };
+    }
+
+    // ========== HELPERS ==========
+
+    /**
+     * 1 inside [min, max], falling linearly to 0 at `tolerance` outside
+     */
+    rangeScore(value, min, max, tolerance) {
+        if (typeof value !== 'number' || isNaN(value)) return 0.5;
+        if (value >= min && value <= max) return 1;
+        const distance = value < min ? min - value : value - max;
+        return Math.max(0, 1 - distance / tolerance);
+    }
+
+    /**
+     * Steps around the circle of fifths between two keys (0-6)
+     */
+    keyDistance(keyA, keyB) {
+        const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        const a = notes.indexOf(keyA);
+        const b = notes.indexOf(keyB);
+        if (a === -1 || b === -1) return 3;
+
+        const steps = Math.abs((a * 7) % 12 - (b * 7) % 12);
+        return Math.min(steps, 12 - steps);
+    }
+
+    getDuration(track) {
+        return track.duration || track.analysis?.duration || this.fallbackDuration;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SmartPlaylistGenerator;
+}
@@ -0,0 +1,257 @@
+/* ============================================
+   SMART PLAYLIST RULE ENGINE
+   Evaluates saved rule sets (AND/OR groups of conditions,
+   sort, limit) against the loaded library
+   ============================================ */
+
+class SmartPlaylistRuleEngine {
+    constructor(debugLog = console.log) {
+        this.debugLog = debugLog;
+
+        // Usage stats providers (set by init)
+        this.context = {
+            getPlayCount: () => 0,
+            getLastPlayed: () => null,
+            getRating: () => null
+        };
+
+        // Field definitions: type decides the operators and value editor
+        this.fields = {
+            title: { label: 'Title', group: 'Metadata', type: 'text', get: (t) => t.metadata?.title || t.fileName },
+            artist: { label: 'Artist', group: 'Metadata', type: 'text', get: (t) => t.metadata?.artist },
+            album: { label: 'Album', group: 'Metadata', type: 'text', get: (t) => t.metadata?.album },
+            genre: { label: 'Genre', group: 'Metadata', type: 'text', get: (t) => t.metadata?.genre },
+            year: { label: 'Year', group: 'Metadata', type: 'number', get: (t) => t.metadata?.year },
+            duration: { label: 'Duration (min)', group: 'Metadata', type: 'number', get: (t) => t.duration ? t.duration / 60 : null },
+
+            bpm: { label: 'BPM', group: 'Analysis', type: 'number', get: (t) => t.analysis?.bpm },
+            energy: { label: 'Energy (%)', group: 'Analysis', type: 'number', get: (t) => this.percent(t.analysis?.energy) },
+            key: {
+                label: 'Key', group: 'Analysis', type: 'enum',
+                options: ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'],
+                get: (t) => t.analysis?.key
+            },
+            mood: {
+                label: 'Mood', group: 'Analysis', type: 'enum',
+                options: ['energetic', 'bright', 'calm', 'dark', 'neutral'],
+                get: (t) => t.analysis?.mood?.toLowerCase()
+            },
+            danceability: { label: 'Danceability (%)', group: 'Analysis', type: 'number', get: (t) => this.percent(t.analysis?.danceability) },
+            isVintage: { label: 'Vintage recording', group: 'Analysis', type: 'boolean', get: (t) => t.analysis ? !!t.analysis.isVintage : null },
+
+            playCount: { label: 'Play count', group: 'Usage', type: 'number', get: (t) => this.context.getPlayCount(t) },
+            lastPlayed: { label: 'Last played', group: 'Usage', type: 'date', get: (t) => this.context.getLastPlayed(t) },
+            rating: { label: 'Rating (0-5)', group: 'Usage', type: 'number', get: (t) => this.context.getRating(t) },
+            favorite: { label: 'Favorite', group: 'Usage', type: 'boolean', get: (t) => !!t.metadata?.favorite }
+        };
+
+        this.operators = {
+            text: { contains: 'contains', notContains: 'does not contain', is: 'is', isNot: 'is not' },
+            number: { is: '=', gt: '>', lt: '<', between: 'between' },
+            enum: { is: 'is', isNot: 'is not' },
+            boolean: { isTrue: 'is yes', isFalse: 'is no' },
+            date: { inLast: 'in the last (days)', notInLast: 'not in the last (days)', never: 'never' }
+        };
+
+        this.sortFields = {
+            random: 'Random',
+            title: 'Title',
+            artist: 'Artist',
+            album: 'Album',
+            year: 'Year',
+            duration: 'Duration',
+            bpm: 'BPM',
+            energy: 'Energy',
+            danceability: 'Danceability',
+            playCount: 'Play count',
+            lastPlayed: 'Last played',
+            rating: 'Rating'
+        };
+    }
+
+    /**
+     * Set usage stat providers
+     * @param {Object} context - { getPlayCount, getLastPlayed, getRating }
+     */
+    init(context = {}) {
+        Object.assign(this.context, context);
+    }
+
+    /**
+     * Empty rule set used by the editor
+     */
+    createDefaultRules() {
+        return {
+            match: 'all',
+            groups: [{ match: 'all', conditions: [{ field: 'artist', operator: 'contains', value: '' }] }],
+            sort: { field: 'random', order: 'asc' },
+            limit: 0,
+            seed: Math.floor(Math.random() * 1e9)
+        };
+    }
+
+    // ========== EVALUATION ==========
+
+    /**
+     * Tracks matching a rule set, sorted and limited
+     * @param {Object} rules - { match, groups, sort, limit, seed }
+     * @param {Array} tracks - Loaded tracks
+     * @returns {Array} Matching tracks
+     */
+    evaluate(rules, tracks) {
+        if (!rules) return [];
+
+        const matching = tracks.filter(track => this.matchesRules(rules, track));
+        const sorted = this.sortTracks(matching, rules.sort, rules.seed);
+
+        return rules.limit > 0 ? sorted.slice(0, rules.limit) : sorted;
+    }
+
+    matchesRules(rules, track) {
+        const groups = (rules.groups || []).filter(group => group.conditions?.length > 0);
+        if (groups.length === 0) return true;
+
+        const test = (group) => this.matchesGroup(group, track);
+        return rules.match === 'any' ? groups.some(test) : groups.every(test);
+    }
+
+    matchesGroup(group, track) {
+        const test = (condition) => this.matchesCondition(condition, track);
+        return group.match === 'any' ? group.conditions.some(test) : group.conditions.every(test);
+    }
+
+    matchesCondition(condition, track) {
+        const field = this.fields[condition.field];
+        if (!field) return false;
+
+        const actual = field.get(track);
+        const missing = actual === null || actual === undefined || actual === '';
+
+        switch (field.type) {
+            case 'text': {
+                const needle = String(condition.value ?? '').toLowerCase().trim();
+                const haystack = missing ? '' : String(actual).toLowerCase();
+                switch (condition.operator) {
+                    case 'contains': return !missing && haystack.includes(needle);
+                    case 'notContains': return missing || !haystack.includes(needle);
+                    case 'is': return !missing && haystack === needle;
+                    case 'isNot': return missing || haystack !== needle;
+                    default: return false;
+                }
+            }
+
+            case 'number': {
+                if (missing) return false;
+                const value = parseFloat(condition.value);
+                const value2 = parseFloat(condition.value2);
+                switch (condition.operator) {
+                    case 'is': return Math.round(actual) === Math.round(value);
+                    case 'gt': return actual > value;
+                    case 'lt': return actual < value;
+                    case 'between': return actual >= Math.min(value, value2) && actual <= Math.max(value, value2);
+                    default: return false;
+                }
+            }
+
+            case 'enum': {
+                const value = String(condition.value ?? '').toLowerCase();
+                const current = missing ? null : String(actual).toLowerCase();
+                if (condition.operator === 'is') return current === value;
+                if (condition.operator === 'isNot') return current !== value;
+                return false;
+            }
+
+            case 'boolean':
+                if (missing) return false;
+                return condition.operator === 'isTrue' ? actual === true : actual === false;
+
+            case 'date': {
+                if (condition.operator === 'never') return missing;
+                const days = parseFloat(condition.value) || 0;
+                const withinRange = !missing && (Date.now() - actual) <= days * 24 * 60 * 60 * 1000;
+                return condition.operator === 'inLast' ? withinRange : !withinRange;
+            }
+
+            default:
+                return false;
+        }
+    }
+
+    sortTracks(tracks, sort = { field: 'random', order: 'asc' }, seed = 0) {
+        const sorted = [...tracks];
+        const direction = sort.order === 'desc' ? -1 : 1;
+
+        if (sort.field === 'random') {
+            // Seeded so a live re-evaluation doesn't reshuffle the list
+            const keyed = sorted.map(track => ({ track, key: this.hash(`${seed}_${track.fileName}_${track.fileSize}`) }));
+            keyed.sort((a, b) => a.key - b.key);
+            return keyed.map(entry => entry.track);
+        }
+
+        const field = this.fields[sort.field];
+        if (!field) return sorted;
+
+        sorted.sort((a, b) => {
+            const aVal = field.get(a);
+            const bVal = field.get(b);
+            const aMissing = aVal === null || aVal === undefined;
+            const bMissing = bVal === null || bVal === undefined;
+
+            // Missing values always go last
+            if (aMissing || bMissing) return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+
+            if (typeof aVal === 'string') {
+                return aVal.localeCompare(bVal) * direction;
+            }
+            return (aVal - bVal) * direction;
+        });
+
+        return sorted;
+    }
+
+    // ========== HELPERS ==========
+
+    /**
+     * Human-readable summary, e.g. for tooltips
+     */
+    describe(rules) {
+        const groups = (rules.groups || []).filter(group => group.conditions?.length > 0);
+        const groupText = groups.map(group => {
+            const parts = group.conditions.map(condition => {
+                const field = this.fields[condition.field];
+                if (!field) return '?';
+                const operator = this.operators[field.type][condition.operator] || condition.operator;
+                const value = condition.operator === 'between'
+                    ? `${condition.value}–${condition.value2}`
+                    : (condition.value ?? '');
+                return `${field.label} ${operator} ${value}`.trim();
+            });
+            return parts.length > 1 ? `(${parts.join(group.match === 'any' ? ' OR ' : ' AND ')})` : parts[0];
+        });
+
+        let text = groupText.join(rules.match === 'any' ? ' OR ' : ' AND ') || 'All tracks';
+        if (rules.sort && rules.sort.field !== 'random') {
+            text += `, by ${this.sortFields[rules.sort.field] || rules.sort.field} ${rules.sort.order === 'desc' ? '↓' : '↑'}`;
+        }
+        if (rules.limit > 0) text += `, max ${rules.limit}`;
+        return text;
+    }
+
+    percent(value) {
+        return typeof value === 'number' ? value * 100 : null;
+    }
+
+    hash(text) {
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SmartPlaylistRuleEngine;
+}
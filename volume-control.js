@@ -18,7 +18,7 @@ class VolumeControl {
         this.boostEnabled = false;
         this.boostAmount = 1.5; // 1.5 = 150%
         this.normalizationEnabled = true; // Enabled by default for better QoL
-        this.targetLoudness = 0.7; // Target normalization level
+        this.normalizationGain = 1; // Linear ReplayGain for the current track (set by the loudness normalizer)
         this.trackVolumes = new Map(); // Per-track volume memory
         this.volumeHistory = [];
         this.historyIndex = -1;
@@ -31,6 +31,9 @@ class VolumeControl {
         this.isFading = false;
         this.fadeInterval = null;
         this.volumeBeforeFade = null; // Track volume before fade
+        this.holdingSilence = false; // Faded out by the sleep timer until the next play
+        this.resumeWithoutFade = false; // Track ended into an already-playing next one
+        this.isSeamlessChange = () => false; // Set by the gapless engine
         
         // Audio nodes (for boost and compression)
         this.gainNode = null;
@@ -224,20 +227,8 @@ forceReconnect() {
      * @param {number} volume - Volume value (0-1)
      * @param {boolean} smooth - Use smooth ramping
      */
-    applyVolume(volume, smooth = false, trackAnalysis = null) {
-        let normalizationMultiplier = 1.0;
-        
-        // Apply smart normalization if enabled and analysis is available
-        if (this.normalizationEnabled && trackAnalysis && trackAnalysis.loudness) {
-            const trackLoudness = trackAnalysis.loudness;
-            // Calculate how much to adjust to reach target (simplified ReplayGain-like)
-            // If track is quiet (e.g. 0.4), multiplier will be > 1.0
-            // If track is loud (e.g. 0.9), multiplier will be < 1.0
-            normalizationMultiplier = this.targetLoudness / Math.max(0.1, trackLoudness);
-            
-            // Clamp multiplier to prevent extreme changes
-            normalizationMultiplier = Math.max(0.5, Math.min(2.0, normalizationMultiplier));
-        }
+    applyVolume(volume, smooth = false) {
+        const normalizationMultiplier = this.normalizationEnabled ? this.normalizationGain : 1.0;
 
         if (this.isAudioContextInitialized && this.gainNode && this.audioContext) {
             if (this.audioContext.state === 'suspended') {
@@ -245,8 +236,7 @@ forceReconnect() {
             }
             
             // Use Web Audio API gain node
-            const boostMultiplier = this.boostEnabled ? this.boostAmount : 1.0;
-            const targetGain = volume * boostMultiplier * normalizationMultiplier;
+            const targetGain = volume * this.getGainMultiplier();
             const now = this.audioContext.currentTime;
             
             try {
@@ -410,7 +400,7 @@ forceReconnect() {
      * @param {boolean} addToHistory - Whether to add to undo history
      * @param {boolean} smooth - Use smooth ramping
      */
-    setVolume(volume, addToHistory = true, smooth = false, trackAnalysis = null) {
+    setVolume(volume, addToHistory = true, smooth = false) {
         volume = Math.max(0, Math.min(1, volume));
         
         if (this.isFading) {
@@ -424,7 +414,7 @@ forceReconnect() {
         this.baseVolume = volume;
         this.volumeSlider.value = volume;
         
-        this.applyVolume(volume, smooth, trackAnalysis);
+        this.applyVolume(volume, smooth);
         
         if (this.isMutedState && volume > 0) {
             this.isMutedState = false;
@@ -459,6 +449,23 @@ forceReconnect() {
      * Smart fade in on play
      */
     handlePlayEvent() {
+        // Coming back after a sleep-timer fade - the gain is still at 0
+        if (this.holdingSilence) {
+            this.holdingSilence = false;
+            this.isFading = false;
+            if (!this.fadeEnabled) {
+                this.applyVolume(this.baseVolume);
+                this.volumeSlider.value = this.baseVolume;
+                return;
+            }
+        }
+        
+        // The next track has been playing since the previous one ended
+        if (this.resumeWithoutFade) {
+            this.resumeWithoutFade = false;
+            return;
+        }
+        
         if (!this.fadeEnabled || this.isFading) return;
         
         // Store the target volume
@@ -485,6 +492,12 @@ forceReconnect() {
      * Smart fade out on pause
      */
     handlePauseEvent() {
+        // Gapless handoff - the gain is shared with the next track
+        if (this.player.ended && this.isSeamlessChange()) {
+            this.resumeWithoutFade = true;
+            return;
+        }
+        
         if (!this.fadeEnabled || this.isFading) return;
         
         // Don't fade if already at low volume
@@ -523,6 +536,51 @@ forceReconnect() {
         this.volumeBeforeFade = null;
     }
     
+    /**
+     * Fade to silence and stay there until playback starts again (sleep timer)
+     * @param {number} duration - Fade duration in seconds
+     * @param {Function} callback - Called when fade completes
+     */
+    fadeOutAndHold(duration, callback) {
+        this.fadeToVolume(this.baseVolume, 0, duration, callback);
+        
+        // Keeps the pause fade from jumping back to full volume first
+        this.isFading = true;
+        this.holdingSilence = true;
+    }
+    
+    /**
+     * Undo fadeOutAndHold while still playing
+     */
+    cancelHold() {
+        if (!this.holdingSilence) return;
+        
+        this.stopFade();
+        this.holdingSilence = false;
+        this.applyVolume(this.baseVolume, true);
+        this.volumeSlider.value = this.baseVolume;
+    }
+    
+    /**
+     * Start from silence and slowly rise to a volume (alarm).
+     * Call right before play() - the play fade-in is skipped while this runs.
+     * @param {number} duration - Ramp duration in seconds
+     * @param {number} targetVolume - Volume to end at (0-1)
+     * @param {Function} callback - Called when the ramp completes
+     */
+    rampIn(duration, targetVolume, callback) {
+        this.holdingSilence = false;
+        this.baseVolume = targetVolume;
+        
+        this.fadeToVolume(0, targetVolume, Math.max(0.1, duration), () => {
+            this.isFading = false;
+            this.updateUI();
+            if (callback) callback();
+        });
+        
+        this.isFading = true;
+    }
+        
     /**
      * Fade from current volume to target volume over duration
      * @param {number} startVolume - Starting volume (0-1)
@@ -545,15 +603,15 @@ forceReconnect() {
             
             // Use Web Audio API for smooth fading
             const now = this.audioContext.currentTime;
-            const boostMultiplier = this.boostEnabled ? this.boostAmount : 1.0;
+            const multiplier = this.getGainMultiplier();
             
             try {
                 this.gainNode.gain.cancelScheduledValues(now);
-                this.gainNode.gain.setValueAtTime(startVolume * boostMultiplier, now);
-                this.gainNode.gain.linearRampToValueAtTime(targetVolume * boostMultiplier, now + duration);
+                this.gainNode.gain.setValueAtTime(startVolume * multiplier, now);
+                this.gainNode.gain.linearRampToValueAtTime(targetVolume * multiplier, now + duration);
             } catch (e) {
                 // Fallback if scheduling fails
-                this.gainNode.gain.value = startVolume * boostMultiplier;
+                this.gainNode.gain.value = startVolume * multiplier;
             }
             
             // Update UI during fade
@@ -570,6 +628,15 @@ forceReconnect() {
                 if (progress >= 1) {
                     clearInterval(this.fadeInterval);
                     this.fadeInterval = null;
+                    
+                    // The next track's normalization gain can arrive mid-fade
+                    if (multiplier !== this.getGainMultiplier()) {
+                        try {
+                            this.gainNode.gain.setTargetAtTime(targetVolume * this.getGainMultiplier(), this.audioContext.currentTime, 0.02);
+                        } catch (e) {
+                            this.gainNode.gain.value = targetVolume * this.getGainMultiplier();
+                        }
+                    }
                     if (callback) callback();
                 }
             }, 50);
@@ -916,14 +983,32 @@ forceReconnect() {
     }
 
     /**
-     * Enable/disable smart normalization
+     * Enable/disable loudness normalization
      * @param {boolean} enabled - Enable normalization
      */
     setNormalization(enabled) {
         this.normalizationEnabled = enabled;
-        this.applyVolume(this.baseVolume, true);
+        if (!this.isFading) this.applyVolume(this.baseVolume, true);
         this.debounceSaveSettings();
-        this.debugLog(`⚖️ Smart Normalization: ${enabled ? 'ON' : 'OFF'}`, 'info');
+        this.debugLog(`⚖️ Loudness Normalization: ${enabled ? 'ON' : 'OFF'}`, 'info');
+    }
+    
+    /**
+     * Gain for the track now playing, applied on top of the volume while normalization is on
+     * @param {number} gain - Linear gain (1 = unchanged)
+     */
+    setNormalizationGain(gain) {
+        this.normalizationGain = gain > 0 && isFinite(gain) ? gain : 1;
+        if (!this.isFading) this.applyVolume(this.baseVolume, true);
+    }
+    
+    /**
+     * Boost and normalization gain together
+     * @returns {number} Multiplier applied to the volume
+     */
+    getGainMultiplier() {
+        const boost = this.boostEnabled ? this.boostAmount : 1.0;
+        return boost * (this.normalizationEnabled ? this.normalizationGain : 1.0);
     }
     
     /**